@@ -2,28 +2,345 @@
 pragma solidity ^0.8.0;
 
 contract SecureLog {
+    // Account that manages the writer role, set at deploy time
+    address public owner;
+
+    // Accounts allowed to add logs and anchor batches
+    mapping(address => bool) public isWriter;
+
+    // Writer accounts in grant order, for listing (position + 1 in writerIndex)
+    address[] private writerList;
+    mapping(address => uint256) private writerIndex;
+
+    // Emitted when the writer role changes
+    event WriterGranted(address indexed account, address indexed grantedBy);
+    event WriterRevoked(address indexed account, address indexed revokedBy);
+
     // Structure to store a log entry
+    // Each entry links to the previous one through prevHash, forming a hash chain
     struct LogEntry {
         string message;
         address sender;
         uint256 timestamp;
+        bytes32 prevHash;
+        bytes32 contentHash;
+        uint8 severity; // RFC 5424 level: 0 = emergency ... 7 = debug
+        string source; // Host or service that produced the entry
+        string facility; // Subsystem within the source
+        string[] tags;
+        string attributes; // JSON object, or empty
     }
 
+    // Highest (least severe) RFC 5424 severity level
+    uint8 public constant MAX_SEVERITY = 7;
+
     // Array to store all log entries
+    // Entries before firstLog are replayed copies dropped by abortReplay(); they are
+    // left in storage, since deleting them costs gas for every copy
     LogEntry[] public logs;
 
+    // Position in logs of the contract's entry 0
+    uint256 public firstLog;
+
+    // Hash of the most recent entry (head of the chain, zero when empty)
+    bytes32 public lastHash;
+
+    // Emitted for every new entry so off-chain indexers don't have to scan storage
+    event LogAdded(uint256 indexed index, address indexed sender, uint256 timestamp, bytes32 contentHash);
+
+    // Structure to store the Merkle root of a batch of off-chain entries
+    struct BatchAnchor {
+        bytes32 root;
+        uint256 count;
+        address sender;
+        uint256 timestamp;
+    }
+
+    // Array to store all anchored batches
+    BatchAnchor[] public batches;
+
+    // Emitted when a batch root is anchored
+    event BatchAnchored(uint256 indexed batchIndex, bytes32 root, uint256 count, address indexed sender);
+
+    // Contract this one took over from (zero for a first deployment)
+    address public predecessor;
+
+    // Entries of the predecessor that belong to the history, and the chain hash after them
+    uint256 public predecessorLogCount;
+    bytes32 public predecessorHead;
+
+    // True while the predecessor's entries are being copied into this contract
+    bool public replaying;
+
+    // Emitted once, when the contract is deployed as a successor
+    event PredecessorLinked(address indexed predecessor, uint256 logCount, bytes32 headHash, bool replay);
+
+    // Emitted when the last of the predecessor's entries has been copied
+    event ReplayCompleted(uint256 count, bytes32 headHash);
+
+    // Emitted when the owner gives up a replay; the copied entries are skipped from then on
+    event ReplayAborted(uint256 copied);
+
+    // Restrict a function to the owner
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+
+    // Restrict a function to accounts with the writer role
+    modifier onlyWriter() {
+        require(isWriter[msg.sender], "Caller is not a writer");
+        _;
+    }
+
+    // New entries wait until a replay has finished
+    modifier notReplaying() {
+        require(!replaying, "Replay in progress");
+        _;
+    }
+
+    // The initial owner is also the first writer
+    // With a predecessor, this contract continues the predecessor's hash chain:
+    //   replay = false - new entries link to the predecessor's head; its entries stay where they are
+    //   replay = true  - the owner copies the predecessor's entries in with replayLog() first
+    constructor(address initialOwner, address predecessorAddress, bool replay) {
+        require(initialOwner != address(0), "Owner cannot be the zero address");
+        owner = initialOwner;
+        _grantWriter(initialOwner);
+
+        if (predecessorAddress == address(0)) {
+            require(!replay, "Nothing to replay without a predecessor");
+            return;
+        }
+
+        SecureLog previous = SecureLog(predecessorAddress);
+        predecessor = predecessorAddress;
+        predecessorLogCount = previous.logCount();
+        predecessorHead = previous.lastHash();
+
+        if (replay && predecessorLogCount > 0) {
+            // Start where the predecessor's first entry starts, so the copies hash exactly like the originals
+            lastHash = previous.getLog(0).prevHash;
+            replaying = true;
+        } else {
+            lastHash = predecessorHead;
+        }
+
+        emit PredecessorLinked(predecessorAddress, predecessorLogCount, predecessorHead, replay);
+    }
+
+    // Allow an account to add logs and anchor batches
+    function grantWriter(address account) public onlyOwner {
+        require(account != address(0), "Writer cannot be the zero address");
+        require(!isWriter[account], "Account is already a writer");
+        _grantWriter(account);
+    }
+
+    // Stop an account from adding logs and anchoring batches
+    function revokeWriter(address account) public onlyOwner {
+        require(isWriter[account], "Account is not a writer");
+
+        // Move the last writer into the revoked writer's slot
+        uint256 position = writerIndex[account] - 1;
+        address last = writerList[writerList.length - 1];
+        writerList[position] = last;
+        writerIndex[last] = position + 1;
+        writerList.pop();
+
+        delete writerIndex[account];
+        isWriter[account] = false;
+
+        emit WriterRevoked(account, msg.sender);
+    }
+
+    // All accounts that currently have the writer role
+    function getWriters() public view returns (address[] memory) {
+        return writerList;
+    }
+
+    function _grantWriter(address account) private {
+        isWriter[account] = true;
+        writerList.push(account);
+        writerIndex[account] = writerList.length;
+
+        emit WriterGranted(account, msg.sender);
+    }
+
     // Add a new log entry
-    function addLog(string memory message) public {
-        logs.push(LogEntry({
-            message: message,
+    function addLog(
+        string memory message,
+        uint8 severity,
+        string memory source,
+        string memory facility,
+        string[] memory tags,
+        string memory attributes
+    ) public onlyWriter notReplaying {
+        _appendLog(message, severity, source, facility, tags, attributes, msg.sender, block.timestamp);
+    }
+
+    // Copy the predecessor's next entry, keeping its original sender and timestamp
+    // Each copy must hash exactly like the predecessor's entry at the same index, or it reverts
+    function replayLog(
+        string memory message,
+        uint8 severity,
+        string memory source,
+        string memory facility,
+        string[] memory tags,
+        string memory attributes,
+        address sender,
+        uint256 timestamp
+    ) public onlyOwner {
+        require(replaying, "No replay in progress");
+
+        _appendLog(message, severity, source, facility, tags, attributes, sender, timestamp);
+
+        LogEntry memory original = SecureLog(predecessor).getLog(logCount() - 1);
+        require(
+            lastHash == entryHash(original.prevHash, original.contentHash, original.sender, original.timestamp),
+            "Replayed entry does not match the predecessor"
+        );
+
+        if (logCount() == predecessorLogCount) {
+            require(lastHash == predecessorHead, "Replayed entries do not match the predecessor");
+            replaying = false;
+            emit ReplayCompleted(logCount(), lastHash);
+        }
+    }
+
+    // Give up a replay: skip the entries copied so far and link to the predecessor's head
+    // instead, as if the contract had been deployed without replay
+    // Moving firstLog past the copies costs the same however many were copied
+    function abortReplay() public onlyOwner {
+        require(replaying, "No replay in progress");
+
+        uint256 copied = logCount();
+        firstLog = logs.length;
+        lastHash = predecessorHead;
+        replaying = false;
+
+        emit ReplayAborted(copied);
+    }
+
+    function _appendLog(
+        string memory message,
+        uint8 severity,
+        string memory source,
+        string memory facility,
+        string[] memory tags,
+        string memory attributes,
+        address sender,
+        uint256 timestamp
+    ) private {
+        require(severity <= MAX_SEVERITY, "Invalid severity");
+
+        bytes32 contentHash = computeContentHash(message, severity, source, facility, tags, attributes);
+        bytes32 prevHash = lastHash;
+
+        LogEntry storage entry = logs.push();
+        entry.message = message;
+        entry.sender = sender;
+        entry.timestamp = timestamp;
+        entry.prevHash = prevHash;
+        entry.contentHash = contentHash;
+        entry.severity = severity;
+        entry.source = source;
+        entry.facility = facility;
+        entry.tags = tags;
+        entry.attributes = attributes;
+
+        // Move the head of the chain to the new entry
+        lastHash = entryHash(prevHash, contentHash, sender, timestamp);
+
+        emit LogAdded(logCount() - 1, sender, timestamp, contentHash);
+    }
+
+    // Hash of an entry's content fields
+    function computeContentHash(
+        string memory message,
+        uint8 severity,
+        string memory source,
+        string memory facility,
+        string[] memory tags,
+        string memory attributes
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(message, severity, source, facility, tags, attributes));
+    }
+
+    // Get a single log entry, including its tags
+    // (the public logs() getter leaves out array members)
+    function getLog(uint256 index) public view returns (LogEntry memory) {
+        return logs[firstLog + index];
+    }
+
+    // Number of stored log entries
+    function logCount() public view returns (uint256) {
+        return logs.length - firstLog;
+    }
+
+    // Compute the chain hash of an entry from its stored fields
+    function entryHash(
+        bytes32 prevHash,
+        bytes32 contentHash,
+        address sender,
+        uint256 timestamp
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(prevHash, contentHash, sender, timestamp));
+    }
+
+    // Anchor the Merkle root of a batch of entries stored off-chain
+    function anchorBatch(bytes32 root, uint256 count) public onlyWriter notReplaying {
+        require(count > 0, "Batch must contain at least one entry");
+
+        batches.push(BatchAnchor({
+            root: root,
+            count: count,
             sender: msg.sender,
             timestamp: block.timestamp
         }));
+
+        emit BatchAnchored(batches.length - 1, root, count, msg.sender);
+    }
+
+    // Number of anchored batches
+    function batchCount() public view returns (uint256) {
+        return batches.length;
+    }
+
+    // Check that a leaf is included in an anchored batch
+    function verifyBatchProof(
+        uint256 batchIndex,
+        bytes32 leaf,
+        bytes32[] memory proof
+    ) public view returns (bool) {
+        require(batchIndex < batches.length, "Batch does not exist");
+
+        bytes32 computed = hashLeaf(leaf);
+        for (uint256 i = 0; i < proof.length; i++) {
+            computed = hashPair(computed, proof[i]);
+        }
+        return computed == batches[batchIndex].root;
+    }
+
+    // Hash a leaf into the tree's bottom level
+    // Leaves and inner nodes get different prefixes (0x00, 0x01), so an inner node
+    // can't be passed off as a leaf
+    function hashLeaf(bytes32 leaf) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(bytes1(0x00), leaf));
+    }
+
+    // Hash two Merkle nodes in sorted order
+    function hashPair(bytes32 a, bytes32 b) public pure returns (bytes32) {
+        return a < b
+            ? keccak256(abi.encodePacked(bytes1(0x01), a, b))
+            : keccak256(abi.encodePacked(bytes1(0x01), b, a));
     }
 
     // Get all stored logs
     function getLogs() public view returns (LogEntry[] memory) {
-        return logs;
+        LogEntry[] memory entries = new LogEntry[](logCount());
+        for (uint256 i = 0; i < entries.length; i++) {
+            entries[i] = logs[firstLog + i];
+        }
+        return entries;
     }
 }
-
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+
+// Default location of the key store
+const KEY_STORE_PATH = path.join(DATA_DIR, 'api-keys.json');
+
+// Prefix that makes keys easy to recognise (and to grep for if one leaks)
+const KEY_PREFIX = 'slk_';
+
+// What a key may read: every entry, only entries it sent, or nothing
+const READ_SCOPES = ['all', 'own', 'none'];
+
+// Only a hash of each key is stored, so the store itself can't be used to authenticate
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Create a new key id and secret; the secret is shown to the admin once
+function generateKey() {
+  return {
+    id: crypto.randomBytes(4).toString('hex'),
+    secret: KEY_PREFIX + crypto.randomBytes(24).toString('hex'),
+  };
+}
+
+// Read the key store, or an empty one if it doesn't exist yet
+function loadKeyStore(filePath = KEY_STORE_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { keys: [] };
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write the key store; it can hold signing keys, so keep it private to the owner
+function saveKeyStore(store, filePath = KEY_STORE_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+// Find the active key matching a secret, or null
+function findKey(store, secret) {
+  if (!secret || typeof secret !== 'string') {
+    return null;
+  }
+  const hash = Buffer.from(hashKey(secret), 'hex');
+  return store.keys.find(key =>
+    !key.revoked &&
+    crypto.timingSafeEqual(Buffer.from(key.keyHash, 'hex'), hash)
+  ) || null;
+}
+
+module.exports = {
+  KEY_STORE_PATH,
+  KEY_PREFIX,
+  READ_SCOPES,
+  hashKey,
+  generateKey,
+  loadKeyStore,
+  saveKeyStore,
+  findKey,
+};
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const { keccak256 } = require('web3-utils');
+const { encodeParameters } = require('web3-eth-abi');
+const { create, sign, recover, privateKeyToAddress } = require('web3-eth-accounts');
+const { GENESIS_HASH, computeEntryHash, verifyChain } = require('./hash-chain');
+const { severityName } = require('./severity');
+const { createHistoryReader } = require('./history-reader');
+const { DATA_DIR } = require('./data-dir');
+
+// Signed audit reports: a digest over every entry of an index or time range, the block
+// holding the range's last entry as a checkpoint, and counts by sender and severity.
+// Reports are read straight from the chain over RPC, so they don't depend on server.js
+// or its index, and can be verified later by anyone with the report and an RPC URL.
+
+// Where reports are written by default, and the key that signs them
+const REPORTS_DIR = path.join(DATA_DIR, 'reports');
+const AUDIT_KEY_PATH = path.join(DATA_DIR, 'audit-signing.key');
+
+const REPORT_TYPE = 'logchain-audit-report';
+const REPORT_VERSION = 1;
+
+// digest = fold of keccak256(abi.encode(digest, entryHash)) over the range, starting from zero;
+// entryHash is the contract's own chain hash of each entry (see lib/hash-chain.js)
+const DIGEST_ALGORITHM = 'keccak256-fold-entry-hash';
+
+// Private key reports are signed with: AUDIT_SIGNING_KEY, or one generated once and kept
+// in data/audit-signing.key. Publish its address so reports can be checked with --signer
+function loadSigningKey(keyPath = AUDIT_KEY_PATH) {
+  let key = process.env.AUDIT_SIGNING_KEY;
+  if (!key) {
+    if (!fs.existsSync(keyPath)) {
+      fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+      fs.writeFileSync(keyPath, create().privateKey, { mode: 0o600, flag: 'wx' });
+    }
+    key = fs.readFileSync(keyPath, 'utf8').trim();
+  }
+  key = key.startsWith('0x') ? key : '0x' + key;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error('The audit signing key must be a 32-byte hex private key');
+  }
+  return key;
+}
+
+// JSON with object keys sorted, so a report serializes to the same bytes everywhere
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalJson).join(',') + ']';
+  }
+  if (value !== null && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+// Everything in a report except its signature, as signed
+function signedPayload(report) {
+  const { signature, ...unsigned } = report;
+  return canonicalJson(unsigned);
+}
+
+// Sign a report (EIP-191 personal message over its canonical JSON) and record the signer
+function signReport(report, privateKey) {
+  const signed = { ...report, signer: privateKeyToAddress(privateKey) };
+  return { ...signed, signature: sign(signedPayload(signed), privateKey).signature };
+}
+
+// Address that signed a report, or null if the signature is malformed
+function recoverSigner(report) {
+  try {
+    return recover(signedPayload(report), report.signature);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resolve a requested range ({ fromIndex, toIndex, from, to }, timestamps in unix seconds)
+// to the inclusive history indexes it covers; null when no entry falls inside it
+async function resolveRange(reader, requested, total) {
+  let fromIndex = requested.fromIndex !== undefined ? requested.fromIndex : 0;
+  let toIndex = requested.toIndex !== undefined ? Math.min(requested.toIndex, total - 1) : total - 1;
+  if (requested.from !== undefined) {
+    fromIndex = Math.max(fromIndex, await reader.firstIndexAtOrAfter(requested.from, total));
+  }
+  if (requested.to !== undefined) {
+    toIndex = Math.min(toIndex, (await reader.firstIndexAtOrAfter(requested.to + 1, total)) - 1);
+  }
+  return fromIndex <= toIndex ? { fromIndex, toIndex } : null;
+}
+
+// Read the entries of a range and compute its digest, counts and hash-chain check
+// onProgress(done, total) is called every 100 entries
+async function summarizeRange(reader, fromIndex, toIndex, onProgress) {
+  const entries = [];
+  let digest = GENESIS_HASH;
+  let headHash = null;
+  const bySender = {};
+  const bySeverity = {};
+
+  for (let index = fromIndex; index <= toIndex; index++) {
+    const entry = await reader.getEntry(index);
+    entries.push(entry);
+
+    headHash = computeEntryHash(entry.prevHash, entry.contentHash, entry.sender, entry.timestamp);
+    digest = keccak256(encodeParameters(['bytes32', 'bytes32'], [digest, headHash]));
+
+    bySender[entry.sender] = (bySender[entry.sender] || 0) + 1;
+    const severity = severityName(entry.severityLevel);
+    bySeverity[severity] = (bySeverity[severity] || 0) + 1;
+
+    if (onProgress && (index - fromIndex + 1) % 100 === 0) {
+      onProgress(index - fromIndex + 1, toIndex - fromIndex + 1);
+    }
+  }
+
+  // The range must link to the entry after it, or to the head of the chain
+  const total = await reader.count();
+  const expectedNextHash = toIndex + 1 < total
+    ? (await reader.getEntry(toIndex + 1)).prevHash
+    : await reader.lastHash();
+  const chain = verifyChain(entries, expectedNextHash);
+
+  return {
+    digest: digest,
+    headHash: headHash,
+    firstTimestamp: Number(entries[0].timestamp),
+    lastTimestamp: Number(entries[entries.length - 1].timestamp),
+    counts: { bySender, bySeverity },
+    integrity: { valid: chain.valid, checked: chain.checked, brokenLink: chain.brokenLink },
+  };
+}
+
+// Build an unsigned report for a deployment's history
+// Options:
+//   network     - { name, chainId } of the network
+//   generations - from deploymentGenerations(); each { address, blockNumber, offset, logCount }
+//   requested   - { fromIndex, toIndex, from, to }; any may be left out
+//   onProgress  - see summarizeRange
+async function buildReport(web3, { network, generations, requested, onProgress }) {
+  const head = await web3.eth.getBlock('latest');
+  const readAt = Number(head.number);
+  const reader = createHistoryReader(web3, generations, readAt);
+
+  const total = await reader.count();
+  const range = await resolveRange(reader, requested, total);
+  if (!range) {
+    throw new Error(`No log entries in the requested range (${total} entries on chain)`);
+  }
+
+  const summary = await summarizeRange(reader, range.fromIndex, range.toIndex, onProgress);
+
+  // The block that wrote the range's last entry fixes the report to a point in the chain
+  const { generation } = reader.locate(range.toIndex);
+  const write = await reader.findWrite(range.toIndex, generation.blockNumber ? Number(generation.blockNumber) : 0, readAt);
+  if (!write) {
+    throw new Error(`Could not find the LogAdded event of entry ${range.toIndex}`);
+  }
+  const checkpointBlock = await web3.eth.getBlock(write.blockNumber);
+
+  return {
+    type: REPORT_TYPE,
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    network: { name: network.name, chainId: Number(await web3.eth.getChainId()) },
+    contract: {
+      address: generations[generations.length - 1].address,
+      generations: generations.map(item => ({
+        address: item.address,
+        offset: item.offset,
+        logCount: item.logCount,
+        blockNumber: item.blockNumber ? Number(item.blockNumber) : null,
+      })),
+    },
+    range: {
+      requested: requested,
+      fromIndex: range.fromIndex,
+      toIndex: range.toIndex,
+      count: range.toIndex - range.fromIndex + 1,
+      firstTimestamp: summary.firstTimestamp,
+      lastTimestamp: summary.lastTimestamp,
+    },
+    digest: { algorithm: DIGEST_ALGORITHM, value: summary.digest, headHash: summary.headHash },
+    integrity: summary.integrity,
+    checkpoint: {
+      blockNumber: write.blockNumber,
+      blockHash: checkpointBlock.hash,
+      blockTimestamp: Number(checkpointBlock.timestamp),
+      transactionHash: write.transactionHash,
+    },
+    readAt: { blockNumber: readAt, blockHash: head.hash },
+    counts: summary.counts,
+  };
+}
+
+// Check a report against its signature and the chain it references
+// Returns { valid, checks: [{ name, ok, detail }] }
+// Options:
+//   signer - address the report must be signed by (otherwise any valid signature passes)
+async function verifyReport(web3, report, { signer, onProgress } = {}) {
+  const checks = [];
+  const check = (name, ok, detail) => checks.push({ name, ok, detail });
+
+  if (report.type !== REPORT_TYPE || report.version !== REPORT_VERSION) {
+    throw new Error(`Not a version ${REPORT_VERSION} ${REPORT_TYPE}`);
+  }
+
+  const recovered = recoverSigner(report);
+  check('signature', recovered !== null && recovered.toLowerCase() === String(report.signer).toLowerCase(),
+    recovered ? `Signed by ${recovered}` : 'Signature is malformed');
+  if (signer) {
+    check('signer', String(report.signer).toLowerCase() === signer.toLowerCase(),
+      `Report names ${report.signer}, expected ${signer}`);
+  }
+
+  const chainId = Number(await web3.eth.getChainId());
+  check('chain', chainId === report.network.chainId, `Node is chain ${chainId}, report is for chain ${report.network.chainId}`);
+
+  // The checkpoint block must still be part of the chain, and still hold the range's last entry
+  const block = await web3.eth.getBlock(report.checkpoint.blockNumber).catch(() => null);
+  check('checkpoint-block', block !== null && block.hash === report.checkpoint.blockHash,
+    block ? `Block ${report.checkpoint.blockNumber} has hash ${block.hash}` : `Block ${report.checkpoint.blockNumber} not found`);
+
+  const reader = createHistoryReader(web3, report.contract.generations);
+  const write = block
+    ? await reader.findWrite(report.range.toIndex, report.checkpoint.blockNumber, report.checkpoint.blockNumber)
+    : null;
+  check('checkpoint-entry', write !== null && write.transactionHash === report.checkpoint.transactionHash,
+    `Entry ${report.range.toIndex} ${write ? `was written in ${write.transactionHash}` : 'was not written'} in block ${report.checkpoint.blockNumber}`);
+
+  // Recompute the digest and counts from the entries on chain now
+  const total = await reader.count();
+  if (report.range.toIndex >= total) {
+    check('entries', false, `Range ends at ${report.range.toIndex}, but the chain has ${total} entries`);
+  } else {
+    const summary = await summarizeRange(reader, report.range.fromIndex, report.range.toIndex, onProgress);
+    check('digest', summary.digest === report.digest.value, `Recomputed ${summary.digest}`);
+    check('counts', canonicalJson(summary.counts) === canonicalJson(report.counts), 'Counts by sender and severity');
+    check('integrity', summary.integrity.valid === report.integrity.valid,
+      summary.integrity.valid ? 'Hash chain is intact' : `Hash chain breaks at ${summary.integrity.brokenLink.index}`);
+  }
+
+  return { valid: checks.every(item => item.ok), checks };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+// Self-contained HTML rendering of a signed report
+// The report's JSON is embedded, so the HTML file can be verified like the JSON one
+function renderHtml(report) {
+  const rows = pairs => pairs.map(([name, value]) =>
+    `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n');
+  const countRows = counts => Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, n]) => `<tr><td>${escapeHtml(name)}</td><td class="n">${n}</td></tr>`).join('\n');
+
+  const integrity = report.integrity.valid
+    ? '<p class="ok">Hash chain intact over the whole range</p>'
+    : `<p class="bad">Hash chain broken at entry ${escapeHtml(report.integrity.brokenLink.index)} (${escapeHtml(report.integrity.brokenLink.reason)})</p>`;
+  const embedded = JSON.stringify(report, null, 2).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Log audit report: entries ${report.range.fromIndex}-${report.range.toIndex}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 2rem auto; max-width: 960px; color: #222; }
+  h1 { font-size: 1.5rem; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; width: 100%; }
+  th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; font-size: 0.9rem; }
+  th { background: #f5f5f5; width: 30%; }
+  td { font-family: ui-monospace, Menlo, monospace; word-break: break-all; }
+  td.n { text-align: right; }
+  .ok { color: #1a7f37; font-weight: bold; }
+  .bad { color: #cf222e; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Log audit report</h1>
+${integrity}
+<h2>Range</h2>
+<table>
+${rows([
+    ['Entries', `${report.range.fromIndex} - ${report.range.toIndex} (${report.range.count})`],
+    ['First entry', formatTime(report.range.firstTimestamp)],
+    ['Last entry', formatTime(report.range.lastTimestamp)],
+    ['Network', `${report.network.name} (chain ${report.network.chainId})`],
+    ['Contract', report.contract.address],
+  ])}
+</table>
+<h2>Evidence</h2>
+<table>
+${rows([
+    [`Digest (${report.digest.algorithm})`, report.digest.value],
+    ['Hash of last entry', report.digest.headHash],
+    ['Checkpoint block', `${report.checkpoint.blockNumber} (${formatTime(report.checkpoint.blockTimestamp)})`],
+    ['Checkpoint block hash', report.checkpoint.blockHash],
+    ['Last entry written in', report.checkpoint.transactionHash],
+    ['Generated', report.generatedAt],
+    ['Signed by', report.signer],
+    ['Signature', report.signature],
+  ])}
+</table>
+<h2>Entries by severity</h2>
+<table>
+<tr><th>Severity</th><th>Entries</th></tr>
+${countRows(report.counts.bySeverity)}
+</table>
+<h2>Entries by sender</h2>
+<table>
+<tr><th>Sender</th><th>Entries</th></tr>
+${countRows(report.counts.bySender)}
+</table>
+<p>Check this report against the chain with: <code>npm run audit-report -- verify &lt;this file&gt; --signer ${escapeHtml(report.signer)}</code></p>
+<script type="application/json" id="audit-report">
+${embedded}
+</script>
+</body>
+</html>
+`;
+}
+
+// Read a report from its JSON file or the JSON embedded in its HTML rendering
+function loadReport(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const embedded = text.match(/<script type="application\/json" id="audit-report">([\s\S]*?)<\/script>/);
+  return JSON.parse(embedded ? embedded[1] : text);
+}
+
+module.exports = {
+  REPORTS_DIR,
+  AUDIT_KEY_PATH,
+  DIGEST_ALGORITHM,
+  loadSigningKey,
+  canonicalJson,
+  signReport,
+  recoverSigner,
+  buildReport,
+  verifyReport,
+  renderHtml,
+  loadReport,
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+// Compile contracts/SecureLog.sol and return its ABI and bytecode (0x-prefixed)
+function compileContract() {
+  // Read the contract source code
+  const contractPath = path.join(__dirname, '..', 'contracts', 'SecureLog.sol');
+  const sourceCode = fs.readFileSync(contractPath, 'utf8');
+
+  // Compile the contract
+  const input = {
+    language: 'Solidity',
+    sources: {
+      'SecureLog.sol': {
+        content: sourceCode,
+      },
+    },
+    settings: {
+      outputSelection: {
+        '*': {
+          '*': ['abi', 'evm.bytecode'],
+        },
+      },
+      evmVersion: 'london',
+    },
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+
+  // Check for compilation errors
+  if (output.errors) {
+    const errors = output.errors.filter(e => e.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error('Compilation errors: ' + JSON.stringify(errors, null, 2));
+    }
+  }
+
+  // Get the compiled contract
+  const contract = output.contracts['SecureLog.sol']['SecureLog'];
+  const bytecode = contract.evm.bytecode.object;
+  if (!bytecode || bytecode.length === 0) {
+    throw new Error('Compiled bytecode is empty');
+  }
+  return {
+    abi: contract.abi,
+    bytecode: bytecode.startsWith('0x') ? bytecode : '0x' + bytecode,
+  };
+}
+
+module.exports = { compileContract };
@@ -0,0 +1,9 @@
+const path = require('path');
+
+// Directory holding generated data: deployments, API keys, indexes, queues and spools
+// LOGCHAIN_DATA_DIR moves all of it elsewhere (the test suite uses a temporary one)
+const DATA_DIR = process.env.LOGCHAIN_DATA_DIR
+  ? path.resolve(process.env.LOGCHAIN_DATA_DIR)
+  : path.join(__dirname, '..', 'data');
+
+module.exports = { DATA_DIR };
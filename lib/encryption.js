@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { keccak256 } = require('web3-utils');
+const { DATA_DIR } = require('./data-dir');
+
+// Default location of the recipient key store
+const RECIPIENT_STORE_PATH = path.join(DATA_DIR, 'recipients.json');
+
+// Encrypted messages are stored on-chain as this prefix followed by the envelope JSON
+const ENVELOPE_PREFIX = 'enc:v1:';
+
+// Data keys are wrapped for each recipient with an X25519 key agreement
+const ENVELOPE_ALGORITHM = 'x25519-aes-256-gcm';
+const KEY_WRAP_INFO = 'secure-logchain data key';
+
+// Shown instead of the message to callers that hold none of its recipient keys
+const REDACTED_PLACEHOLDER = '[encrypted]';
+
+// Short id of a recipient's public key (PEM), shared by the server and the streamer
+function recipientId(publicKey) {
+  const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+// New X25519 key pair for a recipient, as PEM strings
+function generateRecipientKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+  return {
+    id: recipientId(publicPem),
+    publicKey: publicPem,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  };
+}
+
+// Key that wraps the data key for one recipient, from an X25519 shared secret
+function deriveWrappingKey(privateKey, publicKey, ephemeralPublicKey) {
+  const shared = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync('sha256', shared, ephemeralPublicKey, KEY_WRAP_INFO, 32));
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString('base64'), data: data.toString('base64'), tag: cipher.getAuthTag().toString('base64') };
+}
+
+// Throws if the ciphertext or its tag were tampered with
+function open(key, { iv, data, tag }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+}
+
+// Encrypt a message for one or more recipients ({ id, publicKey } with PEM keys)
+// A random data key encrypts the message and is wrapped for every recipient.
+// The envelope also carries the keccak256 hash of the plaintext, so a decrypted
+// message can be checked against what was written.
+function encryptMessage(plaintext, recipients) {
+  if (!recipients || recipients.length === 0) {
+    throw new Error('At least one recipient is needed to encrypt a message');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const keys = recipients.map((recipient) => {
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const ephemeralDer = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+    const wrappingKey = deriveWrappingKey(ephemeral.privateKey, crypto.createPublicKey(recipient.publicKey), ephemeralDer);
+    return {
+      id: recipient.id || recipientId(recipient.publicKey),
+      epk: ephemeralDer.toString('base64'),
+      ...seal(wrappingKey, dataKey),
+    };
+  });
+
+  const envelope = {
+    alg: ENVELOPE_ALGORITHM,
+    hash: keccak256(plaintext),
+    ...seal(dataKey, Buffer.from(plaintext, 'utf8')),
+    keys: keys,
+  };
+  return ENVELOPE_PREFIX + JSON.stringify(envelope);
+}
+
+function isEncrypted(message) {
+  return typeof message === 'string' && message.startsWith(ENVELOPE_PREFIX);
+}
+
+const isBase64 = value => typeof value === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+const isSealed = value => value && isBase64(value.iv) && isBase64(value.data) && isBase64(value.tag);
+
+// The envelope of an encrypted message, or null if it is not a well-formed one
+function parseEnvelope(message) {
+  if (!isEncrypted(message)) {
+    return null;
+  }
+  let envelope;
+  try {
+    envelope = JSON.parse(message.slice(ENVELOPE_PREFIX.length));
+  } catch (error) {
+    return null;
+  }
+  const valid = envelope &&
+    envelope.alg === ENVELOPE_ALGORITHM &&
+    /^0x[0-9a-f]{64}$/.test(envelope.hash) &&
+    isSealed(envelope) &&
+    Array.isArray(envelope.keys) && envelope.keys.length > 0 &&
+    envelope.keys.every(key => isSealed(key) && typeof key.id === 'string' && isBase64(key.epk));
+  return valid ? envelope : null;
+}
+
+// Decrypt a message with any of the given recipient keys ({ id, privateKey } with PEM keys)
+// Returns the plaintext, or null if none of the keys is a recipient
+// Throws if the envelope is malformed, was tampered with or does not match its plaintext hash
+function decryptMessage(message, recipientKeys) {
+  const envelope = parseEnvelope(message);
+  if (!envelope) {
+    throw new Error('Not a valid encrypted message');
+  }
+
+  for (const recipient of recipientKeys) {
+    const wrapped = envelope.keys.find(key => key.id === recipient.id);
+    if (!wrapped) {
+      continue;
+    }
+    const ephemeralDer = Buffer.from(wrapped.epk, 'base64');
+    const ephemeralKey = crypto.createPublicKey({ key: ephemeralDer, format: 'der', type: 'spki' });
+    const wrappingKey = deriveWrappingKey(crypto.createPrivateKey(recipient.privateKey), ephemeralKey, ephemeralDer);
+    const plaintext = open(open(wrappingKey, wrapped), envelope).toString('utf8');
+    if (keccak256(plaintext) !== envelope.hash) {
+      throw new Error('Decrypted message does not match its plaintext hash');
+    }
+    return plaintext;
+  }
+  return null;
+}
+
+// Read the recipient store, or an empty one if it doesn't exist yet
+function loadRecipientStore(filePath = RECIPIENT_STORE_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { recipients: [] };
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write the recipient store; it holds private keys, so keep it private to the owner
+function saveRecipientStore(store, filePath = RECIPIENT_STORE_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+  RECIPIENT_STORE_PATH,
+  ENVELOPE_PREFIX,
+  REDACTED_PLACEHOLDER,
+  recipientId,
+  generateRecipientKeyPair,
+  encryptMessage,
+  isEncrypted,
+  parseEnvelope,
+  decryptMessage,
+  loadRecipientStore,
+  saveRecipientStore,
+};
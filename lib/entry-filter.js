@@ -0,0 +1,33 @@
+const { isEncrypted } = require('./encryption');
+
+// Build a predicate for the log filters shared by the server's index, its live
+// subscribers and clients reading the contract directly (lib/log-client.js)
+//   from, to   - timestamp range (unix seconds, inclusive)
+//   sender     - case-insensitive substring of the sender address
+//   q          - case-insensitive substring of the message (plaintext messages only)
+//   severities - numeric severity levels to include
+//   source, facility - exact (case-insensitive) source or facility
+//   tag        - tag every result must have
+//   onlySender - exact sender address every result must have (read scoping)
+function createEntryFilter({ from, to, sender, q, severities, source, facility, tag, onlySender }) {
+  const senderFilter = sender ? sender.toLowerCase() : null;
+  const keywordFilter = q ? q.toLowerCase() : null;
+  const sourceFilter = source ? source.toLowerCase() : null;
+  const facilityFilter = facility ? facility.toLowerCase() : null;
+  const requiredSender = onlySender ? onlySender.toLowerCase() : null;
+
+  return function matches(entry) {
+    const timestamp = Number(entry.timestamp);
+    return (!requiredSender || entry.sender.toLowerCase() === requiredSender) &&
+      (!severities || severities.includes(entry.severityLevel)) &&
+      (!sourceFilter || entry.source.toLowerCase() === sourceFilter) &&
+      (!facilityFilter || entry.facility.toLowerCase() === facilityFilter) &&
+      (!tag || entry.tags.includes(tag)) &&
+      (from === undefined || timestamp >= from) &&
+      (to === undefined || timestamp <= to) &&
+      (!senderFilter || entry.sender.toLowerCase().includes(senderFilter)) &&
+      (!keywordFilter || (!isEncrypted(entry.message) && entry.message.toLowerCase().includes(keywordFilter)));
+  };
+}
+
+module.exports = { createEntryFilter };
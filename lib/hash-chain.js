@@ -0,0 +1,103 @@
+const { keccak256 } = require('web3-utils');
+const { encodeParameters } = require('web3-eth-abi');
+
+// Hash used as prevHash of the very first entry
+const GENESIS_HASH = '0x' + '0'.repeat(64);
+
+// Hash an entry's content fields (matches SecureLog.computeContentHash)
+// attributes is the JSON string exactly as stored on-chain ('' when absent)
+function computeContentHash(entry) {
+  const encoded = encodeParameters(
+    ['string', 'uint8', 'string', 'string', 'string[]', 'string'],
+    [
+      entry.message,
+      entry.severityLevel.toString(),
+      entry.source,
+      entry.facility,
+      entry.tags,
+      entry.attributes,
+    ]
+  );
+  return keccak256(encoded);
+}
+
+// Hash an entry's chain fields (matches SecureLog.entryHash)
+function computeEntryHash(prevHash, contentHash, sender, timestamp) {
+  const encoded = encodeParameters(
+    ['bytes32', 'bytes32', 'address', 'uint256'],
+    [prevHash, contentHash, sender, timestamp.toString()]
+  );
+  return keccak256(encoded);
+}
+
+// Walk a contiguous, ordered list of entries and return the first broken link
+// Each entry needs: index, sender, timestamp, prevHash, contentHash and the
+// content fields used by computeContentHash
+// expectedNextHash is the prevHash of the entry after the range, or the
+// contract's lastHash when the range ends at the head of the chain
+function verifyChain(entries, expectedNextHash) {
+  // The first entry ever written must link to the genesis hash
+  let previousHash = entries.length > 0 && entries[0].index === 0 ? GENESIS_HASH : null;
+
+  for (const entry of entries) {
+    // The stored content hash must match the stored content
+    const contentHash = computeContentHash(entry);
+    if (contentHash !== entry.contentHash.toLowerCase()) {
+      return {
+        valid: false,
+        checked: entry.index - entries[0].index,
+        brokenLink: {
+          index: entry.index,
+          reason: 'content-hash-mismatch',
+          expected: contentHash,
+          actual: entry.contentHash,
+        },
+      };
+    }
+
+    // Every entry must point at the hash of the one before it
+    if (previousHash !== null && previousHash !== entry.prevHash.toLowerCase()) {
+      return {
+        valid: false,
+        checked: entry.index - entries[0].index,
+        brokenLink: {
+          index: entry.index,
+          reason: 'prev-hash-mismatch',
+          expected: previousHash,
+          actual: entry.prevHash,
+        },
+      };
+    }
+
+    previousHash = computeEntryHash(entry.prevHash, entry.contentHash, entry.sender, entry.timestamp);
+  }
+
+  // The last entry must link to whatever follows the range
+  if (previousHash !== null && expectedNextHash && previousHash !== expectedNextHash.toLowerCase()) {
+    const last = entries[entries.length - 1];
+    return {
+      valid: false,
+      checked: entries.length,
+      brokenLink: {
+        index: last.index + 1,
+        reason: 'next-hash-mismatch',
+        expected: previousHash,
+        actual: expectedNextHash,
+      },
+    };
+  }
+
+  return {
+    valid: true,
+    checked: entries.length,
+    headHash: previousHash,
+    brokenLink: null,
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  computeContentHash,
+  computeEntryHash,
+  verifyChain,
+};
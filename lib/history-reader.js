@@ -0,0 +1,172 @@
+// Reads a log history straight from its contracts over RPC, without the server or
+// its index: entries across contract generations, and the transaction and block that
+// wrote each one
+
+// The parts of the SecureLog ABI needed to read a history, so readers (audit reports,
+// the logchain CLI, verify-export) don't depend on a local deployment
+const LOG_ENTRY_COMPONENTS = [
+  { name: 'message', type: 'string' },
+  { name: 'sender', type: 'address' },
+  { name: 'timestamp', type: 'uint256' },
+  { name: 'prevHash', type: 'bytes32' },
+  { name: 'contentHash', type: 'bytes32' },
+  { name: 'severity', type: 'uint8' },
+  { name: 'source', type: 'string' },
+  { name: 'facility', type: 'string' },
+  { name: 'tags', type: 'string[]' },
+  { name: 'attributes', type: 'string' },
+];
+
+const HISTORY_ABI = [
+  {
+    name: 'getLog',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'index', type: 'uint256' }],
+    outputs: [{ name: '', type: 'tuple', components: LOG_ENTRY_COMPONENTS }],
+  },
+  {
+    name: 'logCount',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    name: 'lastHash',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: '', type: 'bytes32' }],
+  },
+  {
+    name: 'LogAdded',
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'index', type: 'uint256', indexed: true },
+      { name: 'sender', type: 'address', indexed: true },
+      { name: 'timestamp', type: 'uint256', indexed: false },
+      { name: 'contentHash', type: 'bytes32', indexed: false },
+    ],
+  },
+];
+
+// Read access to a log history that may span contract generations (see deploymentGenerations)
+// generations: [{ address, offset, logCount }], oldest first; logCount is null for the current one
+// blockTag pins every read to one block, so counts and entries come from the same state
+function createHistoryReader(web3, generations, blockTag = 'latest') {
+  const contracts = generations.map(generation => new web3.eth.Contract(HISTORY_ABI, generation.address));
+  const current = generations.length - 1;
+
+  // Where a history index is stored: { generation, contract, contractIndex }
+  function locate(index) {
+    let i = current;
+    while (i > 0 && index < generations[i].offset) {
+      i--;
+    }
+    return { generation: generations[i], contract: contracts[i], contractIndex: index - generations[i].offset };
+  }
+
+  async function count() {
+    return generations[current].offset + Number(await contracts[current].methods.logCount().call({}, blockTag));
+  }
+
+  async function getEntry(index) {
+    const { contract, contractIndex } = locate(index);
+    const log = await contract.methods.getLog(contractIndex).call({}, blockTag);
+    return {
+      index: index,
+      message: log.message,
+      sender: log.sender,
+      timestamp: log.timestamp.toString(),
+      severityLevel: Number(log.severity),
+      source: log.source,
+      facility: log.facility,
+      tags: log.tags,
+      attributes: log.attributes,
+      prevHash: log.prevHash,
+      contentHash: log.contentHash,
+    };
+  }
+
+  // Head of the chain: the current contract's lastHash
+  function lastHash() {
+    return contracts[current].methods.lastHash().call({}, blockTag);
+  }
+
+  // First index whose timestamp is at least `timestamp` (total when there is none);
+  // timestamps never decrease along the history
+  async function firstIndexAtOrAfter(timestamp, total) {
+    let low = 0;
+    let high = total;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (Number((await getEntry(middle)).timestamp) < timestamp) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  // Block and transaction that wrote an entry, from its LogAdded event
+  async function findWrite(index, fromBlock, toBlock) {
+    const { contract, contractIndex } = locate(index);
+    const events = await contract.getPastEvents('LogAdded', {
+      filter: { index: contractIndex },
+      fromBlock: fromBlock,
+      toBlock: toBlock,
+    });
+    if (events.length === 0) {
+      return null;
+    }
+    const event = events[events.length - 1];
+    return { blockNumber: Number(event.blockNumber), transactionHash: event.transactionHash };
+  }
+
+  return {
+    locate,
+    count,
+    getEntry,
+    lastHash,
+    firstIndexAtOrAfter,
+    findWrite,
+  };
+}
+
+// Transaction and block that wrote an entry ({ blockNumber, transactionHash }, as in
+// the server's index or from findWrite), with the number of blocks on top of it
+async function readWriteDetails(web3, { blockNumber, transactionHash }) {
+  const [transaction, receipt, block, head] = await Promise.all([
+    web3.eth.getTransaction(transactionHash),
+    web3.eth.getTransactionReceipt(transactionHash),
+    web3.eth.getBlock(blockNumber),
+    web3.eth.getBlockNumber(),
+  ]);
+  return {
+    transaction: {
+      hash: transactionHash,
+      from: transaction.from,
+      to: transaction.to,
+      nonce: transaction.nonce.toString(),
+      status: Number(receipt.status) === 1,
+      gasUsed: receipt.gasUsed.toString(),
+      gasPrice: (receipt.effectiveGasPrice !== undefined ? receipt.effectiveGasPrice : transaction.gasPrice).toString(),
+    },
+    block: {
+      number: block.number.toString(),
+      hash: block.hash,
+      timestamp: block.timestamp.toString(),
+      transactions: block.transactions.length,
+    },
+    confirmations: Number(head) - Number(blockNumber) + 1,
+  };
+}
+
+module.exports = {
+  HISTORY_ABI,
+  createHistoryReader,
+  readWriteDetails,
+};
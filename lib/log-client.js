@@ -0,0 +1,306 @@
+const { severityName } = require('./severity');
+const { REDACTED_PLACEHOLDER, isEncrypted, parseEnvelope } = require('./encryption');
+const { createEntryFilter } = require('./entry-filter');
+const { createHistoryReader, readWriteDetails } = require('./history-reader');
+
+// Read-only clients for the logchain CLI (scripts/logchain.js): one talks to the
+// server's HTTP API, the other reads the contracts directly over RPC. Both return
+// entries shaped like the API's, and offer the same methods:
+//
+//   query({ before, limit, filters }) - a page of entries, newest first: { logs, nextCursor }
+//   get(index)                        - { log, transaction, block, confirmations }, or null
+//   follow({ after, filters, onEntry, onError }) - call onEntry with each new entry
+//                                       after the given index; returns a function that stops
+//
+// filters are those of createEntryFilter (from, to, sender, q, severities, source, facility, tag)
+
+// Delay before reconnecting a dropped live stream
+const RECONNECT_MS = 3000;
+
+// How often the RPC client looks for new entries to follow
+const POLL_INTERVAL_MS = 2000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Filters as /api/logs query parameters
+function filterParams({ from, to, sender, q, severities, source, facility, tag } = {}) {
+  return {
+    from,
+    to,
+    sender,
+    q,
+    severity: severities ? severities.join(',') : undefined,
+    source,
+    facility,
+    tag,
+  };
+}
+
+// Query string of the parameters that are set
+function queryString(params) {
+  const query = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined) {
+      query.set(name, String(value));
+    }
+  }
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
+// Client for the server's HTTP API
+// Options:
+//   url    - server URL, e.g. http://localhost:3000
+//   apiKey - API key with read access
+function createApiClient({ url, apiKey }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  // GET a path; errors carry the server's message and the HTTP status
+  async function request(pathname, params = {}) {
+    const response = await fetch(baseUrl + pathname + queryString(params), { headers });
+    let body = {};
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Not a JSON body
+    }
+    if (!response.ok) {
+      const error = new Error(body.message || body.error || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return body;
+  }
+
+  async function query({ before, limit, filters }) {
+    const body = await request('/api/logs', { before, limit, ...filterParams(filters) });
+    return { logs: body.logs, nextCursor: body.nextCursor };
+  }
+
+  async function get(index) {
+    try {
+      const { log, transaction, block, confirmations } = await request(`/api/logs/${index}`);
+      return { log, transaction, block, confirmations };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Follow /api/logs/stream, reconnecting from the last entry seen when the connection drops
+  // An error response (e.g. a revoked key) is passed to onError and ends the stream
+  function follow({ after, filters, onEntry, onError }) {
+    const controller = new AbortController();
+    let lastIndex = after;
+    let stopped = false;
+
+    // One Server-Sent Event: "event:" and "data:" lines
+    function handleEvent(text) {
+      let event = 'message';
+      const data = [];
+      for (const line of text.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+      if (event === 'log') {
+        const entry = JSON.parse(data.join('\n'));
+        lastIndex = entry.index;
+        onEntry(entry);
+      } else if (event === 'reset') {
+        onError(new Error(JSON.parse(data.join('\n')).message));
+      }
+    }
+
+    async function connect() {
+      while (!stopped) {
+        try {
+          const params = { after: lastIndex, ...filterParams(filters) };
+          const response = await fetch(`${baseUrl}/api/logs/stream${queryString(params)}`, {
+            headers,
+            signal: controller.signal,
+          });
+          if (!response.ok) {
+            let body = {};
+            try {
+              body = await response.json();
+            } catch (error) {
+              // Not a JSON body
+            }
+            const error = new Error(body.message || body.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            stopped = true;
+            onError(error);
+            return;
+          }
+
+          const decoder = new TextDecoder();
+          let buffer = '';
+          for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+              handleEvent(buffer.slice(0, end));
+              buffer = buffer.slice(end + 2);
+            }
+          }
+        } catch (error) {
+          if (stopped) {
+            return;
+          }
+          onError(error);
+        }
+        await sleep(RECONNECT_MS);
+      }
+    }
+
+    connect();
+    return () => {
+      stopped = true;
+      controller.abort();
+    };
+  }
+
+  return {
+    query,
+    get,
+    follow,
+  };
+}
+
+// An entry as read from the contract, shaped like an API entry
+// Encrypted messages can't be decrypted here; they are returned as the server
+// returns them to a key without access
+function toClientEntry(entry, { generation, contractIndex }) {
+  let attributes = null;
+  if (entry.attributes) {
+    try {
+      attributes = JSON.parse(entry.attributes);
+    } catch (e) {
+      attributes = entry.attributes;
+    }
+  }
+  const { severityLevel, ...fields } = entry;
+  const result = {
+    ...fields,
+    severity: severityName(severityLevel),
+    severityLevel: severityLevel,
+    attributes: attributes,
+    originalTimestamp: attributes && Number.isInteger(attributes.originalTimestamp) ? String(attributes.originalTimestamp) : null,
+    contractAddress: generation.address,
+    contractIndex: contractIndex,
+  };
+  if (!isEncrypted(entry.message)) {
+    return result;
+  }
+  const envelope = parseEnvelope(entry.message);
+  return {
+    ...result,
+    message: REDACTED_PLACEHOLDER,
+    encrypted: true,
+    redacted: true,
+    plaintextHash: envelope ? envelope.hash : null,
+    envelope: entry.message,
+  };
+}
+
+// Client reading the contracts of a deployment over RPC, without the server
+// Options:
+//   web3        - Web3 instance connected to the node
+//   generations - the deployment's contracts, oldest first (see deploymentGenerations)
+function createRpcClient({ web3, generations }) {
+  const reader = createHistoryReader(web3, generations);
+
+  async function query({ before, limit, filters = {} }) {
+    const matches = createEntryFilter(filters);
+    const total = await reader.count();
+    let index = (before !== undefined ? Math.min(before, total) : total) - 1;
+    if (filters.to !== undefined) {
+      index = Math.min(index, (await reader.firstIndexAtOrAfter(filters.to + 1, total)) - 1);
+    }
+
+    const logs = [];
+    for (; index >= 0; index--) {
+      const entry = await reader.getEntry(index);
+      if (filters.from !== undefined && Number(entry.timestamp) < filters.from) {
+        // Timestamps never decrease along the history, so nothing older matches
+        break;
+      }
+      if (!matches(entry)) {
+        continue;
+      }
+      if (logs.length === limit) {
+        return { logs, nextCursor: logs[logs.length - 1].index };
+      }
+      logs.push(toClientEntry(entry, reader.locate(index)));
+    }
+    return { logs, nextCursor: null };
+  }
+
+  async function get(index) {
+    if (index >= await reader.count()) {
+      return null;
+    }
+    const location = reader.locate(index);
+    const log = toClientEntry(await reader.getEntry(index), location);
+    const fromBlock = location.generation.blockNumber ? Number(location.generation.blockNumber) : 0;
+    const write = await reader.findWrite(index, fromBlock, 'latest');
+    if (!write) {
+      return { log: { ...log, blockNumber: null, transactionHash: null }, transaction: null, block: null, confirmations: null };
+    }
+    return {
+      log: { ...log, blockNumber: String(write.blockNumber), transactionHash: write.transactionHash },
+      ...await readWriteDetails(web3, write),
+    };
+  }
+
+  // Poll the entry count and read every entry added since the last poll
+  function follow({ after, filters = {}, onEntry, onError }) {
+    const matches = createEntryFilter(filters);
+    let next = after !== undefined ? after + 1 : null;
+    let timer = null;
+    let stopped = false;
+
+    async function poll() {
+      try {
+        const total = await reader.count();
+        if (next === null) {
+          next = total;
+        }
+        for (; next < total && !stopped; next++) {
+          const entry = await reader.getEntry(next);
+          if (matches(entry)) {
+            onEntry(toClientEntry(entry, reader.locate(next)));
+          }
+        }
+      } catch (error) {
+        onError(error);
+      }
+      if (!stopped) {
+        timer = setTimeout(poll, POLL_INTERVAL_MS);
+      }
+    }
+
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  return {
+    query,
+    get,
+    follow,
+  };
+}
+
+module.exports = {
+  createApiClient,
+  createRpcClient,
+};
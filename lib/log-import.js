@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { parseSeverity } = require('./severity');
+const { DATA_DIR } = require('./data-dir');
+const { parseSyslogMessage } = require('../services/sources/syslog');
+
+// Bulk import of existing log files (scripts/import-logs.js): turning lines of plain
+// text or JSON into /add-log entries, and the checkpoint that lets an import resume.
+// Each entry keeps the time the line was originally logged as "originalTimestamp";
+// the block timestamp records when it was written to the chain.
+
+// Where checkpoints (and the lines that didn't make it) are kept by default
+const IMPORTS_DIR = path.join(DATA_DIR, 'imports');
+
+const FORMATS = ['text', 'jsonl'];
+
+const CHECKPOINT_VERSION = 1;
+
+// Bytes of the start of a file remembered in the checkpoint, to notice a different file at the same path
+const HEAD_BYTES = 4096;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// 2024-03-01T12:00:00Z, 2024-03-01 12:00:00.123+01:00 or [2024-03-01T12:00:00], then the rest of the line
+const ISO_PREFIX = /^\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\]?\s+([\s\S]*)$/;
+
+// Mmm dd hh:mm:ss HOSTNAME TAG[PID]: MSG (a syslog file, without the priority)
+const SYSLOG_FILE_LINE = /^([A-Z][a-z]{2} [ \d]\d \d\d:\d\d:\d\d) (\S+) ([^\s:\[]+)(?:\[(\d+)\])?: ?([\s\S]*)$/;
+
+// A level word at the start of a message: "ERROR ...", "[warn] ...", "level=info ..."
+const LEVEL_PREFIX = /^(?:\[([A-Za-z]+)\]|level=([A-Za-z]+)|([A-Z]+):?)\s+([\s\S]*)$/;
+
+// Field names JSON lines commonly use, in order of preference
+const JSON_FIELDS = {
+  message: ['message', 'msg', 'log', 'text'],
+  timestamp: ['timestamp', 'time', '@timestamp', 'ts', 'date'],
+  severity: ['severity', 'level', 'levelname', 'lvl'],
+  source: ['source', 'host', 'hostname'],
+  facility: ['facility', 'logger', 'service', 'app'],
+};
+
+// Format of a file from its name (ignoring a .gz suffix): .jsonl, .ndjson and .json are JSON lines
+function detectFormat(file) {
+  const name = file.replace(/\.gz$/i, '');
+  return /\.(jsonl|ndjson|json)$/i.test(name) ? 'jsonl' : 'text';
+}
+
+// Whether a file is gzip-compressed, from its magic bytes
+function isGzip(file) {
+  const handle = fs.openSync(file, 'r');
+  try {
+    const magic = Buffer.alloc(2);
+    const bytesRead = fs.readSync(handle, magic, 0, 2, 0);
+    return bytesRead === 2 && magic[0] === 0x1f && magic[1] === 0x8b;
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+// Lines of a file (decompressed if needed), without their line endings
+function readLines(file) {
+  let stream = fs.createReadStream(file);
+  if (isGzip(file)) {
+    stream = stream.pipe(zlib.createGunzip());
+  }
+  return readline.createInterface({ input: stream, crlfDelay: Infinity });
+}
+
+// Unix seconds from a timestamp as logs write them, or null if it isn't one
+// Numbers are seconds (or milliseconds, when that large); ISO dates without a zone are UTC;
+// syslog's "Mmm dd hh:mm:ss" has no year, so it is the latest one not after referenceTime
+function parseTimestamp(value, referenceTime = Date.now() / 1000) {
+  if (typeof value === 'number' || (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value))) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      return null;
+    }
+    return Math.floor(number > 1e12 ? number / 1000 : number);
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const syslog = /^([A-Z][a-z]{2}) +(\d{1,2}) (\d\d):(\d\d):(\d\d)$/.exec(value.trim());
+  if (syslog) {
+    const month = MONTHS.indexOf(syslog[1]);
+    if (month === -1) {
+      return null;
+    }
+    const year = new Date(referenceTime * 1000).getUTCFullYear();
+    for (const candidate of [year, year - 1]) {
+      const seconds = Date.UTC(candidate, month, Number(syslog[2]), Number(syslog[3]), Number(syslog[4]), Number(syslog[5])) / 1000;
+      // A day of slack for time zones
+      if (seconds <= referenceTime + 24 * 60 * 60) {
+        return seconds;
+      }
+    }
+    return null;
+  }
+
+  let text = value.trim().replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T').replace(/(\d),(\d)/, '$1.$2');
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(text)) {
+    text += 'Z';
+  }
+  const ms = Date.parse(text);
+  return Number.isNaN(ms) || ms <= 0 ? null : Math.floor(ms / 1000);
+}
+
+// Split a leading level word off a message, if it names a severity
+function splitLevel(message) {
+  const match = LEVEL_PREFIX.exec(message);
+  if (!match) {
+    return { message };
+  }
+  const word = match[1] || match[2] || match[3];
+  const level = /^\d+$/.test(word) ? null : parseSeverity(word);
+  return level === null ? { message } : { message: match[4], severity: level };
+}
+
+// Entry for one line of a plain-text log
+// Recognizes syslog lines (with or without the priority) and lines starting with an ISO 8601
+// date; anything else is imported as it is, without an original timestamp
+// Returns null for blank lines
+function parseTextLine(line, { host, facility, referenceTime }) {
+  if (!line.trim()) {
+    return null;
+  }
+
+  if (/^<\d{1,3}>/.test(line)) {
+    const entry = parseSyslogMessage(line, host);
+    if (entry) {
+      const timestamp = entry.attributes && entry.attributes.timestamp;
+      return { ...entry, originalTimestamp: timestamp ? parseTimestamp(timestamp, referenceTime) : null };
+    }
+    return null;
+  }
+
+  const syslog = SYSLOG_FILE_LINE.exec(line);
+  if (syslog && syslog[5].trim()) {
+    return {
+      message: syslog[5],
+      source: syslog[2],
+      facility: syslog[3],
+      attributes: syslog[4] ? { pid: syslog[4] } : undefined,
+      originalTimestamp: parseTimestamp(syslog[1], referenceTime),
+    };
+  }
+
+  const iso = ISO_PREFIX.exec(line);
+  const timestamp = iso ? parseTimestamp(iso[1], referenceTime) : null;
+  const { message, severity } = splitLevel(timestamp !== null ? iso[2] : line);
+  return {
+    message: message.trim() ? message : line,
+    severity: severity,
+    source: host,
+    facility: facility,
+    originalTimestamp: timestamp,
+  };
+}
+
+// First of the named fields an object has
+function pickField(record, names) {
+  const name = names.find(field => record[field] !== undefined && record[field] !== null && record[field] !== '');
+  return name === undefined ? {} : { name, value: record[name] };
+}
+
+// Entry for one line of a JSON-lines log
+// Returns null for blank lines, { error } for lines that can't be imported, else the entry
+// Fields the entry has no place for are kept in its attributes
+function parseJsonLine(line, { host, facility, referenceTime }) {
+  if (!line.trim()) {
+    return null;
+  }
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    return { error: 'Not valid JSON' };
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Not a JSON object' };
+  }
+
+  const message = pickField(record, JSON_FIELDS.message);
+  if (typeof message.value !== 'string' || !message.value.trim()) {
+    return { error: `No message (expected one of: ${JSON_FIELDS.message.join(', ')})` };
+  }
+  const used = new Set([message.name]);
+
+  const timestamp = pickField(record, JSON_FIELDS.timestamp);
+  const originalTimestamp = timestamp.name ? parseTimestamp(timestamp.value, referenceTime) : null;
+  if (originalTimestamp !== null) {
+    used.add(timestamp.name);
+  }
+
+  const severity = pickField(record, JSON_FIELDS.severity);
+  const level = severity.name ? parseSeverity(severity.value) : null;
+  if (level !== null) {
+    used.add(severity.name);
+  }
+
+  const entry = { message: message.value, severity: level === null ? undefined : level, originalTimestamp };
+  for (const field of ['source', 'facility']) {
+    const picked = pickField(record, JSON_FIELDS[field]);
+    if (typeof picked.value === 'string') {
+      entry[field] = picked.value;
+      used.add(picked.name);
+    }
+  }
+  entry.source = entry.source || host;
+  entry.facility = entry.facility || facility;
+
+  if (Array.isArray(record.tags) && record.tags.every(tag => typeof tag === 'string')) {
+    entry.tags = record.tags;
+    used.add('tags');
+  }
+
+  let attributes = {};
+  if (record.attributes && typeof record.attributes === 'object' && !Array.isArray(record.attributes)) {
+    attributes = { ...record.attributes };
+    used.add('attributes');
+  }
+  for (const [name, value] of Object.entries(record)) {
+    if (!used.has(name)) {
+      attributes[name] = value;
+    }
+  }
+  if (Object.keys(attributes).length > 0) {
+    entry.attributes = attributes;
+  }
+  return entry;
+}
+
+// Identity of a file as the checkpoint remembers it
+function fileFingerprint(file) {
+  const handle = fs.openSync(file, 'r');
+  try {
+    const head = Buffer.alloc(HEAD_BYTES);
+    const bytesRead = fs.readSync(handle, head, 0, HEAD_BYTES, 0);
+    return {
+      size: fs.fstatSync(handle).size,
+      headHash: crypto.createHash('sha256').update(head.subarray(0, bytesRead)).digest('hex'),
+      headBytes: bytesRead,
+    };
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+// Whether a file can be resumed from its checkpoint: the same file, possibly grown
+// Returns null if it can, or the reason it can't
+function checkFileUnchanged(file, recorded) {
+  const current = fileFingerprint(file);
+  if (current.size < recorded.size) {
+    return `${file} is smaller than when it was last imported`;
+  }
+  if (current.headBytes >= recorded.headBytes) {
+    const handle = fs.openSync(file, 'r');
+    try {
+      const head = Buffer.alloc(recorded.headBytes);
+      fs.readSync(handle, head, 0, recorded.headBytes, 0);
+      if (crypto.createHash('sha256').update(head).digest('hex') === recorded.headHash) {
+        return null;
+      }
+    } finally {
+      fs.closeSync(handle);
+    }
+  }
+  return `${file} starts differently than when it was last imported`;
+}
+
+// Default checkpoint for an import of these files into this server
+function defaultCheckpointPath(files, serverUrl) {
+  const key = [serverUrl, ...files.map(file => path.resolve(file)).sort()].join('\n');
+  return path.join(IMPORTS_DIR, `import-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}.json`);
+}
+
+// Read a checkpoint, or a fresh one if there is none
+// {
+//   "version": 1,
+//   "server": "http://localhost:3000",
+//   "files": {
+//     "/var/log/app.log.1.gz": {
+//       "size": 1048576, "headHash": "...", "headBytes": 4096,
+//       "line": 1200,          // lines handled so far; an import resumes after them
+//       "done": false,
+//       "pending": [{ "line": 1190, "submissionId": "9f2c..." }],   // queued, not yet confirmed
+//       "counts": { "read": 1200, "submitted": 1150, "skipped": 40, "failed": 0 }
+//     }
+//   }
+// }
+function loadCheckpoint(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { version: CHECKPOINT_VERSION, files: {} };
+  }
+  const checkpoint = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (checkpoint.version !== CHECKPOINT_VERSION || !checkpoint.files || typeof checkpoint.files !== 'object') {
+    throw new Error(`${filePath} is not an import checkpoint`);
+  }
+  return checkpoint;
+}
+
+// Write a checkpoint (to a temporary file first, so a crash never leaves half of one)
+function saveCheckpoint(checkpoint, filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = filePath + '.tmp';
+  fs.writeFileSync(tempPath, JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  IMPORTS_DIR,
+  FORMATS,
+  detectFormat,
+  isGzip,
+  readLines,
+  parseTimestamp,
+  parseTextLine,
+  parseJsonLine,
+  fileFingerprint,
+  checkFileUnchanged,
+  defaultCheckpointPath,
+  loadCheckpoint,
+  saveCheckpoint,
+};
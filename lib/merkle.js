@@ -0,0 +1,83 @@
+const { keccak256 } = require('web3-utils');
+const { encodeParameters } = require('web3-eth-abi');
+
+// Hash a batched entry into a Merkle leaf
+function computeLeafHash(entry) {
+  const encoded = encodeParameters(
+    ['uint256', 'address', 'string', 'uint256'],
+    [entry.id.toString(), entry.sender, entry.message, entry.timestamp.toString()]
+  );
+  return keccak256(encoded);
+}
+
+// Hash a leaf into the tree's bottom level (matches SecureLog.hashLeaf)
+// Leaves are prefixed with 0x00 and inner nodes with 0x01, so an inner node
+// can't be passed off as a leaf in a proof
+function hashLeaf(leaf) {
+  return keccak256('0x00' + leaf.slice(2));
+}
+
+// Hash two nodes in sorted order (matches SecureLog.hashPair)
+// Sorting means a proof only needs sibling hashes, not left/right flags
+function hashPair(a, b) {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return keccak256('0x01' + first.slice(2) + second.slice(2));
+}
+
+// Build every level of the tree, from the hashed leaves up to the root
+// A node without a sibling is carried up to the next level unchanged
+function buildTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const levels = [leaves.map(hashLeaf)];
+  while (levels[levels.length - 1].length > 1) {
+    const current = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+// Root of a tree returned by buildTree
+function getRoot(levels) {
+  return levels[levels.length - 1][0];
+}
+
+// Sibling hashes needed to recompute the root from the leaf at leafIndex
+function getProof(levels, leafIndex) {
+  const proof = [];
+  let index = leafIndex;
+  for (let level = 0; level < levels.length - 1; level++) {
+    const nodes = levels[level];
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if (siblingIndex < nodes.length) {
+      proof.push(nodes[siblingIndex]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+// Recompute the root from a leaf and its proof
+function verifyProof(leaf, proof, root) {
+  let computed = hashLeaf(leaf);
+  for (const sibling of proof) {
+    computed = hashPair(computed, sibling);
+  }
+  return computed === root.toLowerCase();
+}
+
+module.exports = {
+  computeLeafHash,
+  hashLeaf,
+  hashPair,
+  buildTree,
+  getRoot,
+  getProof,
+  verifyProof,
+};
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const { Web3 } = require('web3');
+const { HttpProvider } = require('web3-providers-http');
+const { DATA_DIR } = require('./data-dir');
+
+// Optional network definitions, merged over the built-in ones below
+const NETWORKS_CONFIG_PATH = path.join(DATA_DIR, 'networks.json');
+
+// Deployment records, one per network
+const CONTRACT_INFO_PATH = path.join(DATA_DIR, 'contract-info.json');
+
+// Used when neither --network, LOGCHAIN_NETWORK nor the config names one
+const DEFAULT_NETWORK = 'local';
+
+// Signer sources:
+//   node       - unlocked accounts of the node (Ganache, Anvil, Hardhat)
+//   privateKey - a single key, usually from an environment variable ("${DEPLOYER_KEY}")
+const SIGNER_TYPES = ['node', 'privateKey'];
+
+// Gas policy defaults; see server/tx-sender.js
+const DEFAULT_GAS = {
+  marginPercent: 20, // Added to cached gas estimates
+  bumpPercent: 15, // Gas price increase when replacing a stuck transaction
+  stuckAfterMs: 60000, // Replace a transaction with no receipt after this long
+  gasPriceGwei: null, // Fixed gas price; null asks the node
+};
+
+const BUILTIN_NETWORKS = {
+  local: {
+    rpcUrl: 'http://127.0.0.1:7545',
+    chainId: 1337,
+    signer: { type: 'node' },
+    confirmations: 1,
+  },
+  anvil: {
+    rpcUrl: 'http://127.0.0.1:8545',
+    chainId: 31337,
+    signer: { type: 'node' },
+    confirmations: 1,
+  },
+  hardhat: {
+    rpcUrl: 'http://127.0.0.1:8545',
+    chainId: 31337,
+    signer: { type: 'node' },
+    confirmations: 1,
+  },
+};
+
+// Replace ${NAME} with the environment variable, so secrets and URLs can stay out of the file
+function expandEnv(value, where) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`${where}: environment variable ${name} is not set`);
+      }
+      return process.env[name];
+    });
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = expandEnv(item, where);
+    }
+    return result;
+  }
+  return value;
+}
+
+// Read the network config (data/networks.json, or the file in NETWORKS_CONFIG)
+// {
+//   "defaultNetwork": "local",
+//   "networks": {
+//     "staging": {
+//       "rpcUrl": "${STAGING_RPC_URL}",
+//       "chainId": 11155111,
+//       "signer": { "type": "privateKey", "privateKey": "${STAGING_DEPLOYER_KEY}" },
+//       "confirmations": 3,
+//       "gas": { "marginPercent": 30, "gasPriceGwei": 5 }
+//     }
+//   }
+// }
+function loadNetworkConfig(filePath = process.env.NETWORKS_CONFIG || NETWORKS_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { networks: {} };
+  }
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { defaultNetwork: config.defaultNetwork, networks: config.networks || {} };
+}
+
+// Names of every configured network
+function listNetworks(config = loadNetworkConfig()) {
+  return [...new Set([...Object.keys(BUILTIN_NETWORKS), ...Object.keys(config.networks)])];
+}
+
+// Name of the selected network: --network, then LOGCHAIN_NETWORK, then the config's default
+function selectedNetworkName(name, config = loadNetworkConfig()) {
+  return name || process.env.LOGCHAIN_NETWORK || config.defaultNetwork || DEFAULT_NETWORK;
+}
+
+// Take "--network <name>" out of a list of command-line arguments
+// Returns { network, args } with the remaining arguments
+function parseNetworkArg(args) {
+  const rest = [];
+  let network;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--network') {
+      network = args[i + 1];
+      i++;
+    } else if (args[i].startsWith('--network=')) {
+      network = args[i].slice('--network='.length);
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  if (network === undefined && args.includes('--network')) {
+    throw new Error('--network needs a network name');
+  }
+  return { network, args: rest };
+}
+
+// Full settings of a network by name (defaults filled in), checked for mistakes
+function resolveNetwork(name, config = loadNetworkConfig()) {
+  const selected = selectedNetworkName(name, config);
+  const base = BUILTIN_NETWORKS[selected];
+  const custom = config.networks[selected];
+  if (!base && !custom) {
+    throw new Error(`Unknown network "${selected}" (configured: ${listNetworks(config).join(', ')})`);
+  }
+
+  const where = `Network ${selected}`;
+  const merged = expandEnv({ ...base, ...custom }, where);
+  const network = {
+    name: selected,
+    rpcUrl: merged.rpcUrl,
+    chainId: merged.chainId === undefined ? null : Number(merged.chainId),
+    signer: merged.signer || { type: 'node' },
+    confirmations: merged.confirmations === undefined ? 1 : Number(merged.confirmations),
+    gas: { ...DEFAULT_GAS, ...merged.gas },
+  };
+
+  if (typeof network.rpcUrl !== 'string' || !/^https?:\/\//.test(network.rpcUrl)) {
+    throw new Error(`${where}: "rpcUrl" must be an http(s) URL`);
+  }
+  if (network.chainId !== null && !(Number.isInteger(network.chainId) && network.chainId > 0)) {
+    throw new Error(`${where}: "chainId" must be a positive integer`);
+  }
+  if (!SIGNER_TYPES.includes(network.signer.type)) {
+    throw new Error(`${where}: signer "type" must be one of: ${SIGNER_TYPES.join(', ')}`);
+  }
+  if (network.signer.type === 'privateKey' && !/^(0x)?[0-9a-fA-F]{64}$/.test(network.signer.privateKey || '')) {
+    throw new Error(`${where}: a privateKey signer needs a 32-byte hex "privateKey"`);
+  }
+  if (!(Number.isInteger(network.confirmations) && network.confirmations > 0)) {
+    throw new Error(`${where}: "confirmations" must be a positive integer`);
+  }
+  for (const field of ['marginPercent', 'bumpPercent', 'stuckAfterMs']) {
+    if (!(Number.isFinite(network.gas[field]) && network.gas[field] >= 0)) {
+      throw new Error(`${where}: gas "${field}" must be a non-negative number`);
+    }
+  }
+  if (network.gas.gasPriceGwei !== null && !(Number(network.gas.gasPriceGwei) > 0)) {
+    throw new Error(`${where}: gas "gasPriceGwei" must be a positive number`);
+  }
+  return network;
+}
+
+// Web3 instance for a network, with its private-key signer (if any) in the wallet
+function createWeb3(network) {
+  const web3 = new Web3(new HttpProvider(network.rpcUrl));
+  if (network.signer.type === 'privateKey') {
+    const key = network.signer.privateKey.startsWith('0x') ? network.signer.privateKey : '0x' + network.signer.privateKey;
+    web3.eth.accounts.wallet.add(key);
+  }
+  return web3;
+}
+
+// Accounts that can sign for the network: the node's unlocked accounts or the configured key
+async function getSignerAccounts(web3, network) {
+  if (network.signer.type === 'privateKey') {
+    return [web3.eth.accounts.wallet.get(0).address];
+  }
+  return web3.eth.getAccounts();
+}
+
+// createTxSender options for the network's gas policy
+function txSenderOptions(web3, network) {
+  return {
+    gasMarginPercent: network.gas.marginPercent,
+    stuckAfterMs: network.gas.stuckAfterMs,
+    bumpPercent: network.gas.bumpPercent,
+    gasPrice: network.gas.gasPriceGwei ? web3.utils.toWei(String(network.gas.gasPriceGwei), 'gwei') : null,
+  };
+}
+
+// Make sure the node is the chain the network is configured for
+async function checkChainId(web3, network) {
+  if (network.chainId === null) {
+    return;
+  }
+  const actual = Number(await web3.eth.getChainId());
+  if (actual !== network.chainId) {
+    throw new Error(`Network ${network.name} expects chain ID ${network.chainId}, but ${network.rpcUrl} is chain ${actual}`);
+  }
+}
+
+// Read contract-info.json as { deployments: { <network>: record } }
+// A file from before per-network records (a single flat record) counts as the "local" deployment
+function loadDeployments(filePath = CONTRACT_INFO_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { deployments: {} };
+  }
+  const info = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (info.address && !info.deployments) {
+    const { network, ...record } = info;
+    return { deployments: { [DEFAULT_NETWORK]: { ...record, rpcUrl: network } } };
+  }
+  return { deployments: info.deployments || {} };
+}
+
+// Deployment record of a network ({ abi, address, owner, blockNumber, chainId, rpcUrl, deployedAt }), or null
+// A migrated deployment also has predecessor, migration and history (see deploymentGenerations)
+function loadDeployment(networkName, filePath = CONTRACT_INFO_PATH) {
+  return loadDeployments(filePath).deployments[networkName] || null;
+}
+
+// Record a deployment for a network, keeping the other networks' records
+function saveDeployment(networkName, record, filePath = CONTRACT_INFO_PATH) {
+  const info = loadDeployments(filePath);
+  info.deployments[networkName] = record;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(info, null, 2));
+}
+
+// Contracts making up a deployment's log history, oldest first: the ones it took over
+// from (recorded by scripts/migrate.js) and then the deployment itself
+// Each is { address, abi, blockNumber, offset, logCount }, where offset is the history
+// index of its first entry and logCount is null for the current contract
+function deploymentGenerations(record) {
+  const generations = [];
+  let offset = 0;
+  for (const previous of record.history || []) {
+    const logCount = Number(previous.logCount);
+    generations.push({
+      address: previous.address,
+      abi: previous.abi,
+      blockNumber: previous.blockNumber,
+      offset: offset,
+      logCount: logCount,
+    });
+    offset += logCount;
+  }
+  generations.push({
+    address: record.address,
+    abi: record.abi,
+    blockNumber: record.blockNumber,
+    offset: offset,
+    logCount: null,
+  });
+  return generations;
+}
+
+module.exports = {
+  NETWORKS_CONFIG_PATH,
+  CONTRACT_INFO_PATH,
+  DEFAULT_NETWORK,
+  BUILTIN_NETWORKS,
+  loadNetworkConfig,
+  listNetworks,
+  parseNetworkArg,
+  resolveNetwork,
+  createWeb3,
+  getSignerAccounts,
+  txSenderOptions,
+  checkChainId,
+  loadDeployments,
+  loadDeployment,
+  saveDeployment,
+  deploymentGenerations,
+};
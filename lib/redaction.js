@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { parseEnvelope } = require('./encryption');
+const { DATA_DIR } = require('./data-dir');
+
+// Default location of the redaction config and of the generated HMAC key
+const REDACTION_CONFIG_PATH = path.join(DATA_DIR, 'redaction.json');
+const REDACTION_KEY_PATH = path.join(DATA_DIR, 'redaction.key');
+
+// hash: replace a match with a keyed hash of it, so equal values stay correlatable
+// mask: replace a match with the rule name only
+const REDACTION_MODES = ['hash', 'mask'];
+
+// Hex characters of the HMAC kept in a hashed replacement
+const HASH_LENGTH = 12;
+
+// Luhn checksum, so only plausible card numbers are redacted
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in rules, applied in this order; validate() rejects false positives of the pattern
+const BUILTIN_RULES = {
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+  },
+  email: {
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  'aws-access-key': {
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g,
+  },
+  // Only the value after a secret key name, e.g. aws_secret_access_key=...
+  'aws-secret-key': {
+    pattern: /(?<=(?:aws_?secret_?access_?key|secret_?access_?key)["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+  },
+  'credit-card': {
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    validate: match => passesLuhn(match.replace(/[ -]/g, '')),
+  },
+  ipv6: {
+    pattern: /(?<![\w:.])(?:[0-9A-Fa-f]{0,4}:){2,7}(?:\d{1,3}(?:\.\d{1,3}){3}|[0-9A-Fa-f]{0,4})(?![\w:.])/g,
+    validate: match => net.isIPv6(match),
+  },
+  ipv4: {
+    pattern: /(?<![\w.])(?:\d{1,3}\.){3}\d{1,3}(?![\w.])/g,
+    validate: match => net.isIPv4(match),
+  },
+};
+
+// Read the redaction config, or the defaults if there is none
+// {
+//   "enabled": true,
+//   "mode": "hash",                 - default mode for every rule
+//   "hmacKey": "...",               - key for hashed replacements (or REDACTION_KEY)
+//   "rules": ["email", "ipv4", { "name": "customer-id", "pattern": "CUST-\\d+", "flags": "i", "mode": "mask" }]
+// }
+function loadRedactionConfig(filePath = REDACTION_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Key for hashed replacements: the config's, REDACTION_KEY, or one generated once
+// and kept in data/redaction.key. Set the same key everywhere that redacts
+// (server and streamers) so a value hashes to the same replacement on every host
+function loadHmacKey(configKey, keyPath = REDACTION_KEY_PATH) {
+  if (configKey) {
+    return configKey;
+  }
+  if (process.env.REDACTION_KEY) {
+    return process.env.REDACTION_KEY;
+  }
+  if (!fs.existsSync(keyPath)) {
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+  }
+  return fs.readFileSync(keyPath, 'utf8').trim();
+}
+
+// Turn a rule from the config into { name, pattern, validate, mode }
+function compileRule(rule, defaultMode) {
+  if (typeof rule === 'string') {
+    if (!BUILTIN_RULES[rule]) {
+      throw new Error(`Unknown redaction rule: ${rule} (built-in rules: ${Object.keys(BUILTIN_RULES).join(', ')})`);
+    }
+    return { name: rule, ...BUILTIN_RULES[rule], mode: defaultMode };
+  }
+
+  if (!rule || typeof rule.name !== 'string' || !/^[\w-]+$/.test(rule.name)) {
+    throw new Error('Every custom redaction rule needs a "name" of letters, digits, "_" or "-"');
+  }
+  if (rule.mode !== undefined && !REDACTION_MODES.includes(rule.mode)) {
+    throw new Error(`Redaction rule ${rule.name}: "mode" must be one of: ${REDACTION_MODES.join(', ')}`);
+  }
+  if (BUILTIN_RULES[rule.name] && rule.pattern === undefined) {
+    return { name: rule.name, ...BUILTIN_RULES[rule.name], mode: rule.mode || defaultMode };
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(rule.pattern, (rule.flags || '').replace('g', '') + 'g');
+  } catch (error) {
+    throw new Error(`Redaction rule ${rule.name}: invalid pattern: ${error.message}`);
+  }
+  if (pattern.test('')) {
+    throw new Error(`Redaction rule ${rule.name}: pattern must not match an empty string`);
+  }
+  return { name: rule.name, pattern: pattern, mode: rule.mode || defaultMode };
+}
+
+// Redacts personal data and secrets from entries before they are written on-chain
+// Keeps a hit counter per rule for /health and the streamer's dry run
+//
+// Options (see loadRedactionConfig):
+//   enabled - false turns redaction off (redact() returns text unchanged)
+//   mode    - hash or mask
+//   hmacKey - key for hashed replacements
+//   rules   - built-in rule names and custom rules; all built-in rules by default
+function createRedactor({ enabled = true, mode = 'hash', hmacKey, rules } = {}) {
+  if (!REDACTION_MODES.includes(mode)) {
+    throw new Error(`Redaction "mode" must be one of: ${REDACTION_MODES.join(', ')}`);
+  }
+  if (rules !== undefined && !Array.isArray(rules)) {
+    throw new Error('Redaction "rules" must be an array');
+  }
+
+  const compiled = enabled
+    ? (rules || Object.keys(BUILTIN_RULES)).map(rule => compileRule(rule, mode))
+    : [];
+  const names = compiled.map(rule => rule.name);
+  if (new Set(names).size !== names.length) {
+    throw new Error('Redaction rule names must be unique');
+  }
+  const key = compiled.some(rule => rule.mode === 'hash') ? loadHmacKey(hmacKey) : null;
+
+  const hits = {};
+  names.forEach((name) => {
+    hits[name] = 0;
+  });
+  let redactedEntries = 0;
+
+  function replacement(rule, value) {
+    if (rule.mode === 'mask') {
+      return `[REDACTED:${rule.name}]`;
+    }
+    const hash = crypto.createHmac('sha256', key).update(value).digest('hex').slice(0, HASH_LENGTH);
+    return `[REDACTED:${rule.name}:${hash}]`;
+  }
+
+  // Redact one string; returns { text, matches: [{ rule, value, replacement }] }
+  // Hits are counted only by record()
+  function redactText(text) {
+    const matches = [];
+    let result = text;
+    for (const rule of compiled) {
+      result = result.replace(rule.pattern, (value) => {
+        if (rule.validate && !rule.validate(value)) {
+          return value;
+        }
+        const replaced = replacement(rule, value);
+        matches.push({ rule: rule.name, value: value, replacement: replaced });
+        return replaced;
+      });
+    }
+    return { text: result, matches };
+  }
+
+  // String values of attributes, however deeply nested
+  function redactValue(value, matches) {
+    if (typeof value === 'string') {
+      const redacted = redactText(value);
+      matches.push(...redacted.matches);
+      return redacted.text;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redactValue(item, matches));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [name, item] of Object.entries(value)) {
+        result[name] = redactValue(item, matches);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  // Count the hits of one redacted string or entry in the stats
+  function record(matches) {
+    matches.forEach((match) => {
+      hits[match.rule]++;
+    });
+    if (matches.length > 0) {
+      redactedEntries++;
+    }
+  }
+
+  function redact(text) {
+    const result = redactText(text);
+    record(result.matches);
+    return result;
+  }
+
+  // Redact the message, source, facility, tags and attribute values of a log entry
+  // A message the client already encrypted can't be inspected and is left alone, but only
+  // if it is a well-formed envelope; anything else that merely looks like one is redacted
+  // Returns { entry, matches } with a new entry; the one passed in is not changed
+  // With record: false the hits aren't counted until record(matches) is called,
+  // so an entry that is rejected afterwards doesn't show up in the stats
+  function redactEntry(entry, { record: recordHits = true } = {}) {
+    const matches = [];
+    const message = parseEnvelope(entry.message) ? entry.message : redactValue(entry.message, matches);
+    const result = { ...entry, message: message };
+    for (const field of ['source', 'facility', 'tags', 'attributes']) {
+      if (entry[field] !== undefined) {
+        result[field] = redactValue(entry[field], matches);
+      }
+    }
+    if (recordHits) {
+      record(matches);
+    }
+    return { entry: result, matches };
+  }
+
+  // Hit counters for /health
+  function getStats() {
+    return {
+      enabled: compiled.length > 0,
+      mode: mode,
+      redactedEntries: redactedEntries,
+      rules: { ...hits },
+    };
+  }
+
+  return {
+    redact,
+    redactEntry,
+    record,
+    getStats,
+  };
+}
+
+module.exports = {
+  REDACTION_CONFIG_PATH,
+  REDACTION_MODES,
+  BUILTIN_RULES,
+  loadRedactionConfig,
+  createRedactor,
+};
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSeverity, severityName } = require('./severity');
+const { DATA_DIR } = require('./data-dir');
+
+// Default location of the alerting rules, managed by hand or through the server's /rules routes
+const RULES_CONFIG_PATH = path.join(DATA_DIR, 'rules.json');
+
+// What a firing rule can do
+//   webhook - POST the evidence to a URL (signed like submission webhooks)
+//   email   - send the evidence through an SMTP server (the local one by default)
+//   command - run a program with the evidence as JSON on stdin; only configurable in the file
+const ACTION_TYPES = ['webhook', 'email', 'command'];
+
+// Limits for rules
+const MAX_RULE_ID_LENGTH = 64;
+const MAX_THRESHOLD_COUNT = 100000;
+const MAX_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+
+// Read the rules config, or an empty one if there is none
+// {
+//   "smtp": { "host": "127.0.0.1", "port": 25, "from": "logchain@example.com" },
+//   "rules": [
+//     {
+//       "id": "error-burst",
+//       "name": "Error burst",
+//       "match": { "minSeverity": "error", "keyword": "timeout" },
+//       "threshold": { "count": 20, "windowSeconds": 300 },
+//       "actions": [{ "type": "webhook", "url": "https://hooks.example.com/logchain" }]
+//     }
+//   ]
+// }
+function loadRuleStore(filePath = RULES_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { rules: [] };
+  }
+  const store = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { ...store, rules: store.rules || [] };
+}
+
+// Write the rules config; webhook URLs can carry tokens, so keep it private to the owner
+function saveRuleStore(store, filePath = RULES_CONFIG_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+// Id for a rule created without one
+function generateRuleId() {
+  return 'rule_' + crypto.randomBytes(4).toString('hex');
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function isEmailAddress(value) {
+  return typeof value === 'string' && /^[^\s@<>]+@[^\s@<>]+$/.test(value);
+}
+
+// Check a rule's match conditions; returns { match } with severities as levels, or { error }
+function parseMatch(match) {
+  if (match === undefined) {
+    return { match: {} };
+  }
+  if (match === null || typeof match !== 'object' || Array.isArray(match)) {
+    return { error: '"match" must be an object' };
+  }
+
+  const result = {};
+  for (const field of ['keyword', 'source', 'facility', 'tag']) {
+    if (match[field] !== undefined) {
+      if (typeof match[field] !== 'string' || match[field] === '') {
+        return { error: `"match.${field}" must be a non-empty string` };
+      }
+      result[field] = match[field];
+    }
+  }
+
+  if (match.regex !== undefined) {
+    if (typeof match.regex !== 'string' || match.regex === '') {
+      return { error: '"match.regex" must be a non-empty string' };
+    }
+    if (match.flags !== undefined && (typeof match.flags !== 'string' || !/^[imsu]*$/.test(match.flags))) {
+      return { error: '"match.flags" may only contain i, m, s and u' };
+    }
+    try {
+      new RegExp(match.regex, match.flags);
+    } catch (error) {
+      return { error: `"match.regex" is invalid: ${error.message}` };
+    }
+    result.regex = match.regex;
+    if (match.flags) {
+      result.flags = match.flags;
+    }
+  }
+
+  // Exact levels, like /logs?severity=, or everything at least as severe as minSeverity
+  if (match.severity !== undefined) {
+    const values = Array.isArray(match.severity) ? match.severity : String(match.severity).split(',');
+    const levels = values.map(parseSeverity);
+    if (levels.length === 0 || levels.includes(null)) {
+      return { error: '"match.severity" must be RFC 5424 level names or numbers' };
+    }
+    result.severity = levels;
+  }
+  if (match.minSeverity !== undefined) {
+    const level = parseSeverity(match.minSeverity);
+    if (level === null) {
+      return { error: '"match.minSeverity" must be an RFC 5424 level name or number' };
+    }
+    result.minSeverity = level;
+  }
+
+  if (match.sender !== undefined) {
+    const senders = Array.isArray(match.sender) ? match.sender : [match.sender];
+    if (senders.length === 0 || !senders.every(sender => typeof sender === 'string' && /^0x[0-9a-fA-F]{40}$/.test(sender))) {
+      return { error: '"match.sender" must be an address or a list of addresses' };
+    }
+    result.sender = senders;
+  }
+
+  return { match: result };
+}
+
+// Check a rule's actions; command actions only when allowCommand is set
+function parseActions(actions, allowCommand) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return { error: '"actions" must be a non-empty array' };
+  }
+
+  const result = [];
+  for (const action of actions) {
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      return { error: `Every action needs a "type": ${ACTION_TYPES.join(', ')}` };
+    }
+    if (action.type === 'webhook') {
+      if (!isHttpUrl(action.url)) {
+        return { error: 'A webhook action needs an http(s) "url"' };
+      }
+      result.push({ type: 'webhook', url: action.url });
+    } else if (action.type === 'email') {
+      const to = Array.isArray(action.to) ? action.to : [action.to];
+      if (to.length === 0 || !to.every(isEmailAddress)) {
+        return { error: 'An email action needs "to": an address or a list of addresses' };
+      }
+      if (action.subject !== undefined && (typeof action.subject !== 'string' || /[\r\n]/.test(action.subject))) {
+        return { error: 'An email action\'s "subject" must be a single line' };
+      }
+      result.push({ type: 'email', to: to, ...(action.subject ? { subject: action.subject } : {}) });
+    } else {
+      if (!allowCommand) {
+        return { error: `Command actions can only be configured in ${path.basename(RULES_CONFIG_PATH)}` };
+      }
+      if (typeof action.command !== 'string' || action.command === '') {
+        return { error: 'A command action needs a "command"' };
+      }
+      if (action.args !== undefined && (!Array.isArray(action.args) || !action.args.every(arg => typeof arg === 'string'))) {
+        return { error: 'A command action\'s "args" must be an array of strings' };
+      }
+      result.push({ type: 'command', command: action.command, args: action.args || [] });
+    }
+  }
+  return { actions: result };
+}
+
+// Validate a rule from the config file or a /rules request
+// Returns { rule } in its stored form, or { error } with a message for a 400 response
+// Options:
+//   allowCommand - accept command actions (only for rules read from the file)
+function parseRule(input, { allowCommand = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'A rule must be a JSON object' };
+  }
+
+  const id = input.id === undefined ? generateRuleId() : input.id;
+  if (typeof id !== 'string' || id.length > MAX_RULE_ID_LENGTH || !/^[A-Za-z0-9][\w-]*$/.test(id)) {
+    return { error: `"id" must be up to ${MAX_RULE_ID_LENGTH} letters, digits, "_" or "-"` };
+  }
+  if (input.name !== undefined && typeof input.name !== 'string') {
+    return { error: '"name" must be a string' };
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    return { error: '"enabled" must be true or false' };
+  }
+
+  const { match, error: matchError } = parseMatch(input.match);
+  if (matchError) {
+    return { error: matchError };
+  }
+
+  let threshold = null;
+  if (input.threshold !== undefined && input.threshold !== null) {
+    const { count, windowSeconds } = input.threshold;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_THRESHOLD_COUNT ||
+        !Number.isInteger(windowSeconds) || windowSeconds < 1 || windowSeconds > MAX_WINDOW_SECONDS) {
+      return { error: `"threshold" needs a "count" from 1 to ${MAX_THRESHOLD_COUNT} and "windowSeconds" from 1 to ${MAX_WINDOW_SECONDS}` };
+    }
+    threshold = { count, windowSeconds };
+  }
+
+  // A threshold rule waits a full window before firing again; others fire on every match
+  const cooldownSeconds = input.cooldownSeconds === undefined
+    ? (threshold ? threshold.windowSeconds : 0)
+    : input.cooldownSeconds;
+  if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0 || cooldownSeconds > MAX_WINDOW_SECONDS) {
+    return { error: `"cooldownSeconds" must be a whole number from 0 to ${MAX_WINDOW_SECONDS}` };
+  }
+
+  const { actions, error: actionsError } = parseActions(input.actions, allowCommand);
+  if (actionsError) {
+    return { error: actionsError };
+  }
+
+  return {
+    rule: {
+      id: id,
+      name: input.name || id,
+      enabled: input.enabled !== false,
+      match: match,
+      threshold: threshold,
+      cooldownSeconds: cooldownSeconds,
+      actions: actions,
+    },
+  };
+}
+
+// A rule as written to the file and returned by the /rules routes, with severities as names
+function formatRule(rule) {
+  const match = { ...rule.match };
+  if (match.severity) {
+    match.severity = match.severity.map(severityName);
+  }
+  if (match.minSeverity !== undefined) {
+    match.minSeverity = severityName(match.minSeverity);
+  }
+  return { ...rule, match };
+}
+
+// Whether a rule runs programs, and so may only be changed in the config file
+function hasCommandAction(rule) {
+  return (rule.actions || []).some(action => action.type === 'command');
+}
+
+// SMTP server for email actions: a local MTA without TLS or authentication by default
+function parseSmtp(smtp = {}) {
+  const result = {
+    host: smtp.host || '127.0.0.1',
+    port: smtp.port === undefined ? 25 : smtp.port,
+    from: smtp.from || `logchain@${os.hostname()}`,
+  };
+  if (typeof result.host !== 'string' || !Number.isInteger(result.port) || result.port < 1 || result.port > 65535) {
+    throw new Error('"smtp" needs a "host" and a "port" from 1 to 65535');
+  }
+  if (!isEmailAddress(result.from)) {
+    throw new Error('"smtp.from" must be an email address');
+  }
+  return result;
+}
+
+// Validate a loaded store; throws on the first invalid or duplicate rule
+// Returns { smtp, rules } with the SMTP defaults filled in
+function parseRuleStore(store) {
+  const rules = store.rules.map((input, i) => {
+    if (!input || input.id === undefined) {
+      throw new Error(`Rule #${i + 1}: every rule in the file needs an "id"`);
+    }
+    const { rule, error } = parseRule(input, { allowCommand: true });
+    if (error) {
+      throw new Error(`Rule ${input.id}: ${error}`);
+    }
+    return rule;
+  });
+  const ids = rules.map(rule => rule.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Rule ids must be unique');
+  }
+  return { smtp: parseSmtp(store.smtp), rules: rules };
+}
+
+module.exports = {
+  RULES_CONFIG_PATH,
+  ACTION_TYPES,
+  loadRuleStore,
+  saveRuleStore,
+  parseRule,
+  parseRuleStore,
+  formatRule,
+  hasCommandAction,
+};
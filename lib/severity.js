@@ -0,0 +1,56 @@
+// RFC 5424 severity levels, indexed by their numeric value (0 = most severe)
+const SEVERITY_LEVELS = [
+  'EMERGENCY',
+  'ALERT',
+  'CRITICAL',
+  'ERROR',
+  'WARNING',
+  'NOTICE',
+  'INFO',
+  'DEBUG',
+];
+
+// Level used when a producer doesn't say
+const DEFAULT_SEVERITY = SEVERITY_LEVELS.indexOf('INFO');
+
+// Common spellings that aren't RFC 5424 names
+const SEVERITY_ALIASES = {
+  EMERG: 'EMERGENCY',
+  PANIC: 'EMERGENCY',
+  CRIT: 'CRITICAL',
+  FATAL: 'CRITICAL',
+  ERR: 'ERROR',
+  WARN: 'WARNING',
+  INFORMATIONAL: 'INFO',
+  TRACE: 'DEBUG',
+};
+
+// Turn a level name, alias or number into a numeric level
+// Returns null for anything that isn't a known severity
+function parseSeverity(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 && value < SEVERITY_LEVELS.length ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const name = value.trim().toUpperCase();
+  if (/^\d+$/.test(name)) {
+    return parseSeverity(parseInt(name, 10));
+  }
+  const level = SEVERITY_LEVELS.indexOf(SEVERITY_ALIASES[name] || name);
+  return level === -1 ? null : level;
+}
+
+// Name of a numeric level
+function severityName(level) {
+  return SEVERITY_LEVELS[Number(level)] || 'UNKNOWN';
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  DEFAULT_SEVERITY,
+  parseSeverity,
+  severityName,
+};
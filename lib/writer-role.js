@@ -0,0 +1,39 @@
+const { createTxSender } = require('../server/tx-sender');
+const { txSenderOptions } = require('./networks');
+
+// Grant or revoke the SecureLog writer role from the contract owner's account
+// The owner must be a signer account of the network (a node account or the configured key)
+// The transaction goes through the tx-sender: the given one, or a new one for the owner
+// using the network's gas policy
+// Returns { changed, owner }; changed is false if the role was already in that state
+async function updateWriterRole(web3, contractInfo, account, grant, { network, sender } = {}) {
+  const contract = new web3.eth.Contract(contractInfo.abi, contractInfo.address);
+  const owner = await contract.methods.owner().call();
+
+  const isWriter = await contract.methods.isWriter(account).call();
+  if (isWriter === grant) {
+    return { changed: false, owner };
+  }
+
+  const method = grant
+    ? contract.methods.grantWriter(account)
+    : contract.methods.revokeWriter(account);
+
+  const txSender = sender || createTxSender({
+    web3: web3,
+    to: contractInfo.address,
+    pool: [owner],
+    ...(network ? txSenderOptions(web3, network) : {}),
+  });
+  try {
+    await txSender.send(method, { from: owner });
+  } finally {
+    if (!sender) {
+      txSender.stop();
+    }
+  }
+
+  return { changed: true, owner };
+}
+
+module.exports = { updateWriterRole };
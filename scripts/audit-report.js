@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+// Signed audit reports for compliance: a digest over every entry of a time or index
+// range, the block that holds the range's last entry, and counts by sender and
+// severity, written as JSON and HTML. "verify" checks a report later against its
+// signature and the chain state it references. Reads the contract directly over RPC.
+//
+// Usage: node scripts/audit-report.js generate|verify|key [options]
+
+const fs = require('fs');
+const path = require('path');
+const { Web3 } = require('web3');
+const {
+  REPORTS_DIR,
+  AUDIT_KEY_PATH,
+  loadSigningKey,
+  signReport,
+  buildReport,
+  verifyReport,
+  renderHtml,
+  loadReport,
+} = require('../lib/audit-report');
+const { privateKeyToAddress } = require('web3-eth-accounts');
+const {
+  parseNetworkArg,
+  resolveNetwork,
+  createWeb3,
+  checkChainId,
+  loadDeployment,
+  deploymentGenerations,
+} = require('../lib/networks');
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/audit-report.js generate [options]');
+  console.log('      --from <time>        Start of the range: unix seconds or ISO 8601 date');
+  console.log('      --to <time>          End of the range (inclusive)');
+  console.log('      --month <YYYY-MM>    A whole calendar month (UTC); "last" for the previous month');
+  console.log('      --from-index <n>     First history index of the range');
+  console.log('      --to-index <n>       Last history index of the range (inclusive)');
+  console.log('      --out <path>         Write <path>.json and <path>.html (default: data/reports/audit-<network>-<first>-<last>)');
+  console.log('    Without a range the report covers the whole history');
+  console.log('  node scripts/audit-report.js verify <report.json | report.html> [options]');
+  console.log('      --signer <address>   Address the report must be signed by');
+  console.log('      --rpc <url>          Node to read from, instead of the network\'s RPC URL');
+  console.log('      --json               Print the result as JSON');
+  console.log('    Exit code: 0 = report verified, 1 = check failed, 2 = could not verify');
+  console.log('  node scripts/audit-report.js key');
+  console.log('    Print the address reports are signed with (publish it for --signer)');
+  console.log('  Add --network <name> to use another network\'s deployment and node');
+  console.log('Reports are signed with AUDIT_SIGNING_KEY, or a key generated once in data/audit-signing.key');
+  process.exit(1);
+}
+
+// Parse positional arguments and --flag value pairs (and bare --flags)
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+      continue;
+    }
+    const name = args[i].slice(2);
+    const next = args[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[name] = next;
+      i++;
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
+
+// Exit with code 2 when the command itself can't be run
+function fail(message, detail) {
+  console.error('[ERROR]', message);
+  if (detail) {
+    console.error(' ', detail);
+  }
+  process.exit(2);
+}
+
+// Unix seconds from a unix timestamp or an ISO 8601 date
+function parseTime(value, name) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const ms = Date.parse(value);
+  if (value === true || Number.isNaN(ms)) {
+    fail(`--${name} must be unix seconds or an ISO 8601 date`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+function parseIndex(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    fail(`--${name} must be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+}
+
+// Requested range from the options: { from, to, fromIndex, toIndex }, any of them left out
+function parseRange(options) {
+  const requested = {};
+  if (options.month !== undefined) {
+    const now = new Date();
+    const match = options.month === 'last'
+      ? [null, now.getUTCMonth() === 0 ? now.getUTCFullYear() - 1 : now.getUTCFullYear(), now.getUTCMonth() === 0 ? 12 : now.getUTCMonth()]
+      : String(options.month).match(/^(\d{4})-(\d{2})$/);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      fail('--month must be YYYY-MM or "last"');
+    }
+    requested.from = Date.UTC(Number(match[1]), Number(match[2]) - 1, 1) / 1000;
+    requested.to = Date.UTC(Number(match[1]), Number(match[2]), 1) / 1000 - 1;
+  }
+  if (options.from !== undefined) {
+    requested.from = parseTime(options.from, 'from');
+  }
+  if (options.to !== undefined) {
+    requested.to = parseTime(options.to, 'to');
+  }
+  if (options['from-index'] !== undefined) {
+    requested.fromIndex = parseIndex(options['from-index'], 'from-index');
+  }
+  if (options['to-index'] !== undefined) {
+    requested.toIndex = parseIndex(options['to-index'], 'to-index');
+  }
+  return requested;
+}
+
+// Explain connection errors; anything else is reported with its revert reason or message
+function failWithError(error, rpcUrl, what) {
+  if (error.code === 'ECONNREFUSED' || error.message.includes('connect') || error.message.includes('fetch failed')) {
+    fail('Connection Error: Could not connect to the node', `Make sure it is running at ${rpcUrl}`);
+  }
+  const reason = error.cause && error.cause.message ? error.cause.message : error.message;
+  fail(`${what}: ${reason}`);
+}
+
+function loadKey() {
+  try {
+    return loadSigningKey();
+  } catch (error) {
+    fail('Could not load the audit signing key', error.message);
+  }
+}
+
+// Build, sign and write a report for the network's deployment
+async function generate(network, options) {
+  const requested = parseRange(options);
+  const contractInfo = loadDeployment(network.name);
+  if (!contractInfo) {
+    fail(`No contract deployed to network ${network.name}`, `Please run: npm run deploy -- --network ${network.name}`);
+  }
+  const privateKey = loadKey();
+  const web3 = createWeb3(network);
+
+  let report;
+  try {
+    await checkChainId(web3, network);
+    report = await buildReport(web3, {
+      network: network,
+      generations: deploymentGenerations(contractInfo),
+      requested: requested,
+      onProgress: (done, total) => {
+        if (done % 1000 === 0) {
+          console.log(`  Read ${done} of ${total} entries`);
+        }
+      },
+    });
+  } catch (error) {
+    failWithError(error, network.rpcUrl, 'Could not build the report');
+  }
+  report = signReport(report, privateKey);
+
+  const base = options.out && options.out !== true
+    ? path.resolve(options.out.replace(/\.(json|html)$/, ''))
+    : path.join(REPORTS_DIR, `audit-${network.name}-${report.range.fromIndex}-${report.range.toIndex}`);
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}.html`, renderHtml(report));
+
+  console.log(`[OK] Entries ${report.range.fromIndex}-${report.range.toIndex} (${report.range.count}) on ${network.name}`);
+  console.log(`[OK] Digest: ${report.digest.value}`);
+  console.log(`[OK] Checkpoint: block ${report.checkpoint.blockNumber} (${report.checkpoint.blockHash})`);
+  console.log(`[OK] Signed by ${report.signer}`);
+  console.log(`[OK] Wrote ${base}.json and ${base}.html`);
+  if (!report.integrity.valid) {
+    const broken = report.integrity.brokenLink;
+    console.log(`[ERROR] Hash chain broken at entry ${broken.index} (${broken.reason}) - recorded in the report`);
+    process.exit(1);
+  }
+}
+
+// Check a report against its signature and the chain
+async function verify(network, file, options) {
+  if (!file) {
+    usage();
+  }
+  let report;
+  try {
+    report = loadReport(file);
+  } catch (error) {
+    fail(`Could not read ${file}`, error.message);
+  }
+  if (options.signer !== undefined && !Web3.utils.isAddress(options.signer)) {
+    fail('--signer must be an address');
+  }
+
+  const rpcUrl = options.rpc && options.rpc !== true ? options.rpc : network.rpcUrl;
+  const web3 = new Web3(rpcUrl);
+
+  let result;
+  try {
+    result = await verifyReport(web3, report, { signer: options.signer });
+  } catch (error) {
+    failWithError(error, rpcUrl, 'Verification failed');
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ file: path.resolve(file), rpc: rpcUrl, ...result }, null, 2));
+  } else {
+    console.log(`Report:   ${path.resolve(file)}`);
+    console.log(`Range:    entries ${report.range.fromIndex}-${report.range.toIndex} of ${report.contract.address}`);
+    console.log(`Node:     ${rpcUrl}\n`);
+    for (const item of result.checks) {
+      console.log(`${item.ok ? '[OK]   ' : '[ERROR]'} ${item.name}: ${item.detail}`);
+    }
+    if (!options.signer) {
+      console.log('\n[WARNING] No --signer given: anyone can sign a report, so compare the signer with the published address');
+    }
+    console.log(result.valid ? '\n[OK] Report verified' : '\n[ERROR] Report does not match its signature or the chain');
+  }
+  process.exit(result.valid ? 0 : 1);
+}
+
+async function main() {
+  let network;
+  let args;
+  try {
+    ({ network, args } = parseNetworkArg(process.argv.slice(2)));
+    network = resolveNetwork(network);
+  } catch (error) {
+    fail(`Invalid network config: ${error.message}`);
+  }
+
+  const { positional, options } = parseArgs(args);
+  const command = positional[0];
+
+  if (command === 'generate') {
+    await generate(network, options);
+  } else if (command === 'verify') {
+    await verify(network, positional[1], options);
+  } else if (command === 'key') {
+    console.log(privateKeyToAddress(loadKey()));
+    if (!process.env.AUDIT_SIGNING_KEY) {
+      console.log(`  Key file: ${AUDIT_KEY_PATH}`);
+    }
+  } else {
+    usage();
+  }
+}
+
+main();
@@ -1,10 +1,18 @@
-const { Web3 } = require('web3');
+const { parseNetworkArg, resolveNetwork, createWeb3, getSignerAccounts } = require('../lib/networks');
 
-// Ganache local blockchain endpoint
-const ganacheUrl = 'http://127.0.0.1:7545';
+// Network to check (see lib/networks.js); Ganache on 127.0.0.1:7545 by default
+// Usage: node scripts/connect-ganache.js [--network <name>]
+let network;
+try {
+  network = resolveNetwork(parseNetworkArg(process.argv.slice(2)).network);
+} catch (error) {
+  console.error('[ERROR] Invalid network config:', error.message);
+  process.exit(1);
+}
+const ganacheUrl = network.rpcUrl;
 
-// Create Web3 instance and connect to Ganache
-const web3 = new Web3(ganacheUrl);
+// Create Web3 instance and connect to the node
+const web3 = createWeb3(network);
 
 // Main function to connect and display accounts
 async function connectToGanache() {
@@ -16,14 +24,22 @@ async function connectToGanache() {
       throw new Error('Failed to connect to Ganache');
     }
     
-    console.log('[OK] Successfully connected to Ganache at', ganacheUrl);
+    console.log(`[OK] Successfully connected to network ${network.name} at`, ganacheUrl);
+
+    // Compare the node's chain ID with the configured one
+    const chainId = Number(await web3.eth.getChainId());
+    if (network.chainId !== null && chainId !== network.chainId) {
+      console.log(`[WARNING] Chain ID is ${chainId}, but network ${network.name} expects ${network.chainId}`);
+    } else {
+      console.log('[OK] Chain ID:', chainId);
+    }
     console.log('');
 
-    // Get all available accounts from Ganache
-    const accounts = await web3.eth.getAccounts();
+    // Get the accounts the network's signer can send from
+    const accounts = await getSignerAccounts(web3, network);
     
     if (accounts.length === 0) {
-      console.log('No accounts found in Ganache');
+      console.log('No signer accounts found');
       return;
     }
 
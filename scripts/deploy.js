@@ -1,53 +1,38 @@
-const { Web3 } = require('web3');
-const fs = require('fs');
-const path = require('path');
-const solc = require('solc');
-
-// Ganache connection URL
-const ganacheUrl = 'http://127.0.0.1:7545';
-const web3 = new Web3(ganacheUrl);
-
-// Compile the Solidity contract
-function compileContract() {
-  // Read the contract source code
-  const contractPath = path.join(__dirname, '..', 'contracts', 'SecureLog.sol');
-  const sourceCode = fs.readFileSync(contractPath, 'utf8');
-
-  // Compile the contract
-  const input = {
-    language: 'Solidity',
-    sources: {
-      'SecureLog.sol': {
-        content: sourceCode,
-      },
-    },
-    settings: {
-      outputSelection: {
-        '*': {
-          '*': ['abi', 'evm.bytecode'],
-        },
-      },
-      evmVersion: 'london',
-    },
-  };
-
-  const output = JSON.parse(solc.compile(JSON.stringify(input)));
-
-  // Check for compilation errors
-  if (output.errors) {
-    const errors = output.errors.filter(e => e.severity === 'error');
-    if (errors.length > 0) {
-      throw new Error('Compilation errors: ' + JSON.stringify(errors, null, 2));
-    }
-  }
-
-  // Get the compiled contract
-  const contract = output.contracts['SecureLog.sol']['SecureLog'];
-  return {
-    abi: contract.abi,
-    bytecode: contract.evm.bytecode.object,
-  };
+const { compileContract } = require('../lib/compile');
+const {
+  parseNetworkArg,
+  resolveNetwork,
+  createWeb3,
+  getSignerAccounts,
+  checkChainId,
+  loadDeployment,
+  saveDeployment,
+} = require('../lib/networks');
+
+// Network to deploy to (see lib/networks.js)
+// Usage: node scripts/deploy.js [--network <name>] [--owner <address>] [--force]
+let network;
+let args;
+try {
+  const parsed = parseNetworkArg(process.argv.slice(2));
+  args = parsed.args;
+  network = resolveNetwork(parsed.network);
+} catch (error) {
+  console.error('[ERROR] Invalid network config:', error.message);
+  process.exit(1);
 }
+const ganacheUrl = network.rpcUrl;
+const web3 = createWeb3(network);
+
+// Contract owner (manages the writer role); defaults to the deployer
+const ownerIndex = args.indexOf('--owner');
+const ownerArg = ownerIndex !== -1 ? args[ownerIndex + 1] : null;
+
+// A first deployment has no predecessor (see scripts/migrate.js)
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Replace a deployment that is still live, leaving its logs behind
+const force = args.includes('--force');
 
 // Deploy the contract to Ganache
 async function deployContract() {
@@ -57,45 +42,58 @@ async function deployContract() {
     if (!isConnected) {
       throw new Error('Failed to connect to Ganache');
     }
-
-    console.log('[OK] Connected to Ganache');
+    await checkChainId(web3, network);
+
+    console.log(`[OK] Connected to network ${network.name} at ${ganacheUrl}`);
+
+    // A contract still on chain holds logs that a fresh deployment would drop
+    const existing = loadDeployment(network.name);
+    if (existing && !force) {
+      const code = await web3.eth.getCode(existing.address);
+      if (code && code !== '0x') {
+        console.error(`[ERROR] Network ${network.name} already has a contract at ${existing.address}`);
+        console.error(`  Carry its logs over with: npm run migrate -- --network ${network.name}`);
+        console.error(`  Or replace it (its logs drop out of the server) with: npm run deploy -- --network ${network.name} --force`);
+        process.exit(1);
+      }
+    }
 
     // Compile the contract
     console.log('Compiling contract...');
     const { abi, bytecode } = compileContract();
     
-    // Validate bytecode
-    if (!bytecode || bytecode.length === 0) {
-      throw new Error('Compiled bytecode is empty');
-    }
-    
     console.log('[OK] Contract compiled successfully');
     console.log('Bytecode length:', bytecode.length, 'characters\n');
 
-    // Get the first account from Ganache (deployer)
-    const accounts = await web3.eth.getAccounts();
+    // Deploy from the network's first signer account
+    const accounts = await getSignerAccounts(web3, network);
     if (accounts.length === 0) {
-      throw new Error('No accounts available in Ganache');
+      throw new Error(`No signer accounts available on network ${network.name}`);
     }
 
     const deployer = accounts[0];
     console.log('Deploying from account:', deployer);
 
+    if (ownerArg && !web3.utils.isAddress(ownerArg)) {
+      throw new Error('Invalid --owner address: ' + ownerArg);
+    }
+    const owner = ownerArg || deployer;
+    console.log('Contract owner:', owner);
+
     // Get deployer balance
     const balance = await web3.eth.getBalance(deployer);
     console.log('Account balance:', web3.utils.fromWei(balance, 'ether'), 'ETH\n');
 
     // Deploy the contract
     console.log('Deploying contract...');
-    // Ensure bytecode has 0x prefix
-    const bytecodeWithPrefix = bytecode.startsWith('0x') ? bytecode : '0x' + bytecode;
     
     // Deploy using web3.js v4 API
     const contract = new web3.eth.Contract(abi);
     
     // Estimate gas first
     const gasEstimate = await contract.deploy({
-      data: bytecodeWithPrefix,
+      data: bytecode,
+      arguments: [owner, ZERO_ADDRESS, false],
     }).estimateGas({
       from: deployer,
     });
@@ -105,28 +103,35 @@ async function deployContract() {
     // Convert BigInt to string and add buffer
     const gasWithBuffer = (BigInt(gasEstimate) + BigInt(100000)).toString();
     
+    // Keep the deployment receipt so the server knows where to start indexing
+    let deployReceipt;
     const deployedContract = await contract.deploy({
-      data: bytecodeWithPrefix,
+      data: bytecode,
+      arguments: [owner, ZERO_ADDRESS, false],
     }).send({
       from: deployer,
       gas: gasWithBuffer,
+    }).on('receipt', (receipt) => {
+      deployReceipt = receipt;
     });
 
-    // Save contract ABI and address to JSON file for backend use
-    const contractInfo = {
+    // Save contract ABI and address to JSON file for backend use,
+    // replacing only this network's deployment record
+    saveDeployment(network.name, {
       abi: abi,
       address: deployedContract.options.address,
-      network: ganacheUrl,
-    };
-    fs.writeFileSync(
-      path.join(__dirname, '..', 'data', 'contract-info.json'),
-      JSON.stringify(contractInfo, null, 2)
-    );
+      owner: owner,
+      blockNumber: deployReceipt ? deployReceipt.blockNumber.toString() : '0',
+      chainId: Number(await web3.eth.getChainId()),
+      rpcUrl: ganacheUrl,
+      deployedAt: new Date().toISOString(),
+    });
 
     // Print the contract address
     console.log('\n[OK] Contract deployed successfully!');
     console.log('Contract Address:', deployedContract.options.address);
-    console.log('Contract info saved to contract-info.json\n');
+    console.log('Owner (initial writer):', owner);
+    console.log(`Contract info saved to contract-info.json (network ${network.name})\n`);
 
   } catch (error) {
     if (error.code === 'ECONNREFUSED') {
@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+
+// Bulk import of existing log files (plain text, JSON lines, either of them gzipped)
+// through the server's /add-log. Each line keeps its original timestamp next to the
+// block timestamp. Lines are queued in chunks of asynchronous submissions, and a
+// checkpoint file records how far every file got, so an interrupted import picks up
+// where it stopped when the same command is run again.
+//
+// Usage: node scripts/import-logs.js <file>... [options]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  FORMATS,
+  detectFormat,
+  readLines,
+  parseTextLine,
+  parseJsonLine,
+  fileFingerprint,
+  checkFileUnchanged,
+  defaultCheckpointPath,
+  loadCheckpoint,
+  saveCheckpoint,
+} = require('../lib/log-import');
+const { parseSeverity } = require('../lib/severity');
+
+const DEFAULT_SERVER_URL = 'http://localhost:3000';
+
+// How often queued submissions are checked while waiting for a chunk to be mined
+const POLL_INTERVAL_MS = 1000;
+
+// Retry delays for an unreachable or overloaded server double up to this
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Print usage and exit
+function usage() {
+  console.log('Usage: node scripts/import-logs.js <file>... [options]');
+  console.log('  Files are plain text or JSON lines (.jsonl, .ndjson, .json), optionally gzipped');
+  console.log('Options:');
+  console.log('  --format <text|jsonl>     Format of every file (default: from each file name)');
+  console.log(`  --server <url>            Server to import into (default: ${DEFAULT_SERVER_URL})`);
+  console.log('  --api-key <key>           API key (default: LOGCHAIN_API_KEY)');
+  console.log('  --chunk-size <n>          Lines queued before waiting for them to be mined (default: 100)');
+  console.log('  --checkpoint <file>       Checkpoint file (default: data/imports/import-<id>.json)');
+  console.log('  --restart                 Ignore the checkpoint and import every file from the start');
+  console.log('  --source <name>           Source of lines that don\'t name one (default: this host name)');
+  console.log('  --facility <name>         Facility of lines that don\'t name one (default: the file name)');
+  console.log('  --severity <level>        Severity of lines that don\'t carry one (default: info)');
+  console.log('  --retries <n>             Attempts per request while the server is unreachable (default: 5)');
+  console.log('  --dry-run                 Parse the files and print the summary without sending anything');
+  console.log('Exit code: 0 = every line imported or skipped, 1 = some lines failed, 2 = import stopped (run again to resume)');
+  process.exit(1);
+}
+
+// Parse positional arguments and --flag value pairs (and bare --flags)
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+      continue;
+    }
+    const name = args[i].slice(2);
+    const next = args[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[name] = next;
+      i++;
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
+
+// Exit with code 2 when the import can't be run (or go on)
+function fail(message, detail) {
+  console.error('[ERROR]', message);
+  if (detail) {
+    console.error(' ', detail);
+  }
+  process.exit(2);
+}
+
+function parseCount(value, name, min) {
+  if (!/^\d+$/.test(String(value)) || parseInt(value, 10) < min) {
+    fail(`--${name} must be a whole number of at least ${min}`);
+  }
+  return parseInt(value, 10);
+}
+
+function stringOption(options, name) {
+  if (options[name] === true) {
+    fail(`--${name} needs a value`);
+  }
+  return options[name];
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thrown to stop the import; the checkpoint is saved and the same command resumes it
+class ImportStopped extends Error {}
+
+// Read command line options into the import's settings
+function loadSettings(args) {
+  const { positional, options } = parseArgs(args);
+  if (positional.length === 0 || options.help) {
+    usage();
+  }
+
+  for (const file of positional) {
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      fail(`No such file: ${file}`);
+    }
+  }
+
+  const format = stringOption(options, 'format');
+  if (format !== undefined && !FORMATS.includes(format)) {
+    fail(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const severity = stringOption(options, 'severity');
+  if (severity !== undefined && parseSeverity(severity) === null) {
+    fail('--severity must be an RFC 5424 level name (e.g. "error", "warning", "info") or a number from 0 to 7');
+  }
+
+  const serverUrl = (stringOption(options, 'server') || DEFAULT_SERVER_URL).replace(/\/+$/, '');
+  const apiKey = stringOption(options, 'api-key') || process.env.LOGCHAIN_API_KEY;
+  const dryRun = options['dry-run'] === true;
+  if (!apiKey && !dryRun) {
+    fail('No API key provided', 'Set LOGCHAIN_API_KEY or pass --api-key <key>');
+  }
+
+  return {
+    files: positional.map(file => path.resolve(file)),
+    format: format,
+    serverUrl: serverUrl,
+    apiKey: apiKey,
+    chunkSize: options['chunk-size'] !== undefined ? parseCount(options['chunk-size'], 'chunk-size', 1) : 100,
+    retries: options.retries !== undefined ? parseCount(options.retries, 'retries', 1) : 5,
+    checkpointPath: path.resolve(stringOption(options, 'checkpoint') || defaultCheckpointPath(positional, serverUrl)),
+    restart: options.restart === true,
+    source: stringOption(options, 'source') || os.hostname(),
+    facility: stringOption(options, 'facility'),
+    severity: severity !== undefined ? parseSeverity(severity) : undefined,
+    dryRun: dryRun,
+  };
+}
+
+// Send a request to the server, retrying while it is unreachable or overloaded
+// Returns { status, body } for any other response
+async function callServer(settings, method, urlPath, body) {
+  let delay = 1000;
+  for (let attempt = 1; ; attempt++) {
+    let reason;
+    try {
+      const response = await fetch(settings.serverUrl + urlPath, {
+        method: method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${settings.apiKey}`,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(30000),
+      });
+      let result = {};
+      try {
+        result = await response.json();
+      } catch (error) {
+        // Not a JSON body
+      }
+      if (response.status === 401 || response.status === 403) {
+        throw new ImportStopped(`Server refused the API key: ${result.message || `HTTP ${response.status}`}`);
+      }
+      if (response.status !== 429 && response.status < 500) {
+        return { status: response.status, body: result };
+      }
+      reason = result.message || `HTTP ${response.status}`;
+    } catch (error) {
+      if (error instanceof ImportStopped) {
+        throw error;
+      }
+      reason = error.code === 'ECONNREFUSED' || error.message.includes('fetch failed')
+        ? `Server not available at ${settings.serverUrl}`
+        : error.message;
+    }
+
+    if (attempt >= settings.retries) {
+      throw new ImportStopped(`${reason} (after ${attempt} attempts)`);
+    }
+    console.error(`[WARNING] ${reason} - retrying in ${Math.round(delay / 1000)}s`);
+    await sleep(delay);
+    delay = Math.min(delay * 2, MAX_RETRY_DELAY_MS);
+  }
+}
+
+// Creates the import of one run: reads files, queues their lines and keeps the checkpoint
+function createImport(settings) {
+  const rejectsPath = settings.checkpointPath.replace(/\.json$/, '') + '.failed.jsonl';
+  const journalPath = settings.checkpointPath.replace(/\.json$/, '') + '.journal.jsonl';
+  let checkpoint;
+  try {
+    checkpoint = settings.restart || settings.dryRun
+      ? { version: 1, files: {} }
+      : loadCheckpoint(settings.checkpointPath);
+  } catch (error) {
+    fail(`Could not read checkpoint ${settings.checkpointPath}`, error.message);
+  }
+  if (checkpoint.server && checkpoint.server !== settings.serverUrl) {
+    fail(`Checkpoint ${settings.checkpointPath} belongs to an import into ${checkpoint.server}`,
+      'Pass the same --server, another --checkpoint, or --restart');
+  }
+  checkpoint.server = settings.serverUrl;
+  checkpoint.createdAt = checkpoint.createdAt || new Date().toISOString();
+  if (!settings.dryRun) {
+    applyJournal();
+  }
+
+  // Counts of this run alone (the checkpoint holds the totals of every run)
+  const run = { read: 0, submitted: 0, skipped: 0, failed: 0 };
+  let stopping = false;
+
+  // The checkpoint is written once per chunk and while settling; the journal records
+  // every line dealt with in between (with its submission id, if it was queued), so a
+  // crashed import neither queues a line twice nor loses count of one
+  function save() {
+    if (!settings.dryRun) {
+      saveCheckpoint(checkpoint, settings.checkpointPath);
+      fs.rmSync(journalPath, { force: true });
+    }
+  }
+
+  // Append what became of a line: { file, line, submissionId } or { file, line, counted }
+  function journal(record) {
+    if (!settings.dryRun) {
+      fs.appendFileSync(journalPath, JSON.stringify(record) + '\n');
+    }
+  }
+
+  // Bring the checkpoint up to date with the lines journaled after it was last written
+  function applyJournal() {
+    if (settings.restart) {
+      fs.rmSync(journalPath, { force: true });
+      return;
+    }
+    if (!fs.existsSync(journalPath)) {
+      return;
+    }
+    for (const text of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+      let record;
+      try {
+        record = JSON.parse(text);
+      } catch (error) {
+        continue; // Blank, or cut off by the crash
+      }
+      const state = checkpoint.files[record.file];
+      if (!state || record.line <= state.line) {
+        continue;
+      }
+      state.line = record.line;
+      state.counts.read++;
+      if (record.submissionId) {
+        state.pending.push({ line: record.line, submissionId: record.submissionId });
+      } else {
+        state.counts[record.counted]++;
+      }
+    }
+    save();
+  }
+
+  function count(state, name) {
+    state.counts[name]++;
+    run[name]++;
+  }
+
+  // Keep a line that was skipped or failed, with the reason, for a later look
+  function reject(state, file, record) {
+    console.error(`[${record.status === 'failed' ? 'ERROR' : 'WARNING'}] ${path.basename(file)}:${record.line} ${record.status}: ${record.reason}`);
+    count(state, record.status);
+    if (!settings.dryRun) {
+      fs.mkdirSync(path.dirname(rejectsPath), { recursive: true });
+      fs.appendFileSync(rejectsPath, JSON.stringify({ file, ...record, at: new Date().toISOString() }) + '\n');
+    }
+  }
+
+  // Wait until every queued submission of a file is confirmed or failed
+  async function settle(file, state) {
+    while (state.pending.length > 0) {
+      const still = [];
+      for (const item of state.pending) {
+        const { status, body } = await callServer(settings, 'GET', `/submissions/${item.submissionId}`);
+        if (status === 404) {
+          reject(state, file, { line: item.line, status: 'failed', reason: `Submission ${item.submissionId} is unknown to the server`, submissionId: item.submissionId });
+        } else if (body.status === 'confirmed') {
+          count(state, 'submitted');
+        } else if (body.status === 'failed') {
+          reject(state, file, { line: item.line, status: 'failed', reason: body.error, submissionId: item.submissionId });
+        } else {
+          still.push(item);
+        }
+      }
+      state.pending = still;
+      save();
+      if (still.length > 0 && stopping) {
+        throw new ImportStopped('Interrupted');
+      }
+      if (still.length > 0) {
+        await sleep(POLL_INTERVAL_MS);
+      }
+    }
+  }
+
+  // Body of the /add-log request for a parsed line
+  function toRequest(entry, file, line) {
+    const body = {
+      message: entry.message,
+      source: entry.source,
+      facility: entry.facility,
+      tags: entry.tags,
+      attributes: { ...entry.attributes, imported: { file, line } },
+      async: true,
+    };
+    const severity = entry.severity !== undefined ? entry.severity : settings.severity;
+    if (severity !== undefined) {
+      body.severity = severity;
+    }
+    if (entry.originalTimestamp !== null && entry.originalTimestamp !== undefined) {
+      body.originalTimestamp = entry.originalTimestamp;
+    }
+    return body;
+  }
+
+  // Queue one line; returns once the server accepted or rejected it, with what to journal
+  async function submit(file, state, entry, line) {
+    if (settings.dryRun) {
+      count(state, 'submitted');
+      return { counted: 'submitted' };
+    }
+    const { status, body } = await callServer(settings, 'POST', '/add-log', toRequest(entry, file, line));
+    if (status === 202) {
+      state.pending.push({ line, submissionId: body.submissionId });
+      return { submissionId: body.submissionId };
+    }
+    reject(state, file, { line, status: 'failed', reason: body.message || `HTTP ${status}` });
+    return { counted: 'failed' };
+  }
+
+  // Import one file from where the checkpoint left it
+  async function importFile(file) {
+    let state = checkpoint.files[file];
+    if (state) {
+      const changed = checkFileUnchanged(file, state);
+      if (changed) {
+        fail(`Cannot resume: ${changed}`, 'Pass --restart to import every file from the start');
+      }
+    } else {
+      state = checkpoint.files[file] = {
+        ...fileFingerprint(file),
+        line: 0,
+        done: false,
+        pending: [],
+        counts: { read: 0, submitted: 0, skipped: 0, failed: 0 },
+      };
+      save(); // So journaled lines of this file have a state to go to
+    }
+
+    await settle(file, state);
+    const fingerprint = fileFingerprint(file);
+    if (state.done && fingerprint.size === state.size) {
+      console.log(`[OK] ${file}: already imported`);
+      return;
+    }
+    state.done = false;
+    if (state.line > 0) {
+      console.log(`Resuming ${file} after line ${state.line}`);
+    } else {
+      console.log(`Importing ${file}`);
+    }
+
+    const format = settings.format || detectFormat(file);
+    const parse = format === 'jsonl' ? parseJsonLine : parseTextLine;
+    const defaults = {
+      host: settings.source,
+      facility: settings.facility || path.basename(file).replace(/\.gz$/i, ''),
+      referenceTime: Math.floor(fs.statSync(file).mtimeMs / 1000),
+    };
+
+    const lines = readLines(file);
+    let line = 0;
+    try {
+      for await (const text of lines) {
+        line++;
+        if (line <= state.line) {
+          continue;
+        }
+        if (stopping) {
+          throw new ImportStopped('Interrupted');
+        }
+        const entry = parse(text, defaults);
+        let outcome = { counted: 'skipped' };
+        if (entry === null) {
+          count(state, 'skipped'); // Blank line
+        } else if (entry.error) {
+          reject(state, file, { line, status: 'skipped', reason: entry.error, text: text });
+        } else {
+          outcome = await submit(file, state, entry, line);
+        }
+        // Counted once the line is dealt with, so a line cut off by a stop is read again
+        count(state, 'read');
+        state.line = line;
+        journal({ file, line, ...outcome }); // Right away, so a resumed import doesn't queue the line again
+
+        if (state.pending.length >= settings.chunkSize) {
+          save();
+          await settle(file, state);
+        }
+      }
+    } finally {
+      lines.close();
+      lines.input.destroy();
+    }
+
+    await settle(file, state);
+    Object.assign(state, fingerprint, { done: true });
+    save();
+    console.log(`[OK] ${file}: ${state.line} lines`);
+  }
+
+  function stop() {
+    stopping = true;
+  }
+
+  function getSummary() {
+    return { run, files: checkpoint.files };
+  }
+
+  return { importFile, stop, save, getSummary };
+}
+
+// Reconciliation of every file: what was read, and where each line ended up
+function printSummary(settings, { run, files }) {
+  console.log('\nReconciliation' + (settings.dryRun ? ' (dry run - nothing was sent)' : ''));
+  const rows = settings.files.filter(file => files[file]).map((file) => {
+    const { counts, pending, done } = files[file];
+    return [file, counts.read, counts.submitted, counts.skipped, counts.failed, pending.length, done ? 'done' : 'incomplete'];
+  });
+  const totals = rows.reduce((sum, row) => sum.map((value, i) => (i > 0 && i < 6 ? value + row[i] : value)),
+    ['Total', 0, 0, 0, 0, 0, '']);
+  const table = [['File', 'Read', 'Submitted', 'Skipped', 'Failed', 'Pending', ''], ...rows, totals];
+  const widths = table[0].map((_, i) => Math.max(...table.map(row => String(row[i]).length)));
+  for (const row of table) {
+    console.log(row.map((value, i) => (i === 0 ? String(value).padEnd(widths[i]) : String(value).padStart(widths[i]))).join('  ').trimEnd());
+  }
+
+  console.log(`This run: read ${run.read}, submitted ${run.submitted}, skipped ${run.skipped}, failed ${run.failed}`);
+  const [, read, submitted, skipped, failed, pending] = totals;
+  if (read === submitted + skipped + failed + pending) {
+    console.log(`[OK] Every line read is accounted for (${read} = ${submitted} + ${skipped} + ${failed}${pending ? ` + ${pending} pending` : ''})`);
+  } else {
+    console.log(`[ERROR] ${read - submitted - skipped - failed - pending} line(s) read are unaccounted for`);
+  }
+  if (!settings.dryRun) {
+    console.log(`Checkpoint: ${settings.checkpointPath}`);
+  }
+  if (failed + skipped > 0 && !settings.dryRun) {
+    console.log(`Skipped and failed lines: ${settings.checkpointPath.replace(/\.json$/, '')}.failed.jsonl`);
+  }
+  return { failed, complete: rows.every(row => row[6] === 'done') };
+}
+
+async function main() {
+  const settings = loadSettings(process.argv.slice(2));
+  const importer = createImport(settings);
+
+  // Ctrl+C stops after the line being sent; queued lines are checked on the next run
+  process.on('SIGINT', () => {
+    console.log('\nStopping after the current line...');
+    importer.stop();
+  });
+
+  let stopped = null;
+  try {
+    for (const file of settings.files) {
+      await importer.importFile(file);
+    }
+  } catch (error) {
+    if (!(error instanceof ImportStopped)) {
+      throw error;
+    }
+    stopped = error.message;
+  }
+  importer.save();
+
+  const { failed } = printSummary(settings, importer.getSummary());
+  if (stopped) {
+    console.error(`[ERROR] Import stopped: ${stopped}`);
+    console.error('  Run the same command again to resume from the checkpoint');
+    process.exit(2);
+  }
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => fail('Import failed', error.message));
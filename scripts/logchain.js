@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+
+// Command line client for reading logs: follow new entries, search the history,
+// show one entry with the transaction and block that wrote it, and export entries
+// as CSV or JSON lines. Reads through the server's HTTP API, or with --rpc straight
+// from the contracts, without the server.
+//
+// Usage: node scripts/logchain.js tail|search|show|export [options]
+
+const fs = require('fs');
+const { Web3 } = require('web3');
+const { createApiClient, createRpcClient } = require('../lib/log-client');
+const { parseSeverity } = require('../lib/severity');
+const {
+  parseNetworkArg,
+  resolveNetwork,
+  createWeb3,
+  checkChainId,
+  loadDeployment,
+  deploymentGenerations,
+} = require('../lib/networks');
+
+const DEFAULT_SERVER_URL = 'http://localhost:3000';
+
+// Entries read per request while searching and exporting
+const PAGE_SIZE = 500;
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'ndjson'];
+
+// Options that never take a value, and short forms
+const BOOLEAN_OPTIONS = ['follow', 'ignore-case', 'json', 'rpc', 'help'];
+const SHORT_OPTIONS = { '-n': 'lines', '-f': 'follow', '-i': 'ignore-case', '-h': 'help' };
+
+// Print usage and exit: 0 for --help (usage on standard output), 2 for a bad command line
+function usage(code = 2) {
+  const print = code === 0 ? console.log : console.error;
+  print('Usage:');
+  print('  node scripts/logchain.js tail [-n <count>] [-f]');
+  print('      Print the last entries (default: 10), oldest first; -f keeps printing new ones');
+  print('  node scripts/logchain.js search [<regex>] [-i] [--limit <n>]');
+  print('      Entries whose message matches the regular expression, newest first (default: 100 of them)');
+  print('  node scripts/logchain.js show <index>');
+  print('      One entry with the transaction and block that wrote it');
+  print('  node scripts/logchain.js export [--format csv|jsonl|ndjson] [--out <file>]');
+  print('      Every matching entry, oldest first (default: CSV to standard output)');
+  print('Filters (tail, search, export):');
+  print('  --from <time>, --to <time>  Unix seconds, ISO 8601 date, or a time ago such as 30m, 2h, 7d');
+  print('  --sender <address>          Sender address (or part of it)');
+  print('  --severity <levels>         Comma-separated severity names or levels (e.g. "error,critical")');
+  print('  --source, --facility, --tag <name>');
+  print('  --contains <text>           Substring of the message, matched by the server (or node) before --regex');
+  print('Output:');
+  print('  --json                      Print entries as JSON (one per line for tail and search)');
+  print('Connection:');
+  print(`  --server <url>              Server to read from (default: LOGCHAIN_SERVER or ${DEFAULT_SERVER_URL})`);
+  print('  --api-key <key>             API key with read access (default: LOGCHAIN_API_KEY)');
+  print('  --rpc                       Read the contracts directly from the network\'s node instead');
+  print('  --rpc-url <url>             Node to read from with --rpc, instead of the network\'s RPC URL');
+  print('  --network <name>            Network whose deployment --rpc reads');
+  print('  Encrypted messages can only be decrypted by the server, for keys granted a recipient');
+  print('Exit code: 0 = ok, 1 = nothing found (search, show), 2 = error');
+  process.exit(code);
+}
+
+// Parse positional arguments, --flag value pairs and flags that take no value
+// Everything after "--" is positional (e.g. a regex starting with "-")
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+    const short = SHORT_OPTIONS[args[i]];
+    if (!args[i].startsWith('--') && !short) {
+      positional.push(args[i]);
+      continue;
+    }
+    const name = short || args[i].slice(2);
+    const next = args[i + 1];
+    if (!BOOLEAN_OPTIONS.includes(name) && next !== undefined && !next.startsWith('--')) {
+      options[name] = next;
+      i++;
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
+
+// Exit with code 2 when the command itself can't be run
+function fail(message, detail) {
+  console.error('[ERROR]', message);
+  if (detail) {
+    console.error(' ', detail);
+  }
+  process.exit(2);
+}
+
+function parseCount(value, name, min) {
+  if (!/^\d+$/.test(String(value)) || parseInt(value, 10) < min) {
+    fail(`${name} must be a whole number of at least ${min}`);
+  }
+  return parseInt(value, 10);
+}
+
+function stringOption(options, name) {
+  if (options[name] === true) {
+    fail(`--${name} needs a value`);
+  }
+  return options[name];
+}
+
+// Unix seconds from a unix timestamp, an ISO 8601 date or a time ago (90s, 30m, 2h, 7d)
+function parseTime(value, name) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const ago = String(value).match(/^(\d+)([smhd])$/);
+  if (ago) {
+    const seconds = { s: 1, m: 60, h: 3600, d: 86400 }[ago[2]];
+    return Math.floor(Date.now() / 1000) - parseInt(ago[1], 10) * seconds;
+  }
+  const ms = Date.parse(value);
+  if (value === true || Number.isNaN(ms)) {
+    fail(`--${name} must be unix seconds, an ISO 8601 date or a time ago (e.g. 30m, 2h, 7d)`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+// Entry filters from the options (see createEntryFilter)
+function parseFilters(options) {
+  const filters = {};
+  if (options.from !== undefined) {
+    filters.from = parseTime(options.from, 'from');
+  }
+  if (options.to !== undefined) {
+    filters.to = parseTime(options.to, 'to');
+  }
+  const severity = stringOption(options, 'severity');
+  if (severity !== undefined) {
+    filters.severities = severity.split(',').map(parseSeverity);
+    if (filters.severities.includes(null)) {
+      fail('--severity must be a comma-separated list of RFC 5424 level names or numbers');
+    }
+  }
+  filters.sender = stringOption(options, 'sender');
+  filters.q = stringOption(options, 'contains');
+  filters.source = stringOption(options, 'source');
+  filters.facility = stringOption(options, 'facility');
+  filters.tag = stringOption(options, 'tag');
+  return filters;
+}
+
+// Explain connection errors; anything else is reported with its message
+function failWithError(error, where, what) {
+  if (error.status === 401 || error.status === 403) {
+    fail(`${what}: ${error.message}`, 'Set LOGCHAIN_API_KEY or pass --api-key <key> (a key with read access)');
+  }
+  if (error.code === 'ECONNREFUSED' || error.message.includes('connect') || error.message.includes('fetch failed')) {
+    fail(`Connection Error: Could not connect to ${where}`, 'Make sure it is running, or pass --server (or --rpc-url)');
+  }
+  const reason = error.cause && error.cause.message ? error.cause.message : error.message;
+  fail(`${what}: ${reason}`);
+}
+
+// Client for the server, or with --rpc for the network's deployment, with where it reads from
+async function connect(network, options) {
+  if (!options.rpc && options['rpc-url'] === undefined) {
+    const url = stringOption(options, 'server') || process.env.LOGCHAIN_SERVER || DEFAULT_SERVER_URL;
+    const client = createApiClient({ url, apiKey: stringOption(options, 'api-key') || process.env.LOGCHAIN_API_KEY });
+    return { ...client, where: url };
+  }
+
+  const contractInfo = loadDeployment(network.name);
+  if (!contractInfo) {
+    fail(`No contract deployed to network ${network.name}`, 'Pass --network <name> for another network\'s deployment');
+  }
+  const rpcUrl = stringOption(options, 'rpc-url');
+  const web3 = rpcUrl ? new Web3(rpcUrl) : createWeb3(network);
+  if (!rpcUrl) {
+    try {
+      await checkChainId(web3, network);
+    } catch (error) {
+      failWithError(error, network.rpcUrl, 'Could not read the node');
+    }
+  }
+  const client = createRpcClient({ web3, generations: deploymentGenerations(contractInfo) });
+  return { ...client, where: rpcUrl || network.rpcUrl };
+}
+
+// Output
+
+function formatTime(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+function fit(value, width) {
+  const text = String(value || '');
+  return text.length > width ? `${text.slice(0, width - 1)}~` : text.padEnd(width);
+}
+
+// Columns of the table; the message takes the rest of the line
+const COLUMNS = [
+  { title: 'INDEX', width: 7, value: entry => entry.index },
+  { title: 'TIME (UTC)', width: 19, value: entry => formatTime(entry.timestamp) },
+  { title: 'SEVERITY', width: 9, value: entry => entry.severity },
+  { title: 'SENDER', width: 13, value: entry => `${entry.sender.slice(0, 6)}..${entry.sender.slice(-4)}` },
+  { title: 'SOURCE', width: 14, value: entry => entry.source },
+  { title: 'FACILITY', width: 12, value: entry => entry.facility },
+];
+
+// One table line; cut to the terminal width when printing to one
+function tableLine(cells, message) {
+  const line = `${cells.join(' ')} ${message}`;
+  return process.stdout.isTTY && process.stdout.columns ? line.slice(0, process.stdout.columns) : line;
+}
+
+function printHeader() {
+  console.log(tableLine(COLUMNS.map(column => fit(column.title, column.width)), 'MESSAGE'));
+}
+
+function printEntry(entry, options) {
+  if (options.json) {
+    console.log(JSON.stringify(entry));
+    return;
+  }
+  const lines = entry.message.split('\n');
+  const message = lines.length > 1 ? `${lines[0]} [+${lines.length - 1} lines]` : lines[0];
+  console.log(tableLine(COLUMNS.map(column => fit(column.value(entry), column.width)), message));
+}
+
+// Commands
+
+// Read pages newest first until `wanted` entries passed `accept` (or the history ends)
+async function collect(client, filters, wanted, accept) {
+  const found = [];
+  let before;
+  while (found.length < wanted) {
+    const { logs, nextCursor } = await client.query({ before, limit: PAGE_SIZE, filters });
+    for (const entry of logs) {
+      if (found.length < wanted && accept(entry)) {
+        found.push(entry);
+      }
+    }
+    if (nextCursor === null || logs.length === 0) {
+      break;
+    }
+    before = nextCursor;
+  }
+  return found;
+}
+
+async function tail(client, options) {
+  const count = options.lines !== undefined ? parseCount(options.lines, '-n', 0) : 10;
+  const filters = parseFilters(options);
+
+  let entries = [];
+  if (count > 0) {
+    try {
+      entries = (await collect(client, filters, count, () => true)).reverse();
+    } catch (error) {
+      failWithError(error, client.where, 'Could not read logs');
+    }
+  }
+  if (!options.json) {
+    printHeader();
+  }
+  entries.forEach(entry => printEntry(entry, options));
+  if (!options.follow) {
+    return;
+  }
+
+  const after = entries.length > 0 ? entries[entries.length - 1].index : undefined;
+  const stop = client.follow({
+    after,
+    filters,
+    onEntry: entry => printEntry(entry, options),
+    onError: (error) => {
+      if (error.status) {
+        failWithError(error, client.where, 'Could not follow logs');
+      }
+      console.error(`[WARNING] ${error.message}; still following`);
+    },
+  });
+  process.on('SIGINT', () => {
+    stop();
+    process.exit(0);
+  });
+}
+
+async function search(client, pattern, options) {
+  let regex = null;
+  if (pattern !== undefined) {
+    try {
+      regex = new RegExp(pattern, options['ignore-case'] ? 'i' : '');
+    } catch (error) {
+      fail(`Invalid regular expression: ${error.message}`);
+    }
+  }
+  const limit = options.limit !== undefined ? parseCount(options.limit, '--limit', 1) : 100;
+  const filters = parseFilters(options);
+
+  let entries;
+  try {
+    entries = await collect(client, filters, limit, entry => !regex || regex.test(entry.message));
+  } catch (error) {
+    failWithError(error, client.where, 'Search failed');
+  }
+
+  if (entries.length === 0) {
+    if (!options.json) {
+      console.error('No matching entries');
+    }
+    process.exit(1);
+  }
+  if (!options.json) {
+    printHeader();
+  }
+  entries.forEach(entry => printEntry(entry, options));
+}
+
+async function show(client, value, options) {
+  if (value === undefined) {
+    usage();
+  }
+  const index = parseCount(value, 'The index', 0);
+
+  let result;
+  try {
+    result = await client.get(index);
+  } catch (error) {
+    failWithError(error, client.where, 'Could not read the entry');
+  }
+  if (!result) {
+    console.error(`[ERROR] No log entry with index ${index}`);
+    process.exit(1);
+  }
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const { log, transaction, block, confirmations } = result;
+  const rows = [
+    ['Index', log.index],
+    ['Time', `${formatTime(log.timestamp)} UTC (${log.timestamp})`],
+    ['Original time', log.originalTimestamp ? `${formatTime(log.originalTimestamp)} UTC` : null],
+    ['Severity', `${log.severity} (${log.severityLevel})`],
+    ['Sender', log.sender],
+    ['Source', log.source],
+    ['Facility', log.facility],
+    ['Tags', log.tags.length > 0 ? log.tags.join(', ') : null],
+    ['Attributes', log.attributes ? JSON.stringify(log.attributes) : null],
+    ['Encrypted', log.encrypted ? (log.redacted ? 'yes, not readable with this key' : 'yes') : null],
+    ['Contract', `${log.contractAddress} (entry ${log.contractIndex})`],
+    ['Content hash', log.contentHash],
+    ['Previous hash', log.prevHash],
+  ];
+  if (transaction) {
+    rows.push(
+      ['Transaction', transaction.hash],
+      ['  Status', transaction.status ? 'success' : 'failed'],
+      ['  From', transaction.from],
+      ['  To', transaction.to],
+      ['  Nonce', transaction.nonce],
+      ['  Gas used', transaction.gasUsed],
+      ['  Gas price', `${transaction.gasPrice} wei`],
+      ['Block', block.number],
+      ['  Hash', block.hash],
+      ['  Time', `${formatTime(block.timestamp)} UTC`],
+      ['  Transactions', block.transactions],
+      ['  Confirmations', confirmations],
+    );
+  } else {
+    rows.push(['Transaction', 'unknown (indexed without its LogAdded event)']);
+  }
+
+  for (const [name, value] of rows) {
+    if (value !== null && value !== undefined && value !== '') {
+      console.log(`${`${name}:`.padEnd(17)} ${value}`);
+    }
+  }
+  console.log('Message:');
+  console.log(log.message.split('\n').map(line => `  ${line}`).join('\n'));
+}
+
+// CSV with the columns of the web UI's export
+function csvLines(entries) {
+  const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+  const header = 'Index,Severity,Timestamp,Original Timestamp,Sender,Source,Facility,Tags,Message';
+  return [header, ...entries.map(entry => [
+    entry.index,
+    entry.severity,
+    new Date(Number(entry.timestamp) * 1000).toISOString(),
+    entry.originalTimestamp ? new Date(Number(entry.originalTimestamp) * 1000).toISOString() : '',
+    entry.sender,
+    quote(entry.source || ''),
+    quote(entry.facility || ''),
+    quote((entry.tags || []).join(' ')),
+    quote(entry.message),
+  ].join(','))];
+}
+
+async function exportLogs(client, options) {
+  const format = stringOption(options, 'format') || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    fail(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const out = stringOption(options, 'out');
+  const filters = parseFilters(options);
+
+  let entries;
+  try {
+    entries = (await collect(client, filters, Infinity, () => true)).reverse();
+  } catch (error) {
+    failWithError(error, client.where, 'Export failed');
+  }
+
+  const lines = format === 'csv' ? csvLines(entries) : entries.map(entry => JSON.stringify(entry));
+  const text = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  if (out) {
+    fs.writeFileSync(out, text);
+    console.log(`[OK] Exported ${entries.length} entries to ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+async function main() {
+  let network;
+  let args;
+  try {
+    ({ network, args } = parseNetworkArg(process.argv.slice(2)));
+    network = resolveNetwork(network);
+  } catch (error) {
+    fail(`Invalid network config: ${error.message}`);
+  }
+
+  const { positional, options } = parseArgs(args);
+  const command = positional[0];
+  if (options.help) {
+    usage(0);
+  }
+  if (!['tail', 'search', 'show', 'export'].includes(command)) {
+    if (command !== undefined) {
+      console.error(`[ERROR] Unknown command: ${command}`);
+    }
+    usage(2);
+  }
+
+  const client = await connect(network, options);
+  if (command === 'tail') {
+    await tail(client, options);
+  } else if (command === 'search') {
+    await search(client, positional[1], options);
+  } else if (command === 'show') {
+    await show(client, positional[1], options);
+  } else {
+    await exportLogs(client, options);
+  }
+}
+
+main().catch(error => fail('Unexpected error', error.message));
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+const {
+  READ_SCOPES,
+  hashKey,
+  generateKey,
+  loadKeyStore,
+  saveKeyStore,
+} = require('../lib/api-keys');
+const { updateWriterRole } = require('../lib/writer-role');
+const {
+  parseNetworkArg,
+  resolveNetwork,
+  createWeb3,
+  getSignerAccounts,
+  loadDeployment,
+} = require('../lib/networks');
+
+// Ether sent to a newly generated signing key so it can pay for gas
+const DEFAULT_FUND_ETHER = '10';
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/manage-keys.js create --name <name> [options]');
+  console.log('      --account <address>  Send this key\'s logs from a Ganache account');
+  console.log('      --generate           Send this key\'s logs from a new local signing key');
+  console.log(`      --fund <ether>       Ether to fund a generated key with (default ${DEFAULT_FUND_ETHER})`);
+  console.log(`      --read <scope>       Read access: ${READ_SCOPES.join(', ')} (default own)`);
+  console.log('      --admin              May add, change and remove alerting rules (/rules)');
+  console.log('    Without --account or --generate, the next unused Ganache account is assigned');
+  console.log('  node scripts/manage-keys.js list');
+  console.log('  node scripts/manage-keys.js revoke <id>');
+  console.log('  Add --network <name> to manage keys for another network (keys only work on the network they were created for)');
+  console.log('New keys get the contract\'s writer role; revoking the last key of an account revokes it');
+  process.exit(1);
+}
+
+// Parse --flag value pairs (and bare --flags) after the command
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      continue;
+    }
+    const name = args[i].slice(2);
+    const next = args[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[name] = next;
+      i++;
+    } else {
+      options[name] = true;
+    }
+  }
+  return options;
+}
+
+// Connect to the network's node and load its deployment (null if not deployed yet)
+function connect(network) {
+  const contractInfo = loadDeployment(network.name);
+  return { web3: createWeb3(network), ganacheUrl: network.rpcUrl, contractInfo };
+}
+
+// Grant or revoke the writer role, warning instead of failing if it can't be done
+async function setWriterRole(web3, network, contractInfo, account, grant) {
+  if (!contractInfo) {
+    console.log('[WARNING] Contract not deployed - writer role not changed');
+    return;
+  }
+
+  try {
+    const { changed } = await updateWriterRole(web3, contractInfo, account, grant, { network });
+    if (changed) {
+      console.log(`[OK] ${grant ? 'Granted' : 'Revoked'} writer role ${grant ? 'to' : 'from'} ${account}`);
+    }
+  } catch (error) {
+    const reason = error.cause && error.cause.message ? error.cause.message : error.message;
+    console.log('[WARNING] Could not change writer role:', reason);
+    console.log(`  Run: npm run writers -- ${grant ? 'grant' : 'revoke'} ${account}`);
+  }
+}
+
+// Create a key and assign it a sender account
+async function createKey(network, options) {
+  if (!options.name || options.name === true) {
+    console.error('[ERROR] Please provide a --name for the key');
+    usage();
+  }
+
+  const read = options.read || 'own';
+  if (!READ_SCOPES.includes(read)) {
+    console.error(`[ERROR] --read must be one of: ${READ_SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const store = loadKeyStore();
+  const { web3, ganacheUrl, contractInfo } = connect(network);
+
+  let account;
+  let privateKey = null;
+
+  try {
+    const accounts = await getSignerAccounts(web3, network);
+
+    if (options.generate) {
+      // New local signing key, funded from the network's first signer account
+      const created = web3.eth.accounts.create();
+      account = created.address;
+      privateKey = created.privateKey;
+
+      const fundEther = options.fund && options.fund !== true ? options.fund : DEFAULT_FUND_ETHER;
+      await web3.eth.sendTransaction({
+        from: accounts[0],
+        to: account,
+        value: web3.utils.toWei(fundEther, 'ether'),
+      });
+      console.log(`[OK] Funded ${account} with ${fundEther} ETH`);
+    } else if (options.account && options.account !== true) {
+      account = accounts.find(a => a.toLowerCase() === options.account.toLowerCase());
+      if (!account) {
+        console.error('[ERROR] Account is not an unlocked Ganache account:', options.account);
+        process.exit(1);
+      }
+    } else {
+      // Next Ganache account not already used by a key (accounts[0] is the server's)
+      const used = new Set(store.keys
+        .filter(key => !key.revoked && (!key.network || key.network === network.name))
+        .map(key => key.account.toLowerCase()));
+      account = accounts.slice(1).find(a => !used.has(a.toLowerCase()));
+      if (!account) {
+        console.error('[ERROR] No unused Ganache accounts left');
+        console.error('  Use --generate to create a local signing key instead');
+        process.exit(1);
+      }
+    }
+  } catch (error) {
+    if (error.code === 'ECONNREFUSED' || error.message.includes('connect') || error.message.includes('fetch failed')) {
+      console.error('[ERROR] Connection Error: Could not connect to Ganache');
+      console.error('  Make sure Ganache is running at', ganacheUrl);
+    } else {
+      console.error('[ERROR] Error:', error.message);
+    }
+    process.exit(1);
+  }
+
+  const { id, secret } = generateKey();
+  store.keys.push({
+    id: id,
+    name: options.name,
+    keyHash: hashKey(secret),
+    account: account,
+    privateKey: privateKey,
+    network: network.name,
+    read: read,
+    admin: options.admin === true,
+    createdAt: new Date().toISOString(),
+    revoked: false,
+  });
+  saveKeyStore(store);
+
+  // Allow the key's account to write to the contract
+  await setWriterRole(web3, network, contractInfo, account, true);
+
+  console.log('[OK] API key created');
+  console.log('  ID:     ', id);
+  console.log('  Name:   ', options.name);
+  console.log('  Sender: ', account, privateKey ? '(local signing key)' : '(Ganache account)');
+  console.log('  Read:   ', read);
+  console.log('  Admin:  ', options.admin === true ? 'yes' : 'no');
+  console.log('');
+  console.log('  Key:    ', secret);
+  console.log('');
+  console.log('Store the key now - it cannot be shown again.');
+}
+
+// List keys without secrets
+function listKeys() {
+  const store = loadKeyStore();
+  if (store.keys.length === 0) {
+    console.log('No API keys found');
+    return;
+  }
+
+  for (const key of store.keys) {
+    const status = key.revoked ? 'revoked' : 'active';
+    console.log(`${key.id}  ${key.name}  ${key.account}  network=${key.network || 'any'}  read=${key.read}${key.admin ? '  admin' : ''}  ${status}  ${key.createdAt}`);
+  }
+}
+
+// Revoke a key by id
+async function revokeKey(network, id) {
+  if (!id) {
+    usage();
+  }
+
+  const store = loadKeyStore();
+  const key = store.keys.find(k => k.id === id);
+  if (!key) {
+    console.error('[ERROR] No API key with id', id);
+    process.exit(1);
+  }
+
+  key.revoked = true;
+  key.revokedAt = new Date().toISOString();
+  saveKeyStore(store);
+  console.log(`[OK] Revoked API key ${id} (${key.name})`);
+
+  // Revoke the writer role (on the key's own network) unless another active key still sends from the account
+  const keyNetwork = key.network ? resolveNetwork(key.network) : network;
+  const stillUsed = store.keys.some(k => !k.revoked && k.account.toLowerCase() === key.account.toLowerCase() &&
+    (!k.network || !key.network || k.network === key.network));
+  const { web3, contractInfo } = connect(keyNetwork);
+  const isOwner = contractInfo && contractInfo.owner &&
+    contractInfo.owner.toLowerCase() === key.account.toLowerCase();
+  if (!stillUsed && !isOwner) {
+    await setWriterRole(web3, network, contractInfo, key.account, false);
+  }
+}
+
+// Run the requested command
+async function main() {
+  let network;
+  let rest;
+  try {
+    const parsed = parseNetworkArg(process.argv.slice(2));
+    rest = parsed.args;
+    network = resolveNetwork(parsed.network);
+  } catch (error) {
+    console.error('[ERROR] Invalid network config:', error.message);
+    process.exit(1);
+  }
+  const [command, ...args] = rest;
+
+  switch (command) {
+    case 'create':
+      await createKey(network, parseOptions(args));
+      break;
+    case 'list':
+      listKeys();
+      break;
+    case 'revoke':
+      await revokeKey(network, args[0]);
+      break;
+    default:
+      usage();
+  }
+}
+
+main().catch((error) => {
+  console.error('[ERROR] Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const {
+  recipientId,
+  generateRecipientKeyPair,
+  loadRecipientStore,
+  saveRecipientStore,
+} = require('../lib/encryption');
+const { loadKeyStore, saveKeyStore } = require('../lib/api-keys');
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/manage-recipients.js create --name <name>');
+  console.log('      New key pair; the server keeps the private key and decrypts for granted API keys');
+  console.log('  node scripts/manage-recipients.js add --name <name> --public-key <file.pem>');
+  console.log('      Encrypt for a key pair held elsewhere (the server cannot decrypt for it)');
+  console.log('  node scripts/manage-recipients.js list');
+  console.log('  node scripts/manage-recipients.js export <id>');
+  console.log('      Print the public key, e.g. for the streamer\'s --encrypt-for');
+  console.log('  node scripts/manage-recipients.js grant <id> <api-key-id>');
+  console.log('  node scripts/manage-recipients.js ungrant <id> <api-key-id>');
+  console.log('  node scripts/manage-recipients.js remove <id> [--force]');
+  console.log('      --force is needed when the server holds the private key, which is deleted with it');
+  console.log('API keys granted a recipient see its encrypted messages in plaintext; everyone else sees a placeholder');
+  process.exit(1);
+}
+
+// Parse --flag value pairs after the command
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--') && args[i + 1] !== undefined) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+function findRecipient(store, id) {
+  const recipient = store.recipients.find(r => r.id === id);
+  if (!recipient) {
+    console.error('[ERROR] No recipient with id', id);
+    process.exit(1);
+  }
+  return recipient;
+}
+
+// Add a recipient to the store, refusing duplicates
+function addToStore(store, recipient) {
+  if (store.recipients.some(r => r.id === recipient.id)) {
+    console.error('[ERROR] That public key is already recipient', recipient.id);
+    process.exit(1);
+  }
+  store.recipients.push(recipient);
+  saveRecipientStore(store);
+
+  console.log('[OK] Recipient added');
+  console.log('  ID:         ', recipient.id);
+  console.log('  Name:       ', recipient.name);
+  console.log('  Private key:', recipient.privateKey ? 'kept by the server' : 'held elsewhere');
+  console.log('');
+  console.log(recipient.publicKey.trim());
+}
+
+// Generate a key pair whose private key the server keeps
+function createRecipient(options) {
+  if (!options.name) {
+    console.error('[ERROR] Please provide a --name for the recipient');
+    usage();
+  }
+
+  const keyPair = generateRecipientKeyPair();
+  addToStore(loadRecipientStore(), {
+    id: keyPair.id,
+    name: options.name,
+    publicKey: keyPair.publicKey,
+    privateKey: keyPair.privateKey,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// Register an existing X25519 public key
+function addRecipient(options) {
+  if (!options.name || !options['public-key']) {
+    console.error('[ERROR] Please provide a --name and a --public-key file');
+    usage();
+  }
+
+  let publicKey;
+  let id;
+  try {
+    publicKey = fs.readFileSync(options['public-key'], 'utf8');
+    id = recipientId(publicKey);
+  } catch (error) {
+    console.error('[ERROR] Could not read an X25519 public key (PEM) from', options['public-key']);
+    console.error('  ' + error.message);
+    process.exit(1);
+  }
+
+  addToStore(loadRecipientStore(), {
+    id: id,
+    name: options.name,
+    publicKey: publicKey,
+    privateKey: null,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// List recipients and the API keys that may decrypt for them
+function listRecipients() {
+  const store = loadRecipientStore();
+  if (store.recipients.length === 0) {
+    console.log('No recipients found');
+    return;
+  }
+
+  const keys = loadKeyStore().keys.filter(key => !key.revoked);
+  for (const recipient of store.recipients) {
+    const granted = keys.filter(key => (key.recipients || []).includes(recipient.id)).map(key => key.id);
+    const holder = recipient.privateKey ? 'server' : 'external';
+    console.log(`${recipient.id}  ${recipient.name}  private-key=${holder}  keys=${granted.join(',') || '-'}  ${recipient.createdAt}`);
+  }
+}
+
+// Print a recipient's public key
+function exportRecipient(id) {
+  if (!id) {
+    usage();
+  }
+  process.stdout.write(findRecipient(loadRecipientStore(), id).publicKey);
+}
+
+// Let an API key read (or stop reading) messages encrypted for a recipient
+function setGrant(id, keyId, grant) {
+  if (!id || !keyId) {
+    usage();
+  }
+
+  const recipient = findRecipient(loadRecipientStore(), id);
+  const keyStore = loadKeyStore();
+  const key = keyStore.keys.find(k => k.id === keyId);
+  if (!key) {
+    console.error('[ERROR] No API key with id', keyId);
+    process.exit(1);
+  }
+
+  const recipients = new Set(key.recipients || []);
+  if (grant) {
+    recipients.add(id);
+  } else {
+    recipients.delete(id);
+  }
+  key.recipients = [...recipients];
+  saveKeyStore(keyStore);
+
+  console.log(`[OK] API key ${key.id} (${key.name}) ${grant ? 'can now' : 'can no longer'} read messages for ${recipient.id} (${recipient.name})`);
+  if (grant && !recipient.privateKey) {
+    console.log('[WARNING] The server does not hold this recipient\'s private key, so it cannot decrypt for it');
+  }
+}
+
+// Remove a recipient; messages encrypted only for it can no longer be read through the server
+function removeRecipient(id, force) {
+  if (!id) {
+    usage();
+  }
+
+  const store = loadRecipientStore();
+  const recipient = findRecipient(store, id);
+  if (recipient.privateKey && !force) {
+    console.error(`[ERROR] The server holds the private key of ${id}; removing it makes its messages unreadable`);
+    console.error('  Back up data/recipients.json first, then run again with --force');
+    process.exit(1);
+  }
+  store.recipients = store.recipients.filter(r => r.id !== id);
+  saveRecipientStore(store);
+
+  const keyStore = loadKeyStore();
+  for (const key of keyStore.keys) {
+    if (key.recipients) {
+      key.recipients = key.recipients.filter(r => r !== id);
+    }
+  }
+  saveKeyStore(keyStore);
+
+  console.log(`[OK] Removed recipient ${id} (${recipient.name})`);
+}
+
+// Run the requested command
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'create':
+      createRecipient(parseOptions(args));
+      break;
+    case 'add':
+      addRecipient(parseOptions(args));
+      break;
+    case 'list':
+      listRecipients();
+      break;
+    case 'export':
+      exportRecipient(args[0]);
+      break;
+    case 'grant':
+      setGrant(args[0], args[1], true);
+      break;
+    case 'ungrant':
+      setGrant(args[0], args[1], false);
+      break;
+    case 'remove':
+      removeRecipient(args[0], args.includes('--force'));
+      break;
+    default:
+      usage();
+  }
+}
+
+main();
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const { updateWriterRole } = require('../lib/writer-role');
+const { parseNetworkArg, resolveNetwork, createWeb3, loadDeployment } = require('../lib/networks');
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/manage-writers.js list');
+  console.log('  node scripts/manage-writers.js grant <address>');
+  console.log('  node scripts/manage-writers.js revoke <address>');
+  console.log('  Add --network <name> to use another network\'s deployment');
+  console.log('Role changes are sent from the contract owner, which must be a signer account of the network');
+  process.exit(1);
+}
+
+// Run the requested command
+async function main() {
+  let network;
+  let args;
+  try {
+    const parsed = parseNetworkArg(process.argv.slice(2));
+    args = parsed.args;
+    network = resolveNetwork(parsed.network);
+  } catch (error) {
+    console.error('[ERROR] Invalid network config:', error.message);
+    process.exit(1);
+  }
+
+  const [command, address] = args;
+  if (!['list', 'grant', 'revoke'].includes(command)) {
+    usage();
+  }
+
+  let contractInfo;
+  try {
+    contractInfo = loadDeployment(network.name);
+  } catch (error) {
+    console.error('[ERROR] Could not load contract-info.json:', error.message);
+    process.exit(1);
+  }
+  if (!contractInfo) {
+    console.error(`[ERROR] No contract deployed to network ${network.name}`);
+    console.error(`  Please run: npm run deploy -- --network ${network.name}`);
+    process.exit(1);
+  }
+
+  const ganacheUrl = network.rpcUrl;
+  const web3 = createWeb3(network);
+
+  try {
+    if (command === 'list') {
+      const contract = new web3.eth.Contract(contractInfo.abi, contractInfo.address);
+      const owner = await contract.methods.owner().call();
+      const writers = await contract.methods.getWriters().call();
+
+      console.log('Owner:', owner);
+      console.log(`Writers (${writers.length}):`);
+      writers.forEach(writer => console.log('  ' + writer));
+      return;
+    }
+
+    if (!address || !web3.utils.isAddress(address)) {
+      console.error('[ERROR] Please provide a valid address');
+      usage();
+    }
+
+    const grant = command === 'grant';
+    const { changed, owner } = await updateWriterRole(web3, contractInfo, address, grant, { network });
+
+    if (!changed) {
+      console.log(`[OK] ${address} ${grant ? 'already has' : 'does not have'} the writer role`);
+    } else {
+      console.log(`[OK] ${grant ? 'Granted' : 'Revoked'} writer role ${grant ? 'to' : 'from'} ${address} (sent by owner ${owner})`);
+    }
+  } catch (error) {
+    if (error.code === 'ECONNREFUSED' || error.message.includes('connect') || error.message.includes('fetch failed')) {
+      console.error('[ERROR] Connection Error: Could not connect to Ganache');
+      console.error('  Make sure Ganache is running at', ganacheUrl);
+    } else {
+      const reason = error.cause && error.cause.message ? error.cause.message : error.message;
+      console.error('[ERROR] Error:', reason);
+    }
+    process.exit(1);
+  }
+}
+
+main();
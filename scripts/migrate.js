@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+// Deploy a new SecureLog version that carries on the current deployment's log history
+// The new contract records its predecessor, and the chain of entry hashes runs on
+// from the predecessor's head. The server then reads every generation as one history.
+//
+// Modes:
+//   (default)  link  - the predecessor's entries stay where they are
+//   --replay         - copy every entry into the new contract with its original sender
+//                      and timestamp; the predecessor is no longer needed afterwards
+//   --anchor         - link, and anchor a Merkle root of the predecessor's entry hashes in
+//                      the new contract; proofs are saved to data/migrations/<address>.json
+//
+// Writers of the predecessor are granted the writer role on the new contract.
+// Stop the server and log streamers first: entries written to the predecessor during
+// the migration are not part of the history.
+
+const fs = require('fs');
+const path = require('path');
+const { compileContract } = require('../lib/compile');
+const { DATA_DIR } = require('../lib/data-dir');
+const { computeEntryHash } = require('../lib/hash-chain');
+const { buildTree, getRoot, getProof } = require('../lib/merkle');
+const { updateWriterRole } = require('../lib/writer-role');
+const { createTxSender, addGasMargin } = require('../server/tx-sender');
+const {
+  parseNetworkArg,
+  resolveNetwork,
+  createWeb3,
+  getSignerAccounts,
+  txSenderOptions,
+  checkChainId,
+  loadDeployment,
+  saveDeployment,
+  deploymentGenerations,
+} = require('../lib/networks');
+
+// Anchor proofs, one file per new contract
+const MIGRATIONS_DIR = path.join(DATA_DIR, 'migrations');
+
+// Print progress every this many replayed or hashed entries
+const PROGRESS_EVERY = 100;
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/migrate.js [--replay | --anchor] [--owner <address>]');
+  console.log('      --replay          Copy the old contract\'s entries into the new one');
+  console.log('      --anchor          Anchor a Merkle root of the old contract\'s entries in the new one');
+  console.log('      --owner <address> Owner of the new contract (default: the network\'s first signer)');
+  console.log('  Add --network <name> to migrate another network\'s deployment');
+  process.exit(1);
+}
+
+// Copy the predecessor's entries into the new contract, in order
+async function replayEntries(oldContract, newContract, count, owner, sender) {
+  for (let i = 0; i < count; i++) {
+    const log = await oldContract.methods.getLog(i).call();
+    await sender.send(newContract.methods.replayLog(
+      log.message,
+      log.severity,
+      log.source,
+      log.facility,
+      log.tags,
+      log.attributes,
+      log.sender,
+      log.timestamp
+    ), { from: owner });
+
+    if ((i + 1) % PROGRESS_EVERY === 0 || i + 1 === count) {
+      console.log(`  Replayed ${i + 1}/${count} entries`);
+    }
+  }
+
+  if (await newContract.methods.replaying().call()) {
+    throw new Error('Replay did not complete');
+  }
+}
+
+// Anchor a Merkle root of the predecessor's entry hashes and save a proof for every entry
+async function anchorEntries(oldContract, newContract, count, offset, owner, sender, proofsPath) {
+  const leaves = [];
+  for (let i = 0; i < count; i++) {
+    const log = await oldContract.methods.getLog(i).call();
+    leaves.push(computeEntryHash(log.prevHash, log.contentHash, log.sender, log.timestamp));
+    if ((i + 1) % PROGRESS_EVERY === 0 || i + 1 === count) {
+      console.log(`  Hashed ${i + 1}/${count} entries`);
+    }
+  }
+
+  const levels = buildTree(leaves);
+  const root = getRoot(levels);
+  const receipt = await sender.send(newContract.methods.anchorBatch(root, count), { from: owner });
+  const [event] = await newContract.getPastEvents('BatchAnchored', {
+    fromBlock: receipt.blockNumber,
+    toBlock: receipt.blockNumber,
+  });
+  const batchIndex = Number(event.returnValues.batchIndex);
+
+  const anchor = {
+    batchIndex: batchIndex,
+    root: root,
+    count: count,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber.toString(),
+  };
+
+  // Each leaf is the chain hash of an entry: keccak256(prevHash, contentHash, sender, timestamp)
+  // Check one with the new contract's verifyBatchProof(batchIndex, leaf, proof)
+  fs.mkdirSync(path.dirname(proofsPath), { recursive: true });
+  fs.writeFileSync(proofsPath, JSON.stringify({
+    contractAddress: newContract.options.address,
+    predecessor: oldContract.options.address,
+    ...anchor,
+    entries: leaves.map((leaf, i) => ({
+      index: offset + i,
+      contractIndex: i,
+      leaf: leaf,
+      proof: getProof(levels, i),
+    })),
+  }, null, 2));
+
+  return anchor;
+}
+
+async function main() {
+  let network;
+  let args;
+  try {
+    const parsed = parseNetworkArg(process.argv.slice(2));
+    args = parsed.args;
+    network = resolveNetwork(parsed.network);
+  } catch (error) {
+    console.error('[ERROR] Invalid network config:', error.message);
+    process.exit(1);
+  }
+
+  const replay = args.includes('--replay');
+  const anchor = args.includes('--anchor');
+  const ownerIndex = args.indexOf('--owner');
+  const ownerArg = ownerIndex !== -1 ? args[ownerIndex + 1] : null;
+  if (args.includes('--help') || (replay && anchor) || (ownerIndex !== -1 && !ownerArg)) {
+    usage();
+  }
+
+  let previous;
+  try {
+    previous = loadDeployment(network.name);
+  } catch (error) {
+    console.error('[ERROR] Could not load contract-info.json:', error.message);
+    process.exit(1);
+  }
+  if (!previous) {
+    console.error(`[ERROR] No contract deployed to network ${network.name}; nothing to migrate`);
+    console.error(`  Please run: npm run deploy -- --network ${network.name}`);
+    process.exit(1);
+  }
+  if (!previous.abi.some(item => item.name === 'lastHash')) {
+    console.error(`[ERROR] The contract at ${previous.address} has no hash chain and cannot be succeeded`);
+    process.exit(1);
+  }
+
+  const ganacheUrl = network.rpcUrl;
+  const web3 = createWeb3(network);
+  let sender = null;
+
+  try {
+    await checkChainId(web3, network);
+    console.log(`[OK] Connected to network ${network.name} at ${ganacheUrl}`);
+
+    const code = await web3.eth.getCode(previous.address);
+    if (!code || code === '0x') {
+      throw new Error(`No contract at ${previous.address}; deploy a fresh one with: npm run deploy -- --network ${network.name} --force`);
+    }
+
+    const accounts = await getSignerAccounts(web3, network);
+    if (accounts.length === 0) {
+      throw new Error(`No signer accounts available on network ${network.name}`);
+    }
+    const deployer = accounts[0];
+
+    if (ownerArg && !web3.utils.isAddress(ownerArg)) {
+      throw new Error('Invalid --owner address: ' + ownerArg);
+    }
+    const owner = ownerArg || deployer;
+    if (!accounts.some(account => account.toLowerCase() === owner.toLowerCase())) {
+      throw new Error(`Owner ${owner} must be a signer account of network ${network.name}, since the migration sends owner-only transactions`);
+    }
+
+    const oldContract = new web3.eth.Contract(previous.abi, previous.address);
+    const writers = await oldContract.methods.getWriters().call();
+
+    console.log('Predecessor:', previous.address);
+    console.log('Mode:', replay ? 'replay' : anchor ? 'link and anchor' : 'link');
+    console.log('Compiling contract...');
+    const { abi, bytecode } = compileContract();
+
+    // The constructor snapshots the predecessor's entry count and head hash
+    console.log('Deploying contract...');
+    let deployReceipt;
+    const deployment = new web3.eth.Contract(abi).deploy({
+      data: bytecode,
+      arguments: [owner, previous.address, replay],
+    });
+    const gasEstimate = await deployment.estimateGas({ from: deployer });
+    const newContract = await deployment.send({
+      from: deployer,
+      gas: addGasMargin(gasEstimate, network.gas.marginPercent).toString(),
+    }).on('receipt', (receipt) => {
+      deployReceipt = receipt;
+    });
+    const address = newContract.options.address;
+
+    // Owner transactions to the new contract go through the tx-sender, with the network's gas policy
+    sender = createTxSender({
+      web3: web3,
+      to: address,
+      pool: [owner],
+      ...txSenderOptions(web3, network),
+    });
+
+    const count = Number(await newContract.methods.predecessorLogCount().call());
+    const headHash = await newContract.methods.predecessorHead().call();
+    console.log(`[OK] Deployed ${address}, succeeding ${count} entries (head ${headHash})`);
+
+    if (replay && count > 0) {
+      console.log('Replaying entries...');
+      await replayEntries(oldContract, newContract, count, owner, sender);
+      console.log('[OK] Replay complete; the new contract\'s chain matches the predecessor\'s');
+    }
+
+    // Writers of the predecessor keep writing to the new contract
+    const newInfo = { abi: abi, address: address };
+    for (const writer of writers) {
+      if ((await updateWriterRole(web3, newInfo, writer, true, { sender })).changed) {
+        console.log('[OK] Granted writer role to', writer);
+      }
+    }
+
+    // History index of the predecessor's first entry
+    const offset = deploymentGenerations(previous).pop().offset;
+
+    let anchored = null;
+    if (anchor) {
+      if (count === 0) {
+        console.log('[WARNING] The predecessor has no entries; nothing to anchor');
+      } else {
+        console.log('Anchoring entries...');
+        const proofsPath = path.join(MIGRATIONS_DIR, address.toLowerCase() + '.json');
+        anchored = await anchorEntries(oldContract, newContract, count, offset, owner, sender, proofsPath);
+        anchored.proofs = path.relative(path.join(__dirname, '..'), proofsPath);
+        console.log(`[OK] Anchored batch ${anchored.batchIndex} with root ${anchored.root}`);
+        console.log('  Proofs saved to', anchored.proofs);
+      }
+    }
+
+    sender.stop();
+
+    // A replayed predecessor is fully contained in the new contract; a linked one stays in the history
+    const history = replay
+      ? previous.history || []
+      : [...(previous.history || []), {
+        address: previous.address,
+        abi: previous.abi,
+        blockNumber: previous.blockNumber,
+        logCount: count,
+      }];
+
+    saveDeployment(network.name, {
+      abi: abi,
+      address: address,
+      owner: owner,
+      blockNumber: deployReceipt ? deployReceipt.blockNumber.toString() : '0',
+      chainId: Number(await web3.eth.getChainId()),
+      rpcUrl: ganacheUrl,
+      deployedAt: new Date().toISOString(),
+      predecessor: previous.address,
+      migration: {
+        mode: replay ? 'replay' : 'link',
+        predecessorLogCount: count,
+        predecessorHead: headHash,
+        anchor: anchored,
+      },
+      history: history,
+    });
+
+    // Anything written to the predecessor since the snapshot was left behind
+    const late = Number(await oldContract.methods.logCount().call()) - count;
+    if (late > 0) {
+      console.log(`[WARNING] ${late} entries were written to ${previous.address} during the migration and are not part of the history`);
+    }
+
+    console.log('\n[OK] Migration complete!');
+    console.log('Contract Address:', address);
+    console.log('Owner:', owner);
+    console.log(`Contract info saved to contract-info.json (network ${network.name})`);
+    console.log('Restart the server to pick up the new contract\n');
+  } catch (error) {
+    if (sender) {
+      sender.stop();
+    }
+    if (error.code === 'ECONNREFUSED' || error.message.includes('connect') || error.message.includes('fetch failed')) {
+      console.error('[ERROR] Connection Error: Could not connect to Ganache');
+      console.error('  Make sure Ganache is running at', ganacheUrl);
+    } else {
+      const reason = error.cause && error.cause.message ? error.cause.message : error.message;
+      console.error('[ERROR] Error:', reason);
+    }
+    process.exit(1);
+  }
+}
+
+main();
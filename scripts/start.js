@@ -1,17 +1,22 @@
 #!/usr/bin/env node
 
 const { spawn } = require('child_process');
-const { Web3 } = require('web3');
-const fs = require('fs');
-const path = require('path');
-
-const GANACHE_URL = 'http://127.0.0.1:7545';
-const CONTRACT_INFO_PATH = path.join(__dirname, '..', 'data', 'contract-info.json');
+const { parseNetworkArg, resolveNetwork, createWeb3, loadDeployment } = require('../lib/networks');
+
+// Network to start against (see lib/networks.js)
+// Usage: node scripts/start.js [--network <name>]
+let network;
+try {
+  network = resolveNetwork(parseNetworkArg(process.argv.slice(2)).network);
+} catch (error) {
+  console.error('[ERROR] Invalid network config:', error.message);
+  process.exit(1);
+}
 
-// Check if Ganache is running
+// Check if the network's node (Ganache by default) is running
 async function checkGanache() {
   try {
-    const web3 = new Web3(GANACHE_URL);
+    const web3 = createWeb3(network);
     const isListening = await web3.eth.net.isListening();
     return isListening;
   } catch (error) {
@@ -19,14 +24,11 @@ async function checkGanache() {
   }
 }
 
-// Check if contract is deployed
+// Check if contract is deployed to the network
 function checkContract() {
   try {
-    if (fs.existsSync(CONTRACT_INFO_PATH)) {
-      const contractInfo = JSON.parse(fs.readFileSync(CONTRACT_INFO_PATH, 'utf8'));
-      return contractInfo && contractInfo.address;
-    }
-    return false;
+    const contractInfo = loadDeployment(network.name);
+    return contractInfo && contractInfo.address;
   } catch (error) {
     return false;
   }
@@ -36,7 +38,7 @@ function checkContract() {
 async function deployContract() {
   console.log('Deploying contract...');
   return new Promise((resolve, reject) => {
-    const deploy = spawn('node', ['deploy.js'], {
+    const deploy = spawn('node', ['deploy.js', '--network', network.name], {
       stdio: 'inherit',
       cwd: __dirname,
     });
@@ -93,7 +95,7 @@ function killExistingServer() {
 // Start server
 function startServer() {
   console.log('Starting server...');
-  const server = spawn('node', ['../server/server.js'], {
+  const server = spawn('node', ['../server/server.js', '--network', network.name], {
     stdio: 'inherit',
     cwd: __dirname,
   });
@@ -111,15 +113,15 @@ async function start() {
   console.log('Starting Blockchain Log System...\n');
 
   // Check Ganache
-  console.log('1. Checking Ganache connection...');
+  console.log(`1. Checking connection to network ${network.name}...`);
   const ganacheRunning = await checkGanache();
   if (!ganacheRunning) {
-    console.error('[ERROR] Ganache is not running!');
-    console.error('  Please start Ganache on port 7545 first.');
+    console.error(`[ERROR] The ${network.name} node is not running!`);
+    console.error(`  Please start it at ${network.rpcUrl} first (Ganache on port 7545 for "local").`);
     console.error('  Then run this script again.');
     process.exit(1);
   }
-  console.log('[OK] Ganache is running\n');
+  console.log(`[OK] Node is running at ${network.rpcUrl}\n`);
 
   // Check contract
   console.log('2. Checking contract deployment...');
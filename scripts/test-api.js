@@ -1,6 +1,9 @@
 // Simple test script to add and retrieve logs
+// Usage: LOGCHAIN_API_KEY=<key> node scripts/test-api.js
 const http = require('http');
 
+const API_KEY = process.env.LOGCHAIN_API_KEY || '';
+
 // Add a log entry
 function addLog(message) {
   return new Promise((resolve, reject) => {
@@ -14,6 +17,7 @@ function addLog(message) {
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': data.length,
+        'Authorization': `Bearer ${API_KEY}`,
       },
     };
 
@@ -41,6 +45,9 @@ function getLogs() {
       port: 3000,
       path: '/get',
       method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${API_KEY}`,
+      },
     };
 
     const req = http.request(options, (res) => {
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+
+// Check an exported JSON log file against the chain, reading the contract directly
+// over RPC (not through server.js). Exits 0 when every entry matches, 1 on any
+// discrepancy and 2 when the check could not be run.
+//
+// Usage: node scripts/verify-export.js <export.json> [contract-address] [options]
+
+const { Web3 } = require('web3');
+const { keccak256 } = require('web3-utils');
+const fs = require('fs');
+const path = require('path');
+const { computeContentHash } = require('../lib/hash-chain');
+const { parseSeverity } = require('../lib/severity');
+const { parseEnvelope } = require('../lib/encryption');
+const { resolveNetwork } = require('../lib/networks');
+const { HISTORY_ABI } = require('../lib/history-reader');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Print usage and exit
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/verify-export.js <export.json> [contract-address] [options]');
+  console.log('      --network <name> Network whose node to read from (default: LOGCHAIN_NETWORK or local)');
+  console.log('      --rpc <url>      Node to read from, instead of the network\'s RPC URL');
+  console.log('      --contiguous     Also report indexes missing from the export between its first and last entry');
+  console.log('      --json           Print the report as JSON');
+  console.log('The contract address defaults to the one recorded in the export');
+  console.log('Entries from earlier contract generations (see scripts/migrate.js) are read from their own contract;');
+  console.log('once a contract has predecessors, every entry must name its contractAddress and contractIndex');
+  console.log('Exit code: 0 = all entries match, 1 = discrepancies found, 2 = could not verify');
+  process.exit(2);
+}
+
+// Parse positional arguments and --flag value pairs
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+      continue;
+    }
+    const name = args[i].slice(2);
+    if (name === 'rpc' || name === 'network') {
+      options[name] = args[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
+
+// Exit with code 2 when the check itself can't be run
+function fail(message, detail) {
+  console.error('[ERROR]', message);
+  if (detail) {
+    console.error(' ', detail);
+  }
+  process.exit(2);
+}
+
+// Load an export: { contractAddress, logs: [...] } from the web interface,
+// or a bare array of entries
+function loadExport(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    fail(`Could not read ${file}`, error.message);
+  }
+
+  const logs = Array.isArray(data) ? data : data.logs;
+  if (!Array.isArray(logs)) {
+    fail(`${file} is not a log export (expected a "logs" array)`);
+  }
+  return { contractAddress: Array.isArray(data) ? null : data.contractAddress || null, logs };
+}
+
+// Attributes as the string stored on-chain: exports hold the parsed object
+function attributesString(value) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Attributes in a form that compares equal however they were serialized
+function normalizeAttributes(value) {
+  const text = attributesString(value);
+  try {
+    return JSON.stringify(JSON.parse(text));
+  } catch (error) {
+    return text;
+  }
+}
+
+// The exported entry's severity level, from severityLevel or its name
+function exportedSeverity(log) {
+  if (log.severityLevel !== undefined) {
+    return Number(log.severityLevel);
+  }
+  return log.severity !== undefined ? parseSeverity(log.severity) : undefined;
+}
+
+// The message as stored on-chain: the envelope of an encrypted entry, otherwise the message
+function storedMessage(log) {
+  return log.envelope !== undefined ? log.envelope : log.message;
+}
+
+// Content fields of an exported entry that differ from the chain's
+function diffContent(log, onChain) {
+  const differences = [];
+  if (storedMessage(log) !== onChain.message) {
+    differences.push('message');
+  } else if (log.envelope !== undefined && !log.redacted && log.message !== undefined) {
+    // A decrypted message must still match the plaintext hash in its envelope
+    const envelope = parseEnvelope(log.envelope);
+    if (!envelope || keccak256(log.message) !== envelope.hash) {
+      differences.push('message');
+    }
+  }
+  const severity = exportedSeverity(log);
+  if (severity !== undefined && severity !== Number(onChain.severity)) {
+    differences.push('severity');
+  }
+  for (const field of ['source', 'facility']) {
+    if (log[field] !== undefined && log[field] !== onChain[field]) {
+      differences.push(field);
+    }
+  }
+  if (log.tags !== undefined && JSON.stringify(log.tags) !== JSON.stringify(onChain.tags)) {
+    differences.push('tags');
+  }
+  if (log.attributes !== undefined && normalizeAttributes(log.attributes) !== normalizeAttributes(onChain.attributes)) {
+    differences.push('attributes');
+  }
+  for (const field of ['prevHash', 'contentHash']) {
+    if (log[field] !== undefined && String(log[field]).toLowerCase() !== onChain[field].toLowerCase()) {
+      differences.push(field);
+    }
+  }
+  return differences;
+}
+
+// Whether the exported content hash still matches the exported fields
+function exportHashIsConsistent(log) {
+  if (!log.contentHash || storedMessage(log) === undefined) {
+    return true;
+  }
+  const severityLevel = exportedSeverity(log);
+  if (severityLevel === undefined || severityLevel === null) {
+    return true;
+  }
+  try {
+    const recomputed = computeContentHash({
+      message: storedMessage(log),
+      severityLevel: severityLevel,
+      source: log.source || '',
+      facility: log.facility || '',
+      tags: log.tags || [],
+      attributes: attributesString(log.attributes),
+    });
+    return recomputed.toLowerCase() === String(log.contentHash).toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Addresses of a contract and every contract it succeeded, newest first
+async function contractLineage(web3, address) {
+  const lineage = [address.toLowerCase()];
+  const selector = web3.eth.abi.encodeFunctionSignature('predecessor()');
+  let current = address;
+  for (;;) {
+    let predecessor;
+    try {
+      const result = await web3.eth.call({ to: current, data: selector });
+      predecessor = web3.eth.abi.decodeParameter('address', result);
+    } catch (error) {
+      // Deployed before contracts recorded their predecessor
+      break;
+    }
+    if (predecessor === ZERO_ADDRESS || lineage.includes(predecessor.toLowerCase())) {
+      break;
+    }
+    lineage.push(predecessor.toLowerCase());
+    current = predecessor;
+  }
+  return lineage;
+}
+
+// Compare every exported entry with the chain and collect the discrepancies
+// Entries naming a contractAddress and contractIndex are read from that contract,
+// as long as it is the verified contract or one of its predecessors. Entries without
+// them can only be found when the contract has no predecessors, where the history
+// index is the contract's own
+async function verifyExport(web3, contractAddress, logs, options) {
+  const discrepancies = [];
+  const report = (index, type, detail) => discrepancies.push({ index, type, detail });
+
+  const lineage = await contractLineage(web3, contractAddress);
+  const counts = new Map();
+  async function contractAt(address) {
+    const contract = new web3.eth.Contract(HISTORY_ABI, address);
+    if (!counts.has(address.toLowerCase())) {
+      counts.set(address.toLowerCase(), Number(await contract.methods.logCount().call()));
+    }
+    return { contract, count: counts.get(address.toLowerCase()) };
+  }
+
+  const { count } = await contractAt(contractAddress);
+
+  // Where each entry is stored on-chain
+  const indexes = [];
+  const locations = new Map();
+  logs.forEach((log, position) => {
+    const index = Number(log.index);
+    if (!Number.isInteger(index) || index < 0) {
+      report(log.index === undefined ? null : log.index, 'invalid', `Entry at position ${position} has no valid index`);
+      return;
+    }
+    indexes.push(index);
+
+    const contractIndex = Number(log.contractIndex);
+    if (log.contractAddress && Number.isInteger(contractIndex) && contractIndex >= 0) {
+      locations.set(index, { address: String(log.contractAddress), contractIndex });
+    } else if (lineage.length === 1) {
+      locations.set(index, { address: contractAddress, contractIndex: index });
+    } else {
+      locations.set(index, null);
+    }
+  });
+
+  // Read each referenced entry once
+  const onChainByIndex = new Map();
+  for (const index of new Set(indexes)) {
+    const location = locations.get(index);
+    if (!location || !lineage.includes(location.address.toLowerCase())) {
+      continue;
+    }
+    const { address, contractIndex } = location;
+    const { contract, count: stored } = await contractAt(address);
+    if (contractIndex < stored) {
+      onChainByIndex.set(index, await contract.methods.getLog(contractIndex).call());
+    }
+  }
+  const indexByContentHash = new Map();
+  for (const [index, onChain] of onChainByIndex) {
+    indexByContentHash.set(onChain.contentHash.toLowerCase(), index);
+  }
+
+  // Exports list entries newest first (the web interface) or oldest first;
+  // whichever way most neighbouring entries go is taken as the expected order
+  let steps = 0;
+  for (let i = 1; i < indexes.length; i++) {
+    steps += Math.sign(indexes[i] - indexes[i - 1]);
+  }
+  const direction = steps > 0 ? 1 : -1;
+
+  const seen = new Set();
+  let previousIndex = null;
+  for (const log of logs) {
+    const index = Number(log.index);
+    if (!Number.isInteger(index) || index < 0) {
+      continue;
+    }
+
+    if (seen.has(index)) {
+      report(index, 'duplicate', 'Entry appears more than once in the export');
+      continue;
+    }
+    seen.add(index);
+
+    if (previousIndex !== null && Math.sign(index - previousIndex) !== direction) {
+      report(index, 'reordered', `Listed after entry ${previousIndex}, out of ${direction < 0 ? 'descending' : 'ascending'} order`);
+    }
+    previousIndex = index;
+
+    const onChain = onChainByIndex.get(index);
+    if (!onChain) {
+      if (!locations.get(index)) {
+        report(index, 'unlocated', `Has no contractAddress and contractIndex, needed to find it since ${contractAddress} took over from other contracts`);
+        continue;
+      }
+      const { address } = locations.get(index);
+      if (!lineage.includes(address.toLowerCase())) {
+        report(index, 'contract-mismatch', `Names ${address}, which is not ${contractAddress} or one of its predecessors`);
+      } else {
+        report(index, 'missing', `Not on chain (${address} has ${counts.get(address.toLowerCase())} entries)`);
+      }
+      continue;
+    }
+
+    const differences = diffContent(log, onChain);
+    if (differences.length > 0 || !exportHashIsConsistent(log)) {
+      // Content that belongs to another entry means entries were swapped or shifted
+      const movedFrom = log.contentHash ? indexByContentHash.get(String(log.contentHash).toLowerCase()) : undefined;
+      if (movedFrom !== undefined && movedFrom !== index) {
+        report(index, 'reordered', `Content matches on-chain entry ${movedFrom}`);
+      } else if (differences.length > 0) {
+        report(index, 'altered', `Differs from the chain in: ${differences.join(', ')}`);
+      } else {
+        report(index, 'altered', 'contentHash does not match the exported fields');
+      }
+    }
+
+    if (log.sender !== undefined && String(log.sender).toLowerCase() !== onChain.sender.toLowerCase()) {
+      report(index, 'sender-mismatch', `Export says ${log.sender}, chain says ${onChain.sender}`);
+    }
+    if (log.timestamp !== undefined && String(log.timestamp) !== onChain.timestamp.toString()) {
+      report(index, 'timestamp-mismatch', `Export says ${log.timestamp}, chain says ${onChain.timestamp.toString()}`);
+    }
+  }
+
+  // Entries dropped from the middle of the export
+  if (options.contiguous && seen.size > 0) {
+    const sorted = [...seen].sort((a, b) => a - b);
+    for (let index = sorted[0]; index <= sorted[sorted.length - 1]; index++) {
+      if (!seen.has(index)) {
+        report(index, 'missing-from-export', 'On chain but not in the export');
+      }
+    }
+  }
+
+  return { count, discrepancies };
+}
+
+// Run the check and report
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  if (positional.length < 1 || options.help) {
+    usage();
+  }
+
+  const file = positional[0];
+  const exported = loadExport(file);
+
+  let rpcUrl = options.rpc;
+  if (!rpcUrl) {
+    try {
+      rpcUrl = resolveNetwork(options.network).rpcUrl;
+    } catch (error) {
+      fail(`Invalid network config: ${error.message}`);
+    }
+  }
+  const web3 = new Web3(rpcUrl);
+
+  const contractAddress = positional[1] || exported.contractAddress;
+  if (!contractAddress || !web3.utils.isAddress(contractAddress)) {
+    fail('Please provide the contract address (the export does not record a valid one)');
+  }
+
+  let result;
+  try {
+    const code = await web3.eth.getCode(contractAddress);
+    if (!code || code === '0x') {
+      fail(`No contract at ${contractAddress} on ${rpcUrl}`);
+    }
+    result = await verifyExport(web3, contractAddress, exported.logs, options);
+  } catch (error) {
+    if (error.code === 'ECONNREFUSED' || error.message.includes('connect') || error.message.includes('fetch failed')) {
+      fail('Connection Error: Could not connect to the node', `Make sure it is running at ${rpcUrl}`);
+    }
+    const reason = error.cause && error.cause.message ? error.cause.message : error.message;
+    fail(`Verification failed: ${reason}`);
+  }
+
+  // An export taken from another contract can't vouch for this one
+  if (exported.contractAddress && exported.contractAddress.toLowerCase() !== contractAddress.toLowerCase()) {
+    result.discrepancies.unshift({
+      index: null,
+      type: 'contract-mismatch',
+      detail: `Export was taken from ${exported.contractAddress}`,
+    });
+  }
+
+  const valid = result.discrepancies.length === 0;
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      valid: valid,
+      file: path.resolve(file),
+      contractAddress: contractAddress,
+      rpc: rpcUrl,
+      onChainCount: result.count,
+      checked: exported.logs.length,
+      discrepancies: result.discrepancies,
+    }, null, 2));
+  } else {
+    console.log(`Export:   ${path.resolve(file)}`);
+    console.log(`Contract: ${contractAddress} (${rpcUrl}, ${result.count} entries on chain)`);
+    console.log(`Checked:  ${exported.logs.length} exported entries\n`);
+
+    for (const item of result.discrepancies) {
+      const label = item.index === null ? '' : ` #${item.index}`;
+      console.log(`[ERROR]${label} ${item.type}: ${item.detail}`);
+    }
+
+    if (valid) {
+      console.log('[OK] Every exported entry matches the chain');
+    } else {
+      const byType = {};
+      result.discrepancies.forEach(item => { byType[item.type] = (byType[item.type] || 0) + 1; });
+      const summary = Object.entries(byType).map(([type, n]) => `${n} ${type}`).join(', ');
+      console.log(`\n[ERROR] ${result.discrepancies.length} discrepancies found (${summary})`);
+    }
+  }
+
+  process.exit(valid ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { computeLeafHash, buildTree, getRoot, getProof } = require('../lib/merkle');
+
+// Collects log lines into Merkle batches, stores the full entries under
+// dataDir and anchors only the batch root on-chain through anchorRoot()
+//
+// Options:
+//   dataDir     - directory holding pending.jsonl and batch-<n>.json files
+//   anchorRoot  - async (root, count) => ({ batchIndex, transactionHash, blockNumber })
+//   maxSize     - flush as soon as this many entries are pending
+//   intervalMs  - flush pending entries at least this often
+//   onAnchored  - called with each batch once it is anchored and saved
+function createBatcher({ dataDir, anchorRoot, maxSize = 1000, intervalMs = 10000, onAnchored = null }) {
+  const pendingPath = path.join(dataDir, 'pending.jsonl');
+
+  let pending = [];
+  let nextId = 0;
+  let flushTimer = null;
+  let flushing = null;
+
+  // Anchored entries by id, with the batch they belong to
+  const entriesById = new Map();
+  const batchesByIndex = new Map();
+
+  // Load anchored batches and any entries left pending by a previous run
+  function load() {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    for (const file of fs.readdirSync(dataDir)) {
+      if (!/^batch-\d+\.json$/.test(file)) {
+        continue;
+      }
+      const batch = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+      indexBatch(batch);
+    }
+
+    if (fs.existsSync(pendingPath)) {
+      pending = fs.readFileSync(pendingPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    }
+
+    for (const entry of pending) {
+      nextId = Math.max(nextId, entry.id + 1);
+    }
+
+    if (pending.length > 0) {
+      scheduleFlush();
+    }
+  }
+
+  // Build the id lookup and proofs for an anchored batch
+  function indexBatch(batch) {
+    const levels = buildTree(batch.entries.map(entry => entry.leaf));
+    batch.levels = levels;
+    batchesByIndex.set(batch.batchIndex, batch);
+
+    batch.entries.forEach((entry, leafIndex) => {
+      entriesById.set(entry.id, { entry, batch, leafIndex });
+      nextId = Math.max(nextId, entry.id + 1);
+    });
+  }
+
+  // Add one or more messages to the pending batch and return their ids
+  // sender is the address of the API key that submitted them
+  function add(messages, sender) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const added = messages.map(message => {
+      const entry = { id: nextId++, sender, message, timestamp };
+      entry.leaf = computeLeafHash(entry);
+      return entry;
+    });
+
+    // Write ahead so pending entries survive a restart
+    fs.appendFileSync(pendingPath, added.map(entry => JSON.stringify(entry) + '\n').join(''));
+    pending.push(...added);
+
+    if (pending.length >= maxSize) {
+      flush().catch(() => {
+        // Errors are already logged in flush
+      });
+    } else {
+      scheduleFlush();
+    }
+
+    return added.map(entry => entry.id);
+  }
+
+  // Flush on the next interval if nothing else triggers it first
+  function scheduleFlush() {
+    if (flushTimer) {
+      return;
+    }
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch(() => {
+        // Errors are already logged in flush
+      });
+    }, intervalMs);
+  }
+
+  // Anchor everything pending as one batch
+  // Only one flush runs at a time; concurrent callers share it
+  function flush() {
+    if (flushing) {
+      return flushing;
+    }
+    if (pending.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    flushing = (async () => {
+      const entries = pending.slice(0, maxSize);
+      const root = getRoot(buildTree(entries.map(entry => entry.leaf)));
+
+      try {
+        const anchor = await anchorRoot(root, entries.length);
+
+        const batch = {
+          batchIndex: anchor.batchIndex,
+          root: root,
+          count: entries.length,
+          transactionHash: anchor.transactionHash,
+          blockNumber: anchor.blockNumber,
+          anchoredAt: Math.floor(Date.now() / 1000),
+          entries: entries,
+        };
+        fs.writeFileSync(
+          path.join(dataDir, `batch-${batch.batchIndex}.json`),
+          JSON.stringify(batch, null, 2)
+        );
+
+        // Only drop entries from the pending file once the batch is saved
+        pending = pending.slice(entries.length);
+        fs.writeFileSync(pendingPath, pending.map(entry => JSON.stringify(entry) + '\n').join(''));
+
+        indexBatch(batch);
+        console.log(`[OK] Anchored batch ${batch.batchIndex} (${batch.count} entries) in tx ${batch.transactionHash}`);
+        if (onAnchored) {
+          onAnchored(batch);
+        }
+        return batch;
+      } catch (error) {
+        console.error('[ERROR] Failed to anchor batch:', error.message);
+        throw error;
+      } finally {
+        flushing = null;
+        if (pending.length > 0) {
+          scheduleFlush();
+        }
+      }
+    })();
+
+    return flushing;
+  }
+
+  // Look up an entry and its inclusion proof
+  // Returns null for unknown ids and { pending: true } for entries not anchored yet
+  function getEntryProof(id) {
+    const found = entriesById.get(id);
+    if (!found) {
+      const pendingEntry = pending.find(entry => entry.id === id);
+      return pendingEntry ? { pending: true, entry: pendingEntry } : null;
+    }
+
+    const { entry, batch, leafIndex } = found;
+    return {
+      pending: false,
+      entry: entry,
+      batchIndex: batch.batchIndex,
+      root: batch.root,
+      leafIndex: leafIndex,
+      proof: getProof(batch.levels, leafIndex),
+      transactionHash: batch.transactionHash,
+      blockNumber: batch.blockNumber,
+    };
+  }
+
+  // Counts for the health endpoint
+  function getStats() {
+    return {
+      pending: pending.length,
+      batches: batchesByIndex.size,
+      entries: entriesById.size,
+    };
+  }
+
+  load();
+
+  return {
+    add,
+    flush,
+    getEntryProof,
+    getStats,
+  };
+}
+
+module.exports = { createBatcher };
@@ -0,0 +1,133 @@
+// Presents the indexes of every contract generation as one continuous history
+// A migrated deployment (see scripts/migrate.js) keeps its predecessors' entries
+// where they were written; each generation's entries follow on from the previous
+// generation's, so history index = generation offset + the entry's index in its contract
+// Entries gain contractAddress and contractIndex, telling where to read them on-chain
+//
+// Options:
+//   generations - oldest first, each { address, offset, contract, indexer }; the last one
+//                 is the current contract, whose indexer follows new blocks
+function createHistory({ generations }) {
+  const current = generations[generations.length - 1];
+
+  // An indexed entry as it appears in the history
+  function toHistoryEntry(generation, entry) {
+    return {
+      ...entry,
+      index: generation.offset + entry.index,
+      contractAddress: generation.address,
+      contractIndex: entry.index,
+    };
+  }
+
+  // A history cursor as a cursor into one generation's index
+  function toLocalCursor(generation, cursor) {
+    return cursor === undefined ? undefined : cursor - generation.offset;
+  }
+
+  async function start() {
+    for (const generation of generations) {
+      await generation.indexer.start();
+    }
+  }
+
+  function stop() {
+    for (const generation of generations) {
+      generation.indexer.stop();
+    }
+  }
+
+  // Only the current contract receives new entries
+  function sync() {
+    return current.indexer.sync();
+  }
+
+  // Number of indexed entries across every generation
+  function count() {
+    return generations.reduce((total, generation) => total + generation.indexer.count(), 0);
+  }
+
+  // Generation holding a history index, and the entry's index within that contract
+  function locate(index) {
+    for (let i = generations.length - 1; i >= 0; i--) {
+      const generation = generations[i];
+      if (index >= generation.offset) {
+        return { generation, contractIndex: index - generation.offset };
+      }
+    }
+    return null;
+  }
+
+  // Same options and result as the indexer's query(), with history indexes as cursors
+  // Generations are walked newest first (or oldest first when paging forwards with after)
+  function query({ before, after, limit = 100, ...filters }) {
+    const forwards = after !== undefined;
+    const ordered = forwards ? generations : generations.slice().reverse();
+
+    const results = [];
+    let hasMore = false;
+
+    for (const generation of ordered) {
+      const range = {
+        before: toLocalCursor(generation, before),
+        after: toLocalCursor(generation, after),
+      };
+
+      if (results.length === limit) {
+        // Page is full; only need to know whether anything else matches
+        if (generation.indexer.query({ ...range, limit: 1, ...filters }).logs.length > 0) {
+          hasMore = true;
+          break;
+        }
+        continue;
+      }
+
+      const page = generation.indexer.query({ ...range, limit: limit - results.length, ...filters });
+      const logs = page.logs.map(entry => toHistoryEntry(generation, entry));
+      // Forward pages come back newest first; collect oldest first and flip at the end
+      results.push(...(forwards ? logs.reverse() : logs));
+      if (page.nextCursor !== null) {
+        hasMore = true;
+        break;
+      }
+    }
+
+    return {
+      logs: forwards ? results.slice().reverse() : results,
+      nextCursor: hasMore ? results[results.length - 1].index : null,
+    };
+  }
+
+  // Call listener(entries) with every batch of newly indexed entries
+  // Returns a function that removes the listener
+  function subscribe(listener) {
+    return current.indexer.subscribe(added => listener(added.map(entry => toHistoryEntry(current, entry))));
+  }
+
+  // Stats for the health endpoint
+  function getStats() {
+    const stats = current.indexer.getStats();
+    return {
+      ...stats,
+      entries: count(),
+      generations: generations.map(generation => ({
+        address: generation.address,
+        offset: generation.offset,
+        entries: generation.indexer.count(),
+      })),
+    };
+  }
+
+  return {
+    start,
+    stop,
+    sync,
+    count,
+    locate,
+    query,
+    subscribe,
+    getStats,
+  };
+}
+
+module.exports = { createHistory };
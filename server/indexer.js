@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { severityName } = require('../lib/severity');
+const { createEntryFilter } = require('../lib/entry-filter');
+
+// Keeps a local index of every log entry, built from LogAdded events
+// Entries are appended to entries.jsonl and the last indexed block is kept in
+// state.json, so a restart only backfills blocks it has not seen yet
+// Newly indexed entries are announced to subscribe() listeners as they land
+//
+// Options:
+//   web3          - Web3 instance connected to the node
+//   contract      - SecureLog contract instance
+//   dataDir       - directory holding entries.jsonl and state.json
+//   startBlock    - first block to scan on an empty index (the deployment block)
+//   pollIntervalMs - how often to look for new events
+//   chunkSize     - maximum number of blocks per getPastEvents request
+//   endIndex      - stop once this many entries are indexed (a predecessor contract's
+//                   share of the history); null keeps following new blocks
+function createIndexer({ web3, contract, dataDir, startBlock = 0, pollIntervalMs = 2000, chunkSize = 5000, endIndex = null }) {
+  const entriesPath = path.join(dataDir, 'entries.jsonl');
+  const statePath = path.join(dataDir, 'state.json');
+
+  // Entries ordered by index, so entries[i].index === i
+  let entries = [];
+  let lastBlock = startBlock - 1;
+  let pollTimer = null;
+  let syncing = null;
+  let stopped = false;
+
+  // Emits 'entries' with each batch of newly indexed entries, in index order
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // Load the index written by a previous run
+  function load() {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    if (fs.existsSync(entriesPath)) {
+      for (const line of fs.readFileSync(entriesPath, 'utf8').split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        const entry = JSON.parse(line);
+        // Skip duplicates left by a crash between appending and saving state,
+        // and entries indexed before the contract was succeeded
+        if (entry.index === entries.length && (endIndex === null || entry.index < endIndex)) {
+          entries.push(entry);
+        }
+      }
+    }
+
+    if (fs.existsSync(statePath)) {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      lastBlock = state.lastBlock;
+    }
+  }
+
+  // Read one entry's stored fields from the contract
+  async function fetchEntry(index, event) {
+    const log = await contract.methods.getLog(index).call();
+    return {
+      index: index,
+      message: log.message,
+      sender: log.sender,
+      timestamp: log.timestamp.toString(),
+      severity: severityName(log.severity),
+      severityLevel: Number(log.severity),
+      source: log.source,
+      facility: log.facility,
+      tags: log.tags,
+      attributes: log.attributes, // Raw JSON string, as hashed on-chain
+      prevHash: log.prevHash,
+      contentHash: log.contentHash,
+      blockNumber: event ? event.blockNumber.toString() : null,
+      transactionHash: event ? event.transactionHash : null,
+    };
+  }
+
+  // Whether every entry up to endIndex is indexed
+  function isComplete() {
+    return endIndex !== null && entries.length >= endIndex;
+  }
+
+  // Index every LogAdded event between lastBlock and the chain head
+  async function sync() {
+    const head = Number(await web3.eth.getBlockNumber());
+
+    while (lastBlock < head && !stopped && !isComplete()) {
+      const fromBlock = lastBlock + 1;
+      const toBlock = Math.min(head, fromBlock + chunkSize - 1);
+
+      const events = await contract.getPastEvents('LogAdded', { fromBlock, toBlock });
+      const added = [];
+
+      for (const event of events) {
+        const index = Number(event.returnValues.index);
+        if (endIndex !== null && index >= endIndex) {
+          // Written after the contract was succeeded; not part of the history
+          break;
+        }
+        if (index < entries.length + added.length) {
+          // Already indexed
+          continue;
+        }
+
+        // Fill any gap by reading the missing entries directly
+        while (entries.length + added.length < index) {
+          added.push(await fetchEntry(entries.length + added.length, null));
+        }
+        added.push(await fetchEntry(index, event));
+      }
+
+      if (added.length > 0) {
+        fs.appendFileSync(entriesPath, added.map(entry => JSON.stringify(entry) + '\n').join(''));
+        entries.push(...added);
+        emitter.emit('entries', added);
+      }
+
+      lastBlock = toBlock;
+      fs.writeFileSync(statePath, JSON.stringify({ lastBlock }, null, 2));
+    }
+  }
+
+  // Run one sync at a time; callers share the one in progress
+  function syncOnce() {
+    if (!syncing) {
+      syncing = sync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  // HttpProvider cannot push subscriptions, so poll for new events instead
+  function schedulePoll() {
+    if (stopped || isComplete()) {
+      return;
+    }
+    pollTimer = setTimeout(async () => {
+      try {
+        await syncOnce();
+      } catch (error) {
+        console.error('[ERROR] Log indexer sync failed:', error.message);
+      }
+      schedulePoll();
+    }, pollIntervalMs);
+  }
+
+  // Backfill up to the current head, then keep following new blocks
+  async function start() {
+    load();
+    await syncOnce();
+    schedulePoll();
+  }
+
+  function stop() {
+    stopped = true;
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  // Number of indexed entries
+  function count() {
+    return entries.length;
+  }
+
+  // Page through entries matching the given filters, newest first
+  // Options:
+  //   before - only entries with a lower index (page backwards from a cursor)
+  //   after  - only entries with a higher index (page forwards from a cursor)
+  //   limit  - maximum number of entries returned
+  //   plus the filters of createEntryFilter()
+  // nextCursor is the index to pass as before (or after) for the next page,
+  // or null when there are no more entries in that direction
+  function query({ before, after, limit = 100, ...filters }) {
+    const { from, to } = filters;
+    const matches = createEntryFilter(filters);
+
+    const results = [];
+    let hasMore = false;
+
+    if (after !== undefined) {
+      // Walk forwards from the cursor; timestamps only grow, so stop past "to"
+      const end = before !== undefined ? Math.min(before, entries.length) : entries.length;
+      for (let i = Math.max(0, after + 1); i < end; i++) {
+        const entry = entries[i];
+        if (to !== undefined && Number(entry.timestamp) > to) {
+          break;
+        }
+        if (!matches(entry)) {
+          continue;
+        }
+        if (results.length === limit) {
+          hasMore = true;
+          break;
+        }
+        results.push(entry);
+      }
+
+      return {
+        logs: results.slice().reverse(),
+        nextCursor: hasMore ? results[results.length - 1].index : null,
+      };
+    }
+
+    // Walk backwards from the cursor (or the newest entry); stop before "from"
+    const start = before !== undefined ? Math.min(before, entries.length) - 1 : entries.length - 1;
+    for (let i = start; i >= 0; i--) {
+      const entry = entries[i];
+      if (from !== undefined && Number(entry.timestamp) < from) {
+        break;
+      }
+      if (!matches(entry)) {
+        continue;
+      }
+      if (results.length === limit) {
+        hasMore = true;
+        break;
+      }
+      results.push(entry);
+    }
+
+    return {
+      logs: results,
+      nextCursor: hasMore ? results[results.length - 1].index : null,
+    };
+  }
+
+  // Call listener(entries) with every batch of newly indexed entries
+  // Returns a function that removes the listener
+  function subscribe(listener) {
+    emitter.on('entries', listener);
+    return () => emitter.off('entries', listener);
+  }
+
+  // Stats for the health endpoint
+  function getStats() {
+    return {
+      entries: entries.length,
+      lastBlock: lastBlock,
+      subscribers: emitter.listenerCount('entries'),
+    };
+  }
+
+  return {
+    start,
+    stop,
+    sync: syncOnce,
+    count,
+    query,
+    subscribe,
+    getStats,
+  };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,143 @@
+// Prometheus metrics in the text exposition format (served at GET /metrics)
+// A small registry of counters, gauges and histograms; each keeps one value per label set
+//
+// createMetrics() returns:
+//   counter(name, help)            - { inc(labels, value), set(labels, value), reset() }; set()
+//                                    copies in a total kept elsewhere (e.g. a module's stats)
+//   gauge(name, help)              - { set(labels, value), reset() }
+//   histogram(name, help, buckets) - { observe(labels, value) }
+//   render()                       - the exposition text
+//
+// reset() drops every label set, for ones that come and go (e.g. streamers)
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Content-Type of the exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return '{' + names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function createMetrics() {
+  // In registration order, which is also the output order
+  const metrics = [];
+
+  function register(name, help, type) {
+    if (metrics.some(metric => metric.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    const metric = { name, help, type, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Series of a metric for a label set, created with init() on first use
+  function seriesFor(metric, labels, init) {
+    const key = formatLabels(labels);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { labels: { ...labels }, ...init() };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  function counter(name, help) {
+    const metric = register(name, help, 'counter');
+    return {
+      inc(labels = {}, value = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      },
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      reset() {
+        metric.series.clear();
+      },
+    };
+  }
+
+  function gauge(name, help) {
+    const metric = register(name, help, 'gauge');
+    return {
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      reset() {
+        metric.series.clear();
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register(name, help, 'histogram');
+    metric.buckets = buckets.slice().sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({
+          counts: metric.buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        }));
+        metric.buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            series.counts[i]++;
+          }
+        });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+          continue;
+        }
+        // Bucket counts are cumulative: each counts every observation up to its bound
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+        lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render,
+  };
+}
+
+module.exports = { CONTENT_TYPE, createMetrics };
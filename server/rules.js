@@ -0,0 +1,349 @@
+const { execFile } = require('child_process');
+const { REDACTED_PLACEHOLDER, isEncrypted } = require('../lib/encryption');
+const { severityName } = require('../lib/severity');
+
+// Evaluates alerting rules (see lib/rules.js) against entries as they are anchored,
+// and fires their webhook, email and command actions with the entries as evidence
+//
+// Entries are evaluated in the shape { message, sender, timestamp, severityLevel,
+// source, facility, tags, evidence }, built by fromLogEntry() and fromBatchEntry();
+// evidence is what an alert reports about the entry (on-chain index, tx hash, ...)
+
+// Entries reported per alert (the latest ones)
+const MAX_EVIDENCE = 20;
+
+// Command actions are killed after this long
+const COMMAND_TIMEOUT_MS = 30000;
+
+// An indexed LogAdded entry (with its history index) as a rule entry
+function fromLogEntry(entry) {
+  const encrypted = isEncrypted(entry.message);
+  return {
+    message: entry.message,
+    sender: entry.sender,
+    timestamp: Number(entry.timestamp),
+    severityLevel: entry.severityLevel,
+    source: entry.source,
+    facility: entry.facility,
+    tags: entry.tags,
+    evidence: {
+      index: entry.index,
+      contractAddress: entry.contractAddress,
+      contractIndex: entry.contractIndex,
+      transactionHash: entry.transactionHash,
+      blockNumber: entry.blockNumber,
+      timestamp: Number(entry.timestamp),
+      sender: entry.sender,
+      severity: severityName(entry.severityLevel),
+      message: encrypted ? REDACTED_PLACEHOLDER : entry.message,
+      ...(encrypted ? { encrypted: true } : {}),
+    },
+  };
+}
+
+// A line of an anchored Merkle batch as a rule entry
+// Batched lines have no severity, source, facility or tags, so rules needing them don't match
+function fromBatchEntry(entry, batch) {
+  return {
+    message: entry.message,
+    sender: entry.sender,
+    timestamp: entry.timestamp,
+    severityLevel: null,
+    source: '',
+    facility: '',
+    tags: [],
+    evidence: {
+      batchEntryId: entry.id,
+      batchIndex: batch.batchIndex,
+      root: batch.root,
+      transactionHash: batch.transactionHash,
+      blockNumber: batch.blockNumber,
+      timestamp: entry.timestamp,
+      sender: entry.sender,
+      message: entry.message,
+      proof: `/logs/${entry.id}/proof`,
+    },
+  };
+}
+
+// Predicate for a rule's match conditions; every condition given must hold
+// Keyword and regex never match encrypted messages
+function createRuleMatcher(match) {
+  const keyword = match.keyword ? match.keyword.toLowerCase() : null;
+  const regex = match.regex ? new RegExp(match.regex, match.flags) : null;
+  const senders = match.sender ? match.sender.map(sender => sender.toLowerCase()) : null;
+  const source = match.source ? match.source.toLowerCase() : null;
+  const facility = match.facility ? match.facility.toLowerCase() : null;
+
+  return function matches(entry) {
+    const readable = !isEncrypted(entry.message);
+    return (!keyword || (readable && entry.message.toLowerCase().includes(keyword))) &&
+      (!regex || (readable && regex.test(entry.message))) &&
+      (!match.severity || match.severity.includes(entry.severityLevel)) &&
+      (match.minSeverity === undefined || (entry.severityLevel !== null && entry.severityLevel <= match.minSeverity)) &&
+      (!senders || senders.includes(entry.sender.toLowerCase())) &&
+      (!source || entry.source.toLowerCase() === source) &&
+      (!facility || entry.facility.toLowerCase() === facility) &&
+      (!match.tag || entry.tags.includes(match.tag));
+  };
+}
+
+// Tracks one rule's threshold window and cooldown across calls
+// evaluate(entries) takes entries oldest first and returns the firings they cause:
+//   { reason: 'match' | 'threshold', at, matched, entries: [evidence] }
+// A rule without a threshold fires once per call with every matching entry; a threshold
+// rule fires when `count` matches fall within `windowSeconds`, then starts a new window
+// Times (window and cooldown) are the entries' on-chain timestamps
+function createRuleEvaluator(rule) {
+  const matches = createRuleMatcher(rule.match);
+  let windowEntries = []; // matching entries in the current window, oldest first
+  let windowStart = 0; // index of the first entry still inside the window
+  let cooldownUntil = -Infinity;
+  let matched = 0;
+
+  function evaluateThreshold(entry, firings) {
+    windowEntries.push(entry);
+    const cutoff = entry.timestamp - rule.threshold.windowSeconds;
+    while (windowEntries[windowStart].timestamp <= cutoff) {
+      windowStart++;
+    }
+    if (windowStart > 1000) {
+      windowEntries = windowEntries.slice(windowStart);
+      windowStart = 0;
+    }
+
+    const inWindow = windowEntries.length - windowStart;
+    if (inWindow >= rule.threshold.count && entry.timestamp >= cooldownUntil) {
+      firings.push({
+        reason: 'threshold',
+        at: entry.timestamp,
+        matched: inWindow,
+        entries: windowEntries.slice(Math.max(windowStart, windowEntries.length - MAX_EVIDENCE)).map(item => item.evidence),
+      });
+      windowEntries = [];
+      windowStart = 0;
+      cooldownUntil = entry.timestamp + rule.cooldownSeconds;
+    }
+  }
+
+  function evaluate(entries) {
+    const firings = [];
+    let firing = null;
+    for (const entry of entries) {
+      if (!matches(entry)) {
+        continue;
+      }
+      matched++;
+      if (rule.threshold) {
+        evaluateThreshold(entry, firings);
+      } else if (entry.timestamp >= cooldownUntil) {
+        if (!firing) {
+          firing = { reason: 'match', at: entry.timestamp, matched: 0, entries: [] };
+        }
+        firing.at = entry.timestamp;
+        firing.matched++;
+        firing.entries.push(entry.evidence);
+      }
+    }
+
+    if (firing) {
+      firing.entries = firing.entries.slice(-MAX_EVIDENCE);
+      cooldownUntil = firing.at + rule.cooldownSeconds;
+      firings.push(firing);
+    }
+    return firings;
+  }
+
+  return {
+    evaluate,
+    getMatched: () => matched,
+  };
+}
+
+// The alert sent to every action of a firing rule
+function toAlert(rule, firing, firedAt) {
+  return {
+    event: 'rule.fired',
+    rule: { id: rule.id, name: rule.name },
+    reason: firing.reason,
+    firedAt: firedAt,
+    matched: firing.matched,
+    threshold: rule.threshold,
+    entries: firing.entries,
+  };
+}
+
+// Plain-text body of an alert email
+function formatAlertText(alert) {
+  const lines = [
+    `Rule "${alert.rule.name}" (${alert.rule.id}) fired at ${alert.firedAt}`,
+    alert.reason === 'threshold'
+      ? `${alert.matched} matching entries within ${alert.threshold.windowSeconds} seconds (threshold ${alert.threshold.count})`
+      : `${alert.matched} matching entr${alert.matched === 1 ? 'y' : 'ies'}`,
+    '',
+    `Evidence (latest ${alert.entries.length}):`,
+  ];
+  for (const entry of alert.entries) {
+    const where = entry.index !== undefined
+      ? `#${entry.index}`
+      : `batch ${entry.batchIndex} line ${entry.batchEntryId}`;
+    const severity = entry.severity ? ` [${entry.severity}]` : '';
+    lines.push(`  ${where} tx ${entry.transactionHash} block ${entry.blockNumber}${severity} ${entry.sender}: ${entry.message}`);
+  }
+  lines.push('', 'Full alert:', JSON.stringify(alert, null, 2));
+  return lines.join('\n');
+}
+
+// Evaluate past entries (oldest first) against a rule without running its actions
+// Entries mined in the same block are evaluated together, as the live engine would see them
+// Returns { matched, alerts }
+function testRule(rule, entries) {
+  const evaluator = createRuleEvaluator(rule);
+  const firings = [];
+  let group = [];
+  for (const entry of entries) {
+    if (group.length > 0 && group[0].evidence.blockNumber !== entry.evidence.blockNumber) {
+      firings.push(...evaluator.evaluate(group));
+      group = [];
+    }
+    group.push(entry);
+  }
+  firings.push(...evaluator.evaluate(group));
+
+  return {
+    matched: evaluator.getMatched(),
+    alerts: firings.map(firing => toAlert(rule, firing, new Date(firing.at * 1000).toISOString())),
+  };
+}
+
+// Runs the enabled rules over newly anchored entries and fires their actions
+// Rule state (windows, cooldowns) is kept until the rule is changed or removed
+//
+// Options:
+//   getRules  - returns the current { smtp, rules } (see parseRuleStore in lib/rules.js)
+//   webhooks  - webhook sender (server/webhooks.js) for webhook actions
+//   sendMail  - async ({ host, port, from, to, subject, text }) for email actions (server/smtp.js)
+function createRulesEngine({ getRules, webhooks, sendMail }) {
+  // Rule id -> { definition, evaluator }; definition detects edits
+  const evaluators = new Map();
+  // Rule id -> { matched, fired, lastFiredAt }
+  const ruleStats = new Map();
+  const actionFailures = { email: 0, command: 0 };
+
+  function evaluatorFor(rule) {
+    const definition = JSON.stringify(rule);
+    const current = evaluators.get(rule.id);
+    if (current && current.definition === definition) {
+      return current.evaluator;
+    }
+    const evaluator = createRuleEvaluator(rule);
+    evaluators.set(rule.id, { definition, evaluator });
+    return evaluator;
+  }
+
+  function runCommand(rule, action, alert) {
+    const child = execFile(action.command, action.args, {
+      timeout: COMMAND_TIMEOUT_MS,
+      env: { ...process.env, LOGCHAIN_RULE_ID: rule.id, LOGCHAIN_RULE_NAME: rule.name },
+    }, (error) => {
+      if (error) {
+        actionFailures.command++;
+        console.error(`[WARNING] Rule ${rule.id}: command ${action.command} failed: ${error.message}`);
+      }
+    });
+    child.stdin.on('error', () => {
+      // The command exited without reading the alert
+    });
+    child.stdin.end(JSON.stringify(alert));
+  }
+
+  // Actions run in the background; failures are logged and counted
+  function runActions(rule, alert, smtp) {
+    for (const action of rule.actions) {
+      if (action.type === 'webhook') {
+        webhooks.send(action.url, alert);
+      } else if (action.type === 'email') {
+        sendMail({
+          ...smtp,
+          to: action.to,
+          subject: action.subject || `[logchain] ${rule.name} fired`,
+          text: formatAlertText(alert),
+        }).catch((error) => {
+          actionFailures.email++;
+          console.error(`[WARNING] Rule ${rule.id}: email to ${action.to.join(', ')} failed: ${error.message}`);
+        });
+      } else if (action.type === 'command') {
+        runCommand(rule, action, alert);
+      }
+    }
+  }
+
+  // Evaluate newly anchored entries, oldest first
+  function evaluate(entries) {
+    const { smtp, rules } = getRules();
+
+    // Forget the state of rules that are gone
+    const ids = new Set(rules.map(rule => rule.id));
+    for (const id of evaluators.keys()) {
+      if (!ids.has(id)) {
+        evaluators.delete(id);
+        ruleStats.delete(id);
+      }
+    }
+
+    for (const rule of rules) {
+      if (!rule.enabled) {
+        continue;
+      }
+      const evaluator = evaluatorFor(rule);
+      const before = evaluator.getMatched();
+      const firings = evaluator.evaluate(entries);
+
+      const stats = ruleStats.get(rule.id) || { matched: 0, fired: 0, lastFiredAt: null };
+      stats.matched += evaluator.getMatched() - before;
+      ruleStats.set(rule.id, stats);
+
+      for (const firing of firings) {
+        const alert = toAlert(rule, firing, new Date().toISOString());
+        stats.fired++;
+        stats.lastFiredAt = alert.firedAt;
+        console.log(`[OK] Rule ${rule.id} fired (${alert.matched} matching entr${alert.matched === 1 ? 'y' : 'ies'})`);
+        runActions(rule, alert, smtp);
+      }
+    }
+  }
+
+  // Matches and firings of a rule since the server started
+  function getRuleStats(id) {
+    return ruleStats.get(id) || { matched: 0, fired: 0, lastFiredAt: null };
+  }
+
+  // Counts for the health endpoint and /metrics
+  function getStats() {
+    const { rules } = getRules();
+    let fired = 0;
+    for (const stats of ruleStats.values()) {
+      fired += stats.fired;
+    }
+    return {
+      rules: rules.length,
+      enabled: rules.filter(rule => rule.enabled).length,
+      fired: fired,
+      actionFailures: { ...actionFailures },
+    };
+  }
+
+  return {
+    evaluate,
+    getRuleStats,
+    getStats,
+  };
+}
+
+module.exports = {
+  fromLogEntry,
+  fromBatchEntry,
+  createRuleEvaluator,
+  testRule,
+  createRulesEngine,
+};
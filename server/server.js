@@ -1,32 +1,381 @@
 const express = require('express');
 const cors = require('cors');
-const { Web3 } = require('web3');
-const { HttpProvider } = require('web3-providers-http');
 const fs = require('fs');
 const path = require('path');
+const { verifyChain } = require('../lib/hash-chain');
+const { createHistoryReader, readWriteDetails } = require('../lib/history-reader');
+const { createEntryFilter } = require('../lib/entry-filter');
+const { DATA_DIR } = require('../lib/data-dir');
+const { KEY_STORE_PATH, loadKeyStore, findKey } = require('../lib/api-keys');
+const { DEFAULT_SEVERITY, parseSeverity } = require('../lib/severity');
+const {
+  RECIPIENT_STORE_PATH,
+  REDACTED_PLACEHOLDER,
+  encryptMessage,
+  isEncrypted,
+  parseEnvelope,
+  decryptMessage,
+  loadRecipientStore,
+} = require('../lib/encryption');
+const { REDACTION_CONFIG_PATH, loadRedactionConfig, createRedactor } = require('../lib/redaction');
+const {
+  RULES_CONFIG_PATH,
+  loadRuleStore,
+  saveRuleStore,
+  parseRule,
+  parseRuleStore,
+  formatRule,
+  hasCommandAction,
+} = require('../lib/rules');
+const {
+  parseNetworkArg,
+  resolveNetwork,
+  createWeb3,
+  getSignerAccounts,
+  txSenderOptions,
+  checkChainId,
+  loadDeployment,
+  deploymentGenerations,
+} = require('../lib/networks');
+const { createBatcher } = require('./batcher');
+const { createIndexer } = require('./indexer');
+const { createHistory } = require('./history');
+const { createSubmissionQueue } = require('./submissions');
+const { createTxSender } = require('./tx-sender');
+const { createWebhookSender, isWebhookUrl, checkWebhookDestination } = require('./webhooks');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetrics } = require('./metrics');
+const { fromLogEntry, fromBatchEntry, testRule, createRulesEngine } = require('./rules');
+const { sendMail } = require('./smtp');
 
-// Load contract information from JSON file
-const contractInfoPath = path.join(__dirname, '..', 'data', 'contract-info.json');
+// Network to run against: --network <name>, LOGCHAIN_NETWORK or the default (see lib/networks.js)
+let network;
+
+try {
+  network = resolveNetwork(parseNetworkArg(process.argv.slice(2)).network);
+} catch (error) {
+  console.error('[ERROR] Invalid network config:', error.message);
+  process.exit(1);
+}
+
+// Load the contract deployed to that network from contract-info.json
 let contractInfo;
 
 try {
-  contractInfo = JSON.parse(fs.readFileSync(contractInfoPath, 'utf8'));
+  contractInfo = loadDeployment(network.name);
+} catch (error) {
+  console.error('[ERROR] Could not load contract-info.json:', error.message);
+  process.exit(1);
+}
+if (!contractInfo) {
+  console.error(`[ERROR] No contract deployed to network ${network.name}`);
+  console.error(`  Please run: npm run deploy -- --network ${network.name}`);
+  process.exit(1);
+}
+
+// Redaction of personal data and secrets before anything is written on-chain
+// Configured in data/redaction.json (or the file in REDACTION_CONFIG); all built-in rules by default
+const redactionConfigPath = process.env.REDACTION_CONFIG || REDACTION_CONFIG_PATH;
+let redactor;
+
+try {
+  redactor = createRedactor(loadRedactionConfig(redactionConfigPath));
+} catch (error) {
+  console.error('[ERROR] Invalid redaction config:', error.message);
+  console.error('  Check', redactionConfigPath);
+  process.exit(1);
+}
+
+// Alerting rules, evaluated against entries as they are anchored (see server/rules.js)
+// Configured in data/rules.json (or the file in RULES_CONFIG) and through the /rules routes
+const rulesConfigPath = process.env.RULES_CONFIG || RULES_CONFIG_PATH;
+// Hosts that webhooks set through /rules may reach even though they are private or local
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(host => host);
+let ruleStore; // the file as read, written back with the rules changed by /rules
+let rulesConfig; // validated { smtp, rules }
+let rulesConfigMtime = 0;
+
+function rulesFileMtime() {
+  try {
+    return fs.statSync(rulesConfigPath).mtimeMs;
+  } catch (error) {
+    return 0;
+  }
+}
+
+try {
+  rulesConfigMtime = rulesFileMtime();
+  ruleStore = loadRuleStore(rulesConfigPath);
+  rulesConfig = parseRuleStore(ruleStore);
 } catch (error) {
-  console.error('[ERROR] Could not load contract-info.json');
-  console.error('  Please run deploy.js first to deploy the contract');
+  console.error('[ERROR] Invalid rules config:', error.message);
+  console.error('  Check', rulesConfigPath);
   process.exit(1);
 }
 
-// Connect to Ganache using HttpProvider
-const ganacheUrl = contractInfo.network || 'http://127.0.0.1:7545';
-const provider = new HttpProvider(ganacheUrl);
-const web3 = new Web3(provider);
+// Connect to the network's node using HttpProvider
+const ganacheUrl = network.rpcUrl;
+const web3 = createWeb3(network);
+
+// Prometheus metrics, served at GET /metrics
+// Totals kept by other modules (transactions, batches, redaction) are copied in when scraped
+const metrics = createMetrics();
+const GAS_BUCKETS = [100, 1000, 10000, 50000, 100000, 150000, 200000, 300000, 500000, 1000000];
+const httpRequests = metrics.counter('logchain_http_requests_total', 'HTTP requests by method, route and response status');
+const addLogRequests = metrics.counter('logchain_add_log_requests_total', 'POST /add-log requests by response status');
+const addLogDuration = metrics.histogram('logchain_add_log_duration_seconds', 'Time to answer POST /add-log, by response status');
+const rpcDuration = metrics.histogram('logchain_rpc_duration_seconds', 'Latency of JSON-RPC requests to the node, by method');
+const rpcErrors = metrics.counter('logchain_rpc_errors_total', 'JSON-RPC requests to the node that failed, by method');
+const gasPerEntry = metrics.histogram('logchain_gas_used_per_entry', 'Gas per log entry: addLog gas, or anchorBatch gas divided by the batch size', GAS_BUCKETS);
+const gasUsed = metrics.counter('logchain_gas_used_total', 'Gas used by contract writes, by kind');
+const nodeUp = metrics.gauge('logchain_node_up', '1 if the node answered the last scrape, 0 otherwise');
+const chainHead = metrics.gauge('logchain_chain_head_block', 'Latest block number reported by the node');
+const indexedBlock = metrics.gauge('logchain_indexed_block', 'Last block scanned by the event index');
+const logEntries = metrics.gauge('logchain_log_entries', 'Indexed log entries across every contract generation');
+const latestLogIndex = metrics.gauge('logchain_latest_log_index', 'History index of the newest indexed log entry (-1 when there is none)');
+const streamClients = metrics.gauge('logchain_stream_clients', 'Open /api/logs/stream connections');
+const submissionsByStatus = metrics.gauge('logchain_submissions', 'Async /add-log submissions by status');
+const transactionsInFlight = metrics.gauge('logchain_transactions_in_flight', 'Contract writes sent and waiting for a receipt');
+const transactionsWaiting = metrics.gauge('logchain_transactions_waiting', 'Contract writes waiting for a free in-flight slot');
+const transactions = metrics.counter('logchain_transactions_total', 'Contract write transactions by outcome');
+const batchPending = metrics.gauge('logchain_batch_pending_entries', 'Lines waiting for the next Merkle batch');
+const batchesAnchored = metrics.gauge('logchain_batches_anchored', 'Merkle batches anchored by this contract');
+const webhookDeliveries = metrics.counter('logchain_webhook_deliveries_total', 'Webhook deliveries by outcome');
+const redactedEntries = metrics.counter('logchain_redacted_entries_total', 'Entries with at least one redaction');
+const redactionHits = metrics.counter('logchain_redaction_hits_total', 'Redacted values by rule');
+const ruleFirings = metrics.counter('logchain_rule_firings_total', 'Alerting rule firings by rule');
+const ruleActionFailures = metrics.counter('logchain_rule_action_failures_total', 'Alerting rule email and command actions that failed, by action type');
+
+// Stats pushed by log streamers (services/stream-logs.js) to POST /metrics/streamer
+// Labelled with the pushing API key and the streamer's instance name
+const streamerSpooled = metrics.gauge('logchain_streamer_spooled_entries', 'Entries waiting in a streamer\'s spool');
+const streamerSpooledBytes = metrics.gauge('logchain_streamer_spooled_bytes', 'Size of a streamer\'s spool');
+const streamerOldestAge = metrics.gauge('logchain_streamer_oldest_spooled_age_seconds', 'Age of the oldest spooled entry (0 when the spool is empty)');
+const streamerSent = metrics.counter('logchain_streamer_sent_total', 'Entries a streamer had accepted by the server');
+const streamerFailed = metrics.counter('logchain_streamer_failed_total', 'Entries the server rejected, moved to the streamer\'s failed.jsonl');
+const streamerDropped = metrics.counter('logchain_streamer_dropped_total', 'Lines a streamer dropped because its spool was full');
+const streamerRetries = metrics.counter('logchain_streamer_retries_total', 'Requests a streamer will retry after a connection or server error');
+const streamerDailyLimitHits = metrics.counter('logchain_streamer_daily_limit_hits_total', 'Times a streamer reached its daily /add-log limit');
+const streamerLastPush = metrics.gauge('logchain_streamer_last_push_timestamp_seconds', 'When a streamer last pushed its stats');
+const STREAMER_METRICS_TTL_MS = 5 * 60 * 1000; // Forget streamers that stopped pushing
+const MAX_STREAMER_INSTANCES_PER_KEY = 100; // Streamers one API key can report at once
+const streamerStats = new Map();
+
+// Time every JSON-RPC request sent to the node
+function instrumentProvider(provider) {
+  const request = provider.request.bind(provider);
+  provider.request = async (payload, ...rest) => {
+    const method = Array.isArray(payload) ? 'batch' : payload.method;
+    const started = process.hrtime.bigint();
+    try {
+      const response = await request(payload, ...rest);
+      if (response && response.error) {
+        rpcErrors.inc({ method });
+      }
+      return response;
+    } catch (error) {
+      rpcErrors.inc({ method });
+      throw error;
+    } finally {
+      rpcDuration.observe({ method }, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  };
+}
+
+instrumentProvider(web3.provider);
+
+// Record the gas of a contract write that stored count entries
+function recordGas(kind, receipt, count) {
+  const gas = Number(receipt.gasUsed);
+  gasUsed.inc({ kind }, gas);
+  gasPerEntry.observe({ kind }, gas / count);
+}
 
 // Create Express app
 const app = express();
 // Enable CORS for all routes
 app.use(cors());
-app.use(express.json());
+
+// Count every request once it is answered; unmatched paths share one label
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const status = String(res.statusCode);
+    const route = req.route ? req.route.path : 'other';
+    httpRequests.inc({ method: req.method, route: route, status: status });
+    if (req.method === 'POST' && req.path === '/add-log') {
+      addLogRequests.inc({ status });
+      addLogDuration.observe({ status }, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  });
+  next();
+});
+
+app.use(express.json({ limit: '5mb' })); // Batched lines can exceed the 100kb default
+
+// Answer unreadable request bodies (malformed JSON, too large) as JSON, like other invalid requests
+app.use((error, req, res, next) => {
+  if (!error.expose) {
+    return next(error);
+  }
+  res.status(error.status).json({
+    error: 'Invalid request',
+    message: error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : error.message,
+  });
+});
+
+// API keys, managed with scripts/manage-keys.js
+// The store is re-read whenever the file changes, so no restart is needed
+let keyStore = { keys: [] };
+let keyStoreMtime = 0;
+
+function getKeyStore() {
+  try {
+    const mtime = fs.statSync(KEY_STORE_PATH).mtimeMs;
+    if (mtime !== keyStoreMtime) {
+      keyStore = loadKeyStore(KEY_STORE_PATH);
+      keyStoreMtime = mtime;
+    }
+  } catch (error) {
+    // No key store yet, so no key is valid
+    keyStore = { keys: [] };
+    keyStoreMtime = 0;
+  }
+  return keyStore;
+}
+
+// Encryption recipients, managed with scripts/manage-recipients.js
+// Re-read whenever the file changes, like the key store
+let recipientStore = { recipients: [] };
+let recipientStoreMtime = 0;
+
+function getRecipientStore() {
+  try {
+    const mtime = fs.statSync(RECIPIENT_STORE_PATH).mtimeMs;
+    if (mtime !== recipientStoreMtime) {
+      recipientStore = loadRecipientStore(RECIPIENT_STORE_PATH);
+      recipientStoreMtime = mtime;
+    }
+  } catch (error) {
+    // No recipient store yet, so nothing can be encrypted or decrypted
+    recipientStore = { recipients: [] };
+    recipientStoreMtime = 0;
+  }
+  return recipientStore;
+}
+
+// Alerting rules, re-read whenever the file changes like the key store
+// An invalid edit is reported and the rules in effect are kept
+function getRules() {
+  const mtime = rulesFileMtime();
+  if (mtime !== rulesConfigMtime) {
+    rulesConfigMtime = mtime;
+    try {
+      const store = loadRuleStore(rulesConfigPath);
+      rulesConfig = parseRuleStore(store);
+      ruleStore = store;
+    } catch (error) {
+      console.error('[WARNING] Ignoring invalid rules config, keeping the previous rules:', error.message);
+    }
+  }
+  return rulesConfig;
+}
+
+// Write the rules back to the file, keeping its other settings (smtp)
+function saveRules(rules) {
+  ruleStore = { ...ruleStore, rules: rules.map(formatRule) };
+  saveRuleStore(ruleStore, rulesConfigPath);
+  rulesConfig = { ...rulesConfig, rules: rules };
+  rulesConfigMtime = rulesFileMtime();
+}
+
+// Recipient private keys the server can decrypt with on behalf of an API key
+function decryptionKeys(apiKey) {
+  const granted = apiKey.recipients || [];
+  return getRecipientStore().recipients.filter(recipient =>
+    recipient.privateKey && granted.includes(recipient.id)
+  );
+}
+
+// Local signing keys sign their own transactions
+function useSigningKey(key) {
+  if (key.privateKey && !web3.eth.accounts.wallet.get(key.account)) {
+    web3.eth.accounts.wallet.add(key.privateKey);
+  }
+}
+
+// Require a valid API key (Authorization: Bearer <key> or X-API-Key: <key>)
+// and attach it to the request as req.apiKey
+function authenticate(req, res, next) {
+  const authorization = req.get('Authorization') || '';
+  const secret = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : req.get('X-API-Key');
+
+  const key = findKey(getKeyStore(), secret);
+  if (!key) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: secret ? 'Invalid or revoked API key' : 'An API key is required',
+    });
+  }
+
+  // Keys are created for one network; their accounts may not exist on another
+  if (key.network && key.network !== network.name) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: `This API key is for network ${key.network}, but the server is running on ${network.name}`,
+    });
+  }
+
+  useSigningKey(key);
+  req.apiKey = key;
+  next();
+}
+
+// Require an API key that is allowed to read logs
+function requireRead(req, res, next) {
+  authenticate(req, res, () => {
+    if (req.apiKey.read === 'none') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This API key does not have read access',
+      });
+    }
+    next();
+  });
+}
+
+// Require an API key with full read access, for managing server-wide settings (rules)
+function requireReadAll(req, res, next) {
+  authenticate(req, res, () => {
+    if (req.apiKey.read !== 'all') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This API key does not have full read access',
+      });
+    }
+    next();
+  });
+}
+
+// Require an API key created with --admin, for changing server-wide settings (rules)
+function requireAdmin(req, res, next) {
+  authenticate(req, res, () => {
+    if (req.apiKey.admin !== true) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This API key may not change server settings',
+      });
+    }
+    next();
+  });
+}
+
+// Sender every log returned to this key must have, or undefined for full read access
+function readScopeSender(apiKey) {
+  return apiKey.read === 'own' ? apiKey.account : undefined;
+}
 
 // Serve the HTML file
 app.get('/', (req, res) => {
@@ -41,6 +390,39 @@ app.get('/', (req, res) => {
 // Initialize contract instance
 let contract;
 let accounts;
+let batcher;
+let history;
+let submissions;
+let webhooks;
+let txSender;
+let rules;
+
+// Event index: /logs answers from a local index built from LogAdded events
+// Stored per contract address; a migrated deployment also reads its predecessors'
+// indexes, so the history carries on across contract generations
+const INDEX_DIR = path.join(DATA_DIR, 'index');
+const HISTORY_OFFSET = deploymentGenerations(contractInfo).pop().offset; // History index of the current contract's first entry
+const INDEX_POLL_INTERVAL_MS = 2000; // Check for new events every 2 seconds
+
+// Batching: lines posted to /batch-log are anchored as one Merkle root
+// Stored per contract address so a redeploy starts with an empty batch store
+const BATCH_DIR = path.join(DATA_DIR, 'batches', contractInfo.address.toLowerCase());
+const BATCH_MAX_SIZE = 1000; // Anchor as soon as this many lines are pending
+const BATCH_INTERVAL_MS = 10000; // Anchor pending lines at least every 10 seconds
+
+// Transaction sender: nonces are managed locally so writes are pipelined
+// Batch anchors are spread over the SENDER_ACCOUNTS pool (comma-separated
+// signer accounts with the writer role; the network's first signer by default)
+// Gas margin, replacement bump and fixed gas price come from the network's gas policy
+const SENDER_MAX_IN_FLIGHT = 64; // Transactions in flight per account
+const SENDER_STUCK_AFTER_MS = Number(process.env.SENDER_STUCK_AFTER_MS) || network.gas.stuckAfterMs; // Replace with a gas bump after this long
+
+// Submissions: /add-log with "async": true queues the entry and returns a submission id
+// Stored per contract address so a redeploy starts with an empty queue
+const SUBMISSIONS_DIR = path.join(DATA_DIR, 'submissions', contractInfo.address.toLowerCase());
+const SUBMISSION_CONFIRMATIONS = Number(process.env.SUBMISSION_CONFIRMATIONS) || network.confirmations; // Blocks before "confirmed"
+const SUBMISSION_POLL_INTERVAL_MS = 2000; // Check pending transactions every 2 seconds
+const SUBMISSION_RETRY_MS = 5000; // Wait before resending after a connection error
 
 // Initialize web3 connection and contract
 async function initialize() {
@@ -56,26 +438,119 @@ async function initialize() {
     if (!isConnected) {
       throw new Error('Failed to connect to Ganache');
     }
+    await checkChainId(web3, network);
 
-    // Get accounts from Ganache
-    accounts = await web3.eth.getAccounts();
+    // Accounts the network's signer can send from
+    accounts = await getSignerAccounts(web3, network);
     if (accounts.length === 0) {
-      throw new Error('No accounts available in Ganache');
+      throw new Error(`No signer accounts available on network ${network.name}`);
     }
 
     // Create contract instance using ABI and address
     contract = new web3.eth.Contract(contractInfo.abi, contractInfo.address);
 
-    console.log('[OK] Connected to Ganache');
+    // Pipelined sender for every contract write
+    txSender = createTxSender({
+      web3: web3,
+      to: contractInfo.address,
+      pool: await senderPool(),
+      ...txSenderOptions(web3, network),
+      maxInFlight: SENDER_MAX_IN_FLIGHT,
+      stuckAfterMs: SENDER_STUCK_AFTER_MS,
+    });
+
+    // Webhooks are signed with WEBHOOK_SECRET when it is set
+    webhooks = createWebhookSender({ secret: process.env.WEBHOOK_SECRET });
+
+    // Alerting rules see entries once they are anchored: indexed LogAdded entries and batched lines
+    rules = createRulesEngine({ getRules, webhooks, sendMail });
+
+    // Create the batcher that anchors Merkle roots of batched lines
+    batcher = createBatcher({
+      dataDir: BATCH_DIR,
+      anchorRoot: anchorBatchRoot,
+      maxSize: BATCH_MAX_SIZE,
+      intervalMs: BATCH_INTERVAL_MS,
+      onAnchored: batch => rules.evaluate(batch.entries.map(entry => fromBatchEntry(entry, batch))),
+    });
+
+    // Backfill the event index of every generation, then keep following new blocks
+    history = createHistory({
+      generations: deploymentGenerations(contractInfo).map((generation) => {
+        const generationContract = generation.logCount === null
+          ? contract
+          : new web3.eth.Contract(generation.abi, generation.address);
+        return {
+          address: generation.address,
+          offset: generation.offset,
+          contract: generationContract,
+          indexer: createIndexer({
+            web3: web3,
+            contract: generationContract,
+            dataDir: path.join(INDEX_DIR, generation.address.toLowerCase()),
+            startBlock: generation.blockNumber ? Number(generation.blockNumber) : 0,
+            pollIntervalMs: INDEX_POLL_INTERVAL_MS,
+            endIndex: generation.logCount,
+          }),
+        };
+      }),
+    });
+    await history.start();
+    // Subscribed after the backfill, so only entries indexed from now on raise alerts
+    history.subscribe(added => rules.evaluate(added.map(fromLogEntry)));
+
+    // Send queued submissions (including ones left from the last run) and track them
+    submissions = createSubmissionQueue({
+      dataDir: SUBMISSIONS_DIR,
+      submit: submitQueuedLog,
+      getReceipt: getAddLogReceipt,
+      getBlockNumber: () => web3.eth.getBlockNumber(),
+      describeError: (error, submission) => {
+        const { statusCode, message } = describeAddLogError(error, submission.sender);
+        return { retry: statusCode === 503, reason: message };
+      },
+      onStatusChange: onSubmissionStatusChange,
+      confirmations: SUBMISSION_CONFIRMATIONS,
+      pollIntervalMs: SUBMISSION_POLL_INTERVAL_MS,
+      retryMs: SUBMISSION_RETRY_MS,
+    });
+    submissions.start();
+
+    console.log(`[OK] Connected to network ${network.name} at ${network.rpcUrl}`);
     console.log('[OK] Contract loaded at address:', contractInfo.address);
-    console.log('[OK] Using account:', accounts[0]);
+    if (contractInfo.history && contractInfo.history.length > 0) {
+      console.log('[OK] Continuing the history of:', contractInfo.history.map(previous => previous.address).join(', '));
+    }
+    console.log('[OK] Anchoring batches from:', txSender.getStats().pool.join(', '));
+    console.log('[OK] Indexed log entries:', history.count());
+    const queued = submissions.getStats();
+    if (queued.queued + queued.pending > 0) {
+      console.log(`[OK] Resuming submissions: ${queued.queued} queued, ${queued.pending} pending`);
+    }
+
+    const redaction = redactor.getStats();
+    if (redaction.enabled) {
+      console.log(`[OK] Redacting (${redaction.mode}):`, Object.keys(redaction.rules).join(', '));
+    } else {
+      console.log('[WARNING] Redaction is turned off - messages are stored exactly as sent');
+    }
+
+    const ruleStats = rules.getStats();
+    if (ruleStats.rules > 0) {
+      console.log(`[OK] Alerting rules: ${ruleStats.enabled} enabled of ${ruleStats.rules}`);
+    }
+
+    const activeKeys = getKeyStore().keys.filter(key => !key.revoked && (!key.network || key.network === network.name)).length;
+    if (activeKeys === 0) {
+      console.log('[WARNING] No API keys found - all log requests will be rejected with 401');
+      console.log('  Create one with: npm run keys -- create --name <service>');
+    } else {
+      console.log('[OK] Active API keys:', activeKeys);
+    }
     console.log('');
 
   } catch (error) {
-    if (error.code === 'ECONNREFUSED' || 
-        error.message.includes('timeout') ||
-        error.message.includes('ETIMEDOUT') ||
-        error.message.includes('connect')) {
+    if (isConnectionError(error) || error.message.includes('timeout')) {
       console.error('[ERROR] Connection Error: Could not connect to Ganache');
       console.error('  Make sure Ganache is running at', ganacheUrl);
       console.error('  Start Ganache and restart the server');
@@ -86,35 +561,385 @@ async function initialize() {
   }
 }
 
+// Accounts in SENDER_ACCOUNTS, or the network's first signer account
+// Accounts without the writer role are left out, since their anchors would revert
+async function senderPool() {
+  const configured = process.env.SENDER_ACCOUNTS
+    ? process.env.SENDER_ACCOUNTS.split(',').map(address => address.trim()).filter(Boolean)
+    : [accounts[0]];
+
+  const pool = [];
+  for (const address of configured) {
+    const account = accounts.find(a => a.toLowerCase() === address.toLowerCase());
+    if (!account) {
+      throw new Error(`SENDER_ACCOUNTS: ${address} is not a signer account of network ${network.name}`);
+    }
+    if (!(await contract.methods.isWriter(account).call())) {
+      console.log(`[WARNING] Sender account ${account} does not have the writer role and is not used`);
+      console.log(`  Grant it with: npm run writers -- grant ${account}`);
+      continue;
+    }
+    pool.push(account);
+  }
+  if (pool.length === 0) {
+    throw new Error('No account in SENDER_ACCOUNTS has the writer role');
+  }
+  return pool;
+}
+
+// Decoded arguments of the contract's first `name` event in a receipt, or null if it has none
+function eventFromReceipt(receipt, name) {
+  const event = contractInfo.abi.find(item => item.type === 'event' && item.name === name);
+  const topic = web3.eth.abi.encodeEventSignature(event);
+  const log = (receipt.logs || []).find(item => item.topics && item.topics[0] === topic);
+  return log ? web3.eth.abi.decodeLog(event.inputs, log.data, log.topics.slice(1)) : null;
+}
+
+// Anchor a batch root on-chain and return where it landed
+async function anchorBatchRoot(root, count) {
+  const receipt = await txSender.send(contract.methods.anchorBatch(root, count));
+  recordGas('anchorBatch', receipt, count);
+
+  return {
+    batchIndex: Number(eventFromReceipt(receipt, 'BatchAnchored').batchIndex),
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber.toString(),
+  };
+}
+
+// Limits for structured log fields
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+const MAX_FIELD_LENGTH = 256; // source and facility
+const MAX_ATTRIBUTES_BYTES = 8192; // serialized attributes JSON
+const MAX_CLOCK_SKEW_SECONDS = 300; // how far in the future an originalTimestamp may be
+
+// Size limits of the fields stored on-chain; returns an error message or null
+// Checked on the request, and again after redaction since replacements can be longer
+function fieldLimitError({ source, facility, tags }, attributesJson) {
+  for (const [name, value] of [['source', source], ['facility', facility]]) {
+    if (value !== undefined && value.length > MAX_FIELD_LENGTH) {
+      return `"${name}" must be a string of at most ${MAX_FIELD_LENGTH} characters`;
+    }
+  }
+  if (tags !== undefined && !tags.every(tag => tag.length <= MAX_TAG_LENGTH)) {
+    return `"tags" must be an array of at most ${MAX_TAGS} non-empty strings of up to ${MAX_TAG_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(attributesJson) > MAX_ATTRIBUTES_BYTES) {
+    return `"attributes" must be at most ${MAX_ATTRIBUTES_BYTES} bytes when serialized`;
+  }
+  return null;
+}
+
+// Validate a structured log payload, then redact it with the redactor given
+// Redaction runs only on payloads that passed validation, so its hit counters don't
+// count rejected requests; encryption runs last, on the redacted message
+// Returns { entry } with the on-chain fields, or { error } with a message
+function parseLogPayload(body, redactor) {
+  const { message, severity, source, facility, tags, attributes, originalTimestamp, encrypt } = body || {};
+
+  if (!message || typeof message !== 'string') {
+    return { error: 'Please provide a "message" field as a string' };
+  }
+
+  // Messages encrypted by the client are stored as they are, but must be well-formed
+  if (isEncrypted(message) && !parseEnvelope(message)) {
+    return { error: '"message" starts with the encryption prefix but is not a valid envelope' };
+  }
+
+  const severityLevel = severity === undefined ? DEFAULT_SEVERITY : parseSeverity(severity);
+  if (severityLevel === null) {
+    return { error: '"severity" must be an RFC 5424 level name (e.g. "error", "warning", "info") or a number from 0 to 7' };
+  }
+
+  for (const [name, value] of [['source', source], ['facility', facility]]) {
+    if (value !== undefined && typeof value !== 'string') {
+      return { error: `"${name}" must be a string of at most ${MAX_FIELD_LENGTH} characters` };
+    }
+  }
+
+  if (tags !== undefined && (!Array.isArray(tags) || tags.length > MAX_TAGS ||
+      !tags.every(tag => tag && typeof tag === 'string'))) {
+    return { error: `"tags" must be an array of at most ${MAX_TAGS} non-empty strings of up to ${MAX_TAG_LENGTH} characters` };
+  }
+
+  if (attributes !== undefined && (attributes === null || typeof attributes !== 'object' || Array.isArray(attributes))) {
+    return { error: '"attributes" must be a JSON object' };
+  }
+
+  // When the entry was originally logged (e.g. a line of an imported log file), kept in
+  // attributes so the contentHash covers it; the block timestamp stays the write time
+  let originalTime;
+  if (originalTimestamp !== undefined) {
+    originalTime = typeof originalTimestamp === 'number' ? originalTimestamp : parseTimeParam(String(originalTimestamp));
+    if (!Number.isInteger(originalTime) || originalTime <= 0 ||
+        originalTime > Math.floor(Date.now() / 1000) + MAX_CLOCK_SKEW_SECONDS) {
+      return { error: '"originalTimestamp" must be unix seconds or an ISO 8601 date, not in the future' };
+    }
+    if (attributes && attributes.originalTimestamp !== undefined) {
+      return { error: 'Pass "originalTimestamp" either as a field or in "attributes", not both' };
+    }
+  }
+  const serializeAttributes = value => (value !== undefined || originalTime !== undefined
+    ? JSON.stringify(originalTime !== undefined ? { ...value, originalTimestamp: originalTime } : value)
+    : '');
+  const limitError = fieldLimitError({ source, facility, tags }, serializeAttributes(attributes));
+  if (limitError) {
+    return { error: limitError };
+  }
+
+  // encrypt: true encrypts for every recipient, or pass a list of recipient ids
+  let recipients = null;
+  if (encrypt !== undefined && encrypt !== false) {
+    if (isEncrypted(message)) {
+      return { error: '"message" is already encrypted' };
+    }
+    if (encrypt !== true && (!Array.isArray(encrypt) || encrypt.length === 0 ||
+        !encrypt.every(id => typeof id === 'string'))) {
+      return { error: '"encrypt" must be true or a non-empty array of recipient ids' };
+    }
+    const configured = getRecipientStore().recipients;
+    const selected = encrypt === true ? configured : configured.filter(recipient => encrypt.includes(recipient.id));
+    if (encrypt !== true && selected.length !== encrypt.length) {
+      const known = new Set(selected.map(recipient => recipient.id));
+      return { error: `Unknown recipient id(s): ${encrypt.filter(id => !known.has(id)).join(', ')}` };
+    }
+    if (selected.length === 0) {
+      return { error: 'No encryption recipients are configured - add one with: npm run recipients -- create --name <name>' };
+    }
+    recipients = selected;
+  }
+
+  const { entry: redacted, matches } = redactor.redactEntry({ message, source, facility, tags, attributes }, { record: false });
+  const attributesJson = serializeAttributes(redacted.attributes);
+  const redactedLimitError = fieldLimitError(redacted, attributesJson);
+  if (redactedLimitError) {
+    return { error: `${redactedLimitError} (after redaction)` };
+  }
+  redactor.record(matches);
+
+  return {
+    entry: {
+      message: recipients ? encryptMessage(redacted.message, recipients) : redacted.message,
+      severityLevel: severityLevel,
+      source: redacted.source || '',
+      facility: redacted.facility || '',
+      tags: redacted.tags || [],
+      attributes: attributesJson,
+    },
+  };
+}
+
+// Shape an indexed entry for API responses (attributes as an object, and the
+// originalTimestamp from them next to the block timestamp)
+function toApiEntry(entry, apiKey) {
+  let attributes = null;
+  if (entry.attributes) {
+    try {
+      attributes = JSON.parse(entry.attributes);
+    } catch (e) {
+      // Written by another client; return it as stored
+      attributes = entry.attributes;
+    }
+  }
+  const originalTimestamp = attributes && Number.isInteger(attributes.originalTimestamp)
+    ? String(attributes.originalTimestamp)
+    : null;
+  if (!isEncrypted(entry.message)) {
+    return { ...entry, originalTimestamp, attributes };
+  }
+
+  // Encrypted messages are decrypted only for keys granted one of their recipients;
+  // the envelope as stored on-chain is returned too, so exports can be verified
+  const envelope = parseEnvelope(entry.message);
+  const result = {
+    ...entry,
+    originalTimestamp,
+    attributes,
+    message: REDACTED_PLACEHOLDER,
+    encrypted: true,
+    redacted: true,
+    plaintextHash: envelope ? envelope.hash : null,
+    envelope: entry.message,
+  };
+  try {
+    const plaintext = decryptMessage(entry.message, decryptionKeys(apiKey));
+    if (plaintext !== null) {
+      result.message = plaintext;
+      result.redacted = false;
+    }
+  } catch (error) {
+    result.decryptionError = error.message;
+  }
+  return result;
+}
+
+// Send an addLog transaction and wait for its receipt
+// onTransactionHash, if given, is called as soon as the node accepts the transaction
+async function sendAddLog(entry, sender, onTransactionHash) {
+  const addLog = contract.methods.addLog(
+    entry.message,
+    entry.severityLevel,
+    entry.source,
+    entry.facility,
+    entry.tags,
+    entry.attributes
+  );
+  const receipt = await txSender.send(addLog, { from: sender, onTransactionHash: onTransactionHash });
+  recordGas('addLog', receipt, 1);
+  return receipt;
+}
+
+// History index of the entry added in a receipt (from its LogAdded event), or null if there is none
+function logIndexFromReceipt(receipt) {
+  const event = eventFromReceipt(receipt, 'LogAdded');
+  return event ? HISTORY_OFFSET + Number(event.index) : null;
+}
+
+// Whether an error means the node could not be reached, rather than a failed call
+function isConnectionError(error) {
+  const message = error.message || '';
+  return error.code === 'ECONNREFUSED' ||
+    ['ETIMEDOUT', 'ECONNREFUSED', 'connect', 'fetch failed', 'socket hang up'].some(text => message.includes(text));
+}
+
+// Status code and message for a route whose node calls failed: 503 when the node
+// can't be reached, 500 otherwise. context says what the route was doing, for the log
+function describeNodeError(error, context) {
+  if (isConnectionError(error)) {
+    console.error('[ERROR] Ganache connection error:', error.message);
+    return {
+      statusCode: 503, // Service Unavailable
+      message: `Cannot connect to the ${network.name} node. Please make sure it is running at ${network.rpcUrl}.`,
+    };
+  }
+  console.error(`Error ${context}:`, error.message);
+  return { statusCode: 500, message: error.message };
+}
+
+// Status code and message for a failed addLog transaction
+function describeAddLogError(error, account) {
+  // Revert reason from the contract, if the call reverted
+  const revertReason = error.cause && error.cause.message ? error.cause.message : '';
+
+  if (isConnectionError(error)) {
+    return describeNodeError(error, 'adding log');
+  }
+  if (revertReason.includes('Caller is not a writer')) {
+    console.error('[ERROR] Write rejected for non-writer account:', account);
+    return {
+      statusCode: 403, // Forbidden
+      message: `Account ${account} does not have the writer role. Grant it with: npm run writers -- grant ${account}`,
+    };
+  }
+  console.error('Error adding log:', error.message);
+  return { statusCode: 500, message: error.message };
+}
+
+// Send a queued submission from the account of the key that submitted it
+async function submitQueuedLog(submission, onTransactionHash) {
+  const key = getKeyStore().keys.find(k => k.id === submission.keyId && !k.revoked);
+  if (!key) {
+    throw new Error('The API key that submitted this entry has been revoked');
+  }
+  useSigningKey(key);
+
+  const receipt = await sendAddLog(submission.entry, submission.sender, onTransactionHash);
+  return {
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber.toString(),
+    index: logIndexFromReceipt(receipt),
+  };
+}
+
+// Receipt of a sent submission, or null while it is not mined
+async function getAddLogReceipt(transactionHash) {
+  let receipt;
+  try {
+    receipt = await web3.eth.getTransactionReceipt(transactionHash);
+  } catch (error) {
+    if (error.message.includes('not found') || error.name === 'TransactionNotFound') {
+      return null;
+    }
+    throw error;
+  }
+  if (!receipt) {
+    return null;
+  }
+  return {
+    status: Number(receipt.status) === 1,
+    blockNumber: receipt.blockNumber.toString(),
+    index: logIndexFromReceipt(receipt),
+  };
+}
+
+// Pick up confirmed entries and tell the submitter's webhook about every status change
+function onSubmissionStatusChange(submission) {
+  if (submission.status === 'confirmed') {
+    history.sync().catch(() => {
+      // Sync errors are logged by the indexer's poll loop
+    });
+  }
+  if (submission.webhookUrl) {
+    webhooks.send(submission.webhookUrl, {
+      event: 'submission.' + submission.status,
+      submission: submissions.toStatus(submission),
+    });
+  }
+}
+
 // POST /add-log - Add a new log entry to the blockchain
-app.post('/add-log', async (req, res) => {
+// With "async": true the entry is queued and the response carries a submission id
+// to poll at GET /submissions/:id; "webhookUrl" is told about every status change
+app.post('/add-log', authenticate, async (req, res) => {
   try {
-    // Validate request body
-    const { message } = req.body;
-    if (!message || typeof message !== 'string') {
+    const { async: queue, webhookUrl } = req.body || {};
+    if (queue !== undefined && typeof queue !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: '"async" must be true or false',
+      });
+    }
+    if (webhookUrl !== undefined && (!queue || !isWebhookUrl(webhookUrl))) {
       return res.status(400).json({
         error: 'Invalid request',
-        message: 'Please provide a "message" field as a string',
+        message: '"webhookUrl" must be an http(s) URL and needs "async": true',
       });
     }
 
-    // Estimate gas for the transaction
-    const gasEstimate = await contract.methods.addLog(message).estimateGas({
-      from: accounts[0],
-    });
-    
-    // Add larger buffer to gas estimate (convert BigInt to string)
-    // Increase buffer to prevent out of gas errors
-    const gasWithBuffer = (BigInt(gasEstimate) + BigInt(100000)).toString();
-    
-    // Ensure minimum gas limit for string operations
-    const minGas = '200000';
-    const finalGas = BigInt(gasWithBuffer) > BigInt(minGas) ? gasWithBuffer : minGas;
-    
-    // Call addLog() on the contract and wait for confirmation
-    const receipt = await contract.methods.addLog(message).send({
-      from: accounts[0],
-      gas: finalGas,
+    // Validate and redact the request body
+    const { entry, error: payloadError } = parseLogPayload(req.body || {}, redactor);
+    if (payloadError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: payloadError,
+      });
+    }
+
+    // Each API key writes from its own account, so the on-chain sender identifies it
+    const sender = req.apiKey.account;
+
+    if (queue) {
+      const submission = submissions.add({
+        entry: entry,
+        sender: sender,
+        keyId: req.apiKey.id,
+        webhookUrl: webhookUrl,
+      });
+      return res.status(202).json({
+        success: true,
+        submissionId: submission.id,
+        status: submission.status,
+        statusUrl: `/submissions/${submission.id}`,
+        message: 'Log entry queued',
+      });
+    }
+
+    const receipt = await sendAddLog(entry, sender);
+
+    // Pick up the new entry without waiting for the next poll
+    history.sync().catch(() => {
+      // Sync errors are logged by the indexer's poll loop
     });
 
     // Return transaction hash
@@ -127,177 +952,666 @@ app.post('/add-log', async (req, res) => {
 
   } catch (error) {
     // Handle blockchain errors
-    let errorMessage = error.message;
-    let statusCode = 500;
-    
-    // Check for connection errors
-    if (error.message.includes('ETIMEDOUT') || 
-        error.message.includes('ECONNREFUSED') || 
-        error.message.includes('connect') ||
-        error.message.includes('fetch failed')) {
-      errorMessage = 'Cannot connect to Ganache. Please make sure Ganache is running on port 7545.';
-      statusCode = 503; // Service Unavailable
-      console.error('[ERROR] Ganache connection error:', error.message);
-    } else {
-      console.error('Error adding log:', error.message);
-    }
-    
+    const { statusCode, message } = describeAddLogError(error, req.apiKey.account);
     res.status(statusCode).json({
       error: 'Failed to add log',
-      message: errorMessage,
+      message: message,
+    });
+  }
+});
+
+// GET /submissions/:id - Status of an asynchronous /add-log submission
+// Visible to the key that submitted it and to keys that can read all logs
+app.get('/submissions/:id', authenticate, async (req, res) => {
+  const submission = submissions.get(req.params.id);
+  if (!submission || (submission.keyId !== req.apiKey.id && req.apiKey.read !== 'all')) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No submission with id ${req.params.id}`,
+    });
+  }
+
+  res.json(await submissions.getStatus(submission.id));
+});
+
+// POST /batch-log - Queue one or more lines for the next Merkle batch
+// Body: { message: string } or { messages: string[] }
+app.post('/batch-log', authenticate, (req, res) => {
+  const { message, messages } = req.body || {};
+  const lines = messages !== undefined ? messages : [message];
+
+  if (!Array.isArray(lines) || lines.length === 0 ||
+      !lines.every(line => line && typeof line === 'string')) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Please provide a "message" string or a non-empty "messages" array of strings',
+    });
+  }
+
+  try {
+    const ids = batcher.add(lines.map(line => redactor.redactEntry({ message: line }).entry.message), req.apiKey.account);
+    res.status(202).json({
+      success: true,
+      ids: ids,
+      message: `${ids.length} log entr${ids.length === 1 ? 'y' : 'ies'} queued for the next batch`,
+    });
+  } catch (error) {
+    console.error('Error queueing batch log:', error.message);
+    res.status(500).json({
+      error: 'Failed to queue log',
+      message: error.message,
+    });
+  }
+});
+
+// GET /logs/:id/proof - Merkle inclusion proof for a batched entry
+app.get('/logs/:id/proof', requireRead, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id) || id < 0 || String(id) !== req.params.id) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Entry id must be a non-negative integer',
+    });
+  }
+
+  // Keys scoped to their own entries can't see other senders' entries
+  const result = batcher.getEntryProof(id);
+  const scopeSender = readScopeSender(req.apiKey);
+  if (!result || (scopeSender && result.entry.sender.toLowerCase() !== scopeSender.toLowerCase())) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No batched entry with id ${id}`,
+    });
+  }
+
+  if (result.pending) {
+    return res.status(202).json({
+      success: true,
+      pending: true,
+      entry: result.entry,
+      message: 'Entry has not been anchored yet',
+    });
+  }
+
+  try {
+    // Ask the contract to check the proof against the anchored root
+    const verified = await contract.methods
+      .verifyBatchProof(result.batchIndex, result.entry.leaf, result.proof)
+      .call();
+
+    res.json({
+      success: true,
+      pending: false,
+      entry: result.entry,
+      batchIndex: result.batchIndex,
+      root: result.root,
+      leafIndex: result.leafIndex,
+      proof: result.proof,
+      transactionHash: result.transactionHash,
+      blockNumber: result.blockNumber,
+      verified: verified,
+    });
+
+  } catch (error) {
+    const { statusCode, message } = describeNodeError(error, 'verifying proof');
+    res.status(statusCode).json({
+      error: 'Failed to verify proof',
+      message: message,
     });
   }
 });
 
-// GET /logs - Retrieve all logs from the blockchain
+// Default and maximum page size for /logs
+const DEFAULT_LOGS_LIMIT = 100;
+const MAX_LOGS_LIMIT = 1000;
+
+// Parse an optional non-negative integer query parameter
+// Returns undefined when absent and NaN when invalid
+function parseIndexParam(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+// Parse an optional time query parameter (unix seconds or an ISO 8601 date)
+// Returns undefined when absent and NaN when invalid
+function parseTimeParam(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? NaN : Math.floor(ms / 1000);
+}
+
+// Parse the entry filters shared by /logs and /api/logs/stream
+// Returns { filters } or { error } with a message for a 400 response
+function parseLogFilters(query, apiKey) {
+  const from = parseTimeParam(query.from);
+  const to = parseTimeParam(query.to);
+  if ([from, to].some(Number.isNaN)) {
+    return { error: '"from" and "to" must be unix seconds or ISO 8601 dates' };
+  }
+
+  // Severity names or levels, comma-separated
+  let severities;
+  if (typeof query.severity === 'string' && query.severity !== '') {
+    severities = query.severity.split(',').map(parseSeverity);
+    if (severities.includes(null)) {
+      return { error: '"severity" must be a comma-separated list of RFC 5424 level names or numbers' };
+    }
+  }
+
+  return {
+    filters: {
+      from,
+      to,
+      sender: typeof query.sender === 'string' ? query.sender : undefined,
+      q: typeof query.q === 'string' ? query.q : undefined,
+      severities,
+      source: typeof query.source === 'string' ? query.source : undefined,
+      facility: typeof query.facility === 'string' ? query.facility : undefined,
+      tag: typeof query.tag === 'string' ? query.tag : undefined,
+      onlySender: readScopeSender(apiKey),
+    },
+  };
+}
+
+// GET /logs - Page through logs from the local event index, newest first
 // GET /get - Alias for /logs
-async function getLogsHandler(req, res) {
+// Query parameters (all optional):
+//   before, after - index cursors (use nextCursor from the previous page)
+//   limit         - page size (default 100, max 1000)
+//   from, to      - timestamp range, unix seconds or ISO 8601
+//   sender        - sender address (or part of it)
+//   q             - substring to search for in messages
+//   severity      - comma-separated severity names or levels (e.g. "error,critical")
+//   source, facility, tag - exact source, facility or tag
+function getLogsHandler(req, res) {
   try {
-    let totalCount = 0;
-    let formattedLogs = [];
-    
-    // Strategy: Fetch logs individually to avoid gas issues
-    // Find the highest index first by binary search, then fetch backwards
-    try {
-      // Binary search to find the highest valid index
-      let highestIndex = -1;
-      let low = 0;
-      let high = 10000; // Start with a high upper bound
-      
-      // First, find a valid upper bound by checking high indices
-      let upperBound = -1;
-      for (let testIndex = 10000; testIndex >= 0; testIndex -= 500) {
-        try {
-          const testLog = await contract.methods.logs(testIndex).call();
-          if (testLog && testLog.message) {
-            upperBound = testIndex;
-            break;
-          }
-        } catch (e) {
-          // Index doesn't exist, continue
-        }
-      }
-      
-      // If we found an upper bound, do binary search to find the exact highest index
-      if (upperBound >= 0) {
-        low = upperBound;
-        high = upperBound + 1000; // Check up to 1000 more indices
-        
-        // Binary search to find the exact highest index
-        while (low <= high) {
-          const mid = Math.floor((low + high) / 2);
-          try {
-            const testLog = await contract.methods.logs(mid).call();
-            if (testLog && testLog.message) {
-              highestIndex = mid;
-              low = mid + 1; // Search higher
-            } else {
-              high = mid - 1; // Search lower
-            }
-          } catch (e) {
-            // Index doesn't exist, search lower
-            high = mid - 1;
-          }
-        }
-      } else {
-        // No upper bound found, search from the beginning
-        // Try to find the highest index by checking from a reasonable starting point
-        for (let i = 0; i < 5000; i++) {
-          try {
-            const log = await contract.methods.logs(i).call();
-            if (log && log.message) {
-              highestIndex = i;
-            } else {
-              break;
-            }
-          } catch (e) {
-            // Index doesn't exist, we've found the end
-            break;
-          }
-        }
-      }
-      
-      // Now fetch the latest 100 logs (from highestIndex backwards)
-      const startIndex = Math.max(0, highestIndex - 99);
-      const endIndex = highestIndex;
-      
-      for (let i = endIndex; i >= startIndex && i >= 0; i--) {
-        try {
-          const log = await contract.methods.logs(i).call();
-          if (log && log.message) {
-            formattedLogs.push({
-              index: i,
-              message: log.message,
-              sender: log.sender,
-              timestamp: log.timestamp.toString(),
-            });
-          }
-        } catch (e) {
-          // Index doesn't exist, skip
-          continue;
-        }
-      }
-      
-      totalCount = highestIndex + 1; // Total count is highestIndex + 1
-      
-    } catch (error) {
-      // Fallback: try getLogs() with higher gas limit
-      console.log('Individual fetching failed, trying getLogs()...');
-      try {
-        const logs = await contract.methods.getLogs().call({
-          gas: '8000000' // Very high gas limit
-        });
-        formattedLogs = logs.map((log, index) => ({
-          index: index,
-          message: log.message,
-          sender: log.sender,
-          timestamp: log.timestamp.toString(),
-        }));
-        totalCount = formattedLogs.length;
-        // Reverse to show newest first
-        formattedLogs = formattedLogs.reverse();
-      } catch (gasError) {
-        throw new Error('Failed to retrieve logs: ' + gasError.message);
-      }
+    const before = parseIndexParam(req.query.before);
+    const after = parseIndexParam(req.query.after);
+    const limit = parseIndexParam(req.query.limit);
+
+    if ([before, after, limit].some(Number.isNaN)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: '"before", "after" and "limit" must be non-negative integers',
+      });
+    }
+
+    const { filters, error } = parseLogFilters(req.query, req.apiKey);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error,
+      });
+    }
+
+    if (limit !== undefined && (limit < 1 || limit > MAX_LOGS_LIMIT)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `"limit" must be between 1 and ${MAX_LOGS_LIMIT}`,
+      });
     }
 
-    // Limit to latest 100 logs to prevent performance issues
-    const limitedLogs = formattedLogs.slice(0, 100); // Already newest first
+    const page = history.query({
+      before,
+      after,
+      limit: limit !== undefined ? limit : DEFAULT_LOGS_LIMIT,
+      ...filters,
+    });
 
     res.json({
       success: true,
-      count: totalCount,
-      displayed: limitedLogs.length,
-      logs: limitedLogs,
+      count: history.count(),
+      displayed: page.logs.length,
+      logs: page.logs.map(entry => toApiEntry(entry, req.apiKey)),
+      nextCursor: page.nextCursor,
     });
 
   } catch (error) {
-    // Handle blockchain errors
-    let errorMessage = error.message;
-    let statusCode = 500;
-    
-    // Check for connection errors
-    if (error.message.includes('ETIMEDOUT') || 
-        error.message.includes('ECONNREFUSED') || 
-        error.message.includes('connect') ||
-        error.message.includes('fetch failed')) {
-      errorMessage = 'Cannot connect to Ganache. Please make sure Ganache is running on port 7545.';
-      statusCode = 503; // Service Unavailable
-      console.error('[ERROR] Ganache connection error:', error.message);
+    const { statusCode, message } = describeNodeError(error, 'retrieving logs');
+    res.status(statusCode).json({
+      error: 'Failed to retrieve logs',
+      message: message,
+    });
+  }
+}
+
+// Entries checked by one /verify request at most
+const MAX_VERIFY_SPAN = 1000;
+
+// GET /verify - Walk the hash chain and report the first broken link
+// Optional query parameters: from, to (inclusive history indices), at most MAX_VERIFY_SPAN
+// entries apart; with one of them, the range runs MAX_VERIFY_SPAN entries from it, and
+// with neither it covers the last MAX_VERIFY_SPAN entries up to the head
+// The chain runs on across contract generations: a successor's first entry links
+// to the head of its predecessor's share of the history
+app.get('/verify', requireRead, async (req, res) => {
+  try {
+    const fromParam = parseIndexParam(req.query.from);
+    const toParam = parseIndexParam(req.query.to);
+    const bounded = fromParam !== undefined && toParam !== undefined;
+
+    if (Number.isNaN(fromParam) || Number.isNaN(toParam) || (bounded && toParam < fromParam)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: '"from" and "to" must be non-negative indices with from <= to',
+      });
+    }
+    if (bounded && toParam - fromParam + 1 > MAX_VERIFY_SPAN) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `"from" and "to" may span at most ${MAX_VERIFY_SPAN} entries; verify a longer chain in several requests`,
+      });
+    }
+
+    // Read everything at one block, so the entry count, the entries and the head
+    // hash agree even while new entries are being mined; node errors are left
+    // to the handler below rather than taken for the end of the chain
+    const readAt = Number(await web3.eth.getBlockNumber());
+    const reader = createHistoryReader(web3, deploymentGenerations(contractInfo), readAt);
+    const total = await reader.count();
+
+    let from;
+    let to;
+    if (fromParam !== undefined) {
+      from = fromParam;
+      to = toParam !== undefined ? toParam : from + MAX_VERIFY_SPAN - 1;
+    } else if (toParam !== undefined) {
+      to = toParam;
+      from = Math.max(0, to - MAX_VERIFY_SPAN + 1);
     } else {
-      console.error('Error retrieving logs:', error.message);
+      from = Math.max(0, total - MAX_VERIFY_SPAN);
+      to = Math.max(total - 1, from);
     }
-    
+
+    const entries = [];
+    for (let i = from; i < Math.min(to + 1, total); i++) {
+      entries.push(await reader.getEntry(i));
+    }
+
+    // The range must end either before another entry or at the head of the chain
+    const nextEntry = to + 1 < total ? await reader.getEntry(to + 1) : null;
+    const expectedNextHash = nextEntry ? nextEntry.prevHash : await reader.lastHash();
+
+    const result = verifyChain(entries, expectedNextHash);
+
+    res.json({
+      success: true,
+      valid: result.valid,
+      from: from,
+      to: entries.length > 0 ? entries[entries.length - 1].index : null,
+      checked: result.checked,
+      headHash: nextEntry ? null : expectedNextHash,
+      brokenLink: result.brokenLink,
+    });
+
+  } catch (error) {
+    const { statusCode, message } = describeNodeError(error, 'verifying logs');
     res.status(statusCode).json({
-      error: 'Failed to retrieve logs',
-      message: errorMessage,
+      error: 'Failed to verify logs',
+      message: message,
+    });
+  }
+});
+
+app.get('/logs', requireRead, getLogsHandler);
+app.get('/api/logs', requireRead, getLogsHandler); // API endpoint
+app.get('/get', requireRead, getLogsHandler);
+
+// Live log streams
+const MAX_STREAM_CLIENTS = 100; // open streams at once
+const MAX_STREAM_REPLAY = 1000; // missed entries replayed on reconnect
+const STREAM_HEARTBEAT_MS = 15000; // keeps proxies from closing idle streams
+let openStreams = 0; // history has other subscribers too (alerting rules), so count streams here
+
+// GET /api/logs/stream - Push new entries as they are indexed (Server-Sent Events)
+// Accepts the same filters as /logs. Each "log" event carries one entry as JSON
+// (with its blockNumber and transactionHash) and uses the entry index as its id,
+// so a client reconnecting with Last-Event-ID (or ?after=<index>) gets what it missed
+app.get('/api/logs/stream', requireRead, (req, res) => {
+  const after = parseIndexParam(req.get('Last-Event-ID') || req.query.after);
+  if (Number.isNaN(after)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: '"after" (or Last-Event-ID) must be a non-negative integer',
     });
   }
+
+  const { filters, error } = parseLogFilters(req.query, req.apiKey);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: error,
+    });
+  }
+
+  if (openStreams >= MAX_STREAM_CLIENTS) {
+    return res.status(503).json({
+      error: 'Too many open log streams',
+      message: `At most ${MAX_STREAM_CLIENTS} streams can be open at once; poll /api/logs instead`,
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const matches = createEntryFilter(filters);
+  const send = (event, data, id) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Ask EventSource clients to reconnect after 3 seconds
+  res.write('retry: 3000\n\n');
+
+  // Entries indexed since the client's last one; "reset" tells it to reload if there are too many
+  if (after !== undefined) {
+    const missed = history.query({ after, limit: MAX_STREAM_REPLAY, ...filters });
+    if (missed.nextCursor !== null) {
+      send('reset', { message: `More than ${MAX_STREAM_REPLAY} entries were missed; reload from /api/logs` });
+    } else {
+      missed.logs.slice().reverse().forEach(entry => send('log', toApiEntry(entry, req.apiKey), entry.index));
+    }
+  }
+  send('ready', { count: history.count() });
+
+  openStreams++;
+  const unsubscribe = history.subscribe((added) => {
+    for (const entry of added) {
+      if (matches(entry)) {
+        send('log', toApiEntry(entry, req.apiKey), entry.index);
+      }
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    openStreams--;
+  });
+});
+
+// GET /api/logs/:index - One entry by its history index (as in /logs, not the batch
+// entry id of /logs/:id/proof), with the transaction and block that wrote it
+// transaction and block are null for an entry indexed without its LogAdded event
+app.get('/api/logs/:index', requireRead, async (req, res) => {
+  const index = parseIndexParam(req.params.index);
+  if (Number.isNaN(index)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Index must be a non-negative integer',
+    });
+  }
+
+  // Keys scoped to their own entries can't see other senders' entries
+  const [entry] = history.query({ before: index + 1, limit: 1, onlySender: readScopeSender(req.apiKey) }).logs;
+  if (!entry || entry.index !== index) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No log entry with index ${index}`,
+    });
+  }
+
+  try {
+    const details = entry.transactionHash
+      ? await readWriteDetails(web3, entry)
+      : { transaction: null, block: null, confirmations: null };
+    res.json({
+      success: true,
+      log: toApiEntry(entry, req.apiKey),
+      ...details,
+    });
+
+  } catch (error) {
+    const { statusCode, message } = describeNodeError(error, 'reading log transaction');
+    res.status(statusCode).json({
+      error: 'Failed to read log',
+      message: message,
+    });
+  }
+});
+
+// GET /writers - Contract owner and accounts with the writer role
+app.get('/writers', requireRead, async (req, res) => {
+  try {
+    const owner = await contract.methods.owner().call();
+    const writers = await contract.methods.getWriters().call();
+
+    // Show which API keys send from each writer account
+    const keys = getKeyStore().keys.filter(key => !key.revoked);
+
+    res.json({
+      success: true,
+      owner: owner,
+      writers: writers.map(address => ({
+        address: address,
+        isOwner: address.toLowerCase() === owner.toLowerCase(),
+        apiKeys: keys
+          .filter(key => key.account.toLowerCase() === address.toLowerCase())
+          .map(key => ({ id: key.id, name: key.name })),
+      })),
+    });
+
+  } catch (error) {
+    const { statusCode, message } = describeNodeError(error, 'retrieving writers');
+    res.status(statusCode).json({
+      error: 'Failed to retrieve writers',
+      message: message,
+    });
+  }
+});
+
+// Alerting rules
+const RULE_TEST_PAGE_SIZE = 1000; // entries read from the index at a time
+const MAX_RULE_TEST_ENTRIES = 100000; // most recent entries a rule test evaluates
+const MAX_RULE_TEST_ALERTS = 100; // alerts returned by a rule test
+
+// A rule with its matches and firings since the server started
+function toApiRule(rule) {
+  return { ...formatRule(rule), stats: rules.getRuleStats(rule.id) };
+}
+
+function findRule(id) {
+  return getRules().rules.find(rule => rule.id === id);
+}
+
+// Answer 404 for an unknown rule, or 403 for one that runs commands; returns whether it did
+function rejectRuleChange(rule, id, res) {
+  if (!rule) {
+    res.status(404).json({
+      error: 'Not found',
+      message: `No rule with id ${id}`,
+    });
+    return true;
+  }
+  if (hasCommandAction(rule)) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: `Rule ${id} runs a command and can only be changed in ${rulesConfigPath}`,
+    });
+    return true;
+  }
+  return false;
+}
+
+// Parse a rule sent to POST or PUT /rules; returns { rule } or { error }
+// Its webhooks may only post to public addresses (or WEBHOOK_ALLOWED_HOSTS)
+async function parseApiRule(body) {
+  const { rule, error } = parseRule(body);
+  if (error) {
+    return { error };
+  }
+  for (const action of rule.actions.filter(item => item.type === 'webhook')) {
+    const refused = await checkWebhookDestination(action.url, WEBHOOK_ALLOWED_HOSTS);
+    if (refused) {
+      return { error: refused };
+    }
+  }
+  return { rule };
+}
+
+// Evaluate a rule against the indexed history without running its actions
+// Reads the most recent MAX_RULE_TEST_ENTRIES entries in [from, to] and replays them oldest first
+function runRuleTest(rule, { from, to }, res) {
+  const entries = [];
+  let before;
+  let truncated = false;
+  while (entries.length < MAX_RULE_TEST_ENTRIES) {
+    const page = history.query({ before, from, to, limit: RULE_TEST_PAGE_SIZE });
+    entries.push(...page.logs);
+    if (page.nextCursor === null) {
+      break;
+    }
+    before = page.nextCursor;
+    truncated = entries.length >= MAX_RULE_TEST_ENTRIES;
+  }
+
+  const result = testRule(rule, entries.reverse().map(fromLogEntry));
+  res.json({
+    success: true,
+    rule: formatRule(rule),
+    scanned: entries.length,
+    truncated: truncated,
+    matched: result.matched,
+    fired: result.alerts.length,
+    alerts: result.alerts.slice(0, MAX_RULE_TEST_ALERTS),
+  });
+}
+
+// Parse the from/to range of a rule test; returns { range } or { error }
+function parseRuleTestRange(body) {
+  const from = parseTimeParam(body.from);
+  const to = parseTimeParam(body.to);
+  if ([from, to].some(Number.isNaN)) {
+    return { error: '"from" and "to" must be unix seconds or ISO 8601 dates' };
+  }
+  return { range: { from, to } };
 }
 
-app.get('/logs', getLogsHandler);
-app.get('/api/logs', getLogsHandler); // API endpoint
-app.get('/get', getLogsHandler);
+// GET /rules - Alerting rules and the SMTP server email actions use
+// Reading and testing rules needs an API key with full read access; changing them, an admin key
+app.get('/rules', requireReadAll, (req, res) => {
+  const config = getRules();
+  res.json({
+    success: true,
+    smtp: config.smtp,
+    rules: config.rules.map(toApiRule),
+  });
+});
+
+// GET /rules/:id - One alerting rule
+app.get('/rules/:id', requireReadAll, (req, res) => {
+  const rule = findRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No rule with id ${req.params.id}`,
+    });
+  }
+  res.json({ success: true, rule: toApiRule(rule) });
+});
+
+// POST /rules - Add an alerting rule
+// Body: { id?, name?, enabled?, match, threshold?, cooldownSeconds?, actions } (see README)
+// Command actions can only be configured in the rules file
+app.post('/rules', requireAdmin, async (req, res) => {
+  const { rule, error } = await parseApiRule(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: error,
+    });
+  }
+  if (findRule(rule.id)) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `A rule with id ${rule.id} already exists`,
+    });
+  }
+
+  saveRules([...getRules().rules, rule]);
+  console.log(`[OK] Rule ${rule.id} added by API key ${req.apiKey.name}`);
+  res.status(201).json({ success: true, rule: toApiRule(rule) });
+});
+
+// PUT /rules/:id - Replace an alerting rule (its window and cooldown start over)
+app.put('/rules/:id', requireAdmin, async (req, res) => {
+  const current = findRule(req.params.id);
+  if (rejectRuleChange(current, req.params.id, res)) {
+    return;
+  }
+
+  const { rule, error } = await parseApiRule({ ...req.body, id: current.id });
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: error,
+    });
+  }
+
+  saveRules(getRules().rules.map(existing => (existing.id === rule.id ? rule : existing)));
+  console.log(`[OK] Rule ${rule.id} updated by API key ${req.apiKey.name}`);
+  res.json({ success: true, rule: toApiRule(rule) });
+});
+
+// DELETE /rules/:id - Remove an alerting rule
+app.delete('/rules/:id', requireAdmin, (req, res) => {
+  const current = findRule(req.params.id);
+  if (rejectRuleChange(current, req.params.id, res)) {
+    return;
+  }
+
+  saveRules(getRules().rules.filter(existing => existing.id !== current.id));
+  console.log(`[OK] Rule ${current.id} removed by API key ${req.apiKey.name}`);
+  res.json({ success: true, id: current.id });
+});
+
+// POST /rules/test - Evaluate a rule against historical entries without running its actions
+// Body: { rule, from?, to? } with the rule as for POST /rules and from/to as for /logs
+// Returns how many entries matched and the alerts the rule would have sent
+app.post('/rules/test', requireReadAll, (req, res) => {
+  const body = req.body || {};
+  const { rule, error } = parseRule(body.rule, { allowCommand: true });
+  const { range, error: rangeError } = parseRuleTestRange(body);
+  if (error || rangeError) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: error || rangeError,
+    });
+  }
+  runRuleTest(rule, range, res);
+});
+
+// POST /rules/:id/test - Evaluate a configured rule (enabled or not) against historical entries
+// Body: { from?, to? }
+app.post('/rules/:id/test', requireReadAll, (req, res) => {
+  const rule = findRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No rule with id ${req.params.id}`,
+    });
+  }
+  const { range, error } = parseRuleTestRange(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: error,
+    });
+  }
+  runRuleTest(rule, range, res);
+});
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -306,7 +1620,16 @@ app.get('/health', async (req, res) => {
     res.json({
       status: 'healthy',
       connected: isConnected,
+      network: network.name,
+      chainId: network.chainId,
       contractAddress: contractInfo.address,
+      predecessor: contractInfo.predecessor || null,
+      batches: batcher.getStats(),
+      index: history.getStats(),
+      sender: txSender.getStats(),
+      submissions: { ...submissions.getStats(), webhooks: webhooks.getStats() },
+      redaction: redactor.getStats(),
+      rules: rules.getStats(),
     });
   } catch (error) {
     res.status(500).json({
@@ -316,8 +1639,186 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Give up on the node when scraping metrics after this long
+const METRICS_NODE_TIMEOUT_MS = 2000;
+
+// Scrapes within this long of each other share one read of the node's head
+const METRICS_HEAD_TTL_MS = 5000;
+
+// Latest read of the chain head: { at, promise }
+let headRead = null;
+
+// The node's block number, read at most once per METRICS_HEAD_TTL_MS however often /metrics is scraped
+function readChainHead() {
+  if (!headRead || Date.now() - headRead.at > METRICS_HEAD_TTL_MS) {
+    headRead = {
+      at: Date.now(),
+      promise: Promise.race([
+        web3.eth.getBlockNumber(),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('Node timeout')), METRICS_NODE_TIMEOUT_MS)
+        ),
+      ]),
+    };
+  }
+  return headRead.promise;
+}
+
+// Copy the node's head, the index and the queues' current state into the metrics
+// The latest log index comes from the local index, so a scrape sends at most one RPC call
+async function collectMetrics() {
+  try {
+    const head = await readChainHead();
+    chainHead.set({}, Number(head));
+    nodeUp.set({}, 1);
+  } catch (error) {
+    // The last known head stays in place
+    nodeUp.set({}, 0);
+  }
+
+  const index = history.getStats();
+  indexedBlock.set({}, index.lastBlock);
+  logEntries.set({}, index.entries);
+  latestLogIndex.set({}, index.entries - 1);
+  streamClients.set({}, openStreams);
+
+  for (const [status, count] of Object.entries(submissions.getStats())) {
+    submissionsByStatus.set({ status }, count);
+  }
+
+  const sender = txSender.getStats();
+  transactionsInFlight.set({}, sender.inFlight);
+  transactionsWaiting.set({}, sender.waiting);
+  for (const outcome of ['sent', 'confirmed', 'reverted', 'failed', 'replaced']) {
+    transactions.set({ outcome }, sender[outcome]);
+  }
+
+  const batches = batcher.getStats();
+  batchPending.set({}, batches.pending);
+  batchesAnchored.set({}, batches.batches);
+
+  const webhookStats = webhooks.getStats();
+  webhookDeliveries.set({ outcome: 'delivered' }, webhookStats.delivered);
+  webhookDeliveries.set({ outcome: 'failed' }, webhookStats.failed);
+
+  const redaction = redactor.getStats();
+  redactedEntries.set({}, redaction.redactedEntries);
+  for (const [rule, count] of Object.entries(redaction.rules)) {
+    redactionHits.set({ rule }, count);
+  }
+
+  // Removed rules drop out; failed rule webhooks are counted with the other webhook deliveries
+  ruleFirings.reset();
+  for (const rule of getRules().rules) {
+    ruleFirings.set({ rule: rule.id }, rules.getRuleStats(rule.id).fired);
+  }
+  for (const [type, count] of Object.entries(rules.getStats().actionFailures)) {
+    ruleActionFailures.set({ type }, count);
+  }
+
+  collectStreamerMetrics();
+}
+
+// Forget streamers that have not pushed within STREAMER_METRICS_TTL_MS
+function pruneStreamerStats() {
+  const now = Date.now();
+  for (const [id, push] of streamerStats) {
+    if (now - push.receivedAt > STREAMER_METRICS_TTL_MS) {
+      streamerStats.delete(id);
+    }
+  }
+}
+
+// Rebuild the streamer series from the latest push of every streamer still reporting
+function collectStreamerMetrics() {
+  const series = [streamerSpooled, streamerSpooledBytes, streamerOldestAge, streamerSent, streamerFailed,
+    streamerDropped, streamerRetries, streamerDailyLimitHits, streamerLastPush];
+  series.forEach(metric => metric.reset());
+
+  pruneStreamerStats();
+  const now = Date.now();
+  for (const push of streamerStats.values()) {
+    const labels = { key: push.keyName, instance: push.instance, mode: push.mode };
+    const { stats } = push;
+    streamerSpooled.set(labels, stats.spooled);
+    streamerSpooledBytes.set(labels, stats.spooledBytes);
+    streamerOldestAge.set(labels, stats.oldestSpooledAt ? Math.max(0, Math.floor(now / 1000) - stats.oldestSpooledAt) : 0);
+    streamerSent.set(labels, stats.sent);
+    streamerFailed.set(labels, stats.failed);
+    streamerDropped.set(labels, stats.dropped);
+    streamerRetries.set(labels, stats.retries);
+    streamerDailyLimitHits.set(labels, stats.dailyLimitHits);
+    streamerLastPush.set(labels, Math.floor(push.receivedAt / 1000));
+  }
+}
+
+// GET /metrics - Prometheus metrics (text exposition format)
+// Unauthenticated like /health, so keep the port away from untrusted networks
+app.get('/metrics', async (req, res) => {
+  try {
+    await collectMetrics();
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+  } catch (error) {
+    console.error('Error collecting metrics:', error.message);
+    res.status(500).json({
+      error: 'Failed to collect metrics',
+      message: error.message,
+    });
+  }
+});
+
+// Counters a streamer pushes, all non-negative integers
+const STREAMER_STAT_FIELDS = ['spooled', 'spooledBytes', 'sent', 'failed', 'dropped', 'retries', 'dailyLimitHits'];
+const STREAMER_MODES = ['add-log', 'batch'];
+const MAX_INSTANCE_LENGTH = 128;
+
+// POST /metrics/streamer - A log streamer's queue, drop and spool stats, shown in /metrics
+// Body: { instance: string, mode: "add-log" | "batch", stats: { spooled, spooledBytes,
+//         oldestSpooledAt (unix seconds or null), sent, failed, dropped, retries, dailyLimitHits } }
+app.post('/metrics/streamer', authenticate, (req, res) => {
+  const { instance, mode, stats } = req.body || {};
+  const valid = typeof instance === 'string' && instance.length > 0 && instance.length <= MAX_INSTANCE_LENGTH &&
+    STREAMER_MODES.includes(mode) &&
+    stats !== null && typeof stats === 'object' &&
+    STREAMER_STAT_FIELDS.every(field => Number.isInteger(stats[field]) && stats[field] >= 0) &&
+    (stats.oldestSpooledAt === null || Number.isInteger(stats.oldestSpooledAt));
+  if (!valid) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `Please provide "instance" (up to ${MAX_INSTANCE_LENGTH} characters), "mode" (${STREAMER_MODES.join(' or ')}) ` +
+        `and "stats" with non-negative integers ${STREAMER_STAT_FIELDS.join(', ')} and "oldestSpooledAt"`,
+    });
+  }
+
+  // A key reports at most MAX_STREAMER_INSTANCES_PER_KEY streamers; stale ones make room
+  pruneStreamerStats();
+  const id = `${req.apiKey.id}/${instance}`;
+  const keyPrefix = `${req.apiKey.id}/`;
+  if (!streamerStats.has(id) &&
+    [...streamerStats.keys()].filter(key => key.startsWith(keyPrefix)).length >= MAX_STREAMER_INSTANCES_PER_KEY) {
+    return res.status(429).json({
+      error: 'Too many streamer instances',
+      message: `This API key already reports ${MAX_STREAMER_INSTANCES_PER_KEY} streamer instances; ` +
+        `an instance is forgotten ${STREAMER_METRICS_TTL_MS / 60000} minutes after its last push`,
+    });
+  }
+
+  streamerStats.set(id, {
+    keyName: req.apiKey.name,
+    instance: instance,
+    mode: mode,
+    stats: {
+      ...Object.fromEntries(STREAMER_STAT_FIELDS.map(field => [field, stats[field]])),
+      oldestSpooledAt: stats.oldestSpooledAt,
+    },
+    receivedAt: Date.now(),
+  });
+  res.json({ success: true });
+});
+
 // Start server
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
 
 async function startServer() {
   // Initialize web3 connection first
@@ -330,9 +1831,19 @@ async function startServer() {
     console.log('Available endpoints:');
     console.log('  GET  /         - Web interface');
     console.log('  POST /add-log - Add a log entry');
-    console.log('  GET  /logs    - Get all logs (latest 100)');
+    console.log('  POST /batch-log - Queue lines for a Merkle batch');
+    console.log('  GET  /submissions/:id - Status of an async /add-log submission');
+    console.log('  GET  /logs    - Page through logs (filters: before, after, limit, from, to, sender, q)');
+    console.log('  GET  /logs/:id/proof - Merkle proof for a batched entry');
+    console.log('  GET  /api/logs/stream - Live stream of new logs (Server-Sent Events)');
+    console.log('  GET  /api/logs/:index - One log with its transaction and block');
     console.log('  GET  /get     - Get all logs (alias)');
+    console.log('  GET  /verify  - Verify the log hash chain');
+    console.log('  GET  /writers - Accounts allowed to write logs');
+    console.log('  GET  /rules   - Alerting rules (POST to add; PUT, DELETE /rules/:id)');
+    console.log('  POST /rules/test - Evaluate a rule against past entries');
     console.log('  GET  /health  - Health check');
+    console.log('  GET  /metrics - Prometheus metrics');
     console.log('');
   });
 
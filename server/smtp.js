@@ -0,0 +1,102 @@
+const net = require('net');
+const os = require('os');
+
+// Plain-text mail through an SMTP server without TLS or authentication, meant for
+// the local MTA (postfix, exim or a relay listening on localhost)
+//
+// sendMail({ host, port, from, to, subject, text, timeoutMs }) resolves once the
+// server has accepted the message for every recipient, and rejects with the
+// server's reply otherwise
+
+// Encode a header value that is not plain ASCII as an RFC 2047 encoded word
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// Headers and body with CRLF line endings and dot-stuffing, ending in the terminating "."
+function formatMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: <${from}>`,
+    `To: ${to.map(address => `<${address}>`).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${process.pid}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+}
+
+function sendMail({ host, port, from, to, subject, text, timeoutMs = 10000 }) {
+  return new Promise((resolve, reject) => {
+    // Each command and the reply code class it needs (2 = done, 3 = go on)
+    const steps = [
+      { command: null, expect: 2 }, // greeting
+      { command: `EHLO ${os.hostname()}`, expect: 2 },
+      { command: `MAIL FROM:<${from}>`, expect: 2 },
+      ...to.map(address => ({ command: `RCPT TO:<${address}>`, expect: 2 })),
+      { command: 'DATA', expect: 3 },
+      { command: formatMessage({ from, to, subject, text }), expect: 2 },
+      { command: 'QUIT', expect: 2 },
+    ];
+    let step = 0;
+    let buffer = '';
+    let settled = false;
+    let accepted = false; // once the message is accepted, a failed QUIT doesn't matter
+
+    const socket = net.createConnection({ host, port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(timeoutMs);
+
+    function finish(error) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      socket.destroy();
+      if (error && !accepted) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    }
+
+    // A reply is complete at a line with a space after the code ("250 OK");
+    // "250-..." lines continue it
+    function onReply(line) {
+      const code = parseInt(line.slice(0, 3), 10);
+      if (Math.floor(code / 100) !== steps[step].expect) {
+        return finish(new Error(`SMTP server answered "${line}"`));
+      }
+      step++;
+      if (step === steps.length - 1) {
+        accepted = true;
+      }
+      if (step === steps.length) {
+        return finish(null);
+      }
+      socket.write(steps[step].command + '\r\n');
+    }
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (/^\d{3}(?: |$)/.test(line)) {
+          onReply(line);
+        }
+      }
+    });
+    socket.on('timeout', () => finish(new Error(`SMTP server at ${host}:${port} did not answer within ${timeoutMs}ms`)));
+    socket.on('error', error => finish(error));
+    socket.on('close', () => finish(new Error('SMTP server closed the connection')));
+  });
+}
+
+module.exports = { sendMail };
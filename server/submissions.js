@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Rewrite submissions.jsonl once it holds this many superseded records
+const COMPACT_AFTER = 1000;
+
+// Finished (confirmed or failed) submissions are kept this long for status lookups
+const FINISHED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Tracks asynchronous /add-log submissions from queued to confirmed or failed
+// Submissions are sent in the order they were queued, several at a time, and every
+// status change is appended to submissions.jsonl, so a restart picks up where
+// the previous run left off
+//
+// Statuses:
+//   queued    - accepted, waiting to be sent (or to be retried after a connection error)
+//   pending   - sent; has a transactionHash, and a blockNumber once mined
+//   confirmed - mined with at least `confirmations` confirmations
+//   failed    - rejected or reverted; `error` says why
+//
+// Options:
+//   dataDir        - directory holding submissions.jsonl
+//   submit         - async (submission, onTransactionHash) => ({ transactionHash, blockNumber, index })
+//   getReceipt     - async (transactionHash) => null if not mined, else { status, blockNumber, index }
+//   getBlockNumber - async () => current block number
+//   describeError  - (error, submission) => ({ retry, reason }); retry keeps the submission queued
+//   onStatusChange - called with the submission after every status change
+//   confirmations  - blocks (including the entry's own) needed to confirm
+//   pollIntervalMs - how often pending submissions are checked
+//   retryMs        - wait after a retryable send error
+//   concurrency    - submissions sent at once
+function createSubmissionQueue({
+  dataDir,
+  submit,
+  getReceipt,
+  getBlockNumber,
+  describeError,
+  onStatusChange = () => {},
+  confirmations = 1,
+  pollIntervalMs = 2000,
+  retryMs = 5000,
+  concurrency = 16,
+}) {
+  const submissionsPath = path.join(dataDir, 'submissions.jsonl');
+
+  // Submissions by id, in the order they were queued
+  const submissions = new Map();
+  let supersededLines = 0;
+  let sending = 0; // Submissions being sent
+  let sendTimer = null;
+  let pollTimer = null;
+  let polling = false;
+  let stopped = false;
+
+  // Load the latest record of every submission written by a previous run
+  function load() {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    if (fs.existsSync(submissionsPath)) {
+      for (const line of fs.readFileSync(submissionsPath, 'utf8').split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          const record = JSON.parse(line);
+          submissions.set(record.id, record);
+        } catch (error) {
+          // A line cut short by a crash mid-write
+          console.error('[WARNING] Skipping unreadable submission record');
+        }
+      }
+    }
+
+    for (const submission of submissions.values()) {
+      if (submission.status === 'queued' && submission.sending) {
+        // Interrupted between sending and learning the transaction hash: it may or
+        // may not have reached the node, so don't risk writing the entry twice
+        submission.status = 'failed';
+        submission.error = 'The server stopped while this submission was being sent; check the chain before resubmitting';
+        delete submission.sending;
+        submission.updatedAt = new Date().toISOString();
+      }
+    }
+
+    // Start from a clean file so appends never follow a torn line
+    rewrite();
+  }
+
+  function isFinished(submission) {
+    return submission.status === 'confirmed' || submission.status === 'failed';
+  }
+
+  // Rewrite submissions.jsonl with the latest record of each submission,
+  // dropping finished ones past the retention period
+  function rewrite() {
+    const cutoff = Date.now() - FINISHED_RETENTION_MS;
+    for (const submission of submissions.values()) {
+      if (isFinished(submission) && Date.parse(submission.updatedAt) < cutoff) {
+        submissions.delete(submission.id);
+      }
+    }
+
+    const tempPath = submissionsPath + '.tmp';
+    fs.writeFileSync(tempPath, [...submissions.values()].map(record => JSON.stringify(record) + '\n').join(''));
+    fs.renameSync(tempPath, submissionsPath);
+    supersededLines = 0;
+  }
+
+  // Persist a submission's current state
+  function save(submission) {
+    submission.updatedAt = new Date().toISOString();
+    fs.appendFileSync(submissionsPath, JSON.stringify(submission) + '\n');
+    supersededLines++;
+    if (supersededLines >= COMPACT_AFTER) {
+      rewrite();
+    }
+  }
+
+  // Change a submission's status, persist it and tell the listener
+  function update(submission, changes) {
+    const statusChanged = changes.status !== undefined && changes.status !== submission.status;
+    Object.assign(submission, changes);
+    save(submission);
+    if (statusChanged) {
+      try {
+        onStatusChange(submission);
+      } catch (error) {
+        console.error('[WARNING] Submission status listener failed:', error.message);
+      }
+    }
+  }
+
+  // Queue an entry to be written; returns the new submission
+  //   entry   - validated on-chain fields (message, severityLevel, ...)
+  //   sender  - account the entry is sent from
+  //   keyId   - API key that submitted it; only that key (or a full reader) may look it up
+  //   webhookUrl - optional URL told about every status change
+  function add({ entry, sender, keyId, webhookUrl }) {
+    const now = new Date().toISOString();
+    const submission = {
+      id: crypto.randomBytes(8).toString('hex'),
+      status: 'queued',
+      sender: sender,
+      keyId: keyId,
+      webhookUrl: webhookUrl || null,
+      entry: entry,
+      transactionHash: null,
+      blockNumber: null,
+      index: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    submissions.set(submission.id, submission);
+    fs.appendFileSync(submissionsPath, JSON.stringify(submission) + '\n');
+
+    processQueue();
+    return submission;
+  }
+
+  // Send queued submissions oldest first, up to `concurrency` at a time
+  function processQueue() {
+    if (sendTimer || stopped) {
+      return;
+    }
+    while (sending < concurrency) {
+      const submission = [...submissions.values()].find(s => s.status === 'queued' && !s.sending);
+      if (!submission) {
+        return;
+      }
+      sendSubmission(submission);
+    }
+  }
+
+  async function sendSubmission(submission) {
+    sending++;
+    submission.sending = true;
+    save(submission);
+
+    let retry = false;
+    try {
+      const result = await submit(submission, (transactionHash) => {
+        delete submission.sending;
+        update(submission, { status: 'pending', transactionHash: transactionHash, error: null });
+      });
+      delete submission.sending;
+      update(submission, {
+        status: 'pending',
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        index: result.index,
+      });
+      pollPending();
+    } catch (error) {
+      delete submission.sending;
+      if (submission.status === 'pending') {
+        // Sent, but the receipt didn't come back; the poller will look for it
+        save(submission);
+      } else {
+        const { retry: retryable, reason } = describeError(error, submission);
+        retry = retryable;
+        update(submission, retryable ? { error: reason } : { status: 'failed', error: reason });
+      }
+    } finally {
+      sending--;
+    }
+
+    if (retry) {
+      if (!sendTimer) {
+        sendTimer = setTimeout(() => {
+          sendTimer = null;
+          processQueue();
+        }, retryMs);
+      }
+    } else {
+      processQueue();
+    }
+  }
+
+  // Look for receipts of sent submissions and count their confirmations
+  async function pollPending() {
+    if (polling || stopped) {
+      return;
+    }
+    const pending = [...submissions.values()].filter(s => s.status === 'pending');
+    if (pending.length === 0) {
+      return;
+    }
+
+    polling = true;
+    try {
+      const head = Number(await getBlockNumber());
+      for (const submission of pending) {
+        if (submission.blockNumber === null) {
+          const receipt = await getReceipt(submission.transactionHash);
+          if (!receipt) {
+            continue;
+          }
+          if (!receipt.status) {
+            update(submission, { status: 'failed', blockNumber: receipt.blockNumber, error: 'Transaction reverted' });
+            continue;
+          }
+          update(submission, { blockNumber: receipt.blockNumber, index: receipt.index });
+        }
+
+        if (head - Number(submission.blockNumber) + 1 >= confirmations) {
+          update(submission, { status: 'confirmed' });
+        }
+      }
+    } catch (error) {
+      // Node unreachable; try again on the next poll
+    } finally {
+      polling = false;
+    }
+  }
+
+  // A submission's public status (without the entry itself)
+  function toStatus(submission) {
+    return {
+      id: submission.id,
+      status: submission.status,
+      transactionHash: submission.transactionHash,
+      blockNumber: submission.blockNumber,
+      index: submission.index,
+      requiredConfirmations: confirmations,
+      error: submission.error,
+      createdAt: submission.createdAt,
+      updatedAt: submission.updatedAt,
+    };
+  }
+
+  // Status of one submission with its current confirmation count, or null if unknown
+  async function getStatus(id) {
+    const submission = submissions.get(id);
+    if (!submission) {
+      return null;
+    }
+    const status = toStatus(submission);
+    status.confirmations = 0;
+    if (submission.blockNumber !== null && submission.status !== 'failed') {
+      try {
+        status.confirmations = Math.max(0, Number(await getBlockNumber()) - Number(submission.blockNumber) + 1);
+      } catch (error) {
+        status.confirmations = null; // Node unreachable
+      }
+    }
+    return status;
+  }
+
+  function get(id) {
+    return submissions.get(id) || null;
+  }
+
+  // Counts by status for the health endpoint
+  function getStats() {
+    const stats = { queued: 0, pending: 0, confirmed: 0, failed: 0 };
+    for (const submission of submissions.values()) {
+      stats[submission.status]++;
+    }
+    return stats;
+  }
+
+  function start() {
+    processQueue();
+    pollTimer = setInterval(pollPending, pollIntervalMs);
+  }
+
+  function stop() {
+    stopped = true;
+    clearInterval(pollTimer);
+    clearTimeout(sendTimer);
+  }
+
+  load();
+
+  return {
+    add,
+    get,
+    getStatus,
+    toStatus,
+    getStats,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createSubmissionQueue };
@@ -0,0 +1,462 @@
+// Keep this many cached gas estimates (one per method and calldata size)
+const GAS_CACHE_SIZE = 1000;
+
+// Window used for the throughput figure in /health
+const THROUGHPUT_WINDOW_MS = 60000;
+
+// How long to wait for a receipt before giving up on a transaction
+const RECEIPT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Re-read the node's gas price at most this often
+const GAS_PRICE_TTL_MS = 30000;
+
+// Gas of a plain transfer, used to fill a nonce whose transaction never reached the node
+const TRANSFER_GAS = 21000;
+
+const toHex = value => '0x' + BigInt(value).toString(16);
+
+// Gas limit for an estimate: the estimate plus marginPercent of it
+function addGasMargin(estimate, marginPercent) {
+  const gas = BigInt(estimate);
+  return gas + (gas * BigInt(marginPercent)) / 100n;
+}
+
+// Sends contract transactions without waiting for each one to be mined first
+// Every sending account gets a lane that hands out nonces locally, so many
+// transactions from one account can be in flight at once without colliding.
+// Writes that don't need a particular sender are spread over a pool of accounts.
+//
+// Gas: estimates are cached per method and calldata size (in 32-byte words) and
+// sent with a percentage margin; a transaction that runs out of gas is re-estimated
+// and sent once more. Transactions without a receipt after stuckAfterMs are
+// replaced (same nonce) with a higher gas price. A nonce whose transaction never
+// reached the node is filled with an empty transfer when higher nonces are already
+// out, so those don't wait on it.
+//
+// Options:
+//   web3             - connected Web3 instance; local signing keys must be in web3.eth.accounts.wallet
+//   to               - contract address every transaction is sent to
+//   pool             - accounts used when send() is not given a sender
+//   gasMarginPercent - added to cached gas estimates
+//   maxInFlight      - transactions in flight per account before send() waits
+//   pollIntervalMs   - how often receipts of in-flight transactions are checked
+//   stuckAfterMs     - replace a transaction that has no receipt after this long
+//   bumpPercent      - gas price increase for each replacement
+//   gasPrice         - fixed gas price in wei; null asks the node
+function createTxSender({
+  web3,
+  to,
+  pool,
+  gasMarginPercent = 20,
+  maxInFlight = 64,
+  pollIntervalMs = 500,
+  stuckAfterMs = 60000,
+  bumpPercent = 15,
+  gasPrice: fixedGasPrice = null,
+}) {
+  if (!pool || pool.length === 0) {
+    throw new Error('The sender pool needs at least one account');
+  }
+
+  // Lanes by lower-cased address: { address, nonce, released, inFlight, waiting, prepared }
+  const lanes = new Map();
+  // Gas estimates by "<selector>:<words>", oldest first
+  const gasCache = new Map();
+  // Transactions waiting for a receipt
+  const pending = new Set();
+  // Confirmation times within the throughput window
+  const confirmedAt = [];
+
+  const stats = { sent: 0, confirmed: 0, reverted: 0, failed: 0, replaced: 0, gapsFilled: 0, gasCacheHits: 0, gasEstimates: 0 };
+
+  let chainId = null;
+  let gasPrice = null;
+  let gasPriceAt = 0;
+  let pollTimer = null;
+  let polling = false;
+
+  function getLane(address) {
+    const key = address.toLowerCase();
+    if (!lanes.has(key)) {
+      lanes.set(key, {
+        address: address,
+        nonce: null,
+        released: [],
+        inFlight: 0,
+        waiting: [],
+        prepared: Promise.resolve(),
+      });
+    }
+    return lanes.get(key);
+  }
+
+  // Pool account with the fewest transactions in flight
+  function pickPoolAccount() {
+    return pool.map(getLane).reduce((best, lane) => (lane.inFlight < best.inFlight ? lane : best)).address;
+  }
+
+  // Next nonce for a lane: a nonce given back by a send that never reached the node, or the next new one
+  async function takeNonce(lane) {
+    if (lane.released.length > 0) {
+      lane.released.sort((a, b) => a - b);
+      return lane.released.shift();
+    }
+    if (lane.nonce === null) {
+      lane.nonce = Number(await web3.eth.getTransactionCount(lane.address, 'pending'));
+    }
+    return lane.nonce++;
+  }
+
+  // Forget the local nonce, e.g. after another process sent from the same account
+  async function resyncNonce(lane) {
+    lane.released = [];
+    lane.nonce = Number(await web3.eth.getTransactionCount(lane.address, 'pending'));
+  }
+
+  async function getGasPrice() {
+    if (fixedGasPrice !== null) {
+      return BigInt(fixedGasPrice);
+    }
+    if (gasPrice === null || Date.now() - gasPriceAt > GAS_PRICE_TTL_MS) {
+      gasPrice = BigInt(await web3.eth.getGasPrice());
+      gasPriceAt = Date.now();
+    }
+    return gasPrice;
+  }
+
+  function gasCacheKey(data) {
+    return `${data.slice(0, 10)}:${Math.ceil((data.length - 10) / 64)}`;
+  }
+
+  // Gas limit for a call: the cached estimate for its size plus the margin, or a fresh estimate
+  async function gasFor(method, data, from, fresh) {
+    const key = gasCacheKey(data);
+    let estimate = fresh ? undefined : gasCache.get(key);
+    if (estimate === undefined) {
+      estimate = BigInt(await method.estimateGas({ from: from }));
+      stats.gasEstimates++;
+      gasCache.delete(key);
+      gasCache.set(key, estimate);
+      if (gasCache.size > GAS_CACHE_SIZE) {
+        gasCache.delete(gasCache.keys().next().value);
+      }
+    } else {
+      stats.gasCacheHits++;
+    }
+    return addGasMargin(estimate, gasMarginPercent);
+  }
+
+  // Wait for a free in-flight slot on the lane
+  function acquireSlot(lane) {
+    if (lane.inFlight < maxInFlight) {
+      lane.inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => lane.waiting.push(resolve));
+  }
+
+  function releaseSlot(lane) {
+    const next = lane.waiting.shift();
+    if (next) {
+      next(); // The slot passes straight to the next waiting send
+    } else {
+      lane.inFlight--;
+    }
+  }
+
+  // Broadcast a transaction and return its hash, signing locally for wallet accounts
+  async function broadcast(tx) {
+    const local = web3.eth.accounts.wallet.get(tx.from);
+    if (!local) {
+      return web3.requestManager.send({ method: 'eth_sendTransaction', params: [tx] });
+    }
+    if (chainId === null) {
+      chainId = await web3.eth.getChainId();
+    }
+    const signed = await local.signTransaction({ ...tx, chainId: chainId });
+    return web3.requestManager.send({ method: 'eth_sendRawTransaction', params: [signed.rawTransaction] });
+  }
+
+  const isNonceError = error => /nonce/i.test(error.message);
+
+  // Sign, broadcast and track one transaction; resolves with the receipt once it is mined
+  // Nonces and gas are worked out in the order send() is called on each lane
+  function sendPrepared(lane, method, data, onTransactionHash, freshGas) {
+    const prepared = lane.prepared.then(async () => {
+      await acquireSlot(lane);
+      try {
+        const gas = await gasFor(method, data, lane.address, freshGas);
+        const nonce = await takeNonce(lane);
+        return { gas, nonce, price: await getGasPrice() };
+      } catch (error) {
+        releaseSlot(lane);
+        throw error;
+      }
+    });
+    // A failed preparation must not hold up the sends queued behind it
+    lane.prepared = prepared.catch(() => {});
+
+    return prepared.then(async ({ gas, nonce, price }) => {
+      const tx = {
+        from: lane.address,
+        to: to,
+        data: data,
+        gas: toHex(gas),
+        gasPrice: toHex(price),
+        nonce: toHex(nonce),
+      };
+
+      let hash;
+      try {
+        hash = await broadcast(tx);
+      } catch (error) {
+        if (isNonceError(error)) {
+          // Another process used this nonce; start again from the node's count
+          await resyncNonce(lane).catch(() => {});
+          releaseSlot(lane);
+          throw Object.assign(error, { retryNonce: true });
+        }
+        // Never reached the node, so the nonce is free again
+        await freeNonce(lane, nonce, price);
+        throw error;
+      }
+
+      stats.sent++;
+      if (onTransactionHash) {
+        onTransactionHash(hash);
+      }
+
+      return new Promise((resolve, reject) => {
+        pending.add({
+          lane: lane,
+          tx: tx,
+          hashes: [hash],
+          sentAt: Date.now(),
+          onTransactionHash: onTransactionHash,
+          resolve: resolve,
+          reject: reject,
+        });
+        startPolling();
+      });
+    });
+  }
+
+  // Give back the nonce of a transaction that never reached the node, along with its slot
+  // The next send takes it, unless higher nonces are already handed out: those can't be
+  // mined before it, so it is filled right away with an empty transfer to the lane's own
+  // address, which keeps the slot until it is mined
+  async function freeNonce(lane, nonce, price) {
+    if (lane.nonce === null || nonce >= lane.nonce - 1) {
+      lane.released.push(nonce);
+      releaseSlot(lane);
+      return;
+    }
+
+    const tx = {
+      from: lane.address,
+      to: lane.address,
+      value: '0x0',
+      gas: toHex(TRANSFER_GAS),
+      gasPrice: toHex(price),
+      nonce: toHex(nonce),
+    };
+    let hash;
+    try {
+      hash = await broadcast(tx);
+    } catch (error) {
+      // Still not reaching the node: leave the nonce to the next send after all
+      lane.released.push(nonce);
+      releaseSlot(lane);
+      return;
+    }
+
+    stats.gapsFilled++;
+    console.log(`[WARNING] Filled nonce ${nonce} of ${lane.address} with an empty transfer after its transaction failed to send`);
+    pending.add({
+      lane: lane,
+      tx: tx,
+      hashes: [hash],
+      sentAt: Date.now(),
+      filler: true,
+      resolve: () => {},
+      reject: () => {},
+    });
+    startPolling();
+  }
+
+  // Send a contract method call; resolves with the mined receipt
+  //   method  - web3 contract method (e.g. contract.methods.addLog(...))
+  //   from    - sending account; omit to use the least busy pool account
+  //   onTransactionHash - called with the hash once the node accepts it, and again for each replacement
+  // A reverted transaction rejects with the revert error from a fresh estimate where possible
+  async function send(method, { from, onTransactionHash } = {}) {
+    const lane = getLane(from || pickPoolAccount());
+    const data = method.encodeABI();
+
+    let receipt;
+    try {
+      receipt = await sendPrepared(lane, method, data, onTransactionHash, false);
+    } catch (error) {
+      if (!error.retryNonce) {
+        stats.failed++;
+        throw error;
+      }
+      receipt = await sendPrepared(lane, method, data, onTransactionHash, false).catch((retryError) => {
+        stats.failed++;
+        throw retryError;
+      });
+    }
+    if (receipt.status) {
+      return receipt;
+    }
+
+    // Reverted: a fresh estimate either reverts too (and carries the reason) or
+    // succeeds, in which case the cached gas was too low and the call is sent once more
+    stats.reverted++;
+    const outOfGas = BigInt(receipt.gasUsed) >= BigInt(receipt.gasLimit);
+    try {
+      await method.estimateGas({ from: lane.address });
+    } catch (error) {
+      stats.failed++;
+      throw error;
+    }
+    if (outOfGas) {
+      const retried = await sendPrepared(lane, method, data, onTransactionHash, true);
+      if (retried.status) {
+        return retried;
+      }
+    }
+    stats.failed++;
+    throw new Error(`Transaction ${receipt.transactionHash} reverted`);
+  }
+
+  function startPolling() {
+    if (!pollTimer) {
+      pollTimer = setInterval(pollReceipts, pollIntervalMs);
+    }
+  }
+
+  // Settle mined transactions and replace stuck ones
+  async function pollReceipts() {
+    if (polling) {
+      return;
+    }
+    if (pending.size === 0) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+      return;
+    }
+
+    polling = true;
+    try {
+      for (const entry of [...pending]) {
+        let receipt = null;
+        for (const hash of entry.hashes) {
+          receipt = await getReceipt(hash);
+          if (receipt) {
+            break;
+          }
+        }
+
+        if (receipt) {
+          pending.delete(entry);
+          releaseSlot(entry.lane);
+          const status = Number(receipt.status) === 1;
+          if (status && !entry.filler) {
+            stats.confirmed++;
+            confirmedAt.push(Date.now());
+          }
+          entry.resolve({
+            status: status,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            gasLimit: entry.tx.gas,
+            logs: receipt.logs,
+          });
+        } else if (Date.now() - entry.sentAt > RECEIPT_TIMEOUT_MS) {
+          pending.delete(entry);
+          releaseSlot(entry.lane);
+          entry.reject(new Error(`No receipt for transaction ${entry.hashes[entry.hashes.length - 1]} after ${RECEIPT_TIMEOUT_MS / 1000} seconds`));
+        } else if (Date.now() - (entry.replacedAt || entry.sentAt) > stuckAfterMs) {
+          await replace(entry);
+        }
+      }
+    } catch (error) {
+      // Node unreachable; try again on the next poll
+    } finally {
+      polling = false;
+    }
+  }
+
+  async function getReceipt(hash) {
+    try {
+      return await web3.eth.getTransactionReceipt(hash);
+    } catch (error) {
+      if (error.message.includes('not found') || error.name === 'TransactionNotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Resend a stuck transaction with the same nonce and a higher gas price
+  async function replace(entry) {
+    const current = BigInt(entry.tx.gasPrice);
+    const bumped = current + (current * BigInt(bumpPercent)) / 100n + 1n;
+    const network = await getGasPrice();
+    const tx = { ...entry.tx, gasPrice: toHex(bumped > network ? bumped : network) };
+
+    entry.replacedAt = Date.now();
+    try {
+      const hash = await broadcast(tx);
+      entry.tx = tx;
+      entry.hashes.push(hash);
+      stats.replaced++;
+      console.log(`[WARNING] Replaced stuck transaction from ${tx.from} (nonce ${BigInt(tx.nonce)}) with gas price ${BigInt(tx.gasPrice)}`);
+      if (entry.onTransactionHash) {
+        entry.onTransactionHash(hash);
+      }
+    } catch (error) {
+      // Usually "nonce too low": the original was mined meanwhile and the next poll finds it
+    }
+  }
+
+  // Counters, in-flight transactions and recent throughput for /health
+  function getStats() {
+    const cutoff = Date.now() - THROUGHPUT_WINDOW_MS;
+    while (confirmedAt.length > 0 && confirmedAt[0] < cutoff) {
+      confirmedAt.shift();
+    }
+    const accounts = [...lanes.values()].map(lane => ({
+      address: lane.address,
+      pool: pool.some(address => address.toLowerCase() === lane.address.toLowerCase()),
+      inFlight: lane.inFlight,
+      waiting: lane.waiting.length,
+      nextNonce: lane.nonce,
+    }));
+    return {
+      pool: [...pool],
+      inFlight: pending.size,
+      waiting: accounts.reduce((sum, account) => sum + account.waiting, 0),
+      ...stats,
+      confirmedLastMinute: confirmedAt.length,
+      transactionsPerSecond: Math.round((confirmedAt.length / (THROUGHPUT_WINDOW_MS / 1000)) * 100) / 100,
+      gasCacheSize: gasCache.size,
+      accounts: accounts,
+    };
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  return {
+    send,
+    getStats,
+    stop,
+  };
+}
+
+module.exports = { createTxSender, addGasMargin };
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+// Posts JSON events to webhook URLs, retrying failed deliveries with backoff
+// Deliveries run in the background and never throw; the last failure is logged
+// Events for the same URL are delivered one at a time, in the order they were sent
+//
+// Options:
+//   secret      - if set, each request carries X-Logchain-Signature: sha256=<HMAC of the body>
+//   maxAttempts - tries per delivery
+//   retryBaseMs - wait before the first retry, doubled for each one after it
+//   timeoutMs   - per-request timeout
+function createWebhookSender({ secret, maxAttempts = 5, retryBaseMs = 1000, timeoutMs = 5000 } = {}) {
+  let delivered = 0;
+  let failed = 0;
+  let inFlight = 0;
+
+  // Last delivery queued for each URL
+  const queues = new Map();
+
+  async function deliver(url, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Logchain-Signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: headers,
+          body: body,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (response.ok) {
+          return null;
+        }
+        lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        lastError = error.message;
+      }
+      if (attempt < maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, retryBaseMs * 2 ** (attempt - 1)));
+      }
+    }
+    return lastError;
+  }
+
+  // Send an event to a URL in the background
+  function send(url, payload) {
+    inFlight++;
+    const previous = queues.get(url) || Promise.resolve();
+    const delivery = previous.then(() => deliver(url, JSON.stringify(payload))).then((error) => {
+      inFlight--;
+      if (error) {
+        failed++;
+        console.error(`[WARNING] Webhook to ${url} failed after ${maxAttempts} attempts: ${error}`);
+      } else {
+        delivered++;
+      }
+      if (queues.get(url) === delivery) {
+        queues.delete(url);
+      }
+    });
+    queues.set(url, delivery);
+  }
+
+  // Counts for the health endpoint
+  function getStats() {
+    return { delivered, failed, inFlight };
+  }
+
+  return { send, getStats };
+}
+
+// Whether a webhook URL is an absolute http(s) URL
+function isWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, which a webhook
+// set through the API must not reach (IPv4-mapped IPv6 addresses are refused outright)
+const PRIVATE_ADDRESSES = { 4: new net.BlockList(), 6: new net.BlockList() };
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  PRIVATE_ADDRESSES[4].addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  PRIVATE_ADDRESSES[6].addSubnet(address, prefix, 'ipv6');
+}
+
+// Why a webhook URL set through the API may not be used, or null if it may: it must be
+// http(s) and its host must resolve to public addresses only, unless it is one of
+// allowedHosts (host names or addresses, e.g. from WEBHOOK_ALLOWED_HOSTS)
+async function checkWebhookDestination(value, allowedHosts = []) {
+  if (!isWebhookUrl(value)) {
+    return 'A webhook action needs an http(s) "url"';
+  }
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.includes(host)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `Webhook host ${host} cannot be resolved`;
+  }
+  const blocked = addresses.find(({ address, family }) => PRIVATE_ADDRESSES[family].check(address, `ipv${family}`));
+  if (blocked) {
+    return `Webhook host ${host} is a private or local address (${blocked.address})`;
+  }
+  return null;
+}
+
+module.exports = { createWebhookSender, isWebhookUrl, checkWebhookDestination };
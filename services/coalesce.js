@@ -0,0 +1,224 @@
+// Grouping of continuation lines and collapsing of repeated lines, between the
+// streamer's sources and its spool, so stack traces arrive as one entry and a
+// line logged hundreds of times doesn't use up the rate limit
+
+// Lines that continue the previous one: indented lines (stack frames, wrapped
+// messages), Java's "Caused by:" and "... 12 more"
+const DEFAULT_CONTINUATION_PATTERNS = [
+  '^\\s',
+  '^Caused by:',
+  '^\\.\\.\\. \\d+ more',
+];
+
+// Parts of a line ignored when comparing it with earlier ones: the header of a macOS
+// 'log stream' line (timestamp, thread, type, activity, PID, TTL) and a leading timestamp
+const DEFAULT_DEDUPE_IGNORE = [
+  '^\\S+ \\S+\\s+0x[0-9a-f]+\\s+\\w+\\s+0x[0-9a-f]+\\s+\\d+\\s+\\d+\\s+',
+  '^\\[?\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}:\\d{2}(?:[.,]\\d+)?(?:Z|[+-]\\d{2}:?\\d{2})?\\]?\\s+',
+];
+
+// Distinct lines held at once; the oldest is let go early beyond this
+const MAX_HELD_LINES = 10000;
+
+// Compile patterns, throwing an Error that names the one that doesn't compile
+function compilePatterns(patterns, what) {
+  return patterns.map((pattern) => {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid ${what} pattern ${JSON.stringify(pattern)}: ${error.message}`);
+    }
+  });
+}
+
+// Join continuation lines to the line before them, per stream (a source, or one file of it)
+// A group is passed on when a line that isn't a continuation arrives on its stream,
+// when nothing was added to it for flushMs, or when it reaches maxLines lines
+// Grouped entries carry the number of lines they joined in attributes.lines
+function createLineGrouper({ patterns = DEFAULT_CONTINUATION_PATTERNS, maxLines = 200, flushMs = 500, onEntry }) {
+  const continuation = compilePatterns(patterns, 'continuation');
+  const groups = new Map(); // Stream key -> { entry, lines, timer }
+  let joined = 0;
+
+  function isContinuation(message) {
+    return continuation.some(pattern => pattern.test(message));
+  }
+
+  function release(key) {
+    const group = groups.get(key);
+    if (!group) {
+      return;
+    }
+    groups.delete(key);
+    clearTimeout(group.timer);
+    onEntry(group.lines.length === 1 ? group.entry : {
+      ...group.entry,
+      message: group.lines.join('\n'),
+      attributes: { ...group.entry.attributes, lines: group.lines.length },
+    });
+  }
+
+  function push(key, entry) {
+    if (continuation.length === 0) {
+      onEntry(entry);
+      return;
+    }
+
+    const group = groups.get(key);
+    if (group && isContinuation(entry.message)) {
+      group.lines.push(entry.message);
+      joined++;
+      clearTimeout(group.timer);
+      if (group.lines.length >= maxLines) {
+        release(key);
+      } else {
+        group.timer = setTimeout(() => release(key), flushMs);
+      }
+      return;
+    }
+
+    release(key);
+    groups.set(key, {
+      entry: entry,
+      lines: [entry.message],
+      timer: setTimeout(() => release(key), flushMs),
+    });
+  }
+
+  // Pass on every open group (when the streamer stops)
+  function flush() {
+    [...groups.keys()].forEach(release);
+  }
+
+  return {
+    push,
+    flush,
+    getStats: () => ({ joined }),
+  };
+}
+
+// Hold every line for windowMs and collapse the identical ones seen meanwhile into it
+// Lines are identical when source, facility, severity and the message (without the
+// ignore patterns) match. A collapsed entry is the first occurrence with repeatCount,
+// firstSeen and lastSeen in its attributes; a line seen once is passed on unchanged
+// windowMs 0 turns this off
+function createDeduplicator({ windowMs = 5000, ignore = DEFAULT_DEDUPE_IGNORE, onEntry, now = Date.now }) {
+  const ignored = compilePatterns(ignore, 'dedupe ignore');
+  const held = new Map(); // Line key -> { entry, count, firstSeen, lastSeen, releaseAt }, oldest first
+  let timer = null;
+  let collapsed = 0;
+
+  function keyOf(entry) {
+    const message = ignored.reduce((text, pattern) => text.replace(pattern, ''), entry.message);
+    return JSON.stringify([entry.source, entry.facility, entry.severity, message]);
+  }
+
+  function release(key) {
+    const item = held.get(key);
+    held.delete(key);
+    if (item.count === 1) {
+      onEntry(item.entry);
+      return;
+    }
+    onEntry({
+      ...item.entry,
+      attributes: {
+        ...item.entry.attributes,
+        repeatCount: item.count,
+        firstSeen: new Date(item.firstSeen).toISOString(),
+        lastSeen: new Date(item.lastSeen).toISOString(),
+      },
+    });
+  }
+
+  // Every window is as long, so the held lines are due in the order they arrived
+  function releaseDue() {
+    timer = null;
+    const time = now();
+    for (const [key, item] of held) {
+      if (item.releaseAt > time) {
+        break;
+      }
+      release(key);
+    }
+    schedule();
+  }
+
+  function schedule() {
+    if (timer || held.size === 0) {
+      return;
+    }
+    const oldest = held.values().next().value;
+    timer = setTimeout(releaseDue, Math.max(0, oldest.releaseAt - now()));
+  }
+
+  function push(entry) {
+    if (windowMs === 0) {
+      onEntry(entry);
+      return;
+    }
+
+    const key = keyOf(entry);
+    const time = now();
+    const item = held.get(key);
+    if (item) {
+      item.count++;
+      item.lastSeen = time;
+      collapsed++;
+      return;
+    }
+
+    held.set(key, { entry: entry, count: 1, firstSeen: time, lastSeen: time, releaseAt: time + windowMs });
+    if (held.size > MAX_HELD_LINES) {
+      release(held.keys().next().value);
+    }
+    schedule();
+  }
+
+  // Pass on every held line (when the streamer stops)
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    [...held.keys()].forEach(release);
+  }
+
+  return {
+    push,
+    flush,
+    getStats: () => ({ collapsed, held: held.size }),
+  };
+}
+
+// Grouping, then deduplication, in front of onEntry
+// Options:
+//   continuationPatterns - regexes (strings) of lines that continue the previous one; [] turns grouping off
+//   maxGroupLines        - lines joined into one entry at most
+//   groupFlushMs         - how long a group waits for another continuation line
+//   dedupeWindowMs       - how long a line is held to collapse repeats into it; 0 turns it off
+//   dedupeIgnore         - regexes (strings) removed from messages before comparing them
+function createCoalescer({ continuationPatterns, maxGroupLines, groupFlushMs, dedupeWindowMs, dedupeIgnore, onEntry }) {
+  const deduplicator = createDeduplicator({ windowMs: dedupeWindowMs, ignore: dedupeIgnore, onEntry });
+  const grouper = createLineGrouper({
+    patterns: continuationPatterns,
+    maxLines: maxGroupLines,
+    flushMs: groupFlushMs,
+    onEntry: deduplicator.push,
+  });
+
+  return {
+    push: grouper.push,
+    flush() {
+      grouper.flush();
+      deduplicator.flush();
+    },
+    getStats: () => ({ ...grouper.getStats(), ...deduplicator.getStats() }),
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTINUATION_PATTERNS,
+  DEFAULT_DEDUPE_IGNORE,
+  createLineGrouper,
+  createDeduplicator,
+  createCoalescer,
+};
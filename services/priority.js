@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const { createSpool, readSpoolStatus } = require('./spool');
+const { SEVERITY_LEVELS, DEFAULT_SEVERITY, parseSeverity } = require('../lib/severity');
+
+// Priority lanes of the streamer's spool, most important first: warnings and worse,
+// notice and info, debug. Each level of a lane is a spool of its own in <dir>/<lane>/<level>
+const LANES = ['high', 'normal', 'low'];
+
+// Severity levels as named in a daily split, most severe first
+const LEVELS = SEVERITY_LEVELS.map(level => level.toLowerCase());
+
+// Percent of the daily /add-log limit kept for each severity level. A level may also use
+// what the less severe levels leave unused, but never what is kept for the more severe ones.
+// A level left out of a split keeps nothing of its own
+const DEFAULT_DAILY_SPLIT = {
+  emergency: 5,
+  alert: 5,
+  critical: 10,
+  error: 15,
+  warning: 15,
+  notice: 10,
+  info: 30,
+  debug: 10,
+};
+
+const WARNING = SEVERITY_LEVELS.indexOf('WARNING');
+const DEBUG = SEVERITY_LEVELS.indexOf('DEBUG');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bytes a spool line takes beyond the entry itself ({ seq, spooledAt, entry })
+const RECORD_OVERHEAD_BYTES = 48;
+
+// Numeric severity of an entry; entries without one are INFO, as on the server
+function severityOf(entry) {
+  const level = entry.severity === undefined ? DEFAULT_SEVERITY : parseSeverity(entry.severity);
+  return level === null ? DEFAULT_SEVERITY : level;
+}
+
+// Lane a severity level goes into
+function laneOfLevel(level) {
+  if (level <= WARNING) {
+    return 'high';
+  }
+  return level === DEBUG ? 'low' : 'normal';
+}
+
+// Lane an entry goes into
+function laneOf(entry) {
+  return laneOfLevel(severityOf(entry));
+}
+
+// Directory of the spool an entry goes into
+function spoolDirOf(dir, entry) {
+  const level = severityOf(entry);
+  return path.join(dir, laneOfLevel(level), LEVELS[level]);
+}
+
+// Levels of each lane, most severe first
+const LANE_LEVELS = Object.fromEntries(LANES.map(lane => [
+  lane,
+  LEVELS.map((name, level) => level).filter(level => laneOfLevel(level) === lane),
+]));
+
+// A daily split with every level under its RFC 5424 name, e.g. { error: 40, warn: 20, info: 40 }
+// becomes { emergency: 0, ..., error: 40, warning: 20, notice: 0, info: 40, debug: 0 }
+// Throws an Error if a name isn't a severity, or the percentages aren't whole or don't add up to 100
+function parseDailySplit(split) {
+  const error = new Error('The daily split must give severity levels a whole percentage each, adding up to 100');
+  if (split === null || typeof split !== 'object' || Array.isArray(split)) {
+    throw error;
+  }
+  const parsed = Object.fromEntries(LEVELS.map(level => [level, 0]));
+  for (const [name, percent] of Object.entries(split)) {
+    const level = parseSeverity(name);
+    if (level === null || !Number.isInteger(percent) || percent < 0) {
+      throw error;
+    }
+    parsed[LEVELS[level]] += percent;
+  }
+  if (LEVELS.reduce((total, level) => total + parsed[level], 0) !== 100) {
+    throw error;
+  }
+  return parsed;
+}
+
+// Entries per day each level may send, indexed by level, or null when there is no daily limit
+function dailyBudgets(limit, split) {
+  if (limit === 0) {
+    return null;
+  }
+  const budgets = LEVELS.map(level => Math.floor(limit * split[level] / 100));
+  // What rounding leaves over goes to the most severe level
+  budgets[0] += limit - budgets.reduce((total, budget) => total + budget, 0);
+  return budgets;
+}
+
+function countPerLane() {
+  return Object.fromEntries(LANES.map(lane => [lane, 0]));
+}
+
+function countPerLevel() {
+  return LEVELS.map(() => 0);
+}
+
+// Spool split into priority lanes, so the streamer sends warnings and errors first
+// and, when it has to, drops or holds back debug and info lines instead of them.
+// Each level has a spool of its own, so one level over its daily budget never holds
+// back another; a lane sends its most severe level first
+//
+// Options:
+//   dir         - spool directory; each lane gets a subdirectory, with one per level in it
+//   maxEntries  - entries waiting in all lanes together before lines are dropped
+//   maxBytes    - size of all lanes together before lines are dropped
+//   dailyLimit  - entries sent per 24 hours (0 for no limit), split between the levels
+//   dailySplit  - percent of dailyLimit kept for each severity level (see parseDailySplit)
+//   sampleInfo  - spool 1 of every sampleInfo INFO lines (1 keeps them all)
+//   sampleDebug - spool 1 of every sampleDebug DEBUG lines
+//
+// When the spool is full, the oldest entry of the least severe level in the lowest lane
+// below the new entry's is dropped to make room; only when there is none is the new entry dropped
+function createPriorityQueue({
+  dir,
+  maxEntries = 100000,
+  maxBytes = 256 * 1024 * 1024,
+  dailyLimit = 0,
+  dailySplit = DEFAULT_DAILY_SPLIT,
+  sampleInfo = 1,
+  sampleDebug = 1,
+  now = Date.now,
+}) {
+  const budgets = dailyBudgets(dailyLimit, parseDailySplit(dailySplit));
+  const sampleEvery = { [DEFAULT_SEVERITY]: sampleInfo, [DEBUG]: sampleDebug };
+  const seen = { [DEFAULT_SEVERITY]: 0, [DEBUG]: 0 };
+
+  // Spool of each level, indexed by level
+  const spools = [];
+  try {
+    for (const [level, name] of LEVELS.entries()) {
+      spools.push(createSpool({ dir: path.join(dir, laneOfLevel(level), name), maxEntries, maxBytes }));
+    }
+    migrateLegacySpools(dir, spools);
+  } catch (error) {
+    spools.forEach(spool => spool.close());
+    throw error;
+  }
+
+  // Level whose head is being sent; it is never evicted from meanwhile
+  let busy = null;
+  let sampled = 0;
+
+  // Entries sent per level since resetAt
+  let used = countPerLevel();
+  let resetAt = now() + DAY_MS;
+
+  // Lines lost since the last summary
+  let period = newPeriod();
+
+  function newPeriod() {
+    return { since: now(), dropped: countPerLane(), sampled: { info: 0, debug: 0 } };
+  }
+
+  // Whether a sampled level's line is left out; the first of every N is kept
+  function sampledOut(entry) {
+    const level = severityOf(entry);
+    if (!sampleEvery[level] || sampleEvery[level] === 1) {
+      return false;
+    }
+    const keep = seen[level] % sampleEvery[level] === 0;
+    seen[level]++;
+    if (!keep) {
+      sampled++;
+      period.sampled[level === DEBUG ? 'debug' : 'info']++;
+    }
+    return !keep;
+  }
+
+  function isFull(bytes) {
+    const stats = spools.map(spool => spool.getStats());
+    return stats.reduce((total, level) => total + level.spooled, 0) >= maxEntries ||
+      stats.reduce((total, level) => total + level.spooledBytes, 0) + bytes > maxBytes;
+  }
+
+  // Evict from lanes below the given one, least severe level first, until an entry of this size fits
+  function makeRoom(lane, bytes) {
+    const lower = LANES.slice(LANES.indexOf(lane) + 1).reverse()
+      .flatMap(name => [...LANE_LEVELS[name]].reverse());
+    while (isFull(bytes)) {
+      const victim = lower.find(level => level !== busy && spools[level].size() > 0);
+      if (victim === undefined) {
+        return false;
+      }
+      spools[victim].evict(1);
+      period.dropped[laneOfLevel(victim)]++;
+    }
+    return true;
+  }
+
+  // Spool an entry in its lane
+  // Returns 'spooled', 'sampled' (left out by sampling) or 'dropped' (no room)
+  function add(entry) {
+    const level = severityOf(entry);
+    const lane = laneOfLevel(level);
+    if (sampledOut(entry)) {
+      return 'sampled';
+    }
+    const bytes = Buffer.byteLength(JSON.stringify(entry)) + RECORD_OVERHEAD_BYTES;
+    if (!makeRoom(lane, bytes)) {
+      spools[level].refuse();
+      period.dropped[lane]++;
+      return 'dropped';
+    }
+    if (!spools[level].add(entry)) {
+      period.dropped[lane]++;
+      return 'dropped';
+    }
+    return 'spooled';
+  }
+
+  // Whether count more entries of a level are within the daily budget: together with the
+  // less severe levels, it may send what is kept for all of them, as long as the more
+  // severe levels left some of the limit
+  function withinBudget(level, count = 1) {
+    if (!budgets) {
+      return true;
+    }
+    const sent = used.map((n, i) => i === level ? n + count : n);
+    const sum = counts => counts.slice(level).reduce((total, n) => total + n, 0);
+    return sum(sent) <= sum(budgets) && sent.reduce((total, n) => total + n, 0) <= dailyLimit;
+  }
+
+  // The most severe level of a lane with entries waiting and budget left, or undefined
+  function sendableLevel(lane) {
+    return LANE_LEVELS[lane].find(level => spools[level].size() > 0 && withinBudget(level));
+  }
+
+  // The lane to send from next: the highest one with a level that has entries waiting
+  // and budget left; a level over its budget waits until resetAt without holding back
+  // the other levels of its lane
+  // Returns { lane (null if none may send), blocked (levels waiting for resetAt), resetAt }
+  function next() {
+    const time = now();
+    if (time >= resetAt) {
+      used = countPerLevel();
+      resetAt = time + DAY_MS;
+    }
+
+    const blocked = LEVELS.filter((name, level) => spools[level].size() > 0 && !withinBudget(level));
+    const lane = LANES.find(name => sendableLevel(name) !== undefined) || null;
+    return { lane, blocked, resetAt };
+  }
+
+  // Oldest entries of the most severe level of a lane with budget left (or with entries,
+  // when none has), which stays busy until they are acked, rejected or released
+  // Stops before the first entry that would go over the level's budget (but returns at least one)
+  function peek(lane, count) {
+    let level = sendableLevel(lane);
+    if (level === undefined) {
+      level = LANE_LEVELS[lane].find(candidate => spools[candidate].size() > 0);
+    }
+    if (level === undefined) {
+      return [];
+    }
+    busy = level;
+    let within = 1;
+    while (within < count && withinBudget(level, within + 1)) {
+      within++;
+    }
+    return spools[level].peek(within);
+  }
+
+  // The server accepted the first count entries handed out by peek
+  function ack(count) {
+    spools[busy].ack(count);
+    used[busy] += count;
+    busy = null;
+  }
+
+  // The server rejected them for good (see spool.reject)
+  function reject(count, reason) {
+    spools[busy].reject(count, reason);
+    busy = null;
+  }
+
+  // Nothing was settled: the entries stay at the head of their level for a retry
+  function release() {
+    busy = null;
+  }
+
+  function size() {
+    return spools.reduce((total, spool) => total + spool.size(), 0);
+  }
+
+  // Counts for the status summary: the spool counts of all levels together,
+  // lines sampled out by this run, and the spool counts of each lane
+  function getStats() {
+    const levels = spools.map(spool => spool.getStats());
+    const lanes = Object.fromEntries(LANES.map(lane => [lane, sumStats(LANE_LEVELS[lane].map(level => levels[level]))]));
+    return { ...sumStats(levels), sampled: sampled, lanes: lanes };
+  }
+
+  // Lines dropped and sampled out since the last call, per lane and level,
+  // or null when none were
+  function takeSummary() {
+    const lost = LANES.reduce((total, lane) => total + period.dropped[lane], 0) +
+      period.sampled.info + period.sampled.debug;
+    if (lost === 0) {
+      return null;
+    }
+    const summary = { ...period, until: now() };
+    period = newPeriod();
+    return summary;
+  }
+
+  function close() {
+    spools.forEach(spool => spool.close());
+  }
+
+  return {
+    add,
+    next,
+    peek,
+    ack,
+    reject,
+    release,
+    size,
+    getStats,
+    takeSummary,
+    close,
+  };
+}
+
+// Entries spooled before there were lanes (spool.jsonl directly in dir), or before each
+// level had a spool of its own (spool.jsonl in a lane's directory), move into the level spools
+function migrateLegacySpools(dir, spools) {
+  for (const legacyDir of [dir, ...LANES.map(lane => path.join(dir, lane))]) {
+    const legacyPath = path.join(legacyDir, 'spool.jsonl');
+    if (!fs.existsSync(legacyPath)) {
+      continue;
+    }
+    const legacy = createSpool({ dir: legacyDir, maxEntries: Infinity, maxBytes: Infinity });
+    for (const entry of legacy.peek(legacy.size())) {
+      spools[severityOf(entry)].add(entry);
+    }
+    legacy.close();
+    fs.unlinkSync(legacyPath);
+  }
+}
+
+// Spool counts of several lanes added up
+function sumStats(stats) {
+  const oldest = stats.map(lane => lane.oldestSpooledAt).filter(time => time !== null);
+  const total = field => stats.reduce((sum, lane) => sum + (lane[field] || 0), 0);
+  return {
+    spooled: total('spooled'),
+    spooledBytes: total('spooledBytes'),
+    oldestSpooledAt: oldest.length > 0 ? Math.min(...oldest) : null,
+    sent: total('sent'),
+    failed: total('failed'),
+    dropped: total('dropped'),
+  };
+}
+
+// Read the counts of every lane without opening them (see readSpoolStatus)
+function readQueueStatus(dir) {
+  const statuses = LEVELS.map((name, level) => readSpoolStatus(path.join(dir, laneOfLevel(level), name)));
+  const lanes = Object.fromEntries(LANES.map(lane => [lane, sumStats(LANE_LEVELS[lane].map(level => statuses[level]))]));
+  const updated = statuses.map(status => status.updatedAt).filter(time => time).sort();
+  const running = statuses.find(status => status.runningPid);
+  return {
+    ...sumStats(statuses),
+    updatedAt: updated.length > 0 ? updated[updated.length - 1] : null,
+    runningPid: running ? running.runningPid : null,
+    lanes: lanes,
+  };
+}
+
+module.exports = {
+  LANES,
+  LEVELS,
+  DEFAULT_DAILY_SPLIT,
+  laneOf,
+  spoolDirOf,
+  parseDailySplit,
+  createPriorityQueue,
+  readQueueStatus,
+};
@@ -0,0 +1,55 @@
+const { spawn } = require('child_process');
+const { createLineSplitter } = require('./lines');
+
+// Run a command that keeps writing log lines to stdout (e.g. 'log stream', 'journalctl -f')
+// and turn each line into an entry with parseLine
+function createCommandSource({ name, command, args, parseLine, onEntry, onEnd }) {
+  let child = null;
+  let stopping = false;
+
+  function start() {
+    child = spawn(command, args);
+
+    const splitter = createLineSplitter((line) => {
+      const entry = parseLine(line);
+      if (entry) {
+        onEntry(entry);
+      }
+    });
+
+    child.stdout.on('data', data => splitter.push(data));
+
+    // Pass the command's own error output through to help debug it
+    child.stderr.on('data', data => process.stderr.write(data));
+
+    // Spawn failures, e.g. the command not being installed
+    child.on('error', (error) => {
+      onEnd(new Error(`Could not run '${command}': ${error.message}`));
+    });
+
+    child.on('exit', (code, signal) => {
+      splitter.flush();
+      if (stopping) {
+        return;
+      }
+      if (signal) {
+        onEnd(new Error(`'${command}' was killed by signal: ${signal}`));
+      } else if (code !== 0) {
+        onEnd(new Error(`'${command}' exited with code: ${code}`));
+      } else {
+        onEnd();
+      }
+    });
+  }
+
+  function stop(signal = 'SIGTERM') {
+    stopping = true;
+    if (child && !child.killed) {
+      child.kill(signal);
+    }
+  }
+
+  return { name, start, stop };
+}
+
+module.exports = { createCommandSource };
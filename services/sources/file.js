@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { createLineSplitter } = require('./lines');
+
+// Bytes read per call while catching up on a file
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// Follow one or more files like 'tail -F'
+// Rotation is detected by polling: when the path points at a new file (rename/create)
+// the rest of the old file is read first, then the new one from the start. A file
+// that shrinks (copytruncate) is read again from the start.
+function createFileSource({ host, paths, pollIntervalMs = 1000, fromStart = false, onEntry, onEnd }) {
+  let timer = null;
+  let stopped = false;
+
+  const tails = paths.map((file) => {
+    const tail = {
+      file: file,
+      handle: null,
+      ino: null,
+      position: 0,
+      missingReported: false,
+    };
+    tail.splitter = createLineSplitter((line) => {
+      onEntry({
+        message: line,
+        source: host,
+        facility: path.basename(file),
+        attributes: { file: path.resolve(file) },
+      });
+    });
+    return tail;
+  });
+
+  // Open the file the path currently points at
+  async function open(tail, atEnd) {
+    const handle = await fs.promises.open(tail.file, 'r');
+    const stat = await handle.stat();
+    tail.handle = handle;
+    tail.ino = stat.ino;
+    tail.position = atEnd ? stat.size : 0;
+    tail.missingReported = false;
+  }
+
+  // Read everything written since the last poll
+  async function readAvailable(tail) {
+    const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+    for (;;) {
+      const { bytesRead } = await tail.handle.read(buffer, 0, buffer.length, tail.position);
+      if (bytesRead === 0) {
+        return;
+      }
+      tail.position += bytesRead;
+      tail.splitter.push(buffer.subarray(0, bytesRead));
+    }
+  }
+
+  // Finish the current file and let go of it
+  async function close(tail) {
+    await readAvailable(tail);
+    tail.splitter.flush();
+    await tail.handle.close();
+    tail.handle = null;
+    tail.ino = null;
+  }
+
+  async function pollFile(tail, firstPoll) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(tail.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      // Rotated away and not recreated yet: keep reading the old file
+      if (tail.handle) {
+        await readAvailable(tail);
+      } else if (!tail.missingReported) {
+        console.log(`[WARNING] ${tail.file} does not exist yet - waiting for it`);
+        tail.missingReported = true;
+      }
+      return;
+    }
+
+    if (!tail.handle) {
+      // Files that appear after startup are read from the beginning
+      await open(tail, firstPoll && !fromStart);
+    } else if (stat.ino !== tail.ino) {
+      console.log(`[OK] ${tail.file} was rotated - following the new file`);
+      await close(tail);
+      await open(tail, false);
+    } else if (stat.size < tail.position) {
+      console.log(`[WARNING] ${tail.file} was truncated - reading it from the start`);
+      tail.position = 0;
+    }
+
+    await readAvailable(tail);
+  }
+
+  async function poll(firstPoll) {
+    for (const tail of tails) {
+      try {
+        await pollFile(tail, firstPoll);
+      } catch (error) {
+        if (stopped) {
+          return;
+        }
+        onEnd(new Error(`Could not read ${tail.file}: ${error.message}`));
+        return;
+      }
+    }
+    if (!stopped) {
+      timer = setTimeout(() => poll(false), pollIntervalMs);
+    }
+  }
+
+  function start() {
+    for (const tail of tails) {
+      console.log(`[OK] Following ${tail.file}`);
+    }
+    poll(true);
+  }
+
+  function stop() {
+    stopped = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    for (const tail of tails) {
+      if (tail.handle) {
+        tail.handle.close().catch(() => {});
+        tail.handle = null;
+      }
+    }
+  }
+
+  return { name: 'file', start, stop };
+}
+
+module.exports = { createFileSource };
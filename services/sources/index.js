@@ -0,0 +1,70 @@
+const { createMacosSource } = require('./macos');
+const { createJournaldSource } = require('./journald');
+const { createFileSource } = require('./file');
+const { createStdinSource } = require('./stdin');
+const { createSyslogSource } = require('./syslog');
+
+// Source factories by type name
+const SOURCE_TYPES = {
+  macos: createMacosSource,
+  journald: createJournaldSource,
+  file: createFileSource,
+  stdin: createStdinSource,
+  syslog: createSyslogSource,
+};
+
+const SYSLOG_PROTOCOLS = ['udp', 'tcp', 'both'];
+
+// Source used when none is configured: the platform's system log
+function defaultSourceType() {
+  if (process.platform === 'darwin') {
+    return 'macos';
+  }
+  if (process.platform === 'linux') {
+    return 'journald';
+  }
+  return null;
+}
+
+// Check one source config, throwing an Error that explains what's wrong
+function validateSourceConfig(config) {
+  if (!config || !SOURCE_TYPES[config.type]) {
+    throw new Error(`Unknown source type: ${config && config.type} (expected one of: ${Object.keys(SOURCE_TYPES).join(', ')})`);
+  }
+  if (config.type === 'file' && (!Array.isArray(config.paths) || config.paths.length === 0)) {
+    throw new Error('The file source needs at least one path');
+  }
+  if (config.type === 'syslog') {
+    if (config.protocol !== undefined && !SYSLOG_PROTOCOLS.includes(config.protocol)) {
+      throw new Error(`Syslog protocol must be one of: ${SYSLOG_PROTOCOLS.join(', ')}`);
+    }
+    if (config.port !== undefined && !(Number.isInteger(config.port) && config.port > 0 && config.port < 65536)) {
+      throw new Error('Syslog port must be a number from 1 to 65535');
+    }
+  }
+}
+
+// Create a source for every config; all of them feed the same onEntry(entry, source)
+// onEnd(source, error) is called when a source stops by itself
+function createSources(configs, { host, onEntry, onEnd }) {
+  if (configs.filter(config => config && config.type === 'stdin').length > 1) {
+    throw new Error('Only one stdin source can be configured');
+  }
+  configs.forEach(validateSourceConfig);
+
+  return configs.map((config) => {
+    const source = SOURCE_TYPES[config.type]({
+      host: host,
+      ...config,
+      onEntry: entry => onEntry(entry, source),
+      onEnd: error => onEnd(source, error),
+    });
+    return source;
+  });
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  defaultSourceType,
+  createSources,
+};
@@ -0,0 +1,64 @@
+const { createCommandSource } = require('./command');
+const { SYSLOG_FACILITIES } = require('./syslog');
+
+// Build a structured entry from a 'journalctl -o json' line
+// PRIORITY is already an RFC 5424 severity number
+function parseJournalLine(line, host) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    return { message: line, source: host, facility: 'journald' };
+  }
+
+  // Binary messages are exported as arrays of bytes
+  let message = record.MESSAGE;
+  if (Array.isArray(message)) {
+    message = Buffer.from(message).toString('utf8');
+  }
+  if (typeof message !== 'string' || !message.trim()) {
+    return null;
+  }
+
+  const entry = {
+    message: message,
+    source: record._HOSTNAME || host,
+    facility: record.SYSLOG_IDENTIFIER || record._COMM || 'journald',
+  };
+
+  const priority = parseInt(record.PRIORITY, 10);
+  if (priority >= 0 && priority <= 7) {
+    entry.severity = priority;
+  }
+
+  const attributes = {};
+  if (record._SYSTEMD_UNIT) attributes.unit = record._SYSTEMD_UNIT;
+  if (record._PID) attributes.pid = Number(record._PID);
+  if (SYSLOG_FACILITIES[record.SYSLOG_FACILITY]) {
+    attributes.syslogFacility = SYSLOG_FACILITIES[record.SYSLOG_FACILITY];
+  }
+  if (Object.keys(attributes).length > 0) {
+    entry.attributes = attributes;
+  }
+  return entry;
+}
+
+// systemd journal, via 'journalctl -f'
+// Only new entries are read (-n 0); units limits it to those systemd units
+function createJournaldSource({ host, units = [], onEntry, onEnd }) {
+  const args = ['-f', '-o', 'json', '-n', '0'];
+  for (const unit of units) {
+    args.push('-u', unit);
+  }
+
+  return createCommandSource({
+    name: 'journald',
+    command: 'journalctl',
+    args: args,
+    parseLine: line => parseJournalLine(line, host),
+    onEntry,
+    onEnd,
+  });
+}
+
+module.exports = { createJournaldSource, parseJournalLine };
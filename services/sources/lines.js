@@ -0,0 +1,38 @@
+const { StringDecoder } = require('string_decoder');
+
+// Split a stream of chunks into complete lines
+// Multi-byte UTF-8 characters split across chunks are kept intact
+function createLineSplitter(onLine) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  // Add a chunk (Buffer or string) and emit every complete line in it
+  function push(chunk) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    const lines = buffer.split('\n');
+    // Keep the last incomplete line in the buffer
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const trimmed = line.replace(/\r$/, '');
+      if (trimmed.trim()) {
+        onLine(trimmed);
+      }
+    }
+  }
+
+  // Emit whatever is left once the input has ended
+  function flush() {
+    buffer += decoder.end();
+    const rest = buffer;
+    buffer = '';
+    if (rest.trim()) {
+      onLine(rest.replace(/\r$/, ''));
+    }
+  }
+
+  return { push, flush };
+}
+
+module.exports = { createLineSplitter };
@@ -0,0 +1,46 @@
+const { createCommandSource } = require('./command');
+
+// macOS log types mapped to RFC 5424 severity names
+const MACOS_LOG_TYPES = {
+  Fault: 'critical',
+  Error: 'error',
+  Default: 'notice',
+  Info: 'info',
+  Debug: 'debug',
+};
+
+// Matches a 'log stream' line: timestamp, thread, type, activity, PID, TTL, process
+const MACOS_LOG_LINE = /^\S+ \S+\s+0x[0-9a-f]+\s+(\w+)\s+0x[0-9a-f]+\s+\d+\s+\d+\s+([^:\[]+)/;
+
+// Build a structured entry from a 'log stream' line
+// Severity comes from the log type column and the facility from the process name
+function parseMacosLine(line, host) {
+  const entry = {
+    message: line,
+    source: host,
+    facility: 'macos',
+  };
+
+  const match = MACOS_LOG_LINE.exec(line);
+  if (match) {
+    if (MACOS_LOG_TYPES[match[1]]) {
+      entry.severity = MACOS_LOG_TYPES[match[1]];
+    }
+    entry.facility = match[2].trim();
+  }
+  return entry;
+}
+
+// macOS unified log, via 'log stream'
+function createMacosSource({ host, onEntry, onEnd }) {
+  return createCommandSource({
+    name: 'macos',
+    command: 'log',
+    args: ['stream'],
+    parseLine: line => parseMacosLine(line, host),
+    onEntry,
+    onEnd,
+  });
+}
+
+module.exports = { createMacosSource, parseMacosLine };
@@ -0,0 +1,34 @@
+const { createLineSplitter } = require('./lines');
+
+// Lines piped into the streamer, e.g. 'my-app | npm run stream -- --source stdin'
+// The source ends when stdin is closed
+function createStdinSource({ host, facility = 'stdin', onEntry, onEnd }) {
+  const splitter = createLineSplitter((line) => {
+    onEntry({ message: line, source: host, facility: facility });
+  });
+
+  function onData(data) {
+    splitter.push(data);
+  }
+
+  function onClose() {
+    splitter.flush();
+    onEnd();
+  }
+
+  function start() {
+    process.stdin.on('data', onData);
+    process.stdin.on('end', onClose);
+    process.stdin.on('error', error => onEnd(new Error(`Could not read stdin: ${error.message}`)));
+  }
+
+  function stop() {
+    process.stdin.off('data', onData);
+    process.stdin.off('end', onClose);
+    process.stdin.pause();
+  }
+
+  return { name: 'stdin', start, stop };
+}
+
+module.exports = { createStdinSource };
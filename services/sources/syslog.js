@@ -0,0 +1,232 @@
+const dgram = require('dgram');
+const net = require('net');
+
+// Syslog facility names, indexed by facility code (RFC 5424 section 6.2.1)
+const SYSLOG_FACILITIES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+  'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'security', 'console', 'solaris-cron',
+  'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7',
+];
+
+// Default port; 514 needs root, so listen on an unprivileged one unless told otherwise
+const DEFAULT_SYSLOG_PORT = 5514;
+
+// Largest message accepted over TCP before the connection is dropped
+const MAX_TCP_MESSAGE_BYTES = 64 * 1024;
+
+// <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA [MSG]
+const RFC5424_HEADER = /^<(\d{1,3})>1 (\S+) (\S+) (\S+) (\S+) (\S+) /;
+
+// <PRI>Mmm dd hh:mm:ss HOSTNAME TAG[PID]: MSG
+const RFC3164_LINE = /^<(\d{1,3})>([A-Z][a-z]{2} [ \d]\d \d\d:\d\d:\d\d) (\S+) ([^\s:\[]+)(?:\[(\d+)\])?:? ?([\s\S]*)$/;
+
+// Any other line that at least starts with a priority
+const PRI_ONLY = /^<(\d{1,3})>([\s\S]*)$/;
+
+// Split RFC 5424 STRUCTURED-DATA off the front of the rest of the line
+// Returns { data: { id: { param: value } }, rest } or null if it is malformed
+function parseStructuredData(text) {
+  if (text.startsWith('-')) {
+    return { data: null, rest: text.slice(2) };
+  }
+
+  const data = {};
+  let i = 0;
+  while (text[i] === '[') {
+    const close = /^\[([^\s\]=]+)/.exec(text.slice(i));
+    if (!close) {
+      return null;
+    }
+    const id = close[1];
+    const params = {};
+    i += close[0].length;
+
+    // PARAM="value" pairs; values escape '"', '\' and ']' with a backslash
+    while (text[i] === ' ') {
+      const name = /^ ([^\s\]=]+)="/.exec(text.slice(i));
+      if (!name) {
+        return null;
+      }
+      i += name[0].length;
+      let value = '';
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          i++;
+        }
+        value += text[i];
+        i++;
+      }
+      if (text[i] !== '"') {
+        return null;
+      }
+      params[name[1]] = value;
+      i++;
+    }
+
+    if (text[i] !== ']') {
+      return null;
+    }
+    data[id] = params;
+    i++;
+  }
+
+  return { data, rest: text.slice(i).replace(/^ /, '') };
+}
+
+// Build a structured entry from one syslog message (RFC 5424 or RFC 3164)
+// The app name becomes the facility, like the process name for the other sources
+function parseSyslogMessage(text, host) {
+  const line = text.replace(/[\r\n]+$/, '');
+  const entry = { message: line, source: host, facility: 'syslog' };
+  const attributes = {};
+
+  let match = RFC5424_HEADER.exec(line);
+  let pri = null;
+  if (match) {
+    const structured = parseStructuredData(line.slice(match[0].length));
+    if (structured) {
+      pri = parseInt(match[1], 10);
+      if (match[2] !== '-') attributes.timestamp = match[2];
+      if (match[3] !== '-') entry.source = match[3];
+      if (match[4] !== '-') entry.facility = match[4];
+      if (match[5] !== '-') attributes.pid = match[5];
+      if (match[6] !== '-') attributes.msgid = match[6];
+      if (structured.data) attributes.structuredData = structured.data;
+      // MSG may start with a UTF-8 byte order mark
+      entry.message = structured.rest.replace(/^\uFEFF/, '');
+    } else {
+      match = null;
+    }
+  }
+
+  if (!match && (match = RFC3164_LINE.exec(line))) {
+    pri = parseInt(match[1], 10);
+    attributes.timestamp = match[2];
+    entry.source = match[3];
+    entry.facility = match[4];
+    if (match[5]) attributes.pid = match[5];
+    entry.message = match[6];
+  } else if (!match && (match = PRI_ONLY.exec(line))) {
+    pri = parseInt(match[1], 10);
+    entry.message = match[2];
+  }
+
+  // PRI = facility * 8 + severity
+  if (pri !== null && pri <= 191) {
+    entry.severity = pri % 8;
+    attributes.syslogFacility = SYSLOG_FACILITIES[Math.floor(pri / 8)];
+  }
+
+  if (!entry.message.trim()) {
+    return null;
+  }
+  if (Object.keys(attributes).length > 0) {
+    entry.attributes = attributes;
+  }
+  return entry;
+}
+
+// Split a TCP syslog stream into messages
+// Supports octet counting ("<length> <message>") and newline framing (RFC 6587)
+function createTcpFramer(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return function push(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length > 0) {
+      const counted = /^(\d{1,6}) /.exec(buffer.subarray(0, 8).toString('latin1'));
+      if (counted) {
+        const length = parseInt(counted[1], 10);
+        const start = counted[0].length;
+        if (buffer.length < start + length) {
+          break;
+        }
+        onMessage(buffer.subarray(start, start + length).toString('utf8'));
+        buffer = buffer.subarray(start + length);
+        continue;
+      }
+
+      const newline = buffer.indexOf(0x0a);
+      if (newline === -1) {
+        break;
+      }
+      const message = buffer.subarray(0, newline).toString('utf8');
+      buffer = buffer.subarray(newline + 1);
+      if (message.trim()) {
+        onMessage(message);
+      }
+    }
+
+    if (buffer.length > MAX_TCP_MESSAGE_BYTES) {
+      throw new Error(`Syslog message larger than ${MAX_TCP_MESSAGE_BYTES} bytes`);
+    }
+  };
+}
+
+// Local syslog listener on UDP, TCP or both
+function createSyslogSource({ host, port = DEFAULT_SYSLOG_PORT, address = '127.0.0.1', protocol = 'both', onEntry, onEnd }) {
+  let udpSocket = null;
+  let tcpServer = null;
+  const connections = new Set();
+
+  function receive(text) {
+    const entry = parseSyslogMessage(text, host);
+    if (entry) {
+      onEntry(entry);
+    }
+  }
+
+  function start() {
+    if (protocol === 'udp' || protocol === 'both') {
+      udpSocket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+      udpSocket.on('message', msg => receive(msg.toString('utf8')));
+      udpSocket.on('error', error => onEnd(new Error(`Syslog UDP listener: ${error.message}`)));
+      udpSocket.bind(port, address, () => {
+        console.log(`[OK] Listening for syslog on udp://${address}:${port}`);
+      });
+    }
+
+    if (protocol === 'tcp' || protocol === 'both') {
+      tcpServer = net.createServer((socket) => {
+        connections.add(socket);
+        const push = createTcpFramer(receive);
+        socket.on('data', (chunk) => {
+          try {
+            push(chunk);
+          } catch (error) {
+            console.error('[WARNING] Dropping syslog connection:', error.message);
+            socket.destroy();
+          }
+        });
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => connections.delete(socket));
+      });
+      tcpServer.on('error', error => onEnd(new Error(`Syslog TCP listener: ${error.message}`)));
+      tcpServer.listen(port, address, () => {
+        console.log(`[OK] Listening for syslog on tcp://${address}:${port}`);
+      });
+    }
+  }
+
+  function stop() {
+    if (udpSocket) {
+      udpSocket.close();
+      udpSocket = null;
+    }
+    if (tcpServer) {
+      tcpServer.close();
+      tcpServer = null;
+      connections.forEach(socket => socket.destroy());
+    }
+  }
+
+  return { name: 'syslog', start, stop };
+}
+
+module.exports = {
+  SYSLOG_FACILITIES,
+  DEFAULT_SYSLOG_PORT,
+  createSyslogSource,
+  parseSyslogMessage,
+};
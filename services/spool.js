@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rewrite spool.jsonl without sent entries once this many have piled up at its head
+const COMPACT_AFTER = 1000;
+
+// Write-ahead spool for the streamer: every entry is appended to spool.jsonl
+// before it is sent, and only dropped from the head once the server accepted
+// it, so nothing queued is lost when the server is down or the streamer stops
+//
+// Options:
+//   dir         - directory holding spool.jsonl, state.json, failed.jsonl and the lock file
+//   maxEntries  - refuse new entries once this many are waiting
+//   maxBytes    - refuse new entries once the waiting ones take this much space
+//
+// Files:
+//   spool.jsonl  - { seq, spooledAt, entry } per line, oldest first
+//   state.json   - last acknowledged seq plus sent / failed / dropped counters
+//   failed.jsonl - entries the server rejected outright, with the reason
+function createSpool({ dir, maxEntries = 100000, maxBytes = 256 * 1024 * 1024 }) {
+  const spoolPath = path.join(dir, 'spool.jsonl');
+  const statePath = path.join(dir, 'state.json');
+  const failedPath = path.join(dir, 'failed.jsonl');
+  const lockPath = path.join(dir, 'spool.lock');
+
+  let waiting = [];
+  let waitingBytes = 0;
+  let nextSeq = 1;
+  // Lines at the head of spool.jsonl that were already sent or failed
+  let settledLines = 0;
+  let state = { ackedSeq: 0, sent: 0, failed: 0, dropped: 0 };
+
+  // Only one streamer may use a spool directory at a time
+  function lock() {
+    if (fs.existsSync(lockPath)) {
+      const pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+      if (pid && pid !== process.pid && isRunning(pid)) {
+        throw new Error(`Spool ${dir} is in use by process ${pid} - stop it or pass --spool-dir`);
+      }
+    }
+    fs.writeFileSync(lockPath, String(process.pid));
+  }
+
+  // Load the counters and every entry not yet sent by a previous run
+  function load() {
+    fs.mkdirSync(dir, { recursive: true });
+    lock();
+
+    if (fs.existsSync(statePath)) {
+      state = { ...state, ...JSON.parse(fs.readFileSync(statePath, 'utf8')) };
+    }
+    nextSeq = state.ackedSeq + 1;
+
+    if (fs.existsSync(spoolPath)) {
+      const lines = fs.readFileSync(spoolPath, 'utf8').split('\n').filter(line => line.trim());
+      for (const line of lines) {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // A line cut short by a crash mid-write
+          console.error('[WARNING] Skipping unreadable spool line');
+          continue;
+        }
+        if (record.seq <= state.ackedSeq) {
+          settledLines++;
+          continue;
+        }
+        record.bytes = Buffer.byteLength(line) + 1;
+        waiting.push(record);
+        waitingBytes += record.bytes;
+        nextSeq = Math.max(nextSeq, record.seq + 1);
+      }
+    }
+
+    // Start from a clean file so appends never follow a torn line
+    rewrite();
+  }
+
+  // Append an entry; returns false (and counts it as dropped) if the spool is full
+  function add(entry) {
+    const record = { seq: nextSeq, spooledAt: Math.floor(Date.now() / 1000), entry: entry };
+    const line = JSON.stringify(record) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    if (waiting.length >= maxEntries || waitingBytes + bytes > maxBytes) {
+      refuse();
+      return false;
+    }
+
+    fs.appendFileSync(spoolPath, line);
+    nextSeq++;
+    record.bytes = bytes;
+    waiting.push(record);
+    waitingBytes += bytes;
+    return true;
+  }
+
+  // Oldest entries still waiting to be sent
+  function peek(count) {
+    return waiting.slice(0, count).map(record => record.entry);
+  }
+
+  // Drop the first count entries from the head of the spool
+  function settle(count) {
+    const settled = waiting.splice(0, count);
+    for (const record of settled) {
+      waitingBytes -= record.bytes;
+    }
+    if (settled.length > 0) {
+      state.ackedSeq = settled[settled.length - 1].seq;
+    }
+    settledLines += settled.length;
+
+    if (waiting.length === 0 || settledLines >= COMPACT_AFTER) {
+      rewrite();
+    }
+    return settled;
+  }
+
+  // The server accepted the first count entries
+  function ack(count) {
+    const settled = settle(count);
+    state.sent += settled.length;
+    saveState();
+  }
+
+  // The server rejected the first count entries and will never accept them
+  // They are kept in failed.jsonl for inspection instead of blocking the spool
+  function reject(count, reason) {
+    const settled = settle(count);
+    const failedAt = Math.floor(Date.now() / 1000);
+    fs.appendFileSync(failedPath, settled.map(record => JSON.stringify({
+      seq: record.seq,
+      spooledAt: record.spooledAt,
+      failedAt: failedAt,
+      reason: reason,
+      entry: record.entry,
+    }) + '\n').join(''));
+    state.failed += settled.length;
+    saveState();
+  }
+
+  // Drop the oldest count entries to make room for more important ones, counting them as dropped
+  function evict(count) {
+    const settled = settle(count);
+    state.dropped += settled.length;
+    saveState();
+    return settled.length;
+  }
+
+  // Count an entry that was turned away without being spooled
+  function refuse() {
+    state.dropped++;
+    saveState();
+  }
+
+  // Rewrite spool.jsonl with only the waiting entries
+  function rewrite() {
+    const tempPath = spoolPath + '.tmp';
+    fs.writeFileSync(tempPath, waiting.map(record => JSON.stringify({
+      seq: record.seq,
+      spooledAt: record.spooledAt,
+      entry: record.entry,
+    }) + '\n').join(''));
+    fs.renameSync(tempPath, spoolPath);
+    settledLines = 0;
+  }
+
+  function saveState() {
+    const tempPath = statePath + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tempPath, statePath);
+  }
+
+  function size() {
+    return waiting.length;
+  }
+
+  // Counts for the status summary
+  function getStats() {
+    return {
+      spooled: waiting.length,
+      spooledBytes: waitingBytes,
+      oldestSpooledAt: waiting.length > 0 ? waiting[0].spooledAt : null,
+      sent: state.sent,
+      failed: state.failed,
+      dropped: state.dropped,
+    };
+  }
+
+  // Release the lock; the spool itself stays on disk for the next run
+  function close() {
+    try {
+      if (parseInt(fs.readFileSync(lockPath, 'utf8'), 10) === process.pid) {
+        fs.unlinkSync(lockPath);
+      }
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  load();
+
+  return {
+    add,
+    peek,
+    ack,
+    reject,
+    evict,
+    refuse,
+    size,
+    getStats,
+    close,
+  };
+}
+
+// Whether a process id is still alive
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Read a spool's counts without opening it, e.g. while a streamer is using it
+function readSpoolStatus(dir) {
+  const statePath = path.join(dir, 'state.json');
+  const spoolPath = path.join(dir, 'spool.jsonl');
+  const lockPath = path.join(dir, 'spool.lock');
+
+  const state = fs.existsSync(statePath)
+    ? JSON.parse(fs.readFileSync(statePath, 'utf8'))
+    : { ackedSeq: 0, sent: 0, failed: 0, dropped: 0 };
+
+  let spooled = 0;
+  let oldestSpooledAt = null;
+  if (fs.existsSync(spoolPath)) {
+    for (const line of fs.readFileSync(spoolPath, 'utf8').split('\n')) {
+      try {
+        const record = JSON.parse(line);
+        if (record.seq > state.ackedSeq) {
+          spooled++;
+          oldestSpooledAt = oldestSpooledAt === null ? record.spooledAt : oldestSpooledAt;
+        }
+      } catch (error) {
+        // Blank or torn line
+      }
+    }
+  }
+
+  let runningPid = null;
+  if (fs.existsSync(lockPath)) {
+    const pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+    runningPid = pid && isRunning(pid) ? pid : null;
+  }
+
+  return {
+    spooled: spooled,
+    oldestSpooledAt: oldestSpooledAt,
+    sent: state.sent,
+    failed: state.failed,
+    dropped: state.dropped,
+    updatedAt: state.updatedAt || null,
+    runningPid: runningPid,
+  };
+}
+
+module.exports = { createSpool, readSpoolStatus };
@@ -1,231 +1,836 @@
-const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SOURCE_TYPES, defaultSourceType, createSources } = require('./sources');
+const { LANES, LEVELS, DEFAULT_DAILY_SPLIT, spoolDirOf, parseDailySplit, createPriorityQueue, readQueueStatus } = require('./priority');
+const { DEFAULT_CONTINUATION_PATTERNS, DEFAULT_DEDUPE_IGNORE, createCoalescer } = require('./coalesce');
+const { recipientId, encryptMessage } = require('../lib/encryption');
+const { loadRedactionConfig, createRedactor } = require('../lib/redaction');
+const { DATA_DIR } = require('../lib/data-dir');
+
+// Host name recorded as the source of every entry (syslog messages carry their own)
+const HOST = os.hostname();
+
+// Batch mode: lines are collected by the server into Merkle batches and only
+// the batch root is written on-chain, so the per-line limits below don't apply
+const BATCH_MODE = process.argv.includes('--batch') || process.env.STREAM_BATCH === '1';
 
 // Backend API endpoint for adding logs
-const API_URL = 'http://localhost:3000/add-log';
+const SERVER_URL = 'http://localhost:3000';
+const API_URL = BATCH_MODE ? `${SERVER_URL}/batch-log` : `${SERVER_URL}/add-log`;
+
+// Where the streamer pushes its queue, drop and spool stats (shown in the server's /metrics)
+const METRICS_URL = `${SERVER_URL}/metrics/streamer`;
+
+// Values of a repeatable --flag; comma-separated values are split too
+function getFlagValues(name) {
+  const values = [];
+  process.argv.forEach((arg, i) => {
+    if (arg === name && process.argv[i + 1] !== undefined) {
+      values.push(...process.argv[i + 1].split(',').map(value => value.trim()).filter(value => value));
+    }
+  });
+  return values;
+}
+
+// Values of a repeatable --flag, taken whole (for regexes, which may contain commas)
+function getRawFlagValues(name) {
+  return process.argv.filter((arg, i) => i > 0 && process.argv[i - 1] === name && arg !== '');
+}
+
+// Value of a single --flag, or undefined
+function getFlagValue(name) {
+  const values = getFlagValues(name);
+  return values.length > 0 ? values[values.length - 1] : undefined;
+}
+
+// Optional JSON config file (--config or STREAM_CONFIG) with "sources", "limits", "spoolDir",
+// "encryptFor", "redaction", "metricsInstance", "continuationPatterns", "dedupeIgnore" and "dailySplit"
+function loadConfigFile() {
+  const configPath = getFlagValue('--config') || process.env.STREAM_CONFIG;
+  if (!configPath) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.error(`[ERROR] Could not load config file ${configPath}:`, error.message);
+    process.exit(1);
+  }
+}
+
+const CONFIG = loadConfigFile();
+
+// Limits, overridable in the config file's "limits" or with the flag next to each one
+const DEFAULT_LIMITS = {
+  sendIntervalMs: 1000, // --send-interval: at least this long between requests (prevents Ganache crashes)
+  maxLogsPerDay: 1000, // --max-per-day: /add-log entries sent per 24 hours (split between the levels), 0 for no limit
+  batchSize: 500, // --batch-size: batch mode lines sent per request
+  maxSpoolEntries: 100000, // --spool-max-entries: entries waiting in the spool before new ones are dropped
+  maxSpoolBytes: 256 * 1024 * 1024, // --spool-max-bytes: spool size before new entries are dropped
+  retryBaseMs: 1000, // --retry-base: first retry delay after a failed request
+  retryMaxMs: 60000, // --retry-max: retry delays double up to this
+  statusIntervalMs: 60000, // --status-interval: how often to print the status summary, 0 to turn off
+  metricsIntervalMs: 15000, // --metrics-interval: how often to push stats to the server's /metrics, 0 to turn off
+  dedupeWindowMs: 5000, // --dedupe-window: how long a line is held to collapse identical ones into it, 0 to turn off
+  groupFlushMs: 500, // --group-flush: how long a multi-line entry waits for its next continuation line
+  maxGroupLines: 200, // --group-max-lines: lines joined into one entry at most
+  sampleInfo: 1, // --sample-info: spool 1 of every N INFO lines (1 keeps them all)
+  sampleDebug: 1, // --sample-debug: spool 1 of every N DEBUG lines
+  summaryIntervalMs: 3600000, // --summary-interval: how often dropped and sampled counts are sent as an entry, 0 to turn off
+};
+
+const LIMIT_FLAGS = {
+  sendIntervalMs: '--send-interval',
+  maxLogsPerDay: '--max-per-day',
+  batchSize: '--batch-size',
+  maxSpoolEntries: '--spool-max-entries',
+  maxSpoolBytes: '--spool-max-bytes',
+  retryBaseMs: '--retry-base',
+  retryMaxMs: '--retry-max',
+  statusIntervalMs: '--status-interval',
+  metricsIntervalMs: '--metrics-interval',
+  dedupeWindowMs: '--dedupe-window',
+  groupFlushMs: '--group-flush',
+  maxGroupLines: '--group-max-lines',
+  sampleInfo: '--sample-info',
+  sampleDebug: '--sample-debug',
+  summaryIntervalMs: '--summary-interval',
+};
+
+// Limits that may be 0 to turn them off
+const OPTIONAL_LIMITS = ['maxLogsPerDay', 'statusIntervalMs', 'metricsIntervalMs', 'dedupeWindowMs', 'summaryIntervalMs'];
+
+function loadLimits() {
+  const limits = { ...DEFAULT_LIMITS, ...(CONFIG.limits || {}) };
+  for (const [name, flag] of Object.entries(LIMIT_FLAGS)) {
+    const value = getFlagValue(flag);
+    if (value !== undefined) {
+      limits[name] = Number(value);
+    }
+  }
+
+  for (const name of Object.keys(DEFAULT_LIMITS)) {
+    const min = OPTIONAL_LIMITS.includes(name) ? 0 : 1;
+    if (!Number.isInteger(limits[name]) || limits[name] < min) {
+      console.error(`[ERROR] ${name} (${LIMIT_FLAGS[name]}) must be a whole number of at least ${min}`);
+      process.exit(1);
+    }
+  }
+  return limits;
+}
+
+const LIMITS = loadLimits();
+
+// Patterns of lines that continue the previous one (stack traces): --continuation <regex>
+// (repeatable), "continuationPatterns" in the config file, or the defaults in coalesce.js
+// --no-grouping sends every line on its own
+function loadContinuationPatterns() {
+  if (process.argv.includes('--no-grouping')) {
+    return [];
+  }
+  const patterns = getRawFlagValues('--continuation');
+  if (patterns.length > 0) {
+    return patterns;
+  }
+  return CONFIG.continuationPatterns !== undefined ? CONFIG.continuationPatterns : DEFAULT_CONTINUATION_PATTERNS;
+}
+
+const CONTINUATION_PATTERNS = loadContinuationPatterns();
+
+// What is left out when comparing lines for repeats ("dedupeIgnore" in the config file)
+const DEDUPE_IGNORE = CONFIG.dedupeIgnore !== undefined ? CONFIG.dedupeIgnore : DEFAULT_DEDUPE_IGNORE;
+
+for (const [name, patterns] of [['continuationPatterns', CONTINUATION_PATTERNS], ['dedupeIgnore', DEDUPE_IGNORE]]) {
+  if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string')) {
+    console.error(`[ERROR] "${name}" in the config file must be an array of regular expressions (strings)`);
+    process.exit(1);
+  }
+}
+
+// Percent of the daily limit kept for each severity level: --daily-split error=40,warning=20,...
+// or "dailySplit": { "error": 40, "warning": 20, ... } in the config file
+function loadDailySplit() {
+  const values = getFlagValues('--daily-split');
+  const split = values.length > 0
+    ? Object.fromEntries(values.map(value => {
+      const [level, percent] = value.split('=');
+      return [level, percent === undefined || percent.trim() === '' ? NaN : Number(percent)];
+    }))
+    : (CONFIG.dailySplit !== undefined ? CONFIG.dailySplit : DEFAULT_DAILY_SPLIT);
+  try {
+    return parseDailySplit(split);
+  } catch (error) {
+    console.error(`[ERROR] ${error.message} (--daily-split or "dailySplit")`);
+    process.exit(1);
+  }
+}
+
+const DAILY_SPLIT = loadDailySplit();
+
+// Write-ahead spool of entries not yet accepted by the server, one per priority lane
+const SPOOL_DIR = path.resolve(
+  getFlagValue('--spool-dir') || process.env.STREAM_SPOOL_DIR || CONFIG.spoolDir ||
+  path.join(DATA_DIR, 'spool')
+);
+
+// Print a spool's status summary line
+function formatStatus(stats) {
+  const lanes = LANES.map(lane => `${lane}=${stats.lanes[lane].spooled}`).join(' ');
+  let line = `spooled=${stats.spooled} (${lanes}) sent=${stats.sent} failed=${stats.failed} dropped=${stats.dropped}`;
+  if (stats.sampled !== undefined) {
+    line += ` sampled=${stats.sampled}`;
+  }
+  if (stats.oldestSpooledAt) {
+    const age = Math.floor(Date.now() / 1000) - stats.oldestSpooledAt;
+    line += ` (oldest spooled ${age}s ago)`;
+  }
+  return line;
+}
+
+// --status: summarise the spool (e.g. of a streamer running in the background) and exit
+if (process.argv.includes('--status')) {
+  const status = readQueueStatus(SPOOL_DIR);
+  console.log('Spool:', SPOOL_DIR);
+  console.log('Streamer:', status.runningPid ? `running (pid ${status.runningPid})` : 'not running');
+  console.log('[STATUS]', formatStatus(status));
+  if (status.updatedAt) {
+    console.log('Last updated:', status.updatedAt);
+  }
+  process.exit(0);
+}
+
+// Dry run: read and redact entries, print what would be redacted and send nothing
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Redaction of personal data and secrets before entries are spooled, with the same
+// rules as the server: "redaction" in the config file, --redaction-config <file>,
+// or data/redaction.json
+function loadRedactor() {
+  const configPath = getFlagValue('--redaction-config');
+  try {
+    const config = configPath || CONFIG.redaction === undefined
+      ? loadRedactionConfig(configPath)
+      : CONFIG.redaction;
+    return createRedactor(config);
+  } catch (error) {
+    console.error('[ERROR] Invalid redaction config:', error.message);
+    process.exit(1);
+  }
+}
+
+const redactor = loadRedactor();
 
-// Buffer to accumulate log data until we have complete lines
-let logBuffer = '';
+// Recipients to encrypt every message for before it leaves this host
+// (--encrypt-for <public key file>, repeatable, or "encryptFor" in the config file)
+// Export a recipient's public key with: npm run recipients -- export <id>
+function loadEncryptionRecipients() {
+  const files = getFlagValues('--encrypt-for');
+  const paths = files.length > 0 ? files : (CONFIG.encryptFor || []);
+  if (paths.length > 0 && BATCH_MODE) {
+    console.error('[ERROR] --encrypt-for is not supported in batch mode');
+    process.exit(1);
+  }
+  return paths.map((file) => {
+    try {
+      const publicKey = fs.readFileSync(file, 'utf8');
+      return { id: recipientId(publicKey), publicKey: publicKey };
+    } catch (error) {
+      console.error(`[ERROR] Could not load recipient public key ${file}:`, error.message);
+      process.exit(1);
+    }
+  });
+}
+
+const ENCRYPT_FOR = loadEncryptionRecipients();
+
+// API key for the server (create one with: npm run keys -- create --name <service>)
+const API_KEY = getFlagValue('--api-key') || process.env.LOGCHAIN_API_KEY;
+
+if (!API_KEY && !DRY_RUN) {
+  console.error('[ERROR] No API key provided');
+  console.error('  Set LOGCHAIN_API_KEY or pass --api-key <key>');
+  process.exit(1);
+}
 
 // Track server availability to reduce error spam
 let serverAvailable = true;
 let lastErrorTime = 0;
 const ERROR_THROTTLE_MS = 5000; // Only show error every 5 seconds
 
-// Rate limiting: only send logs every N milliseconds to prevent overload
+// Rate limiting: only send every LIMITS.sendIntervalMs
 let lastSentTime = 0;
-const SEND_INTERVAL_MS = 1000; // Send at most 1 log per second (reduced to prevent Ganache crash)
-let logQueue = [];
-const MAX_QUEUE_SIZE = 50; // Limit queue size to prevent memory issues
+
+// Retry backoff: 0 while requests succeed, doubled after every failed attempt
+let retryDelayMs = 0;
+
+// Sender state: one request at a time so the spool is replayed in order
+let sending = false;
+let senderTimer = null;
 
 // Global flag to stop sending logs
 let isStopped = false;
 
-// Daily limit to prevent Ganache from crashing
-let dailyLogCount = 0;
-let dailyResetTime = Date.now() + (24 * 60 * 60 * 1000); // 24 hours from now
-const MAX_LOGS_PER_DAY = 1000; // Maximum logs per day
+// Levels whose daily budget ran out (to prevent Ganache from crashing), reported once a day
+let reportedLevels = new Set();
+let reportedResetAt = 0;
+
+let lastFullWarningTime = 0;
+
+// Counted for the server's /metrics (sent, failed and dropped come from the spool)
+let retryCount = 0;
+let dailyLimitHits = 0;
 
-// Queue log for sending with rate limiting
-function queueLogForSending(message) {
+// Name this streamer reports its stats under; give each streamer on a host its own
+const METRICS_INSTANCE = getFlagValue('--metrics-instance') || CONFIG.metricsInstance || HOST;
+
+// Work out which sources to read from
+// The config file can list them as { "sources": [{ "type": ... }] };
+// otherwise they come from --source (or STREAM_SOURCE) and the per-source flags
+function loadSourceConfigs() {
+  if (CONFIG.sources !== undefined) {
+    if (!Array.isArray(CONFIG.sources) || CONFIG.sources.length === 0) {
+      throw new Error('"sources" in the config file must be a non-empty array');
+    }
+    return CONFIG.sources;
+  }
+
+  const files = getFlagValues('--file');
+  let types = getFlagValues('--source');
+  if (types.length === 0 && process.env.STREAM_SOURCE) {
+    types = process.env.STREAM_SOURCE.split(',').map(type => type.trim()).filter(type => type);
+  }
+  if (types.length === 0) {
+    types = files.length > 0 ? ['file'] : [defaultSourceType()];
+  }
+  if (types[0] === null) {
+    throw new Error(`No system log source for ${process.platform} - pass --source (${Object.keys(SOURCE_TYPES).join(', ')})`);
+  }
+
+  return [...new Set(types)].map((type) => {
+    switch (type) {
+      case 'journald':
+        return { type, units: getFlagValues('--unit') };
+      case 'file':
+        return { type, paths: files, fromStart: process.argv.includes('--from-start') };
+      case 'syslog': {
+        const port = getFlagValue('--syslog-port');
+        return {
+          type,
+          port: port !== undefined ? Number(port) : undefined,
+          address: getFlagValue('--syslog-address'),
+          protocol: getFlagValue('--syslog-protocol'),
+        };
+      }
+      default:
+        return { type };
+    }
+  });
+}
+
+
+// Spool an entry in its priority lane and wake the sender
+function queueLogForSending(entry) {
   if (isStopped) {
     return; // Don't queue if stopped
   }
-  
-  // Limit queue size to prevent memory issues
-  if (logQueue.length >= MAX_QUEUE_SIZE) {
-    // Remove oldest log from queue
-    logQueue.shift();
+
+  const result = queue.add(entry);
+  if (result === 'dropped') {
+    const now = Date.now();
+    if (now - lastFullWarningTime > ERROR_THROTTLE_MS) {
+      console.error(`[WARNING] Spool is full (${LIMITS.maxSpoolEntries} entries / ${LIMITS.maxSpoolBytes} bytes) - dropping the least important logs`);
+      lastFullWarningTime = now;
+    }
+    return;
   }
-  
-  logQueue.push(message);
-  processLogQueue();
+  if (result === 'spooled') {
+    processLogQueue();
+  }
+}
+
+// Warn once a day about each level that reached its share of the daily limit
+function reportBlockedLevels(blocked, resetAt) {
+  if (resetAt !== reportedResetAt) {
+    reportedLevels = new Set();
+    reportedResetAt = resetAt;
+  }
+  for (const level of blocked.filter(name => !reportedLevels.has(name))) {
+    reportedLevels.add(level);
+    dailyLimitHits++;
+    console.error(`[WARNING] Daily log limit reached for ${level} logs (${DAILY_SPLIT[level]}% of ${LIMITS.maxLogsPerDay} logs/day kept for them) - ` +
+      `they stay spooled until ${new Date(resetAt).toLocaleString()}`);
+  }
+}
+
+// Entry recording how many lines were dropped and sampled out since the last one,
+// so what the chain is missing is itself on the chain
+function summaryEntry(summary) {
+  const dropped = LANES.reduce((total, lane) => total + summary.dropped[lane], 0);
+  const sampled = summary.sampled.info + summary.sampled.debug;
+  const since = new Date(summary.since).toISOString();
+  const until = new Date(summary.until).toISOString();
+  return {
+    message: `Streamer ${METRICS_INSTANCE} dropped ${dropped} log line(s) ` +
+      `(${LANES.map(lane => `${lane} ${summary.dropped[lane]}`).join(', ')}) and sampled out ${sampled} ` +
+      `(info ${summary.sampled.info}, debug ${summary.sampled.debug}) between ${since} and ${until}`,
+    severity: 'notice',
+    source: HOST,
+    facility: 'logchain-streamer',
+    attributes: { since: since, until: until, dropped: summary.dropped, sampled: summary.sampled },
+  };
 }
 
-// Process log queue with rate limiting
+// Spool a summary entry in the lane of its severity, if anything was lost since the last one
+function queueSummary() {
+  if (!queue || LIMITS.summaryIntervalMs === 0) {
+    return;
+  }
+  const summary = queue.takeSummary();
+  if (summary) {
+    const entry = summaryEntry(summary);
+    console.log(`[STATUS] ${entry.message}`);
+    queueLogForSending(entry);
+  }
+}
+
+// Run the sender again after delayMs
+function scheduleSend(delayMs) {
+  if (senderTimer) {
+    return;
+  }
+  senderTimer = setTimeout(() => {
+    senderTimer = null;
+    processLogQueue();
+  }, delayMs);
+}
+
+// Send the oldest spooled entries of the highest lane, honouring the rate limit, retry
+// backoff and each level's share of the daily limit
+// Entries leave the spool only once the server accepted (or permanently rejected) them
 async function processLogQueue() {
+  if (sending || senderTimer || isStopped || queue.size() === 0) {
+    return;
+  }
+
   const now = Date.now();
-  if (now - lastSentTime < SEND_INTERVAL_MS) {
-    // Too soon, schedule next check
-    setTimeout(processLogQueue, SEND_INTERVAL_MS - (now - lastSentTime));
+  const wait = Math.max(lastSentTime + LIMITS.sendIntervalMs, lastSentTime + retryDelayMs) - now;
+  if (wait > 0) {
+    scheduleSend(wait);
     return;
   }
 
-  if (logQueue.length > 0) {
-    const message = logQueue.shift();
-    lastSentTime = Date.now();
-    // Send to blockchain via API (don't await to avoid blocking)
-    sendLogToBlockchain(message).catch(() => {
-      // Errors are already handled in sendLogToBlockchain
-    });
-    
-    // Process next item in queue
-    if (logQueue.length > 0) {
-      setTimeout(processLogQueue, SEND_INTERVAL_MS);
-    }
+  const { lane, blocked, resetAt } = queue.next();
+  reportBlockedLevels(blocked, resetAt);
+  if (!lane) {
+    // Every level with entries waiting is over its share; check again at least every minute
+    scheduleSend(Math.min(resetAt - now, 60 * 1000));
+    return;
   }
-}
 
-// Send log entry to blockchain via backend API
-async function sendLogToBlockchain(message) {
-  // Don't send if stopped
-  if (isStopped) {
-    return false;
+  sending = true;
+  lastSentTime = now;
+  const entries = queue.peek(lane, BATCH_MODE ? LIMITS.batchSize : 1);
+  let result;
+  try {
+    result = BATCH_MODE ? await sendLogsToBatch(entries) : await sendLogToBlockchain(entries[0]);
+  } finally {
+    sending = false;
+  }
+
+  if (result.status === 'sent') {
+    queue.ack(entries.length);
+    retryDelayMs = 0;
+  } else if (result.status === 'rejected') {
+    queue.reject(entries.length, result.reason);
+    console.error(`[ERROR] Server rejected ${entries.length} log(s): ${result.reason} - saved to ${path.join(spoolDirOf(SPOOL_DIR, entries[0]), 'failed.jsonl')}`);
+  } else {
+    // Keep the entries at the head of their level and back off
+    queue.release();
+    retryCount++;
+    retryDelayMs = retryDelayMs ? Math.min(retryDelayMs * 2, LIMITS.retryMaxMs) : LIMITS.retryBaseMs;
   }
-  
-  // Check daily limit
+
+  processLogQueue();
+}
+
+// Report a failed request, at most once per ERROR_THROTTLE_MS
+function reportError(message) {
   const now = Date.now();
-  if (now >= dailyResetTime) {
-    // Reset daily counter
-    dailyLogCount = 0;
-    dailyResetTime = now + (24 * 60 * 60 * 1000); // Next 24 hours
-  }
-  
-  // Enforce daily limit
-  if (dailyLogCount >= MAX_LOGS_PER_DAY) {
-    // Only show message once per hour to avoid spam
-    const hoursSinceReset = Math.floor((now - (dailyResetTime - 24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
-    if (hoursSinceReset % 1 === 0) {
-      console.error('[ERROR] Daily log limit reached (1000 logs/day). Logs will resume tomorrow.');
-    }
-    return false;
+  if (now - lastErrorTime > ERROR_THROTTLE_MS) {
+    console.error(message);
+    lastErrorTime = now;
   }
-  
+}
+
+// Classify a non-2xx response: malformed entries will never be accepted, anything
+// else (auth, writer role, rate limits, server errors) may succeed on a later retry
+async function handleErrorResponse(response) {
+  let reason = `HTTP ${response.status}`;
   try {
-    // Skip empty or whitespace-only messages
-    if (!message || !message.trim()) {
-      return;
+    const error = await response.json();
+    reason = error.message || error.error || reason;
+  } catch (parseError) {
+    // Not a JSON body
+  }
+
+  if (response.status === 400 || response.status === 413) {
+    return { status: 'rejected', reason };
+  }
+  reportError(`[ERROR] API error: ${reason} - retrying in ${Math.round(nextRetryDelay() / 1000)}s`);
+  return { status: 'retry', reason };
+}
+
+// Handle network errors gracefully; the entries stay spooled
+function handleNetworkError(error) {
+  if (error.code === 'ECONNREFUSED' || error.message.includes('fetch failed')) {
+    // Only show error message occasionally to avoid spam
+    const now = Date.now();
+    if (serverAvailable || (now - lastErrorTime > ERROR_THROTTLE_MS)) {
+      console.error(`[ERROR] Server not available - ${queue.size()} log(s) spooled, retrying in ${Math.round(nextRetryDelay() / 1000)}s`);
+      serverAvailable = false;
+      lastErrorTime = now;
     }
+  } else {
+    reportError(`[ERROR] Network error: ${error.message}`);
+  }
+  return { status: 'retry', reason: error.message };
+}
+
+// Delay before the retry that follows the current failure
+function nextRetryDelay() {
+  return retryDelayMs ? Math.min(retryDelayMs * 2, LIMITS.retryMaxMs) : LIMITS.retryBaseMs;
+}
 
+// Send log entry to blockchain via backend API
+// Returns { status: 'sent' | 'retry' | 'rejected', reason }
+async function sendLogToBlockchain(entry) {
+  try {
     // Make HTTP POST request to backend API
     const response = await fetch(API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`,
       },
-      body: JSON.stringify({ message: message.trim() }),
+      body: JSON.stringify({ ...entry, message: entry.message.trim() }),
     });
 
     if (response.ok) {
-      const result = await response.json();
-      // Increment daily counter
-      dailyLogCount++;
       // Only show confirmation if server was previously unavailable
       if (!serverAvailable) {
-        console.log('[OK] Server reconnected - logs are being sent to blockchain');
+        console.log(`[OK] Server reconnected - replaying ${queue.size()} spooled log(s)`);
         serverAvailable = true;
       }
-      return true;
-    } else {
-      const error = await response.json();
-      // Throttle error messages
-      const now = Date.now();
-      if (now - lastErrorTime > ERROR_THROTTLE_MS) {
-        console.error(`[ERROR] API error: ${error.message || 'Unknown error'}`);
-        lastErrorTime = now;
-      }
-      return false;
+      return { status: 'sent' };
     }
+    return await handleErrorResponse(response);
   } catch (error) {
-    // Handle network errors gracefully
-    if (error.code === 'ECONNREFUSED' || error.message.includes('fetch failed')) {
-      // Only show error message occasionally to avoid spam
-      const now = Date.now();
-      if (serverAvailable || (now - lastErrorTime > ERROR_THROTTLE_MS)) {
-        console.error('[ERROR] Server not available - logs will be skipped until server is back online');
-        serverAvailable = false;
-        lastErrorTime = now;
+    return handleNetworkError(error);
+  }
+}
+
+// Text of an entry in a batch, which keeps nothing but the message,
+// so the repeat count of a collapsed line goes into the text
+function batchMessage(entry) {
+  const message = entry.message.trim();
+  const repeat = entry.attributes && entry.attributes.repeatCount;
+  return repeat ? `${message} [repeated ${repeat} times from ${entry.attributes.firstSeen} to ${entry.attributes.lastSeen}]` : message;
+}
+
+// Send spooled lines to the server's batch endpoint
+// Batched entries only keep their message text
+async function sendLogsToBatch(entries) {
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`,
+      },
+      body: JSON.stringify({ messages: entries.map(batchMessage) }),
+    });
+
+    if (response.ok) {
+      if (!serverAvailable) {
+        console.log(`[OK] Server reconnected - replaying ${queue.size()} spooled log(s)`);
+        serverAvailable = true;
       }
-    } else {
-      console.error(`[ERROR] Network error: ${error.message}`);
-    }
-    return false;
-  }
-}
-
-// Spawn the macOS log stream command
-// This creates a child process that runs 'log stream' which continuously outputs system logs
-const logStream = spawn('log', ['stream']);
-
-// Handle stdout: process each line of log output in real-time
-// The 'data' event fires whenever new log data is available
-logStream.stdout.on('data', (data) => {
-  // Convert buffer to string and add to log buffer
-  logBuffer += data.toString();
-  
-  // Process complete lines (split by newline)
-  const lines = logBuffer.split('\n');
-  // Keep the last incomplete line in the buffer
-  logBuffer = lines.pop() || '';
-  
-  // Process each complete line with rate limiting
-  for (const line of lines) {
-    if (line.trim()) {
-      // Print the log line to console
-      console.log(line);
-      // Queue log for sending (rate limited)
-      queueLogForSending(line);
+      return { status: 'sent' };
     }
+    return await handleErrorResponse(response);
+  } catch (error) {
+    return handleNetworkError(error);
   }
-});
+}
 
-// Handle stderr: print any error messages from the log command
-// This helps debug issues with the log stream command itself
-logStream.stderr.on('data', (data) => {
-  // Write error output to stderr
-  process.stderr.write(data);
-});
+// Push the spool and sender stats to the server, which shows them in GET /metrics
+// Failures are ignored: an unreachable server is already reported by the sender
+async function pushMetrics() {
+  const { lanes, ...stats } = queue.getStats();
+  try {
+    await fetch(METRICS_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`,
+      },
+      body: JSON.stringify({
+        instance: METRICS_INSTANCE,
+        mode: BATCH_MODE ? 'batch' : 'add-log',
+        stats: { ...stats, retries: retryCount, dailyLimitHits: dailyLimitHits },
+      }),
+      signal: AbortSignal.timeout(5000),
+    });
+  } catch (error) {
+    // Pushed again on the next interval
+  }
+}
 
-// Handle process errors: catch any errors that occur when spawning the process
-// This handles cases like 'log' command not found or permission issues
-logStream.on('error', (error) => {
-  console.error('Error spawning log stream:', error.message);
-  process.exit(1);
-});
-
-// Handle process exit: clean up when the log stream process ends
-// This ensures the script exits gracefully when the child process terminates
-logStream.on('exit', (code, signal) => {
-  if (signal) {
-    console.error(`\nLog stream process was killed by signal: ${signal}`);
-  } else if (code !== 0) {
-    console.error(`\nLog stream process exited with code: ${code}`);
-  } else {
-    console.log('\nLog stream process ended normally');
+// Print the status summary (in a dry run, the redaction hits so far)
+function printStatus() {
+  const { joined, collapsed } = coalescer.getStats();
+  const coalesced = `lines-joined=${joined} repeats-collapsed=${collapsed}`;
+  if (DRY_RUN) {
+    const stats = redactor.getStats();
+    const hits = Object.entries(stats.rules).map(([rule, count]) => `${rule}=${count}`).join(' ');
+    console.log('[DRY-RUN]', `entries-redacted=${stats.redactedEntries}`, coalesced, hits);
+    return;
   }
-  process.exit(code || 0);
-});
+  console.log('[STATUS]', formatStatus(queue.getStats()), coalesced);
+}
 
-// Handle Ctrl+C (SIGINT): allow user to gracefully stop the script
-// This ensures both the child process and parent process exit cleanly
-process.on('SIGINT', () => {
-  console.log('\n\nStopping log stream...');
-  isStopped = true; // Stop sending logs
-  logQueue = []; // Clear queue
-  // Kill the child process
-  if (logStream && !logStream.killed) {
-    logStream.kill('SIGINT');
+// Entries waiting in the spool (there is no spool in a dry run)
+function spooledCount() {
+  return queue ? queue.size() : 0;
+}
+
+// Release the spool locks; spooled entries stay on disk for the next run
+function closeSpool() {
+  if (queue) {
+    queue.close();
   }
-  // Exit the parent process after a short delay
-  setTimeout(() => {
-    process.exit(0);
-  }, 500);
-});
+}
 
-// Handle SIGTERM: similar to SIGINT but for termination signals
-process.on('SIGTERM', () => {
-  console.log('\n\nTerminating log stream...');
+// Show what redaction changed in an entry that is not sent
+function printDryRun(matches) {
+  for (const match of matches) {
+    console.log(`[DRY-RUN] ${match.rule}: ${JSON.stringify(match.value)} -> ${match.replacement}`);
+  }
+}
+
+// Stop every source and exit; spooled entries are replayed on the next start
+function shutdown(message) {
+  if (isStopped) {
+    return;
+  }
+  console.log(message);
+  coalescer.flush(); // Spool the lines still held for grouping and deduplication
+  queueSummary(); // And what was lost since the last summary, sent on the next start
   isStopped = true; // Stop sending logs
-  logQueue = []; // Clear queue
-  if (logStream && !logStream.killed) {
-    logStream.kill('SIGTERM');
+  sources.forEach(source => source.stop());
+  if (senderTimer) {
+    clearTimeout(senderTimer);
+    senderTimer = null;
   }
-  setTimeout(() => {
+
+  // Give a request already in flight a moment to be acknowledged
+  const deadline = Date.now() + 5000;
+  const exitWhenIdle = () => {
+    if (sending && Date.now() < deadline) {
+      setTimeout(exitWhenIdle, 100);
+      return;
+    }
+    printStatus();
+    if (spooledCount() > 0) {
+      console.log(`${spooledCount()} log(s) stay spooled in ${SPOOL_DIR} and will be sent on the next start`);
+    }
+    closeSpool();
     process.exit(0);
-  }, 500);
-});
+  };
+  exitWhenIdle();
+}
 
-console.log('Starting macOS system log stream...');
-console.log('Logs will be automatically sent to blockchain via API');
-console.log('API endpoint:', API_URL);
+// Once every source has ended (e.g. stdin was closed), send what's spooled and exit
+function exitWhenDrained() {
+  if (spooledCount() > 0 || sending) {
+    setTimeout(exitWhenDrained, 100);
+    return;
+  }
+  console.log('\nAll log sources ended');
+  printStatus();
+  closeSpool();
+  process.exit(0);
+}
+
+let queue = null;
+try {
+  queue = DRY_RUN ? null : createPriorityQueue({
+    dir: SPOOL_DIR,
+    maxEntries: LIMITS.maxSpoolEntries,
+    maxBytes: LIMITS.maxSpoolBytes,
+    dailyLimit: BATCH_MODE ? 0 : LIMITS.maxLogsPerDay,
+    dailySplit: DAILY_SPLIT,
+    sampleInfo: LIMITS.sampleInfo,
+    sampleDebug: LIMITS.sampleDebug,
+  });
+} catch (error) {
+  console.error('[ERROR] Could not open spool:', error.message);
+  process.exit(1);
+}
+
+// Lines are grouped per stream: one source, one file of the file source, and one
+// sending program of the syslog source (whose messages arrive interleaved)
+function streamKey(source, entry) {
+  const file = entry.attributes && entry.attributes.file;
+  return source.name === 'syslog'
+    ? JSON.stringify([source.name, entry.source, entry.facility])
+    : JSON.stringify([source.name, file || '']);
+}
+
+// Entries leave the coalescer once grouped with their continuation lines and
+// held long enough to collapse repeats into them
+let coalescer;
+try {
+  coalescer = createCoalescer({
+    continuationPatterns: CONTINUATION_PATTERNS,
+    maxGroupLines: LIMITS.maxGroupLines,
+    groupFlushMs: LIMITS.groupFlushMs,
+    dedupeWindowMs: LIMITS.dedupeWindowMs,
+    dedupeIgnore: DEDUPE_IGNORE,
+    onEntry: (entry) => {
+      // Redact before anything else sees the entry
+      const { entry: redacted, matches } = redactor.redactEntry(entry);
+      entry = redacted;
+      // Print the log line to console
+      console.log(entry.message);
+      if (entry.attributes && entry.attributes.repeatCount) {
+        console.log(`  [repeated ${entry.attributes.repeatCount} times]`);
+      }
+      if (DRY_RUN) {
+        printDryRun(matches);
+        return;
+      }
+      // Encrypt before spooling, so neither the spool nor the server sees the plaintext
+      if (ENCRYPT_FOR.length > 0) {
+        entry = { ...entry, message: encryptMessage(entry.message.trim(), ENCRYPT_FOR) };
+      }
+      // Spool log for sending (rate limited)
+      queueLogForSending(entry);
+    },
+  });
+} catch (error) {
+  console.error('[ERROR]', error.message);
+  closeSpool();
+  process.exit(1);
+}
+
+let sources;
+let runningSources;
+try {
+  const configs = loadSourceConfigs();
+  sources = createSources(configs, {
+    host: HOST,
+    // Every source feeds the same coalescer, spool and sender
+    onEntry: (entry, source) => coalescer.push(streamKey(source, entry), entry),
+    // A failing source stops the streamer; one that simply ends (stdin) doesn't
+    onEnd: (source, error) => {
+      if (error) {
+        console.error(`[ERROR] ${source.name} source: ${error.message}`);
+        isStopped = true;
+        sources.forEach(other => other.stop());
+        closeSpool();
+        process.exit(1);
+      }
+      runningSources--;
+      console.log(`\n${source.name} source ended`);
+      if (runningSources === 0) {
+        coalescer.flush();
+        queueSummary();
+        if (spooledCount() > 0) {
+          console.log(`Sending ${spooledCount()} spooled log(s) before exiting (Ctrl+C keeps them spooled)`);
+        }
+        exitWhenDrained();
+      }
+    },
+  });
+  runningSources = sources.length;
+} catch (error) {
+  console.error('[ERROR] Invalid source configuration:', error.message);
+  closeSpool();
+  process.exit(1);
+}
+
+// Handle Ctrl+C (SIGINT): allow user to gracefully stop the script
+process.on('SIGINT', () => shutdown('\n\nStopping log stream...'));
+
+// Handle SIGTERM: similar to SIGINT but for termination signals
+process.on('SIGTERM', () => shutdown('\n\nTerminating log stream...'));
+
+// SIGUSR1 prints the status summary on demand
+process.on('SIGUSR1', printStatus);
+
+// Print the status summary periodically while it changes
+if (LIMITS.statusIntervalMs > 0 && !DRY_RUN) {
+  let lastStatus = null;
+  setInterval(() => {
+    const status = formatStatus({ ...queue.getStats(), oldestSpooledAt: null });
+    if (status !== lastStatus) {
+      printStatus();
+      lastStatus = status;
+    }
+  }, LIMITS.statusIntervalMs).unref();
+}
+
+// Anchor the dropped and sampled counts periodically
+if (LIMITS.summaryIntervalMs > 0 && !DRY_RUN) {
+  setInterval(queueSummary, LIMITS.summaryIntervalMs).unref();
+}
+
+// Push stats for the server's /metrics
+if (LIMITS.metricsIntervalMs > 0 && !DRY_RUN) {
+  setInterval(pushMetrics, LIMITS.metricsIntervalMs).unref();
+}
+
+console.log(`Starting log stream from: ${sources.map(source => source.name).join(', ')}`);
+if (DRY_RUN) {
+  console.log('[DRY-RUN] Showing what would be redacted - nothing is spooled or sent');
+} else {
+  console.log(BATCH_MODE
+    ? 'Logs will be batched by the server and anchored as Merkle roots'
+    : 'Logs will be automatically sent to blockchain via API');
+  console.log('API endpoint:', API_URL);
+  console.log('Spool:', SPOOL_DIR);
+}
+const redactionStats = redactor.getStats();
+console.log(redactionStats.enabled
+  ? `Redacting (${redactionStats.mode}): ${Object.keys(redactionStats.rules).join(', ')}`
+  : '[WARNING] Redaction is turned off');
+if (ENCRYPT_FOR.length > 0) {
+  console.log('Encrypting messages for:', ENCRYPT_FOR.map(recipient => recipient.id).join(', '));
+}
+if (CONTINUATION_PATTERNS.length > 0) {
+  console.log(`Joining continuation lines (up to ${LIMITS.maxGroupLines}) matching: ${CONTINUATION_PATTERNS.join('  ')}`);
+}
+if (LIMITS.dedupeWindowMs > 0) {
+  console.log(`Collapsing identical lines within ${LIMITS.dedupeWindowMs}ms into one entry`);
+}
+if (!DRY_RUN) {
+  console.log('Priority lanes: high (warning and worse), normal (notice, info), low (debug)');
+  if (!BATCH_MODE && LIMITS.maxLogsPerDay > 0) {
+    console.log(`Daily limit split: ${LEVELS.filter(level => DAILY_SPLIT[level] > 0).map(level => `${level} ${DAILY_SPLIT[level]}%`).join(', ')}`);
+  }
+  const sampling = [['info', LIMITS.sampleInfo], ['debug', LIMITS.sampleDebug]].filter(([, every]) => every > 1);
+  if (sampling.length > 0) {
+    console.log(`Sampling ${sampling.map(([level, every]) => `1 in ${every} ${level} lines`).join(', ')}`);
+  }
+}
+if (spooledCount() > 0) {
+  console.log(`[OK] Replaying ${spooledCount()} log(s) spooled by a previous run`);
+}
 console.log('Press Ctrl+C to stop\n');
 
+sources.forEach(source => source.start());
+if (!DRY_RUN) {
+  processLogQueue();
+}
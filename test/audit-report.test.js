@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { create } = require('web3-eth-accounts');
+const { signReport, recoverSigner, buildReport, verifyReport, renderHtml } = require('../lib/audit-report');
+const { startChain, deploySecureLog } = require('./helpers');
+
+function addLog(contract, from, message, severity = 6) {
+  return contract.methods.addLog(message, severity, '', '', [], '').send({ from, gas: 3000000 });
+}
+
+describe('audit reports', () => {
+  let chain;
+  let owner;
+  let writer;
+  let generations;
+  const signingKey = create().privateKey;
+
+  // Two contract generations: three entries in the predecessor, two in its successor
+  before(async () => {
+    chain = await startChain();
+    [owner, writer] = chain.accounts;
+
+    const first = await deploySecureLog(chain.web3, owner);
+    await first.contract.methods.grantWriter(writer).send({ from: owner, gas: 3000000 });
+    await addLog(first.contract, owner, 'boot', 6);
+    await addLog(first.contract, writer, 'disk failing', 3);
+    await addLog(first.contract, writer, 'retrying', 4);
+
+    const second = await deploySecureLog(chain.web3, owner, { predecessor: first.contract.options.address });
+    await addLog(second.contract, owner, 'migrated', 5);
+    await addLog(second.contract, owner, 'disk replaced', 3);
+
+    generations = [
+      { address: first.contract.options.address, blockNumber: first.blockNumber, offset: 0, logCount: 3 },
+      { address: second.contract.options.address, blockNumber: second.blockNumber, offset: 3, logCount: null },
+    ];
+  });
+
+  after(async () => {
+    await chain.close();
+  });
+
+  it('digests a range across contract generations and checkpoints its last block', async () => {
+    const report = await buildReport(chain.web3, {
+      network: { name: 'test' },
+      generations,
+      requested: { fromIndex: 1, toIndex: 4 },
+    });
+
+    assert.equal(report.range.count, 4);
+    assert.equal(report.network.chainId, 1337);
+    assert.equal(report.integrity.valid, true);
+    assert.deepEqual(report.counts.bySeverity, { ERROR: 2, WARNING: 1, NOTICE: 1 });
+    assert.deepEqual(report.counts.bySender, { [writer]: 2, [owner]: 2 });
+    assert.match(report.digest.value, /^0x[0-9a-f]{64}$/);
+
+    const block = await chain.web3.eth.getBlock('latest');
+    assert.equal(report.checkpoint.blockNumber, Number(block.number));
+    assert.equal(report.checkpoint.blockHash, block.hash);
+
+    await assert.rejects(
+      buildReport(chain.web3, { network: { name: 'test' }, generations, requested: { from: 4102444800 } }),
+      /No log entries in the requested range/
+    );
+  });
+
+  it('verifies a signed report and rejects altered ones', async () => {
+    const report = signReport(await buildReport(chain.web3, {
+      network: { name: 'test' },
+      generations,
+      requested: {},
+    }), signingKey);
+    assert.equal(recoverSigner(report), report.signer);
+
+    // A report survives a round trip through its JSON file
+    const reread = JSON.parse(JSON.stringify(report));
+    const result = await verifyReport(chain.web3, reread, { signer: report.signer });
+    assert.equal(result.valid, true, JSON.stringify(result.checks));
+
+    // Edited counts no longer match the signature
+    const edited = { ...reread, counts: { ...reread.counts, bySeverity: { INFO: 5 } } };
+    const checks = (await verifyReport(chain.web3, edited)).checks;
+    assert.equal(checks.find(item => item.name === 'signature').ok, false);
+    assert.equal(checks.find(item => item.name === 'counts').ok, false);
+
+    // Re-signed with another key, it passes only without --signer
+    const forged = signReport({ ...edited, signature: undefined }, create().privateKey);
+    assert.equal((await verifyReport(chain.web3, forged, { signer: report.signer })).valid, false);
+
+    // A checkpoint that is not the block holding the last entry
+    const moved = signReport({ ...reread, checkpoint: { ...reread.checkpoint, blockNumber: 1 } }, signingKey);
+    const movedChecks = (await verifyReport(chain.web3, moved)).checks;
+    assert.equal(movedChecks.find(item => item.name === 'checkpoint-block').ok, false);
+
+    assert.match(renderHtml(report), /<script type="application\/json" id="audit-report">/);
+  });
+});
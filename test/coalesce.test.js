@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLineGrouper, createDeduplicator, createCoalescer } = require('../services/coalesce');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function line(message, extra = {}) {
+  return { message, source: 'mac-01', facility: 'app', ...extra };
+}
+
+describe('streamer line grouping and deduplication', () => {
+  it('joins continuation lines per stream', async () => {
+    const entries = [];
+    const grouper = createLineGrouper({ flushMs: 50, maxLines: 3, onEntry: entry => entries.push(entry) });
+
+    grouper.push('a', line('java.lang.IllegalStateException: closed', { attributes: { file: '/var/log/a.log' } }));
+    grouper.push('b', line('unrelated line from another file'));
+    grouper.push('a', line('\tat com.example.Pool.get(Pool.java:42)'));
+    grouper.push('a', line('Caused by: java.io.IOException: reset'));
+    grouper.push('a', line('\t... 12 more')); // The group was passed on at maxLines, so this starts another
+    grouper.push('a', line('next entry'));
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].message, 'java.lang.IllegalStateException: closed\n\tat com.example.Pool.get(Pool.java:42)\nCaused by: java.io.IOException: reset');
+    assert.deepEqual(entries[0].attributes, { file: '/var/log/a.log', lines: 3 });
+    assert.equal(entries[1].message, '\t... 12 more');
+
+    // Open groups are passed on once their stream goes quiet
+    await sleep(100);
+    assert.deepEqual(entries.slice(2).map(entry => entry.message), ['unrelated line from another file', 'next entry']);
+    assert.equal(grouper.getStats().joined, 2);
+
+    const ungrouped = [];
+    const off = createLineGrouper({ patterns: [], onEntry: entry => ungrouped.push(entry) });
+    off.push('a', line('  indented'));
+    assert.equal(ungrouped.length, 1);
+    assert.throws(() => createLineGrouper({ patterns: ['('], onEntry: () => {} }), /Invalid continuation pattern/);
+  });
+
+  it('collapses identical lines within the window', async () => {
+    let time = Date.UTC(2026, 0, 1);
+    const entries = [];
+    const dedupe = createDeduplicator({ windowMs: 40, now: () => time, onEntry: entry => entries.push(entry) });
+
+    // macOS 'log stream' lines differ only in their header
+    dedupe.push(line('2026-01-01 00:00:00.000001+0000 0x1a2b  Default  0x0  101  0  app: cache miss', { severity: 'notice' }));
+    time += 10;
+    dedupe.push(line('2026-01-01 00:00:00.010002+0000 0x1a2c  Default  0x0  101  0  app: cache miss', { severity: 'notice' }));
+    dedupe.push(line('2026-01-01 00:00:00.010003+0000 0x1a2c  Error    0x0  101  0  app: cache miss', { severity: 'error' }));
+    time += 20;
+    dedupe.push(line('2026-01-01 00:00:00.030004+0000 0x1a2d  Default  0x0  101  0  app: cache miss', { severity: 'notice' }));
+    assert.equal(entries.length, 0);
+
+    time += 50;
+    await sleep(100);
+    assert.equal(entries.length, 2);
+    assert.match(entries[0].message, /^2026-01-01 00:00:00\.000001/);
+    assert.deepEqual(entries[0].attributes, {
+      repeatCount: 3,
+      firstSeen: '2026-01-01T00:00:00.000Z',
+      lastSeen: '2026-01-01T00:00:00.030Z',
+    });
+    assert.equal(entries[1].severity, 'error');
+    assert.equal(entries[1].attributes, undefined); // Seen once: unchanged
+
+    // After the window the same line is held again
+    time += 100;
+    dedupe.push(line('2026-01-01 00:00:00.130005+0000 0x1a2d  Default  0x0  101  0  app: cache miss', { severity: 'notice' }));
+    assert.deepEqual(dedupe.getStats(), { collapsed: 2, held: 1 });
+    dedupe.flush();
+    assert.equal(entries.length, 3);
+  });
+
+  it('deduplicates whole groups and flushes everything on stop', () => {
+    const entries = [];
+    const coalescer = createCoalescer({ groupFlushMs: 1000, dedupeWindowMs: 1000, onEntry: entry => entries.push(entry) });
+    for (let i = 0; i < 2; i++) {
+      coalescer.push('stdin', line('Traceback (most recent call last):'));
+      coalescer.push('stdin', line('  File "app.py", line 3, in <module>'));
+    }
+    coalescer.push('stdin', line('done'));
+    coalescer.flush();
+
+    assert.deepEqual(entries.map(entry => [entry.message.split('\n').length, entry.attributes && entry.attributes.repeatCount]), [
+      [2, 2],
+      [1, undefined],
+    ]);
+    assert.deepEqual(coalescer.getStats(), { joined: 2, collapsed: 1, held: 0 });
+  });
+});
@@ -0,0 +1,218 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GENESIS_HASH, computeContentHash, computeEntryHash, verifyChain } = require('../lib/hash-chain');
+const { computeLeafHash, hashPair, buildTree, getRoot, getProof, verifyProof } = require('../lib/merkle');
+const { ZERO_ADDRESS, startChain, deploySecureLog, revertReason } = require('./helpers');
+
+// Send a transaction with enough gas for any SecureLog call
+function send(method, from) {
+  return method.send({ from, gas: 3000000 });
+}
+
+// addLog with default structured fields
+function addLog(contract, message, { severity = 6, source = '', facility = '', tags = [], attributes = '' } = {}) {
+  return contract.methods.addLog(message, severity, source, facility, tags, attributes);
+}
+
+// replayLog of an entry read from the predecessor, optionally with another message
+function replayLog(contract, log, message = log.message) {
+  return contract.methods.replayLog(message, log.severity, log.source, log.facility, log.tags, log.attributes, log.sender, log.timestamp);
+}
+
+// Entry as read by the server, for lib/hash-chain.js
+function toChainEntry(log, index) {
+  return {
+    index: index,
+    message: log.message,
+    sender: log.sender,
+    timestamp: log.timestamp.toString(),
+    severityLevel: Number(log.severity),
+    source: log.source,
+    facility: log.facility,
+    tags: log.tags,
+    attributes: log.attributes,
+    prevHash: log.prevHash,
+    contentHash: log.contentHash,
+  };
+}
+
+describe('SecureLog contract', () => {
+  let chain;
+  let owner;
+  let writer;
+  let outsider;
+  let contract;
+
+  before(async () => {
+    chain = await startChain();
+    [owner, writer, outsider] = chain.accounts;
+    ({ contract } = await deploySecureLog(chain.web3, owner));
+  });
+
+  after(async () => {
+    await chain.close();
+  });
+
+  it('makes the owner the first writer', async () => {
+    assert.equal(await contract.methods.owner().call(), owner);
+    assert.equal(await contract.methods.isWriter(owner).call(), true);
+    assert.deepEqual(await contract.methods.getWriters().call(), [owner]);
+    assert.equal(await contract.methods.lastHash().call(), GENESIS_HASH);
+  });
+
+  it('stores entries with addLog and returns them from getLogs', async () => {
+    const receipt = await send(addLog(contract, 'first entry'), owner);
+    await send(addLog(contract, 'second entry', {
+      severity: 3,
+      source: 'web-01',
+      facility: 'auth',
+      tags: ['login', 'failed'],
+      attributes: '{"user":"alice"}',
+    }), owner);
+
+    assert.equal(receipt.events.LogAdded.returnValues.index, 0n);
+    assert.equal(receipt.events.LogAdded.returnValues.sender, owner);
+
+    const logs = await contract.methods.getLogs().call();
+    assert.equal(logs.length, 2);
+    assert.equal(logs[0].message, 'first entry');
+    assert.equal(logs[1].message, 'second entry');
+    assert.equal(Number(logs[1].severity), 3);
+    assert.equal(logs[1].source, 'web-01');
+    assert.equal(logs[1].facility, 'auth');
+    assert.deepEqual(logs[1].tags, ['login', 'failed']);
+    assert.equal(logs[1].attributes, '{"user":"alice"}');
+    assert.equal(logs[1].sender, owner);
+
+    assert.equal(await contract.methods.logCount().call(), 2n);
+    assert.deepEqual((await contract.methods.getLog(1).call()).tags, ['login', 'failed']);
+  });
+
+  it('links every entry into a hash chain that lib/hash-chain.js reproduces', async () => {
+    const logs = await contract.methods.getLogs().call();
+    const entries = logs.map(toChainEntry);
+
+    assert.equal(entries[0].prevHash, GENESIS_HASH);
+    assert.equal(entries[0].contentHash, computeContentHash(entries[0]));
+    const firstHash = computeEntryHash(entries[0].prevHash, entries[0].contentHash, entries[0].sender, entries[0].timestamp);
+    assert.equal(entries[1].prevHash, firstHash);
+
+    const result = verifyChain(entries, await contract.methods.lastHash().call());
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 2);
+
+    // An altered message no longer matches its stored hash
+    const tampered = entries.map(entry => ({ ...entry }));
+    tampered[0].message = 'rewritten';
+    assert.equal(verifyChain(tampered).brokenLink.reason, 'content-hash-mismatch');
+  });
+
+  it('rejects invalid severities and writes from non-writers', async () => {
+    assert.match(await revertReason(addLog(contract, 'too low', { severity: 8 }), owner), /Invalid severity/);
+    assert.match(await revertReason(addLog(contract, 'not allowed'), outsider), /Caller is not a writer/);
+  });
+
+  it('lets only the owner grant and revoke the writer role', async () => {
+    assert.match(await revertReason(contract.methods.grantWriter(writer), outsider), /Caller is not the owner/);
+
+    await send(contract.methods.grantWriter(writer), owner);
+    assert.equal(await contract.methods.isWriter(writer).call(), true);
+    await send(addLog(contract, 'from a writer'), writer);
+    assert.match(await revertReason(contract.methods.grantWriter(writer), owner), /already a writer/);
+
+    await send(contract.methods.revokeWriter(writer), owner);
+    assert.equal(await contract.methods.isWriter(writer).call(), false);
+    assert.deepEqual(await contract.methods.getWriters().call(), [owner]);
+    assert.match(await revertReason(addLog(contract, 'revoked'), writer), /Caller is not a writer/);
+  });
+
+  it('anchors batch roots and verifies inclusion proofs', async () => {
+    const entries = ['a', 'b', 'c'].map((message, id) => ({ id, sender: owner, message, timestamp: 1700000000 + id }));
+    const levels = buildTree(entries.map(computeLeafHash));
+    const root = getRoot(levels);
+
+    const receipt = await send(contract.methods.anchorBatch(root, entries.length), owner);
+    const batchIndex = receipt.events.BatchAnchored.returnValues.batchIndex;
+    assert.equal(await contract.methods.batchCount().call(), 1n);
+
+    const leaf = computeLeafHash(entries[2]);
+    assert.equal(await contract.methods.verifyBatchProof(batchIndex, leaf, getProof(levels, 2)).call(), true);
+    assert.equal(await contract.methods.verifyBatchProof(batchIndex, computeLeafHash(entries[0]), getProof(levels, 2)).call(), false);
+
+    // An inner node (the hash over entries 0 and 1) is not accepted as a leaf
+    assert.equal(levels[1][0], hashPair(levels[0][0], levels[0][1]));
+    assert.equal(await contract.methods.verifyBatchProof(batchIndex, levels[1][0], [levels[1][1]]).call(), false);
+    assert.equal(verifyProof(levels[1][0], [levels[1][1]], root), false);
+    assert.equal(verifyProof(leaf, getProof(levels, 2), root), true);
+    assert.match(await revertReason(contract.methods.anchorBatch(root, 0), owner), /at least one entry/);
+  });
+
+  describe('succession', () => {
+    it('continues the predecessor\'s hash chain', async () => {
+      const head = await contract.methods.lastHash().call();
+      const count = await contract.methods.logCount().call();
+      const { contract: successor } = await deploySecureLog(chain.web3, owner, { predecessor: contract.options.address });
+
+      assert.equal(await successor.methods.predecessor().call(), contract.options.address);
+      assert.equal(await successor.methods.predecessorLogCount().call(), count);
+      assert.equal(await successor.methods.predecessorHead().call(), head);
+
+      await send(addLog(successor, 'after the upgrade'), owner);
+      const first = await successor.methods.getLog(0).call();
+      assert.equal(first.prevHash, head);
+    });
+
+    it('replays the predecessor\'s entries and only accepts an exact copy', async () => {
+      const count = Number(await contract.methods.logCount().call());
+      const startReplay = async () => {
+        const { contract: successor } = await deploySecureLog(chain.web3, owner, { predecessor: contract.options.address, replay: true });
+        assert.equal(await successor.methods.replaying().call(), true);
+        assert.match(await revertReason(addLog(successor, 'too early'), owner), /Replay in progress/);
+        return successor;
+      };
+
+      const successor = await startReplay();
+      for (let i = 0; i < count; i++) {
+        await send(replayLog(successor, await contract.methods.getLog(i).call()), owner);
+      }
+      assert.equal(await successor.methods.replaying().call(), false);
+      assert.equal(await successor.methods.lastHash().call(), await contract.methods.lastHash().call());
+      assert.equal(
+        (await successor.methods.getLog(1).call()).sender,
+        (await contract.methods.getLog(1).call()).sender
+      );
+      assert.match(await revertReason(successor.methods.replayLog('x', 6, '', '', [], '', owner, 1), owner), /No replay in progress/);
+
+      // A forged entry is rejected as soon as it is replayed, and nothing is stored
+      const forged = await startReplay();
+      assert.match(await revertReason(replayLog(forged, await contract.methods.getLog(0).call(), 'forged'), owner), /does not match the predecessor/);
+      assert.equal(await forged.methods.logCount().call(), 0n);
+    });
+
+    it('lets the owner abort a replay and link to the predecessor instead', async () => {
+      const { contract: successor } = await deploySecureLog(chain.web3, owner, { predecessor: contract.options.address, replay: true });
+      await send(replayLog(successor, await contract.methods.getLog(0).call()), owner);
+      await send(replayLog(successor, await contract.methods.getLog(1).call()), owner);
+
+      assert.match(await revertReason(successor.methods.abortReplay(), writer), /not the owner/);
+      await send(successor.methods.abortReplay(), owner);
+      assert.equal(await successor.methods.replaying().call(), false);
+      assert.equal(await successor.methods.logCount().call(), 0n);
+      assert.deepEqual(await successor.methods.getLogs().call(), []);
+      assert.match(await revertReason(successor.methods.abortReplay(), owner), /No replay in progress/);
+
+      // The copies are skipped, not deleted: new entries are numbered from 0
+      const receipt = await send(addLog(successor, 'after the abort'), owner);
+      assert.equal(receipt.events.LogAdded.returnValues.index, 0n);
+      assert.equal(await successor.methods.logCount().call(), 1n);
+      const first = await successor.methods.getLog(0).call();
+      assert.equal(first.message, 'after the abort');
+      assert.equal(first.prevHash, await contract.methods.lastHash().call());
+      assert.equal((await successor.methods.getLogs().call())[0].message, 'after the abort');
+    });
+
+    it('has nothing to replay without a predecessor', async () => {
+      await assert.rejects(deploySecureLog(chain.web3, owner, { predecessor: ZERO_ADDRESS, replay: true }));
+    });
+  });
+});
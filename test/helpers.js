@@ -0,0 +1,232 @@
+// Shared setup for the test suite: an in-process chain, a deployed contract,
+// a temporary data directory and a server process talking to both
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const ganache = require('ganache');
+const { Web3 } = require('web3');
+const { compileContract } = require('../lib/compile');
+const { generateKey, hashKey } = require('../lib/api-keys');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Network name the server is started with
+const TEST_NETWORK = 'test';
+
+// Compiling takes a few seconds, so do it once per test file
+let compiled = null;
+function getCompiledContract() {
+  if (!compiled) {
+    compiled = compileContract();
+  }
+  return compiled;
+}
+
+// A port nothing is listening on
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start an in-process Ganache chain (chain ID 1337, deterministic accounts) on a free port
+async function startChain() {
+  const port = await getFreePort();
+  const server = ganache.server({
+    logging: { quiet: true },
+    wallet: { deterministic: true },
+    chain: { hardfork: 'london' },
+  });
+  await server.listen(port, '127.0.0.1');
+
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  const web3 = new Web3(rpcUrl);
+  const accounts = await web3.eth.getAccounts();
+
+  let closed = false;
+  return {
+    rpcUrl,
+    web3,
+    accounts,
+    async close() {
+      if (!closed) {
+        closed = true;
+        await server.close();
+      }
+    },
+  };
+}
+
+// Deploy SecureLog and return the contract instance and its deployment block
+async function deploySecureLog(web3, owner, { predecessor = ZERO_ADDRESS, replay = false } = {}) {
+  const { abi, bytecode } = getCompiledContract();
+  let blockNumber = null;
+  const contract = await new web3.eth.Contract(abi)
+    .deploy({ data: bytecode, arguments: [owner, predecessor, replay] })
+    .send({ from: owner, gas: 8000000 })
+    .on('receipt', (receipt) => {
+      blockNumber = receipt.blockNumber.toString();
+    });
+  return { contract, blockNumber };
+}
+
+// Revert reason of a call or transaction that is expected to revert
+async function revertReason(method, from) {
+  try {
+    await method.estimateGas({ from });
+  } catch (error) {
+    return error.cause && error.cause.message ? error.cause.message : error.message;
+  }
+  throw new Error('Expected the call to revert');
+}
+
+// Temporary data directory with a network config and the deployment record
+function createDataDir({ rpcUrl, contract, blockNumber, owner }) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logchain-test-'));
+  fs.writeFileSync(path.join(dataDir, 'networks.json'), JSON.stringify({
+    networks: {
+      [TEST_NETWORK]: { rpcUrl: rpcUrl, chainId: 1337 },
+    },
+  }));
+  fs.writeFileSync(path.join(dataDir, 'contract-info.json'), JSON.stringify({
+    deployments: {
+      [TEST_NETWORK]: {
+        abi: getCompiledContract().abi,
+        address: contract.options.address,
+        owner: owner,
+        blockNumber: blockNumber,
+        chainId: 1337,
+        rpcUrl: rpcUrl,
+        deployedAt: new Date().toISOString(),
+      },
+    },
+  }));
+  return dataDir;
+}
+
+// Add API keys to the data directory's key store; returns their secrets in the same order
+// Each key is { name, account, read, network } (network defaults to the test network)
+function writeApiKeys(dataDir, keys) {
+  const secrets = [];
+  const store = {
+    keys: keys.map((key) => {
+      const { id, secret } = generateKey();
+      secrets.push(secret);
+      return {
+        id: id,
+        name: key.name,
+        keyHash: hashKey(secret),
+        account: key.account,
+        network: key.network || TEST_NETWORK,
+        read: key.read || 'all',
+        admin: key.admin === true,
+        createdAt: new Date().toISOString(),
+        revoked: false,
+      };
+    }),
+  };
+  fs.writeFileSync(path.join(dataDir, 'api-keys.json'), JSON.stringify(store, null, 2), { mode: 0o600 });
+  return secrets;
+}
+
+// Start server/server.js against a data directory and wait until it listens
+async function startServer(dataDir, { timeoutMs = 60000, env = {} } = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'server.js'), '--network', TEST_NETWORK], {
+    env: { ...process.env, ...env, LOGCHAIN_DATA_DIR: dataDir, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Server did not start:\n' + output)), timeoutMs);
+    child.stdout.on('data', () => {
+      if (output.includes('[OK] Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n` + output));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    output: () => output,
+    stop() {
+      return new Promise((resolve) => {
+        if (child.exitCode !== null) {
+          return resolve();
+        }
+        child.once('exit', () => resolve());
+        child.kill();
+      });
+    },
+  };
+}
+
+// Send a request and parse the JSON response (text for anything else)
+async function request(baseUrl, urlPath, { method = 'GET', key, body, rawBody, headers = {} } = {}) {
+  const requestHeaders = { ...headers };
+  if (key) {
+    requestHeaders.Authorization = `Bearer ${key}`;
+  }
+  if (body !== undefined || rawBody !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(baseUrl + urlPath, {
+    method: method,
+    headers: requestHeaders,
+    body: rawBody !== undefined ? rawBody : body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const type = response.headers.get('content-type') || '';
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: type.includes('application/json') ? await response.json() : await response.text(),
+  };
+}
+
+// Poll until check() returns a truthy value
+async function waitFor(check, { timeoutMs = 20000, intervalMs = 250 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  ZERO_ADDRESS,
+  TEST_NETWORK,
+  getCompiledContract,
+  startChain,
+  deploySecureLog,
+  revertReason,
+  createDataDir,
+  writeApiKeys,
+  startServer,
+  request,
+  waitFor,
+};
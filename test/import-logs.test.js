@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const { parseTimestamp, parseTextLine, parseJsonLine, fileFingerprint } = require('../lib/log-import');
+const {
+  startChain,
+  deploySecureLog,
+  createDataDir,
+  writeApiKeys,
+  startServer,
+  request,
+} = require('./helpers');
+
+const DEFAULTS = { host: 'importer', facility: 'app.log', referenceTime: Date.UTC(2025, 0, 15) / 1000 };
+
+// Run scripts/import-logs.js and collect its exit code and output
+function runImport(dataDir, args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'scripts', 'import-logs.js'), ...args], {
+      env: { ...process.env, LOGCHAIN_DATA_DIR: dataDir },
+      timeout: 120000,
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, output: stdout + stderr });
+    });
+  });
+}
+
+describe('log import parsing', () => {
+  it('reads timestamps as log files write them', () => {
+    assert.equal(parseTimestamp('2024-03-01T12:00:00Z'), 1709294400);
+    assert.equal(parseTimestamp('2024-03-01 12:00:00,500'), 1709294400); // No zone: UTC
+    assert.equal(parseTimestamp(1709294400123), 1709294400);
+    assert.equal(parseTimestamp('1709294400'), 1709294400);
+    assert.equal(parseTimestamp('not a time'), null);
+
+    // Syslog stamps have no year: the latest one not after the reference time
+    assert.equal(parseTimestamp('Jan 10 08:00:00', DEFAULTS.referenceTime), Date.UTC(2025, 0, 10, 8) / 1000);
+    assert.equal(parseTimestamp('Dec 31 23:59:59', DEFAULTS.referenceTime), Date.UTC(2024, 11, 31, 23, 59, 59) / 1000);
+  });
+
+  it('turns text and JSON lines into entries', () => {
+    assert.deepEqual(parseTextLine('2024-03-01T12:00:00Z ERROR disk full', DEFAULTS), {
+      message: 'disk full',
+      severity: 3,
+      source: 'importer',
+      facility: 'app.log',
+      originalTimestamp: 1709294400,
+    });
+
+    const syslog = parseTextLine('Jan 10 08:00:00 web-01 sshd[42]: Accepted publickey', DEFAULTS);
+    assert.equal(syslog.source, 'web-01');
+    assert.equal(syslog.facility, 'sshd');
+    assert.deepEqual(syslog.attributes, { pid: '42' });
+
+    const plain = parseTextLine('no timestamp here', DEFAULTS);
+    assert.equal(plain.message, 'no timestamp here');
+    assert.equal(plain.originalTimestamp, null);
+    assert.equal(parseTextLine('   ', DEFAULTS), null);
+
+    const json = parseJsonLine('{"ts":1709294400,"level":"warn","msg":"slow","service":"api","user":"alice"}', DEFAULTS);
+    assert.deepEqual(json, {
+      message: 'slow',
+      severity: 4,
+      originalTimestamp: 1709294400,
+      source: 'importer',
+      facility: 'api',
+      attributes: { user: 'alice' },
+    });
+    assert.match(parseJsonLine('{"msg": ', DEFAULTS).error, /Not valid JSON/);
+    assert.match(parseJsonLine('{"level":"info"}', DEFAULTS).error, /No message/);
+  });
+});
+
+describe('import-logs.js', () => {
+  let chain;
+  let dataDir;
+  let server;
+  let apiKey;
+
+  before(async () => {
+    chain = await startChain();
+    const [owner, writer] = chain.accounts;
+    const { contract, blockNumber } = await deploySecureLog(chain.web3, owner);
+    await contract.methods.grantWriter(writer).send({ from: owner, gas: 3000000 });
+
+    dataDir = createDataDir({ rpcUrl: chain.rpcUrl, contract, blockNumber, owner });
+    [apiKey] = writeApiKeys(dataDir, [{ name: 'importer', account: writer, read: 'all' }]);
+    server = await startServer(dataDir);
+  });
+
+  after(async () => {
+    if (server) {
+      await server.stop();
+    }
+    if (chain) {
+      await chain.close();
+    }
+    if (dataDir) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  it('imports text and gzipped JSON lines, then resumes where it stopped', async () => {
+    const textFile = path.join(dataDir, 'app.log');
+    const jsonFile = path.join(dataDir, 'events.jsonl.gz');
+    fs.writeFileSync(textFile, [
+      '2024-03-01T12:00:00Z INFO started',
+      '',
+      '2024-03-01T12:00:05Z ERROR disk full',
+    ].join('\n') + '\n');
+    fs.writeFileSync(jsonFile, zlib.gzipSync([
+      JSON.stringify({ time: '2024-03-02T08:00:00Z', level: 'warning', message: 'slow request', path: '/pay' }),
+      '{"broken": ',
+      JSON.stringify({ time: '2024-03-02T08:00:01Z', message: 'huge', dump: 'x'.repeat(9000) }), // Attributes over 8 KB
+    ].join('\n')));
+
+    const args = [textFile, jsonFile, '--server', server.url, '--api-key', apiKey, '--chunk-size', '2'];
+    const first = await runImport(dataDir, args);
+    assert.equal(first.code, 1, first.output);
+    assert.match(first.output, /Total\s+6\s+3\s+2\s+1\s+0/);
+    assert.match(first.output, /Every line read is accounted for/);
+
+    const logs = (await request(server.url, '/api/logs', { key: apiKey })).body.logs;
+    assert.equal(logs.length, 3);
+    const diskFull = logs.find(log => log.message === 'disk full');
+    assert.equal(diskFull.originalTimestamp, '1709294405');
+    assert.equal(diskFull.severity, 'ERROR');
+    assert.equal(diskFull.facility, 'app.log');
+    assert.notEqual(diskFull.timestamp, diskFull.originalTimestamp);
+    assert.deepEqual(diskFull.attributes.imported, { file: textFile, line: 3 });
+    assert.equal(logs.find(log => log.message === 'slow request').attributes.path, '/pay');
+
+    const rejects = fs.readdirSync(path.join(dataDir, 'imports')).find(name => name.endsWith('.failed.jsonl'));
+    const rejected = fs.readFileSync(path.join(dataDir, 'imports', rejects), 'utf8');
+    assert.match(rejected, /"line":2,"status":"skipped","reason":"Not valid JSON"/);
+    assert.match(rejected, /"line":3,"status":"failed","reason":"\\"attributes\\" must be at most 8192 bytes/);
+
+    // Lines appended since are the only ones sent on the next run
+    fs.appendFileSync(textFile, '2024-03-01T12:01:00Z WARN disk almost full again\n');
+    const second = await runImport(dataDir, args);
+    assert.equal(second.code, 1, second.output); // The failed line still counts
+    assert.match(second.output, /already imported/);
+    assert.match(second.output, /This run: read 1, submitted 1, skipped 0, failed 0/);
+    assert.equal((await request(server.url, '/api/logs', { key: apiKey })).body.count, 4);
+  });
+
+  it('picks up the lines journaled after the last checkpoint', async () => {
+    const file = path.join(dataDir, 'crash.log');
+    fs.writeFileSync(file, '2024-03-03T10:00:00Z INFO queued before the crash\n2024-03-03T10:00:01Z INFO sent after the crash\n');
+
+    // The state of an import that queued line 1 and died before its next checkpoint
+    const queued = await request(server.url, '/add-log', {
+      method: 'POST',
+      key: apiKey,
+      body: { message: 'queued before the crash', async: true },
+    });
+    assert.equal(queued.status, 202);
+    const checkpointPath = path.join(dataDir, 'imports', 'crash.json');
+    const journalPath = path.join(dataDir, 'imports', 'crash.journal.jsonl');
+    fs.writeFileSync(checkpointPath, JSON.stringify({
+      version: 1,
+      server: server.url,
+      files: {
+        [file]: { ...fileFingerprint(file), line: 0, done: false, pending: [], counts: { read: 0, submitted: 0, skipped: 0, failed: 0 } },
+      },
+    }));
+    fs.writeFileSync(journalPath, JSON.stringify({ file, line: 1, submissionId: queued.body.submissionId }) + '\n');
+
+    const result = await runImport(dataDir, [file, '--server', server.url, '--api-key', apiKey, '--checkpoint', checkpointPath]);
+    assert.equal(result.code, 0, result.output);
+    assert.match(result.output, /Resuming .*crash\.log after line 1/);
+    assert.match(result.output, /This run: read 1, submitted 2, skipped 0, failed 0/);
+    assert.equal(fs.existsSync(journalPath), false);
+
+    const messages = (await request(server.url, '/api/logs', { key: apiKey })).body.logs.map(log => log.message);
+    assert.equal(messages.filter(message => message === 'queued before the crash').length, 1);
+    assert.ok(messages.includes('sent after the crash'));
+  });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const {
+  TEST_NETWORK,
+  startChain,
+  deploySecureLog,
+  createDataDir,
+  writeApiKeys,
+  startServer,
+  request,
+  waitFor,
+} = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'logchain.js');
+
+describe('logchain CLI', () => {
+  let chain;
+  let dataDir;
+  let server;
+  let apiKey;
+
+  // Run scripts/logchain.js and collect its exit code and output
+  function run(args) {
+    return new Promise((resolve) => {
+      execFile(process.execPath, [SCRIPT, ...args], {
+        env: { ...process.env, LOGCHAIN_DATA_DIR: dataDir },
+        timeout: 60000,
+      }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+  }
+
+  // The same arguments against the server and straight against the node
+  function viaApi(...args) {
+    return [...args, '--server', server.url, '--api-key', apiKey];
+  }
+
+  function viaRpc(...args) {
+    return [...args, '--rpc-url', chain.rpcUrl, '--network', TEST_NETWORK];
+  }
+
+  async function addLog(body) {
+    const response = await request(server.url, '/add-log', { method: 'POST', key: apiKey, body });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    await waitFor(async () => {
+      const logs = await request(server.url, '/api/logs?limit=1000', { key: apiKey });
+      return logs.body.logs.some(entry => entry.message === body.message);
+    });
+  }
+
+  before(async () => {
+    chain = await startChain();
+    const [owner, writer] = chain.accounts;
+    const { contract, blockNumber } = await deploySecureLog(chain.web3, owner);
+    await contract.methods.grantWriter(writer).send({ from: owner, gas: 3000000 });
+
+    dataDir = createDataDir({ rpcUrl: chain.rpcUrl, contract, blockNumber, owner });
+    [apiKey] = writeApiKeys(dataDir, [{ name: 'reader', account: writer, read: 'all' }]);
+    server = await startServer(dataDir);
+
+    await addLog({ message: 'service started', severity: 'info', source: 'web-01', facility: 'app' });
+    await addLog({ message: 'disk full on /var', severity: 'error', source: 'db-01', facility: 'kernel', tags: ['disk'] });
+    await addLog({ message: 'Traceback (most recent call last):\n  File "job.py", line 3', severity: 'error', source: 'web-01', facility: 'jobs' });
+  });
+
+  after(async () => {
+    if (server) {
+      await server.stop();
+    }
+    if (chain) {
+      await chain.close();
+    }
+    if (dataDir) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  it('searches by regex and filters through the server and over RPC', async () => {
+    for (const args of [viaApi('search', 'DISK|traceback', '-i', '--json'), viaRpc('search', 'DISK|traceback', '-i', '--json')]) {
+      const result = await run(args);
+      assert.equal(result.code, 0, result.stderr);
+      const entries = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(entries.map(entry => entry.index), [2, 1]);
+      assert.equal(entries[1].severity, 'ERROR');
+      assert.deepEqual(entries[1].tags, ['disk']);
+    }
+
+    const filtered = await run(viaRpc('search', '--severity', 'error', '--source', 'web-01', '--from', '1h'));
+    assert.equal(filtered.code, 0, filtered.stderr);
+    const lines = filtered.stdout.trim().split('\n');
+    assert.match(lines[0], /^INDEX\s+TIME \(UTC\)\s+SEVERITY/);
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /^2 .*ERROR .*Traceback \(most recent call last\): \[\+1 lines\]$/);
+
+    assert.equal((await run(viaApi('search', 'no such line'))).code, 1);
+    const invalid = await run(viaApi('search', '('));
+    assert.equal(invalid.code, 2);
+    assert.match(invalid.stderr, /Invalid regular expression/);
+    assert.equal((await run(['search', '--server', server.url, '--api-key', 'lc_wrong'])).code, 2);
+  });
+
+  it('prints usage with exit code 0 for --help and 2 for a bad command', async () => {
+    const help = await run(['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage:/);
+    const unknown = await run(['grep', 'x']);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Unknown command: grep/);
+    assert.equal((await run([])).code, 2);
+  });
+
+  it('tails more entries than one page holds', async () => {
+    const result = await run(viaApi('tail', '-n', '5000', '--json'));
+    assert.equal(result.code, 0, result.stderr);
+    assert.deepEqual(result.stdout.trim().split('\n').map(line => JSON.parse(line).index), [0, 1, 2]);
+  });
+
+  it('shows an entry with its transaction and block', async () => {
+    const api = await run(viaApi('show', '1', '--json'));
+    const rpc = await run(viaRpc('show', '1', '--json'));
+    assert.equal(api.code, 0, api.stderr);
+    assert.equal(rpc.code, 0, rpc.stderr);
+    const fromApi = JSON.parse(api.stdout);
+    const fromRpc = JSON.parse(rpc.stdout);
+    assert.equal(fromApi.log.message, 'disk full on /var');
+    assert.equal(fromRpc.log.contentHash, fromApi.log.contentHash);
+    assert.equal(fromRpc.transaction.hash, fromApi.log.transactionHash);
+    assert.equal(fromRpc.block.hash, fromApi.block.hash);
+
+    const text = await run(viaApi('show', '1'));
+    assert.match(text.stdout, /^Severity:\s+ERROR \(3\)$/m);
+    assert.match(text.stdout, new RegExp(`^Transaction:\\s+${fromApi.transaction.hash}$`, 'm'));
+    assert.match(text.stdout, /^Message:\n {2}disk full on \/var$/m);
+    assert.equal((await run(viaRpc('show', '9'))).code, 1);
+  });
+
+  it('exports entries as CSV and JSON lines', async () => {
+    const csvFile = path.join(dataDir, 'export.csv');
+    const csv = await run(viaApi('export', '--out', csvFile));
+    assert.equal(csv.code, 0, csv.stderr);
+    const rows = fs.readFileSync(csvFile, 'utf8').split('\n');
+    assert.equal(rows[0], 'Index,Severity,Timestamp,Original Timestamp,Sender,Source,Facility,Tags,Message');
+    assert.match(rows[1], /^0,INFO,\d{4}-\d{2}-\d{2}T[\d:.]+Z,,0x[0-9a-fA-F]{40},"web-01","app","","service started"$/);
+
+    const jsonl = await run(viaRpc('export', '--format', 'ndjson', '--facility', 'jobs'));
+    assert.equal(jsonl.code, 0, jsonl.stderr);
+    assert.deepEqual(jsonl.stdout.trim().split('\n').map(line => JSON.parse(line).index), [2]);
+    assert.equal((await run(viaApi('export', '--format', 'xml'))).code, 2);
+  });
+
+  it('follows new entries with tail -f', async () => {
+    const child = spawn(process.execPath, [SCRIPT, ...viaApi('tail', '-n', '2', '-f', '--json')], {
+      env: { ...process.env, LOGCHAIN_DATA_DIR: dataDir },
+    });
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+    });
+    const printed = () => output.trim().split('\n').filter(Boolean).map(line => JSON.parse(line).index);
+
+    try {
+      await waitFor(() => printed().length === 2);
+      assert.deepEqual(printed(), [1, 2]);
+      await addLog({ message: 'another line', severity: 'warning' });
+      await waitFor(() => printed().length === 3);
+      assert.deepEqual(printed(), [1, 2, 3]);
+    } finally {
+      child.kill();
+    }
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../server/metrics');
+
+describe('metrics registry', () => {
+  it('renders counters and gauges with escaped labels', () => {
+    const metrics = createMetrics();
+    const requests = metrics.counter('test_requests_total', 'Requests by status');
+    const depth = metrics.gauge('test_queue_depth', 'Queue depth');
+
+    requests.inc({ status: '200' });
+    requests.inc({ status: '200' }, 2);
+    requests.set({ status: '500' }, 7);
+    depth.set({ name: 'say "hi"\n' }, 5);
+
+    assert.equal(metrics.render(), [
+      '# HELP test_requests_total Requests by status',
+      '# TYPE test_requests_total counter',
+      'test_requests_total{status="200"} 3',
+      'test_requests_total{status="500"} 7',
+      '# HELP test_queue_depth Queue depth',
+      '# TYPE test_queue_depth gauge',
+      'test_queue_depth{name="say \\"hi\\"\\n"} 5',
+      '',
+    ].join('\n'));
+
+    depth.reset();
+    assert.ok(!metrics.render().includes('test_queue_depth{'));
+  });
+
+  it('renders histograms with cumulative buckets', () => {
+    const metrics = createMetrics();
+    const latency = metrics.histogram('test_latency_seconds', 'Latency', [1, 0.1]);
+    for (const value of [0.05, 0.5, 2]) {
+      latency.observe({ method: 'eth_call' }, value);
+    }
+
+    const lines = metrics.render().split('\n');
+    assert.deepEqual(lines.slice(2, 7), [
+      'test_latency_seconds_bucket{method="eth_call",le="0.1"} 1',
+      'test_latency_seconds_bucket{method="eth_call",le="1"} 2',
+      'test_latency_seconds_bucket{method="eth_call",le="+Inf"} 3',
+      'test_latency_seconds_sum{method="eth_call"} 2.55',
+      'test_latency_seconds_count{method="eth_call"} 3',
+    ]);
+  });
+
+  it('refuses to register a name twice', () => {
+    const metrics = createMetrics();
+    metrics.gauge('test_value', 'A value');
+    assert.throws(() => metrics.counter('test_value', 'Again'), /already registered/);
+  });
+});
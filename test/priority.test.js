@@ -0,0 +1,190 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSpool } = require('../services/spool');
+const { DEFAULT_DAILY_SPLIT, laneOf, parseDailySplit, createPriorityQueue, readQueueStatus } = require('../services/priority');
+
+function line(message, severity) {
+  return severity === undefined ? { message } : { message, severity };
+}
+
+// Send from the queue until no lane may, returning the lane of every entry sent
+function drain(queue) {
+  const sent = [];
+  for (let { lane } = queue.next(); lane; { lane } = queue.next()) {
+    queue.peek(lane, 1);
+    queue.ack(1);
+    sent.push(lane);
+  }
+  return sent;
+}
+
+describe('streamer priority lanes', () => {
+  let dir;
+  let queue;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logchain-lanes-'));
+  });
+
+  afterEach(() => {
+    if (queue) {
+      queue.close();
+      queue = null;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('sorts entries into lanes and samples info and debug lines', () => {
+    assert.equal(laneOf(line('disk full', 3)), 'high');
+    assert.equal(laneOf(line('slow', 'warning')), 'high');
+    assert.equal(laneOf(line('started', 'notice')), 'normal');
+    assert.equal(laneOf(line('no severity')), 'normal');
+    assert.equal(laneOf(line('cache miss', 'debug')), 'low');
+
+    queue = createPriorityQueue({ dir, sampleInfo: 3, sampleDebug: 2 });
+    const results = [];
+    for (let i = 0; i < 6; i++) {
+      results.push(queue.add(line(`request ${i}`)));
+    }
+    assert.deepEqual(results, ['spooled', 'sampled', 'sampled', 'spooled', 'sampled', 'sampled']);
+    assert.equal(queue.add(line('cache miss', 'debug')), 'spooled');
+    assert.equal(queue.add(line('cache miss', 'debug')), 'sampled');
+    assert.equal(queue.add(line('started', 'notice')), 'spooled'); // Only INFO and DEBUG are sampled
+    assert.equal(queue.add(line('failed', 'error')), 'spooled');
+
+    const stats = queue.getStats();
+    assert.equal(stats.spooled, 5);
+    assert.equal(stats.sampled, 5);
+    assert.deepEqual([stats.lanes.high.spooled, stats.lanes.normal.spooled, stats.lanes.low.spooled], [1, 3, 1]);
+
+    // Warnings and worse go first, whatever order they arrived in
+    assert.deepEqual(drain(queue), ['high', 'normal', 'normal', 'normal', 'low']);
+
+    const summary = queue.takeSummary();
+    assert.deepEqual(summary.sampled, { info: 4, debug: 1 });
+    assert.deepEqual(summary.dropped, { high: 0, normal: 0, low: 0 });
+    assert.equal(queue.takeSummary(), null);
+  });
+
+  it('drops the least important lines when the spool is full', () => {
+    queue = createPriorityQueue({ dir, maxEntries: 3 });
+    queue.add(line('debug 1', 'debug'));
+    queue.add(line('debug 2', 'debug'));
+    queue.add(line('info 1', 'info'));
+
+    assert.equal(queue.add(line('debug 3', 'debug')), 'dropped'); // Nothing below debug to make room
+    assert.equal(queue.add(line('error 1', 'error')), 'spooled');
+    assert.equal(queue.add(line('info 2', 'info')), 'spooled');
+    assert.deepEqual(queue.peek('low', 5).map(entry => entry.message), []);
+    queue.release();
+
+    // The lane being sent from keeps its head
+    queue.peek('normal', 1);
+    assert.equal(queue.add(line('error 2', 'error')), 'dropped');
+    queue.release();
+    assert.equal(queue.add(line('error 3', 'error')), 'spooled');
+    assert.deepEqual(queue.peek('normal', 5).map(entry => entry.message), ['info 2']);
+    queue.release();
+
+    const stats = queue.getStats();
+    assert.deepEqual([stats.lanes.high.dropped, stats.lanes.normal.dropped, stats.lanes.low.dropped], [1, 1, 3]);
+    assert.equal(stats.dropped, 5);
+    assert.deepEqual(queue.takeSummary().dropped, { high: 1, normal: 1, low: 3 });
+  });
+
+  it('splits the daily limit between the severity levels', () => {
+    let time = Date.UTC(2026, 0, 1);
+    queue = createPriorityQueue({ dir, dailyLimit: 10, dailySplit: { error: 30, warn: 20, info: 40, debug: 10 }, now: () => time });
+    for (let i = 0; i < 3; i++) {
+      queue.add(line(`debug ${i}`, 'debug'));
+      queue.add(line(`info ${i}`, 'info'));
+    }
+    queue.add(line('error 1', 'error'));
+
+    // Info and debug get their own share; errors may still use the rest
+    assert.deepEqual(drain(queue), ['high', 'normal', 'normal', 'normal', 'low']);
+    for (let i = 0; i < 8; i++) {
+      queue.add(line(`error ${i + 2}`, 'error'));
+      queue.add(line(`more info ${i}`, 'info'));
+    }
+    assert.deepEqual(drain(queue), ['high', 'high', 'high', 'high', 'high']);
+    const { lane, blocked, resetAt } = queue.next();
+    assert.equal(lane, null);
+    assert.deepEqual(blocked, ['error', 'info', 'debug']);
+
+    // A new day: what errors and info don't use of their shares stays kept for them,
+    // and the share of warnings for warnings
+    time = resetAt;
+    assert.deepEqual(drain(queue), ['high', 'high', 'high', 'normal', 'normal', 'normal', 'normal', 'normal', 'low']);
+    queue.add(line('warning', 'warning'));
+    assert.deepEqual(drain(queue), ['high']);
+  });
+
+  it('cuts a batch at the budget of its levels', () => {
+    queue = createPriorityQueue({ dir, dailyLimit: 4, dailySplit: { error: 50, info: 50 } });
+    for (let i = 0; i < 3; i++) {
+      queue.add(line(`info ${i}`, 'info'));
+    }
+    assert.equal(queue.next().lane, 'normal');
+    assert.deepEqual(queue.peek('normal', 10).map(entry => entry.message), ['info 0', 'info 1']);
+    queue.ack(2);
+    assert.deepEqual(queue.next().blocked, ['info']);
+  });
+
+  it('keeps sending a level of a lane while another one is over its budget', () => {
+    queue = createPriorityQueue({ dir, dailyLimit: 100 });
+    for (let i = 0; i < 80; i++) {
+      queue.add(line(`warning ${i}`, 'warning'));
+    }
+    // Warnings may use their own 15% and the 50% of notice, info and debug
+    assert.equal(drain(queue).length, 65);
+    const { lane, blocked } = queue.next();
+    assert.equal(lane, null);
+    assert.deepEqual(blocked, ['warning']);
+
+    queue.add(line('disk failed', 'error'));
+    queue.add(line('slow again', 'warning'));
+    assert.equal(queue.next().lane, 'high');
+    assert.deepEqual(queue.peek('high', 10).map(entry => entry.message), ['disk failed']);
+    queue.ack(1);
+    assert.equal(queue.getStats().lanes.high.spooled, 16);
+    assert.equal(queue.next().lane, null);
+  });
+
+  it('reads a daily split by level name or alias', () => {
+    assert.deepEqual(parseDailySplit({ err: 60, WARNING: 30, 7: 10 }), {
+      emergency: 0, alert: 0, critical: 0, error: 60, warning: 30, notice: 0, info: 0, debug: 10,
+    });
+    assert.deepEqual(Object.values(parseDailySplit(DEFAULT_DAILY_SPLIT)), Object.values(DEFAULT_DAILY_SPLIT));
+    assert.throws(() => parseDailySplit({ error: 50, info: 40 }), /adding up to 100/);
+    assert.throws(() => parseDailySplit({ error: 50, verbose: 50 }), /severity levels/);
+    assert.throws(() => parseDailySplit({ error: 50.5, info: 49.5 }), /whole percentage/);
+    assert.throws(() => createPriorityQueue({ dir, dailyLimit: 10, dailySplit: { high: 50, normal: 50 } }), /adding up to 100/);
+  });
+
+  it('moves a spool from before the lanes or levels into them', () => {
+    const legacy = createSpool({ dir });
+    legacy.add(line('old info'));
+    legacy.add(line('old error', 'err'));
+    legacy.close();
+    const legacyLane = createSpool({ dir: path.join(dir, 'high') });
+    legacyLane.add(line('old warning', 'warning'));
+    legacyLane.add(line('old alert', 'alert'));
+    legacyLane.close();
+
+    queue = createPriorityQueue({ dir });
+    assert.equal(fs.existsSync(path.join(dir, 'spool.jsonl')), false);
+    assert.equal(fs.existsSync(path.join(dir, 'high', 'spool.jsonl')), false);
+    assert.deepEqual(queue.peek('high', 5).map(entry => entry.message), ['old alert']);
+    queue.ack(1);
+
+    const status = readQueueStatus(dir);
+    assert.equal(status.runningPid, process.pid);
+    assert.equal(status.spooled, 3);
+    assert.equal(status.sent, 1);
+    assert.deepEqual([status.lanes.high.spooled, status.lanes.normal.spooled], [2, 1]);
+  });
+});
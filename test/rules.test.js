@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRule, parseRuleStore, formatRule } = require('../lib/rules');
+const { createRuleEvaluator, testRule } = require('../server/rules');
+
+const SENDER = '0x00000000000000000000000000000000000000aa';
+const WEBHOOK = [{ type: 'webhook', url: 'http://127.0.0.1:9/hook' }];
+
+// A rule entry as fromLogEntry() builds it
+function entry(index, timestamp, message, severityLevel = 6) {
+  return {
+    message,
+    sender: SENDER,
+    timestamp,
+    severityLevel,
+    source: 'api',
+    facility: '',
+    tags: [],
+    evidence: { index, transactionHash: `0x${index}`, blockNumber: String(index), timestamp, message },
+  };
+}
+
+function rule(input) {
+  const { rule: parsed, error } = parseRule({ actions: WEBHOOK, ...input });
+  assert.equal(error, undefined);
+  return parsed;
+}
+
+describe('alerting rules', () => {
+  it('validates rules and keeps command actions out of the API', () => {
+    const parsed = rule({ id: 'errors', match: { severity: ['error', 'critical'], regex: 'time(out)?', flags: 'i' } });
+    assert.deepEqual(parsed.match.severity, [3, 2]);
+    assert.equal(parsed.cooldownSeconds, 0);
+    assert.deepEqual(formatRule(parsed).match.severity, ['ERROR', 'CRITICAL']);
+
+    assert.match(parseRule({ match: { regex: '(' }, actions: WEBHOOK }).error, /match\.regex/);
+    assert.match(parseRule({ actions: [{ type: 'webhook', url: 'ftp://x' }] }).error, /http\(s\)/);
+    assert.match(parseRule({ threshold: { count: 0, windowSeconds: 60 }, actions: WEBHOOK }).error, /threshold/);
+
+    const command = { id: 'page', actions: [{ type: 'command', command: '/usr/local/bin/page' }] };
+    assert.match(parseRule(command).error, /only be configured in rules\.json/);
+    assert.deepEqual(parseRuleStore({ rules: [command] }).rules[0].actions[0].args, []);
+    assert.throws(() => parseRuleStore({ rules: [command, command] }), /unique/);
+  });
+
+  it('fires once per batch of matching entries and respects the cooldown', () => {
+    const evaluator = createRuleEvaluator(rule({ match: { keyword: 'DISK FULL', minSeverity: 'warning' }, cooldownSeconds: 60 }));
+
+    const firings = evaluator.evaluate([
+      entry(0, 100, 'disk full on /var', 3),
+      entry(1, 101, 'disk full on /tmp', 6), // not severe enough
+      entry(2, 102, 'Disk full on /home', 4),
+    ]);
+    assert.equal(firings.length, 1);
+    assert.equal(firings[0].matched, 2);
+    assert.deepEqual(firings[0].entries.map(item => item.index), [0, 2]);
+
+    assert.deepEqual(evaluator.evaluate([entry(3, 150, 'disk full again', 3)]), []);
+    assert.equal(evaluator.evaluate([entry(4, 170, 'disk full again', 3)]).length, 1);
+    assert.equal(evaluator.getMatched(), 4);
+  });
+
+  it('fires threshold rules when enough entries fall within the window', () => {
+    const threshold = rule({ match: { minSeverity: 'error' }, threshold: { count: 3, windowSeconds: 300 } });
+
+    // Spread out: never three within five minutes
+    const sparse = [0, 200, 400, 600].map(t => entry(t, 1000 + t, 'failed', 3));
+    assert.equal(testRule(threshold, sparse).alerts.length, 0);
+
+    // A burst fires once, then the cooldown (one window by default) holds it back
+    const burst = [0, 10, 20, 30, 40, 400, 410, 420].map(t => entry(t, 1000 + t, 'failed', 3));
+    const { matched, alerts } = testRule(threshold, burst);
+    assert.equal(matched, 8);
+    assert.equal(alerts.length, 2);
+    assert.equal(alerts[0].reason, 'threshold');
+    assert.deepEqual(alerts[0].entries.map(item => item.index), [0, 10, 20]);
+    assert.deepEqual(alerts[1].entries.map(item => item.index), [400, 410, 420]);
+    assert.equal(alerts[0].firedAt, new Date(1020 * 1000).toISOString());
+  });
+});
@@ -0,0 +1,624 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const {
+  startChain,
+  deploySecureLog,
+  createDataDir,
+  writeApiKeys,
+  startServer,
+  request,
+  waitFor,
+} = require('./helpers');
+
+// Read the first SSE events from a stream until one named stopAt arrives
+async function readEvents(response, stopAt) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  while (!events.some(event => event.event === stopAt)) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = {};
+      for (const line of block.split('\n')) {
+        const [field, ...rest] = line.split(': ');
+        event[field] = rest.join(': ');
+      }
+      if (event.event) {
+        events.push({ ...event, data: JSON.parse(event.data) });
+      }
+    }
+  }
+  await reader.cancel();
+  return events;
+}
+
+describe('HTTP server', () => {
+  let chain;
+  let owner;
+  let writerAccount;
+  let ownAccount;
+  let dataDir;
+  let server;
+  let writerKey;
+  let noReadKey;
+  let ownKey;
+  let otherNetworkKey;
+  let adminKey;
+
+  // Write an entry synchronously and wait until the index has it
+  async function addLog(key, body) {
+    const response = await request(server.url, '/add-log', { method: 'POST', key, body });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    await waitFor(async () => {
+      const logs = await request(server.url, '/api/logs?limit=1000', { key: writerKey });
+      return logs.body.logs.some(entry => entry.message === body.message);
+    });
+    return response;
+  }
+
+  before(async () => {
+    chain = await startChain();
+    [owner, writerAccount, ownAccount] = chain.accounts;
+    const { contract, blockNumber } = await deploySecureLog(chain.web3, owner);
+    for (const account of [writerAccount, ownAccount]) {
+      await contract.methods.grantWriter(account).send({ from: owner, gas: 3000000 });
+    }
+
+    dataDir = createDataDir({ rpcUrl: chain.rpcUrl, contract, blockNumber, owner });
+    [writerKey, noReadKey, ownKey, otherNetworkKey, adminKey] = writeApiKeys(dataDir, [
+      { name: 'writer', account: writerAccount, read: 'all' },
+      { name: 'no-read', account: writerAccount, read: 'none' },
+      { name: 'own', account: ownAccount, read: 'own' },
+      { name: 'elsewhere', account: writerAccount, read: 'all', network: 'staging' },
+      { name: 'admin', account: ownAccount, read: 'all', admin: true },
+    ]);
+    // The alerting rule tests post their webhooks to a local receiver
+    server = await startServer(dataDir, { env: { WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' } });
+  });
+
+  after(async () => {
+    if (server) {
+      await server.stop();
+    }
+    if (chain) {
+      await chain.close();
+    }
+    if (dataDir) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  it('serves the web interface', async () => {
+    const response = await request(server.url, '/');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+  });
+
+  it('reports a healthy connection on /health', async () => {
+    const response = await request(server.url, '/health');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'healthy');
+    assert.equal(response.body.connected, true);
+    assert.equal(response.body.network, 'test');
+    assert.equal(response.body.predecessor, null);
+  });
+
+  describe('POST /add-log', () => {
+    it('requires a valid API key for this network', async () => {
+      const body = { message: 'hello' };
+      assert.equal((await request(server.url, '/add-log', { method: 'POST', body })).status, 401);
+      assert.equal((await request(server.url, '/add-log', { method: 'POST', key: 'lc_wrong', body })).status, 401);
+
+      const response = await request(server.url, '/add-log', { method: 'POST', key: otherNetworkKey, body });
+      assert.equal(response.status, 401);
+      assert.match(response.body.message, /network staging/);
+    });
+
+    it('rejects malformed and invalid bodies', async () => {
+      const malformed = await request(server.url, '/add-log', { method: 'POST', key: writerKey, rawBody: '{"message": ' });
+      assert.equal(malformed.status, 400);
+      assert.equal(malformed.body.message, 'Request body is not valid JSON');
+
+      const invalid = [
+        {},
+        { message: 42 },
+        { message: 'x', severity: 'loud' },
+        { message: 'x', tags: 'not-an-array' },
+        { message: 'x', attributes: [1, 2] },
+        { message: 'x', originalTimestamp: 'yesterday' },
+        { message: 'x', originalTimestamp: 4102444800 },
+        { message: 'x', async: 'yes' },
+        { message: 'x', webhookUrl: 'http://example.com/hook' },
+      ];
+      for (const body of invalid) {
+        const response = await request(server.url, '/add-log', { method: 'POST', key: writerKey, body });
+        assert.equal(response.status, 400, JSON.stringify(body));
+        assert.equal(response.body.error, 'Invalid request');
+      }
+    });
+
+    it('writes an entry from the key\'s account', async () => {
+      const response = await addLog(writerKey, {
+        message: 'service started',
+        severity: 'notice',
+        source: 'web-01',
+        tags: ['deploy'],
+        attributes: { version: '1.2.3' },
+      });
+      assert.equal(response.body.success, true);
+      assert.match(response.body.transactionHash, /^0x[0-9a-f]{64}$/);
+
+      const logs = await request(server.url, '/api/logs', { key: writerKey });
+      const entry = logs.body.logs.find(log => log.message === 'service started');
+      assert.equal(entry.sender, writerAccount);
+      assert.equal(entry.source, 'web-01');
+      assert.deepEqual(entry.tags, ['deploy']);
+      assert.deepEqual(entry.attributes, { version: '1.2.3' });
+    });
+
+    it('queues asynchronous submissions and reports their status', async () => {
+      const response = await request(server.url, '/add-log', {
+        method: 'POST',
+        key: writerKey,
+        body: { message: 'queued entry', severity: 'error', async: true },
+      });
+      assert.equal(response.status, 202);
+      assert.equal(response.body.statusUrl, `/submissions/${response.body.submissionId}`);
+
+      const status = await waitFor(async () => {
+        const result = await request(server.url, response.body.statusUrl, { key: writerKey });
+        return result.body.status === 'confirmed' ? result.body : null;
+      });
+      assert.equal(status.confirmations >= 1, true);
+      assert.equal(typeof status.index, 'number');
+
+      // Only the submitting key and keys that read everything can see it
+      assert.equal((await request(server.url, response.body.statusUrl, { key: ownKey })).status, 404);
+      assert.equal((await request(server.url, '/submissions/unknown', { key: writerKey })).status, 404);
+    });
+
+    it('writes from read-restricted keys too', async () => {
+      await addLog(ownKey, { message: 'own entry', severity: 'warning' });
+    });
+  });
+
+  describe('GET /logs, /api/logs and /get', () => {
+    it('return the same page from every route', async () => {
+      const pages = [];
+      for (const route of ['/logs', '/api/logs', '/get']) {
+        const response = await request(server.url, route, { key: writerKey });
+        assert.equal(response.status, 200);
+        pages.push(response.body);
+      }
+      assert.deepEqual(pages[1], pages[0]);
+      assert.deepEqual(pages[2], pages[0]);
+      assert.equal(pages[0].count, 3);
+      assert.deepEqual(pages[0].logs.map(entry => entry.index), [2, 1, 0]);
+    });
+
+    it('page through entries with limit and before', async () => {
+      const first = await request(server.url, '/api/logs?limit=2', { key: writerKey });
+      assert.deepEqual(first.body.logs.map(entry => entry.index), [2, 1]);
+      assert.equal(first.body.nextCursor, 1);
+
+      const second = await request(server.url, `/api/logs?limit=2&before=${first.body.nextCursor}`, { key: writerKey });
+      assert.deepEqual(second.body.logs.map(entry => entry.index), [0]);
+      assert.equal(second.body.nextCursor, null);
+    });
+
+    it('filter by severity and message text', async () => {
+      const errors = await request(server.url, '/api/logs?severity=error,critical', { key: writerKey });
+      assert.deepEqual(errors.body.logs.map(entry => entry.message), ['queued entry']);
+
+      const search = await request(server.url, '/api/logs?q=started', { key: writerKey });
+      assert.deepEqual(search.body.logs.map(entry => entry.message), ['service started']);
+    });
+
+    it('reject invalid query parameters', async () => {
+      for (const query of ['limit=0', 'limit=5000', 'before=-1', 'after=abc', 'from=yesterday', 'severity=loud']) {
+        const response = await request(server.url, `/api/logs?${query}`, { key: writerKey });
+        assert.equal(response.status, 400, query);
+      }
+    });
+
+    it('respect the key\'s read access', async () => {
+      assert.equal((await request(server.url, '/api/logs')).status, 401);
+      assert.equal((await request(server.url, '/api/logs', { key: noReadKey })).status, 403);
+
+      const own = await request(server.url, '/api/logs', { key: ownKey });
+      assert.equal(own.status, 200);
+      assert.deepEqual(own.body.logs.map(entry => entry.message), ['own entry']);
+    });
+  });
+
+  describe('GET /api/logs/:index', () => {
+    it('returns one entry with the transaction and block that wrote it', async () => {
+      const response = await request(server.url, '/api/logs/0', { key: writerKey });
+      assert.equal(response.status, 200);
+      const { log, transaction, block, confirmations } = response.body;
+      assert.equal(log.index, 0);
+      assert.equal(transaction.hash, log.transactionHash);
+      assert.equal(transaction.status, true);
+      assert.equal(block.number, log.blockNumber);
+      assert.ok(confirmations >= 1);
+
+      assert.equal((await request(server.url, '/api/logs/99', { key: writerKey })).status, 404);
+      assert.equal((await request(server.url, '/api/logs/abc', { key: writerKey })).status, 400);
+    });
+
+    it('hides other senders\' entries from keys scoped to their own', async () => {
+      const [own] = (await request(server.url, '/api/logs', { key: ownKey })).body.logs;
+      assert.equal((await request(server.url, `/api/logs/${own.index}`, { key: ownKey })).status, 200);
+      const other = [0, 1, 2].find(index => index !== own.index);
+      assert.equal((await request(server.url, `/api/logs/${other}`, { key: ownKey })).status, 404);
+    });
+  });
+
+  describe('GET /verify', () => {
+    it('checks the hash chain up to the head', async () => {
+      const response = await request(server.url, '/verify', { key: writerKey });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.valid, true);
+      assert.equal(response.body.checked, 3);
+      assert.match(response.body.headHash, /^0x[0-9a-f]{64}$/);
+    });
+
+    it('checks a range and rejects an invalid one', async () => {
+      const range = await request(server.url, '/verify?from=1&to=1', { key: writerKey });
+      assert.equal(range.body.valid, true);
+      assert.equal(range.body.checked, 1);
+      assert.equal(range.body.headHash, null);
+
+      const pastEnd = await request(server.url, '/verify?from=2&to=99', { key: writerKey });
+      assert.equal(pastEnd.body.valid, true);
+      assert.equal(pastEnd.body.checked, 1);
+      assert.equal(pastEnd.body.to, 2);
+
+      // One end given: the range runs from or up to it
+      const upTo = await request(server.url, '/verify?to=1', { key: writerKey });
+      assert.deepEqual([upTo.body.from, upTo.body.to, upTo.body.checked], [0, 1, 2]);
+      const widest = await request(server.url, '/verify?from=0&to=999', { key: writerKey });
+      assert.equal(widest.status, 200);
+
+      for (const query of ['from=2&to=1', 'from=5abc', 'to=-1', 'from=0&to=1000']) {
+        assert.equal((await request(server.url, `/verify?${query}`, { key: writerKey })).status, 400, query);
+      }
+      assert.equal((await request(server.url, '/verify', { key: noReadKey })).status, 403);
+    });
+  });
+
+  describe('Merkle batches', () => {
+    it('rejects invalid batches and unknown entries', async () => {
+      for (const body of [{}, { messages: [] }, { messages: ['ok', 7] }]) {
+        const response = await request(server.url, '/batch-log', { method: 'POST', key: writerKey, body });
+        assert.equal(response.status, 400, JSON.stringify(body));
+      }
+      assert.equal((await request(server.url, '/logs/abc/proof', { key: writerKey })).status, 400);
+      assert.equal((await request(server.url, '/logs/999/proof', { key: writerKey })).status, 404);
+    });
+
+    it('queues lines and proves them once anchored', async () => {
+      const queued = await request(server.url, '/batch-log', {
+        method: 'POST',
+        key: writerKey,
+        body: { messages: ['batched one', 'batched two'] },
+      });
+      assert.equal(queued.status, 202);
+      assert.equal(queued.body.ids.length, 2);
+
+      const [id] = queued.body.ids;
+      const pending = await request(server.url, `/logs/${id}/proof`, { key: writerKey });
+      assert.equal(pending.status, 202);
+      assert.equal(pending.body.pending, true);
+
+      // Batches are anchored at least every 10 seconds
+      const proof = await waitFor(async () => {
+        const response = await request(server.url, `/logs/${id}/proof`, { key: writerKey });
+        return response.status === 200 ? response.body : null;
+      }, { timeoutMs: 30000, intervalMs: 1000 });
+      assert.equal(proof.verified, true);
+      assert.equal(proof.entry.message, 'batched one');
+
+      // Other senders' entries are hidden from keys that only read their own
+      assert.equal((await request(server.url, `/logs/${id}/proof`, { key: ownKey })).status, 404);
+    });
+  });
+
+  it('lists writers with their API keys', async () => {
+    const response = await request(server.url, '/writers', { key: writerKey });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.owner, owner);
+
+    const writer = response.body.writers.find(item => item.address === writerAccount);
+    assert.deepEqual(writer.apiKeys.map(key => key.name).sort(), ['elsewhere', 'no-read', 'writer']);
+    assert.equal(response.body.writers.find(item => item.address === owner).isOwner, true);
+  });
+
+  it('streams new entries over Server-Sent Events', async () => {
+    assert.equal((await request(server.url, '/api/logs/stream?after=x', { key: writerKey })).status, 400);
+
+    const response = await fetch(`${server.url}/api/logs/stream?after=2`, {
+      headers: { Authorization: `Bearer ${writerKey}` },
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const events = readEvents(response, 'log');
+    await request(server.url, '/add-log', { method: 'POST', key: writerKey, body: { message: 'streamed entry' } });
+
+    const [ready, log] = await events;
+    assert.equal(ready.event, 'ready');
+    assert.equal(log.event, 'log');
+    assert.equal(log.data.message, 'streamed entry');
+    assert.equal(log.id, String(log.data.index));
+  });
+
+  describe('GET /metrics', () => {
+    it('exposes request, RPC, gas, chain and index metrics', async () => {
+      const response = await request(server.url, '/metrics');
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/plain.*version=0\.0\.4/);
+
+      const text = response.body;
+      assert.match(text, /^logchain_add_log_requests_total\{status="200"\} \d+$/m);
+      assert.match(text, /^logchain_add_log_requests_total\{status="400"\} \d+$/m);
+      assert.match(text, /^logchain_add_log_duration_seconds_bucket\{status="200",le="\+Inf"\} \d+$/m);
+      assert.match(text, /^logchain_rpc_duration_seconds_count\{method="eth_sendTransaction"\} \d+$/m);
+      assert.match(text, /^logchain_gas_used_per_entry_count\{kind="addLog"\} [1-9]\d*$/m);
+      assert.match(text, /^logchain_gas_used_per_entry_count\{kind="anchorBatch"\} [1-9]\d*$/m);
+      assert.match(text, /^logchain_node_up 1$/m);
+      assert.match(text, /^logchain_chain_head_block [1-9]\d*$/m);
+      assert.match(text, /^logchain_latest_log_index 3$/m);
+      assert.match(text, /^logchain_submissions\{status="confirmed"\} 1$/m);
+      assert.match(text, /^logchain_http_requests_total\{method="GET",route="\/api\/logs",status="403"\} \d+$/m);
+    });
+
+    it('shows the stats streamers push', async () => {
+      const stats = { spooled: 4, spooledBytes: 512, oldestSpooledAt: null, sent: 10, failed: 1, dropped: 2, retries: 3, dailyLimitHits: 1 };
+      const pushed = await request(server.url, '/metrics/streamer', {
+        method: 'POST',
+        key: noReadKey,
+        body: { instance: 'host-a', mode: 'add-log', stats },
+      });
+      assert.equal(pushed.status, 200);
+
+      const invalid = await request(server.url, '/metrics/streamer', {
+        method: 'POST',
+        key: noReadKey,
+        body: { instance: 'host-a', mode: 'add-log', stats: { ...stats, dropped: -1 } },
+      });
+      assert.equal(invalid.status, 400);
+      assert.equal((await request(server.url, '/metrics/streamer', { method: 'POST', body: { instance: 'x' } })).status, 401);
+
+      const text = (await request(server.url, '/metrics')).body;
+      const labels = '{key="no-read",instance="host-a",mode="add-log"}';
+      assert.ok(text.includes(`logchain_streamer_spooled_entries${labels} 4`));
+      assert.ok(text.includes(`logchain_streamer_dropped_total${labels} 2`));
+      assert.ok(text.includes(`logchain_streamer_daily_limit_hits_total${labels} 1`));
+    });
+
+    it('caps the streamer instances one key reports', async () => {
+      const stats = { spooled: 0, spooledBytes: 0, oldestSpooledAt: null, sent: 0, failed: 0, dropped: 0, retries: 0, dailyLimitHits: 0 };
+      const push = instance => request(server.url, '/metrics/streamer', {
+        method: 'POST',
+        key: writerKey,
+        body: { instance, mode: 'batch', stats },
+      });
+      for (let i = 0; i < 100; i++) {
+        assert.equal((await push(`host-${i}`)).status, 200);
+      }
+      const refused = await push('host-100');
+      assert.equal(refused.status, 429);
+      assert.equal(refused.body.error, 'Too many streamer instances');
+      // Known instances keep pushing, and other keys are not affected
+      assert.equal((await push('host-0')).status, 200);
+      assert.equal((await request(server.url, '/metrics/streamer', {
+        method: 'POST',
+        key: noReadKey,
+        body: { instance: 'host-100', mode: 'batch', stats },
+      })).status, 200);
+      assert.doesNotMatch((await request(server.url, '/metrics')).body, /key="writer",instance="host-100"/);
+    });
+  });
+
+  describe('alerting rules', () => {
+    let receiver;
+    let receiverUrl;
+    const alerts = [];
+
+    before(async () => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          alerts.push(JSON.parse(body));
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      receiverUrl = `http://127.0.0.1:${receiver.address().port}/alerts`;
+    });
+
+    after(() => {
+      receiver.close();
+    });
+
+    it('needs a key with full read access to read them and an admin key to change them', async () => {
+      assert.equal((await request(server.url, '/rules')).status, 401);
+      assert.equal((await request(server.url, '/rules', { key: ownKey })).status, 403);
+      const rule = { match: { keyword: 'x' }, actions: [{ type: 'webhook', url: receiverUrl }] };
+      assert.equal((await request(server.url, '/rules', { method: 'POST', key: writerKey, body: rule })).status, 403);
+
+      const response = await request(server.url, '/rules', { key: writerKey });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.rules, []);
+      assert.equal(response.body.smtp.port, 25);
+    });
+
+    it('validates new rules and refuses command actions', async () => {
+      const invalid = await request(server.url, '/rules', {
+        method: 'POST',
+        key: adminKey,
+        body: { match: { regex: '(' }, actions: [{ type: 'webhook', url: receiverUrl }] },
+      });
+      assert.equal(invalid.status, 400);
+      assert.match(invalid.body.message, /match\.regex/);
+
+      const command = await request(server.url, '/rules', {
+        method: 'POST',
+        key: adminKey,
+        body: { match: { keyword: 'x' }, actions: [{ type: 'command', command: '/bin/true' }] },
+      });
+      assert.equal(command.status, 400);
+      assert.match(command.body.message, /only be configured in rules\.json/);
+
+      // Webhooks may not reach private or local addresses, whether given directly or by name
+      for (const url of ['http://169.254.169.254/latest/meta-data', 'http://localhost:9/hook', 'file:///etc/passwd']) {
+        const refused = await request(server.url, '/rules', {
+          method: 'POST',
+          key: adminKey,
+          body: { match: { keyword: 'x' }, actions: [{ type: 'webhook', url }] },
+        });
+        assert.equal(refused.status, 400, url);
+        assert.match(refused.body.message, /private or local address|http\(s\)/, url);
+      }
+    });
+
+    it('fires a webhook with the on-chain evidence when a matching entry is anchored', async () => {
+      const rule = { id: 'payments-down', match: { keyword: 'payment gateway', minSeverity: 'error' }, actions: [{ type: 'webhook', url: receiverUrl }] };
+      const created = await request(server.url, '/rules', { method: 'POST', key: adminKey, body: rule });
+      assert.equal(created.status, 201, JSON.stringify(created.body));
+      assert.equal(created.body.rule.match.minSeverity, 'ERROR');
+      assert.equal((await request(server.url, '/rules', { method: 'POST', key: adminKey, body: rule })).status, 409);
+
+      const written = await addLog(writerKey, { message: 'Payment gateway unreachable', severity: 'critical' });
+      const alert = await waitFor(() => alerts.find(item => item.rule.id === 'payments-down'));
+      assert.equal(alert.event, 'rule.fired');
+      assert.equal(alert.matched, 1);
+      assert.equal(alert.entries[0].index, 4);
+      assert.equal(alert.entries[0].transactionHash, written.body.transactionHash);
+      assert.equal(alert.entries[0].severity, 'CRITICAL');
+
+      const stats = await request(server.url, '/rules/payments-down', { key: writerKey });
+      assert.equal(stats.body.rule.stats.fired, 1);
+      assert.match((await request(server.url, '/metrics')).body, /^logchain_rule_firings_total\{rule="payments-down"\} 1$/m);
+    });
+
+    it('tests rules against past entries without running their actions', async () => {
+      const adHoc = await request(server.url, '/rules/test', {
+        method: 'POST',
+        key: writerKey,
+        body: { rule: { match: { keyword: 'streamed' }, actions: [{ type: 'webhook', url: receiverUrl }] } },
+      });
+      assert.equal(adHoc.status, 200, JSON.stringify(adHoc.body));
+      assert.equal(adHoc.body.scanned, 5);
+      assert.equal(adHoc.body.matched, 1);
+      assert.equal(adHoc.body.alerts[0].entries[0].message, 'streamed entry');
+      assert.equal(adHoc.body.truncated, false);
+
+      const stored = await request(server.url, '/rules/payments-down/test', { method: 'POST', key: writerKey, body: { to: 1 } });
+      assert.equal(stored.body.scanned, 0);
+      assert.equal((await request(server.url, '/rules/nope/test', { method: 'POST', key: writerKey, body: {} })).status, 404);
+      assert.equal(alerts.length, 1);
+    });
+
+    it('updates and removes rules, except ones that run commands', async () => {
+      const updated = await request(server.url, '/rules/payments-down', {
+        method: 'PUT',
+        key: adminKey,
+        body: { enabled: false, match: { keyword: 'payment' }, actions: [{ type: 'webhook', url: receiverUrl }] },
+      });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.rule.enabled, false);
+
+      assert.equal((await request(server.url, '/rules/payments-down', { method: 'DELETE', key: adminKey })).status, 200);
+      assert.equal((await request(server.url, '/rules/payments-down', { key: writerKey })).status, 404);
+
+      // Rules with command actions come from the file and stay there
+      fs.writeFileSync(`${dataDir}/rules.json`, JSON.stringify({
+        rules: [{ id: 'page', match: { minSeverity: 'emergency' }, actions: [{ type: 'command', command: '/bin/true' }] }],
+      }));
+      const listed = await request(server.url, '/rules', { key: writerKey });
+      assert.deepEqual(listed.body.rules.map(item => item.id), ['page']);
+      const refused = await request(server.url, '/rules/page', { method: 'DELETE', key: adminKey });
+      assert.equal(refused.status, 403);
+    });
+  });
+
+  it('redacts valid entries only, including source, facility and lookalike envelopes', async () => {
+    const redactionStats = async () => (await request(server.url, '/health')).body.redaction;
+    const before = await redactionStats();
+
+    const rejected = await request(server.url, '/add-log', {
+      method: 'POST',
+      key: writerKey,
+      body: { message: 'mail alice@example.com', severity: 'loud' },
+    });
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(await redactionStats(), before);
+
+    // Only a message that is a real envelope is left alone, not anything starting with its prefix
+    await addLog(writerKey, {
+      message: 'login failed',
+      source: 'bob@example.com',
+      facility: 'auth 10.0.0.7',
+      attributes: { user: 'enc:v1:carol@example.com' },
+    });
+    const [entry] = (await request(server.url, '/api/logs?limit=1', { key: writerKey })).body.logs;
+    assert.match(entry.source, /^\[REDACTED:email:[0-9a-f]+\]$/);
+    assert.match(entry.facility, /^auth \[REDACTED:ipv4:[0-9a-f]+\]$/);
+    assert.match(entry.attributes.user, /^enc:v1:\[REDACTED:email:[0-9a-f]+\]$/);
+    const after = await redactionStats();
+    assert.equal(after.redactedEntries, before.redactedEntries + 1);
+    assert.equal(after.rules.email, before.rules.email + 2);
+  });
+
+  describe('when the node is unreachable', () => {
+    before(async () => {
+      await chain.close();
+    });
+
+    it('answers writes and chain reads with 503', async () => {
+      const write = await request(server.url, '/add-log', { method: 'POST', key: writerKey, body: { message: 'lost' } });
+      assert.equal(write.status, 503);
+      assert.match(write.body.message, /Cannot connect to the test node/);
+
+      for (const route of ['/verify', '/writers', '/api/logs/0', '/logs/0/proof']) {
+        const response = await request(server.url, route, { key: writerKey });
+        assert.equal(response.status, 503, route);
+      }
+    });
+
+    it('reports itself unhealthy', async () => {
+      const response = await request(server.url, '/health');
+      assert.equal(response.status, 500);
+      assert.equal(response.body.status, 'unhealthy');
+    });
+
+    it('reports the node as down in /metrics', async () => {
+      // The head read by an earlier scrape is reused for a few seconds
+      const response = await waitFor(async () => {
+        const scraped = await request(server.url, '/metrics');
+        return /^logchain_node_up 0$/m.test(scraped.body) && scraped;
+      });
+      assert.equal(response.status, 200);
+      assert.match(response.body, /^logchain_add_log_requests_total\{status="503"\} 1$/m);
+    });
+
+    it('keeps serving logs from the local index', async () => {
+      const response = await request(server.url, '/api/logs', { key: writerKey });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 6);
+    });
+  });
+});